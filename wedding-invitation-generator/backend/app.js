@@ -27,9 +27,20 @@ const { PrismaClient } = require('@prisma/client');
  * Import route modules
  * Each module handles a specific feature area of the API
  */
+const authRoutes = require('./routes/authRoutes');
+const rsvpRoutes = require('./routes/rsvpRoutes');
 const coupleRoutes = require('./routes/coupleRoutes');
+const memberRoutes = require('./routes/memberRoutes');
 const guestRoutes = require('./routes/guestRoutes');
+const householdRoutes = require('./routes/householdRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const cateringRoutes = require('./routes/cateringRoutes');
+const seatingRoutes = require('./routes/seatingRoutes');
+const promptTemplateRoutes = require('./routes/promptTemplateRoutes');
+const invitationTemplateRoutes = require('./routes/invitationTemplateRoutes');
 const invitationRoutes = require('./routes/invitationRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const aiUsageRoutes = require('./routes/aiUsageRoutes');
 const emailRoutes = require('./routes/emailRoutes');
 const healthRoutes = require('./routes/healthRoutes');
 
@@ -98,18 +109,56 @@ app.get('/', (req, res) => {
 });
 
 /**
- * API Routes Registration
+ * Authentication Routes
+ * 
+ * Registration and login are public; they issue the access tokens
+ * required by the protected routes below
+ */
+app.use('/api/auth', authRoutes);
+
+/**
+ * RSVP Routes (Public)
+ * 
+ * Guests reply to their invitation through the link in the email;
+ * the random token in the URL identifies the guest instead of a login
+ */
+app.use('/api/rsvp', rsvpRoutes);
+
+/**
+ * API Routes Registration (Protected)
  * 
  * These routes handle all the core functionality of the application:
  * - Couple information management
+ * - Wedding collaborators (members and invitations)
  * - Guest management
+ * - Households (guests invited together)
+ * - Guest tags and the groom-side/bride-side summary
+ * - Menu and catering summary
+ * - Seating chart
+ * - Prompt templates for the AI invitations
+ * - Offline invitation templates used without AI
  * - Invitation generation and management
+ * - Background jobs (batch generation progress)
+ * - AI usage reports and budgets
  * - Email delivery
+ * 
+ * Every route requires a valid access token, and controllers only
+ * operate on weddings the authenticated user owns or collaborates on,
+ * within the limits of the user's role on that wedding
  */
-app.use('/api/couple', coupleRoutes);
-app.use('/api/guests', guestRoutes);
-app.use('/api/invitations', invitationRoutes);
-app.use('/api/emails', emailRoutes);
+app.use('/api/couple', authenticateToken, coupleRoutes);
+app.use('/api/members', authenticateToken, memberRoutes);
+app.use('/api/guests', authenticateToken, guestRoutes);
+app.use('/api/households', authenticateToken, householdRoutes);
+app.use('/api/tags', authenticateToken, tagRoutes);
+app.use('/api/catering', authenticateToken, cateringRoutes);
+app.use('/api/seating', authenticateToken, seatingRoutes);
+app.use('/api/prompt-templates', authenticateToken, promptTemplateRoutes);
+app.use('/api/invitation-templates', authenticateToken, invitationTemplateRoutes);
+app.use('/api/invitations', authenticateToken, invitationRoutes);
+app.use('/api/jobs', authenticateToken, jobRoutes);
+app.use('/api/ai-usage', authenticateToken, aiUsageRoutes);
+app.use('/api/emails', authenticateToken, emailRoutes);
 
 /**
  * Metrics Endpoint (Protected)
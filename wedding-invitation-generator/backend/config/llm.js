@@ -0,0 +1,143 @@
+/**
+ * LLM Provider Configuration
+ *
+ * Creates one OpenAI-compatible client per configured AI provider.
+ * Invitations are generated by the first provider of the chain that
+ * succeeds; when every provider fails the offline templates are used.
+ *
+ * The chain is set with LLM_PROVIDERS (e.g. "deepseek,openai"). Without it,
+ * every known provider with complete settings is used in the order
+ * openai, deepseek, local. Each provider reads its settings from
+ * environment variables with its own prefix:
+ * - <PREFIX>_API_KEY      API key (not needed for the local provider)
+ * - <PREFIX>_BASE_URL     Endpoint of the OpenAI-compatible API
+ * - <PREFIX>_MODEL        Model name
+ * - <PREFIX>_TEMPERATURE  Sampling temperature (default 0.7)
+ * - <PREFIX>_TIMEOUT_MS   Request timeout (default 30000)
+ * - <PREFIX>_MAX_RETRIES  Retries after a transient failure (default 2)
+ * - <PREFIX>_PRICE_INPUT  USD per million prompt tokens, for the usage costs
+ * - <PREFIX>_PRICE_OUTPUT USD per million answer tokens
+ *
+ * Known providers use the prefixes OPENAI, DEEPSEEK and LOCAL_LLM; any other
+ * name in LLM_PROVIDERS uses its upper-cased name and must set the base URL
+ * and model. Known providers default to the list prices of their default
+ * model; other providers are counted as free unless their prices are set.
+ * The local provider talks to the bundled stand-in server
+ * (scripts/fakeLlmServer.js) and is only used when LOCAL_LLM_BASE_URL is set
+ * or it is listed in LLM_PROVIDERS.
+ */
+const OpenAI = require('openai');
+const dotenv = require('dotenv');
+const logger = require('./logger');
+
+// Ensure environment variables are loaded
+dotenv.config();
+
+/**
+ * Defaults of the known providers
+ */
+const KNOWN_PROVIDERS = {
+  openai: { envPrefix: 'OPENAI', baseURL: 'https://api.openai.com/v1', model: 'gpt-4o-mini', priceInput: 0.15, priceOutput: 0.6 },
+  deepseek: { envPrefix: 'DEEPSEEK', baseURL: 'https://api.deepseek.com/v1', model: 'deepseek-chat', priceInput: 0.27, priceOutput: 1.1 },
+  local: { envPrefix: 'LOCAL_LLM', baseURL: 'http://localhost:5055/v1', model: 'fake-invitation-writer', apiKey: 'local', priceInput: 0, priceOutput: 0 }
+};
+
+/**
+ * Reads a number from the environment
+ *
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number} The number
+ */
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Reads the settings of a provider
+ *
+ * @param {string} name - Provider name
+ * @param {boolean} listed - Whether the provider was listed in LLM_PROVIDERS
+ * @returns {Object|null} Provider settings, or null if the settings are incomplete
+ */
+const readProvider = (name, listed) => {
+  const known = KNOWN_PROVIDERS[name] || {};
+  const prefix = known.envPrefix || name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const env = (key) => process.env[`${prefix}_${key}`];
+
+  // The local stand-in is opt-in so production never waits on a missing server
+  if (name === 'local' && !listed && !env('BASE_URL')) {
+    return null;
+  }
+
+  const settings = {
+    name,
+    apiKey: env('API_KEY') || known.apiKey,
+    baseURL: env('BASE_URL') || known.baseURL,
+    model: env('MODEL') || known.model,
+    temperature: envNumber(`${prefix}_TEMPERATURE`, 0.7),
+    timeoutMs: envNumber(`${prefix}_TIMEOUT_MS`, 30000),
+    maxRetries: envNumber(`${prefix}_MAX_RETRIES`, 2),
+    pricing: {
+      input: envNumber(`${prefix}_PRICE_INPUT`, known.priceInput || 0),
+      output: envNumber(`${prefix}_PRICE_OUTPUT`, known.priceOutput || 0)
+    }
+  };
+
+  const missing = ['apiKey', 'baseURL', 'model'].filter(key => !settings[key]);
+  if (missing.length > 0) {
+    if (listed) {
+      logger.warn(`AI provider "${name}" skipped: incomplete settings`, { provider: name, missing, envPrefix: prefix });
+    }
+    return null;
+  }
+
+  return settings;
+};
+
+/**
+ * Builds the provider chain from the environment
+ *
+ * @returns {Array<Object>} Providers in order, each with an OpenAI client
+ */
+const createProviders = () => {
+  const listed = (process.env.LLM_PROVIDERS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const names = listed.length > 0 ? [...new Set(listed)] : Object.keys(KNOWN_PROVIDERS);
+
+  return names
+    .map(name => readProvider(name, listed.length > 0))
+    .filter(Boolean)
+    .map(settings => ({
+      ...settings,
+      // Retries are handled per provider by the caller, so a failing provider
+      // hands over to the next one instead of retrying inside the SDK
+      client: new OpenAI({
+        apiKey: settings.apiKey,
+        baseURL: settings.baseURL,
+        timeout: settings.timeoutMs,
+        maxRetries: 0
+      })
+    }));
+};
+
+const llmProviders = createProviders();
+
+/**
+ * Describes the provider chain without secrets, for logs and health checks
+ *
+ * @returns {Array<Object>} { name, baseURL, model, temperature, timeoutMs, maxRetries, pricing }
+ */
+const describeProviders = () => llmProviders.map(({ name, baseURL, model, temperature, timeoutMs, maxRetries, pricing }) =>
+  ({ name, baseURL, model, temperature, timeoutMs, maxRetries, pricing }));
+
+if (llmProviders.length > 0) {
+  logger.info('AI providers configured', { chain: describeProviders() });
+} else {
+  logger.warn('No AI provider configured, invitations will use the offline templates');
+}
+
+module.exports = {
+  llmProviders,
+  describeProviders
+};
@@ -0,0 +1,157 @@
+/**
+ * Mail Transport Configuration
+ * 
+ * Creates the shared Nodemailer transport used for all outgoing email:
+ * - Wedding invitations (emailController)
+ * - Collaborator invitations (memberController)
+ * 
+ * The transport is only created when the SMTP settings are complete;
+ * otherwise `transporter` is undefined and callers must handle that case
+ * (for example by only allowing test mode).
+ */
+const nodemailer = require('nodemailer');
+const dotenv = require('dotenv');
+const logger = require('./logger');
+
+// Ensure environment variables are loaded
+dotenv.config();
+
+/**
+ * Verify SMTP Configuration
+ * 
+ * Tests if the SMTP settings are valid and logs the results
+ * Helps diagnose email delivery issues
+ * 
+ * @returns {boolean} True if configuration is valid, false otherwise
+ */
+async function verifySmtpConfig() {
+  try {
+    logger.info('開始驗證 SMTP 設置...');
+    
+    if (!process.env.SMTP_HOST || !process.env.SMTP_PORT || !process.env.SMTP_USER || !process.env.SMTP_PASS) {
+      logger.error('SMTP 設置不完整', {
+        smtpHost: process.env.SMTP_HOST || '未設置',
+        smtpPort: process.env.SMTP_PORT || '未設置',
+        smtpUser: process.env.SMTP_USER ? '已設置' : '未設置',
+        smtpPass: process.env.SMTP_PASS ? '已設置' : '未設置',
+        fromEmail: process.env.FROM_EMAIL || '未設置'
+      });
+      return false;
+    }
+    
+    // 創建臨時郵件傳輸器用於驗證
+    const tempTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10),
+      secure: parseInt(process.env.SMTP_PORT, 10) === 465,
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      },
+      // 設置超時時間以避免長時間掛起
+      connectionTimeout: 5000,
+      greetingTimeout: 5000,
+      socketTimeout: 5000
+    });
+    
+    // 嘗試驗證連接
+    logger.info('嘗試驗證 SMTP 連接...');
+    const verifyResult = await tempTransporter.verify();
+    
+    logger.info('SMTP 連接驗證成功', {
+      smtpHost: process.env.SMTP_HOST,
+      smtpPort: process.env.SMTP_PORT,
+      secure: parseInt(process.env.SMTP_PORT, 10) === 465
+    });
+    
+    return true;
+  } catch (error) {
+    logger.error('SMTP 連接驗證失敗', {
+      error: error.message,
+      stack: error.stack,
+      code: error.code,
+      command: error.command,
+      responseCode: error.responseCode,
+      response: error.response
+    });
+    
+    // 提供常見 SMTP 錯誤的具體解決方案
+    let troubleshooting = '';
+    if (error.code === 'ECONNREFUSED') {
+      troubleshooting = 'SMTP 伺服器連接被拒絕，請檢查主機名稱和端口是否正確';
+    } else if (error.code === 'ETIMEDOUT') {
+      troubleshooting = 'SMTP 伺服器連接超時，請檢查網絡設置或防火牆配置';
+    } else if (error.code === 'EAUTH') {
+      troubleshooting = '認證失敗，請檢查用戶名和密碼是否正確';
+    } else if (error.code === 'ESOCKET') {
+      troubleshooting = 'Socket 錯誤，可能是 SSL/TLS 配置問題';
+    }
+    
+    if (troubleshooting) {
+      logger.error(`SMTP 故障排除建議: ${troubleshooting}`);
+    }
+    
+    return false;
+  }
+}
+
+/**
+ * Email Transport Configuration
+ * Creates and configures Nodemailer transport
+ * Handles both secure (465) and non-secure SMTP connections
+ * Falls back gracefully if SMTP settings are missing
+ */
+let transporter;
+try {
+  // Validate email configuration exists
+  if (process.env.SMTP_HOST && process.env.SMTP_PORT && process.env.SMTP_USER && process.env.SMTP_PASS) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10),
+      secure: parseInt(process.env.SMTP_PORT, 10) === 465, // Use secure connection if port is 465
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      },
+      // 設置超時避免長時間掛起
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 10000
+    });
+    
+    logger.info('電子郵件傳輸器已初始化', {
+      smtpHost: process.env.SMTP_HOST,
+      smtpPort: process.env.SMTP_PORT,
+      secure: parseInt(process.env.SMTP_PORT, 10) === 465,
+      timeout: '10000ms'
+    });
+    
+    // 進行初始連接測試
+    verifySmtpConfig().then(isValid => {
+      if (isValid) {
+        logger.info('SMTP 設置有效，電子郵件功能就緒');
+      } else {
+        logger.warn('SMTP 設置無效，電子郵件功能將不可用');
+      }
+    });
+  } else {
+    logger.warn('SMTP 設置不完整', {
+      smtpHost: process.env.SMTP_HOST || '未設置',
+      smtpPort: process.env.SMTP_PORT || '未設置',
+      smtpUser: process.env.SMTP_USER ? '已設置' : '未設置',
+      smtpPass: process.env.SMTP_PASS ? '已設置' : '未設置',
+      fromEmail: process.env.FROM_EMAIL || '未設置'
+    });
+  }
+} catch (error) {
+  logger.error('電子郵件傳輸器初始化失敗', { 
+    error: error.message,
+    stack: error.stack,
+    code: error.code
+  });
+}
+
+module.exports = {
+  transporter,
+  verifySmtpConfig
+};
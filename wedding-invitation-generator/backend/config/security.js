@@ -24,7 +24,7 @@ const corsOptions = {
   origin: process.env.NODE_ENV === 'production' 
     ? process.env.FRONTEND_URL 
     : ['http://localhost:5173', 'http://localhost:3000'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: true,
   maxAge: 86400 // 24 hours - how long browsers should cache CORS responses
@@ -115,6 +115,51 @@ const logSpeedLimiter = (req, res, next) => {
   next();
 };
 
+/**
+ * Invitation Generation Limiter
+ * Limits each IP to 20 invitations per hour - stricter than global limit
+ * 
+ * The requests are counted in a store of their own, so the candidate
+ * drafts of a request can be counted against the same limit
+ * (see countCandidateDrafts).
+ */
+const GENERATION_LIMIT = 20;
+const GENERATION_LIMIT_MESSAGE = '請求生成邀請函次數過多，請稍後再試';
+const generationStore = new rateLimit.MemoryStore();
+
+const generationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour window
+  max: GENERATION_LIMIT,
+  message: GENERATION_LIMIT_MESSAGE, // Message in Traditional Chinese
+  store: generationStore
+});
+
+/**
+ * Candidate Drafts Counter
+ * POST /api/invitations/generate?candidates=N writes N invitations at
+ * once, so it counts as N requests against the generation limit: the
+ * limiter has counted the request itself, the other drafts are added here.
+ * Counts the route's validator rejects add nothing.
+ */
+const countCandidateDrafts = async (req, res, next) => {
+  const candidates = Number(req.query.candidates);
+  if (req.method !== 'POST' || req.path !== '/' || !Number.isInteger(candidates) || candidates < 2 || candidates > 5) {
+    return next();
+  }
+  
+  let totalHits = 0;
+  for (let draft = 1; draft < candidates; draft++) {
+    ({ totalHits } = await generationStore.increment(req.ip));
+  }
+  
+  if (totalHits > GENERATION_LIMIT) {
+    logger.warn(`Rate limit exceeded by candidate drafts for IP: ${req.ip}`, { ip: req.ip, candidates });
+    return res.status(429).send(GENERATION_LIMIT_MESSAGE);
+  }
+  
+  next();
+};
+
 /**
  * Main security configuration function
  * Applies all security measures to the Express app
@@ -137,10 +182,24 @@ const configSecurity = (app) => {
   
   // Apply stricter rate limiting to resource-intensive routes
   // Invitation generation is computationally expensive and may involve external API calls
-  app.use('/api/invitations/generate', rateLimit({
+  // Each candidate draft counts as one invitation
+  app.use('/api/invitations/generate', generationLimiter, countCandidateDrafts);
+  
+  // A batch covers a whole wedding in one request and runs in the background,
+  // so it needs far fewer requests than generating guest by guest;
+  // regenerating the stale invitations is a batch too and shares the limit
+  app.use(['/api/invitations/generate-batch', '/api/invitations/stale/regenerate'], rateLimit({
     windowMs: 60 * 60 * 1000, // 1 hour window
-    max: 20, // Limit to 20 requests per hour - stricter than global limit
-    message: '請求生成邀請函次數過多，請稍後再試' // Message in Traditional Chinese
+    max: 10, // Limit to 10 batches per hour
+    message: '批次生成邀請函次數過多，請稍後再試'
+  }));
+  
+  // Apply stricter rate limiting to credential endpoints
+  // Slows down password guessing against login and mass account creation
+  app.use(['/api/auth/login', '/api/auth/register'], rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes window
+    max: 10, // Limit to 10 attempts per window
+    message: '登入嘗試次數過多，請稍後再試'
   }));
   
   // Apply speed limiting to invitation endpoints
@@ -0,0 +1,214 @@
+/**
+ * AI Usage Controller Module
+ * 
+ * Reports on the tokens and estimated cost of the AI requests made for
+ * invitations, and manages the AI budgets of weddings:
+ * - Reporting the usage and budget of a wedding
+ * - Reporting the usage of all weddings (admins only)
+ * - Setting a wedding's budget and what happens once it is spent (admins only)
+ * 
+ * Usage is recorded by the invitation controller (see utils/aiUsage.js).
+ */
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { getWeddingAccess } = require('../utils/weddingAccess');
+const { roundCost, getAiBudgetStatus, summarizeAiUsage } = require('../utils/aiUsage');
+
+const prisma = new PrismaClient();
+
+/**
+ * Number of recent requests returned by the wedding report
+ */
+const RECENT_USAGE_LIMIT = 20;
+
+/**
+ * Number of weddings listed by the global report
+ */
+const TOP_WEDDINGS_LIMIT = 50;
+
+/**
+ * Builds the createdAt filter of a report period
+ * 
+ * @param {Object} query - Request query with optional from and to dates
+ * @returns {Object} Prisma filter fragment, empty for all time
+ */
+const periodFilter = ({ from, to }) => (from || to
+  ? { createdAt: { ...(from ? { gte: new Date(from) } : {}), ...(to ? { lt: new Date(to) } : {}) } }
+  : {});
+
+/**
+ * Get Wedding AI Usage
+ * 
+ * Reports the AI usage of a wedding: totals, usage per operation and per
+ * model, the most recent requests and the wedding's budget. The budget is
+ * always reported for all time; from and to only limit the usage.
+ * 
+ * @route GET /api/ai-usage/weddings/:coupleInfoId
+ * @param {string} req.params.coupleInfoId - ID of the wedding
+ * @param {string} [req.query.from] - Only usage from this date
+ * @param {string} [req.query.to] - Only usage before this date
+ * @returns {Object} { coupleInfoId, budget, usage, recent }
+ */
+exports.getWeddingAiUsage = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.params;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const coupleInfo = await prisma.coupleInfo.findUnique({ where: { id: coupleInfoId } });
+    const where = { coupleInfoId, ...periodFilter(req.query) };
+
+    const [budget, usage, recent] = await Promise.all([
+      getAiBudgetStatus(coupleInfo),
+      summarizeAiUsage(where),
+      prisma.aiUsage.findMany({
+        where,
+        select: {
+          id: true,
+          operation: true,
+          provider: true,
+          model: true,
+          promptTokens: true,
+          completionTokens: true,
+          totalTokens: true,
+          cost: true,
+          createdAt: true,
+          guest: { select: { id: true, name: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: RECENT_USAGE_LIMIT
+      })
+    ]);
+
+    res.status(200).json({
+      coupleInfoId,
+      budget,
+      usage,
+      recent: recent.map(record => ({ ...record, cost: roundCost(record.cost) }))
+    });
+  } catch (error) {
+    logger.error('Get wedding AI usage error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.params.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get AI Usage Report
+ * 
+ * Reports the AI usage of all weddings (admins only): totals, usage per
+ * operation and per model, and the weddings that spent the most with
+ * their budgets. Requests of deleted weddings count towards the totals.
+ * 
+ * @route GET /api/ai-usage
+ * @param {string} [req.query.from] - Only usage from this date
+ * @param {string} [req.query.to] - Only usage before this date
+ * @returns {Object} { usage, weddings }
+ */
+exports.getAiUsageReport = async (req, res) => {
+  try {
+    const where = periodFilter(req.query);
+
+    const [usage, spenders] = await Promise.all([
+      summarizeAiUsage(where),
+      prisma.aiUsage.groupBy({
+        by: ['coupleInfoId'],
+        where: { ...where, coupleInfoId: { not: null } },
+        _count: { _all: true },
+        _sum: { totalTokens: true, cost: true },
+        orderBy: { _sum: { cost: 'desc' } },
+        take: TOP_WEDDINGS_LIMIT
+      })
+    ]);
+
+    const couples = await prisma.coupleInfo.findMany({
+      where: { id: { in: spenders.map(spender => spender.coupleInfoId) } }
+    });
+
+    const weddings = await Promise.all(spenders.map(async (spender) => {
+      const coupleInfo = couples.find(couple => couple.id === spender.coupleInfoId);
+      return {
+        coupleInfoId: spender.coupleInfoId,
+        groomName: coupleInfo.groomName,
+        brideName: coupleInfo.brideName,
+        calls: spender._count._all,
+        totalTokens: spender._sum.totalTokens || 0,
+        cost: roundCost(spender._sum.cost || 0),
+        budget: await getAiBudgetStatus(coupleInfo)
+      };
+    }));
+
+    res.status(200).json({ usage, weddings });
+  } catch (error) {
+    logger.error('Get AI usage report error', {
+      error: error.message,
+      stack: error.stack,
+      query: req.query
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update Wedding AI Budget
+ * 
+ * Sets a wedding's AI budget and what happens once it is spent (admins
+ * only). A null (or omitted) value returns to the server's default.
+ * 
+ * @route PUT /api/ai-usage/weddings/:coupleInfoId/budget
+ * @param {string} req.params.coupleInfoId - ID of the wedding
+ * @param {number|null} [req.body.budget] - Budget in USD
+ * @param {string|null} [req.body.action] - "mock" or "block"
+ * @returns {Object} { message, budget }
+ */
+exports.updateAiBudget = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.params;
+    const { budget = null, action = null } = req.body;
+
+    const existing = await prisma.coupleInfo.findUnique({ where: { id: coupleInfoId }, select: { id: true } });
+
+    if (!existing) {
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const coupleInfo = await prisma.coupleInfo.update({
+      where: { id: coupleInfoId },
+      data: { aiBudget: budget, aiBudgetAction: action }
+    });
+
+    logger.info('AI budget updated', { coupleInfoId, budget, action, userId: req.user.userId });
+
+    res.status(200).json({
+      message: 'AI 預算已更新',
+      budget: await getAiBudgetStatus(coupleInfo)
+    });
+  } catch (error) {
+    logger.error('Update AI budget error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.params.coupleInfoId,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
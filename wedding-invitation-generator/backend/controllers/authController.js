@@ -0,0 +1,380 @@
+/**
+ * Authentication Controller Module
+ *
+ * Handles user account operations:
+ * - Registering new accounts
+ * - Logging in and issuing JWT access tokens and refresh tokens
+ * - Rotating refresh tokens and logging out (revoking sessions)
+ * - Returning the currently authenticated user
+ *
+ * Passwords are hashed with bcrypt before being stored, and the
+ * password hash is never included in any response.
+ *
+ * Every login creates an AuthSession. Access tokens are short lived and
+ * carry the session ID; refresh tokens are stored as SHA-256 hashes,
+ * can be used once, and are replaced by a new one on every refresh.
+ * Presenting an already used refresh token revokes the whole session,
+ * since it means the token was copied.
+ */
+const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
+const logger = require('../config/logger');
+const { generateAccessToken } = require('../middlewares/auth');
+const { generateToken, hashToken } = require('../utils/secureToken');
+
+const prisma = new PrismaClient();
+
+/**
+ * bcrypt cost factor
+ * Each increment doubles the hashing time; 10 is a reasonable default
+ * for interactive logins and can be raised through the environment
+ */
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 10;
+
+/**
+ * Refresh token lifetime in days
+ * A session stays signed in as long as it refreshes within this period
+ */
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Normalizes an email address for storage and lookup
+ *
+ * @param {string} email - Email address as entered by the user
+ * @returns {string} Trimmed, lowercase email address
+ */
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Determines the role for a newly registered account
+ * Email addresses listed in ADMIN_EMAILS (comma separated) become admins,
+ * which is how the first administrator account is bootstrapped
+ *
+ * @param {string} email - Normalized email address
+ * @returns {string} "admin" or "user"
+ */
+const roleForEmail = (email) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+
+  return adminEmails.includes(email) ? 'admin' : 'user';
+};
+
+/**
+ * Removes sensitive fields before a user record is sent to the client
+ *
+ * @param {Object} user - User record from the database
+ * @returns {Object} User record without the password hash
+ */
+const toPublicUser = (user) => {
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+};
+
+/**
+ * Issues a new refresh token for a session
+ *
+ * @param {string} sessionId - AuthSession the token belongs to
+ * @returns {Promise<string>} Raw refresh token to send to the client
+ */
+const issueRefreshToken = async (sessionId) => {
+  const token = generateToken();
+
+  await prisma.refreshToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      sessionId,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  return token;
+};
+
+/**
+ * Starts a new login session and issues its first token pair
+ * Expired refresh tokens of the user are cleaned up at the same time
+ *
+ * @param {Object} user - User record from the database
+ * @param {Object} req - Express request object (for IP and user agent)
+ * @returns {Promise<Object>} Access token and refresh token
+ */
+const startSession = async (user, req) => {
+  await prisma.refreshToken.deleteMany({
+    where: {
+      expiresAt: { lt: new Date() },
+      session: { userId: user.id }
+    }
+  });
+
+  const session = await prisma.authSession.create({
+    data: {
+      userId: user.id,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null
+    }
+  });
+
+  return {
+    accessToken: generateAccessToken(user.id, user.role, session.id),
+    refreshToken: await issueRefreshToken(session.id)
+  };
+};
+
+/**
+ * Register a New Account
+ *
+ * Creates a user with a bcrypt-hashed password and returns an access token
+ * so the client is signed in immediately after registering.
+ *
+ * @route POST /api/auth/register
+ * @param {string} req.body.email - Login email address
+ * @param {string} req.body.password - Plain text password (min. 8 characters)
+ * @param {string} [req.body.name] - Optional display name
+ * @returns {Object} The created user, an access token and a refresh token
+ */
+exports.register = async (req, res) => {
+  try {
+    const { password, name } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (existingUser) {
+      logger.warn('Register failed: email already registered', { email });
+      return res.status(409).json({ message: '此電子郵件已被註冊' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    const user = await prisma.user.create({
+      data: {
+        email,
+        passwordHash,
+        name: name || null,
+        role: roleForEmail(email)
+      }
+    });
+
+    logger.info('User registered', { userId: user.id, role: user.role });
+
+    res.status(201).json({
+      user: toPublicUser(user),
+      ...await startSession(user, req)
+    });
+  } catch (error) {
+    logger.error('Register error', {
+      error: error.message,
+      stack: error.stack,
+      email: req.body.email
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Log In
+ *
+ * Verifies the email and password and issues a JWT access token.
+ * The same error message is returned for an unknown email and a wrong
+ * password so that the endpoint cannot be used to discover accounts.
+ *
+ * @route POST /api/auth/login
+ * @param {string} req.body.email - Login email address
+ * @param {string} req.body.password - Plain text password
+ * @returns {Object} The authenticated user, an access token and a refresh token
+ */
+exports.login = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    const passwordValid = user ? await bcrypt.compare(password, user.passwordHash) : false;
+
+    if (!passwordValid) {
+      logger.warn('Login failed: invalid credentials', { email, ip: req.ip });
+      return res.status(401).json({ message: '電子郵件或密碼錯誤' });
+    }
+
+    logger.info('User logged in', { userId: user.id });
+
+    res.status(200).json({
+      user: toPublicUser(user),
+      ...await startSession(user, req)
+    });
+  } catch (error) {
+    logger.error('Login error', {
+      error: error.message,
+      stack: error.stack,
+      email: req.body.email
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Refresh Tokens
+ *
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The presented refresh token is marked as used and cannot be exchanged again;
+ * if it is presented a second time, the session is revoked because the token
+ * must have been copied.
+ *
+ * @route POST /api/auth/refresh
+ * @param {string} req.body.refreshToken - Refresh token from login or the previous refresh
+ * @returns {Object} A new access token and refresh token, or 401 if the token is not valid
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const storedToken = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(req.body.refreshToken) },
+      include: { session: { include: { user: true } } }
+    });
+
+    if (!storedToken) {
+      logger.warn('Refresh failed: unknown refresh token', { ip: req.ip });
+      return res.status(401).json({ message: '登入已失效，請重新登入' });
+    }
+
+    const { session } = storedToken;
+
+    if (session.revokedAt || storedToken.expiresAt < new Date()) {
+      logger.warn('Refresh failed: session revoked or token expired', {
+        sessionId: session.id,
+        userId: session.userId
+      });
+      return res.status(401).json({ message: '登入已失效，請重新登入' });
+    }
+
+    // Mark the token as used; only one request can win if it is presented twice at once
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { id: storedToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      await prisma.authSession.update({
+        where: { id: session.id },
+        data: { revokedAt: new Date() }
+      });
+
+      logger.warn('Refresh token reuse detected, session revoked', {
+        sessionId: session.id,
+        userId: session.userId,
+        ip: req.ip
+      });
+      return res.status(401).json({ message: '登入已失效，請重新登入' });
+    }
+
+    await prisma.authSession.update({
+      where: { id: session.id },
+      data: { lastUsedAt: new Date() }
+    });
+
+    res.status(200).json({
+      accessToken: generateAccessToken(session.user.id, session.user.role, session.id),
+      refreshToken: await issueRefreshToken(session.id)
+    });
+  } catch (error) {
+    logger.error('Refresh token error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Log Out
+ *
+ * Revokes the session the access token belongs to. Its access tokens stop
+ * working immediately and its refresh tokens can no longer be used.
+ * With allSessions set, every session of the user is revoked, which signs
+ * the account out on all devices.
+ *
+ * @route POST /api/auth/logout
+ * @param {boolean} [req.body.allSessions] - Revoke all sessions of the user
+ * @returns {Object} Confirmation message and number of revoked sessions
+ */
+exports.logout = async (req, res) => {
+  try {
+    const { userId, sid } = req.user;
+    const allSessions = req.body?.allSessions === true;
+
+    const { count } = await prisma.authSession.updateMany({
+      where: allSessions
+        ? { userId, revokedAt: null }
+        : { id: sid, userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    logger.info('User logged out', { userId, sessionId: sid, allSessions, revokedSessions: count });
+
+    res.status(200).json({ message: '已登出', revokedSessions: count });
+  } catch (error) {
+    logger.error('Logout error', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.userId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get Current User
+ *
+ * Returns the account that the access token belongs to.
+ *
+ * @route GET /api/auth/me
+ * @returns {Object} The authenticated user or 404 if the account was removed
+ */
+exports.me = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId }
+    });
+
+    if (!user) {
+      logger.warn('Current user not found', { userId: req.user.userId });
+      return res.status(404).json({ message: '找不到此使用者' });
+    }
+
+    res.status(200).json(toPublicUser(user));
+  } catch (error) {
+    logger.error('Get current user error', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.userId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
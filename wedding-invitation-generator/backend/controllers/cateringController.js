@@ -0,0 +1,343 @@
+/**
+ * Catering Controller Module
+ *
+ * Handles the wedding menu and the numbers the caterer needs:
+ * - Listing, adding, updating and removing meal options
+ * - Summarizing meal choices and allergies of everyone attending
+ *
+ * Guests choose a meal and record allergies through the RSVP page or the
+ * guest API; companions can do the same. Anyone with access to the wedding
+ * can read the menu and the summary, only owners and planners can change
+ * the menu.
+ */
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { getWeddingAccess, can } = require('../utils/weddingAccess');
+const { parseAllergies } = require('../utils/dietary');
+
+const prisma = new PrismaClient();
+
+/**
+ * Order of meal options in the menu
+ */
+const menuOrder = [{ sortOrder: 'asc' }, { createdAt: 'asc' }];
+
+/**
+ * Adds one person's allergies to a count map
+ *
+ * @param {Map<string, number>} counts - Count per allergy
+ * @param {string[]} allergies - The person's allergies
+ */
+const countAllergies = (counts, allergies) => {
+  allergies.forEach((allergy) => counts.set(allergy, (counts.get(allergy) || 0) + 1));
+};
+
+/**
+ * Converts an allergy count map to a list sorted by count
+ *
+ * @param {Map<string, number>} counts - Count per allergy
+ * @returns {Array<Object>} [{ allergy, count }], most common first
+ */
+const toAllergyList = (counts) => [...counts.entries()]
+  .map(([allergy, count]) => ({ allergy, count }))
+  .sort((a, b) => b.count - a.count || a.allergy.localeCompare(b.allergy));
+
+/**
+ * List Meal Options
+ *
+ * Retrieves the menu of a wedding.
+ *
+ * @route GET /api/catering/meal-options
+ * @param {string} req.query.coupleInfoId - ID of the wedding
+ * @returns {Array} Meal options in menu order
+ */
+exports.listMealOptions = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('List meal options failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const mealOptions = await prisma.mealOption.findMany({
+      where: { coupleInfoId },
+      orderBy: menuOrder
+    });
+
+    res.status(200).json(mealOptions);
+  } catch (error) {
+    logger.error('List meal options error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create Meal Option
+ *
+ * Adds an option to the menu of a wedding.
+ *
+ * @route POST /api/catering/meal-options
+ * @param {string} req.body.coupleInfoId - ID of the wedding
+ * @param {string} req.body.name - Name shown to guests, e.g. "素食"
+ * @param {string} [req.body.description] - Description of the dish
+ * @param {number} [req.body.sortOrder=0] - Position in the menu
+ * @returns {Object} The created meal option
+ */
+exports.createMealOption = async (req, res) => {
+  try {
+    const { coupleInfoId, name, description, sortOrder } = req.body;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('Create meal option failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    if (!can(access, 'wedding:update')) {
+      logger.warn('Create meal option denied', { coupleInfoId, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    const mealOption = await prisma.mealOption.create({
+      data: {
+        coupleInfoId,
+        name,
+        description: description || null,
+        sortOrder
+      }
+    });
+
+    logger.info('Meal option created', { mealOptionId: mealOption.id, coupleInfoId });
+
+    res.status(201).json(mealOption);
+  } catch (error) {
+    logger.error('Create meal option error', {
+      error: error.message,
+      stack: error.stack,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update Meal Option
+ *
+ * Renames, describes or reorders a meal option. Guests who chose it
+ * keep their choice.
+ *
+ * @route PUT /api/catering/meal-options/:id
+ * @param {string} req.params.id - ID of the meal option
+ * @param {Object} req.body - Fields to update (name, description, sortOrder)
+ * @returns {Object} The updated meal option
+ */
+exports.updateMealOption = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, sortOrder } = req.body;
+
+    const existing = await prisma.mealOption.findUnique({
+      where: { id }
+    });
+
+    const access = existing && await getWeddingAccess(req.user.userId, existing.coupleInfoId);
+
+    if (!access) {
+      logger.warn('Update meal option failed: meal option not found', { id });
+      return res.status(404).json({ message: '找不到此餐點選項' });
+    }
+
+    if (!can(access, 'wedding:update')) {
+      logger.warn('Update meal option denied', { id, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    const mealOption = await prisma.mealOption.update({
+      where: { id },
+      data: { name, description, sortOrder }
+    });
+
+    logger.info('Meal option updated', { mealOptionId: id });
+
+    res.status(200).json(mealOption);
+  } catch (error) {
+    logger.error('Update meal option error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete Meal Option
+ *
+ * Removes a meal option from the menu. Guests and companions who chose
+ * it are left without a meal choice.
+ *
+ * @route DELETE /api/catering/meal-options/:id
+ * @param {string} req.params.id - ID of the meal option
+ * @returns {Object} Success message
+ */
+exports.deleteMealOption = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.mealOption.findUnique({
+      where: { id }
+    });
+
+    const access = existing && await getWeddingAccess(req.user.userId, existing.coupleInfoId);
+
+    if (!access) {
+      logger.warn('Delete meal option failed: meal option not found', { id });
+      return res.status(404).json({ message: '找不到此餐點選項' });
+    }
+
+    if (!can(access, 'wedding:update')) {
+      logger.warn('Delete meal option denied', { id, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    await prisma.mealOption.delete({
+      where: { id }
+    });
+
+    logger.info('Meal option deleted', { mealOptionId: id, coupleInfoId: existing.coupleInfoId });
+
+    res.status(200).json({ message: '餐點選項已刪除' });
+  } catch (error) {
+    logger.error('Delete meal option error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get Catering Summary
+ *
+ * Counts meal choices and allergies of everyone attending: guests whose
+ * RSVP is "attending" and, within their reported party size, their named
+ * companions. People in the party without a name or a meal choice are
+ * counted as unspecified.
+ *
+ * @route GET /api/catering/summary
+ * @param {string} req.query.coupleInfoId - ID of the wedding
+ * @returns {Object} Headcount, count per meal (with allergies per meal),
+ *                   unspecified meals and count per allergy
+ */
+exports.getCateringSummary = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('Catering summary failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const [mealOptions, guests] = await Promise.all([
+      prisma.mealOption.findMany({
+        where: { coupleInfoId },
+        orderBy: menuOrder
+      }),
+      prisma.guest.findMany({
+        where: { coupleInfoId, rsvp: { is: { response: 'attending' } } },
+        include: {
+          rsvp: true,
+          companions: { orderBy: { createdAt: 'asc' } }
+        }
+      })
+    ]);
+
+    // One bucket per meal option plus one for people without a choice
+    const buckets = new Map(mealOptions.map((option) => [option.id, {
+      mealOptionId: option.id,
+      name: option.name,
+      count: 0,
+      allergyCounts: new Map()
+    }]));
+    const unspecified = { count: 0, allergyCounts: new Map() };
+    const allergyCounts = new Map();
+    let headcount = 0;
+
+    for (const guest of guests) {
+      const partySize = Math.max(guest.rsvp.partySize, 1);
+      const people = [guest, ...guest.companions.slice(0, partySize - 1)];
+
+      for (const person of people) {
+        const allergies = parseAllergies(person.allergies);
+        const bucket = buckets.get(person.mealOptionId) || unspecified;
+        bucket.count += 1;
+        countAllergies(bucket.allergyCounts, allergies);
+        countAllergies(allergyCounts, allergies);
+      }
+
+      // Unnamed plus-ones have no meal choice or allergies on record
+      unspecified.count += partySize - people.length;
+      headcount += partySize;
+    }
+
+    logger.info('Catering summary generated', {
+      coupleInfoId,
+      confirmedGuests: guests.length,
+      headcount
+    });
+
+    res.status(200).json({
+      coupleInfoId,
+      confirmedGuests: guests.length,
+      headcount,
+      meals: [...buckets.values()].map(({ allergyCounts: counts, ...meal }) => ({
+        ...meal,
+        allergies: toAllergyList(counts)
+      })),
+      unspecified: {
+        count: unspecified.count,
+        allergies: toAllergyList(unspecified.allergyCounts)
+      },
+      allergies: toAllergyList(allergyCounts)
+    });
+  } catch (error) {
+    logger.error('Catering summary error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
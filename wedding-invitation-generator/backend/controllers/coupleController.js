@@ -3,7 +3,7 @@
  * 
  * Handles all operations related to couple information:
  * - Creating and updating couple profiles
- * - Retrieving couple information
+ * - Listing and retrieving the weddings a user owns
  * - Managing wedding details
  * 
  * This controller uses Prisma ORM for database operations
@@ -11,54 +11,53 @@
  */
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../config/logger');
+const { ROLES, accessibleCoupleFilter, getWeddingAccess, can } = require('../utils/weddingAccess');
+const { findStaleInvitations } = require('../utils/invitationInputs');
 
 const prisma = new PrismaClient();
 
 /**
- * Create or Update Couple Information
+ * Picks the couple fields that can be written through the API
  * 
- * This function either creates a new couple profile if none exists,
- * or updates an existing one. The system is designed to support a single
- * couple (wedding) at a time for simplicity.
+ * @param {Object} body - Request body
+ * @returns {Object} Prisma data object for a CoupleInfo record
+ */
+const coupleData = (body) => {
+  const { 
+    groomName, brideName, weddingDate, weddingTime,
+    weddingLocation, weddingTheme, backgroundStory,
+    tonePreset, targetLength, extraInstructions
+  } = body;
+  
+  return {
+    groomName, brideName, weddingDate: new Date(weddingDate), weddingTime,
+    weddingLocation, weddingTheme, backgroundStory,
+    tonePreset, targetLength, extraInstructions
+  };
+};
+
+/**
+ * Create Couple Information
+ * 
+ * Creates a new wedding owned by the authenticated user.
+ * A user may manage any number of weddings; each call creates a new one.
  * 
- * @route POST /api/couples
+ * @route POST /api/couple
  * @param {Object} req.body - Contains couple information (names, dates, venue, etc.)
- * @returns {Object} The created or updated couple record
+ * @returns {Object} The created couple record
  */
-exports.createOrUpdateCouple = async (req, res) => {
+exports.createCouple = async (req, res) => {
   try {
-    const { 
-      groomName, brideName, weddingDate, weddingTime,
-      weddingLocation, weddingTheme, backgroundStory 
-    } = req.body;
-    
-    // Check if a couple record already exists (simplified single-user system)
-    let couple = await prisma.coupleInfo.findFirst();
-    
-    if (couple) {
-      // Update existing record
-      couple = await prisma.coupleInfo.update({
-        where: { id: couple.id },
-        data: { 
-          groomName, brideName, weddingDate: new Date(weddingDate), weddingTime,
-          weddingLocation, weddingTheme, backgroundStory 
-        }
-      });
-      
-      logger.info('Couple info updated', { coupleId: couple.id });
-    } else {
-      // Create new record
-      couple = await prisma.coupleInfo.create({
-        data: { 
-          groomName, brideName, weddingDate: new Date(weddingDate), weddingTime,
-          weddingLocation, weddingTheme, backgroundStory 
-        }
-      });
-      
-      logger.info('Couple info created', { coupleId: couple.id });
-    }
+    const couple = await prisma.coupleInfo.create({
+      data: { 
+        ownerId: req.user.userId,
+        ...coupleData(req.body)
+      }
+    });
+    
+    logger.info('Couple info created', { coupleId: couple.id, ownerId: req.user.userId });
     
-    res.status(200).json(couple);
+    res.status(201).json(couple);
   } catch (error) {
     // Log the error with detailed information for debugging
     logger.error('Create couple error', { 
@@ -77,26 +76,91 @@ exports.createOrUpdateCouple = async (req, res) => {
 };
 
 /**
- * Get Couple Information
+ * Update Couple Information
  * 
- * Retrieves the first couple record from the database.
- * Since this is a simplified system supporting one couple at a time,
- * we just return the first record found.
+ * Updates one of the weddings the authenticated user can access.
+ * Only owners and planners may change the wedding details;
+ * weddings the user has no access to are reported as not found.
+ * The response counts the invitations that were written from details
+ * that have changed since (see GET /api/invitations/stale).
  * 
- * @route GET /api/couples
- * @returns {Object} The couple information or 404 if not found
+ * @route PUT /api/couple/:id
+ * @param {string} req.params.id - The couple ID to update
+ * @param {Object} req.body - Contains couple information (names, dates, venue, etc.)
+ * @returns {Object} The updated couple record with staleInvitations, or 404 if not found
  */
-exports.getCouple = async (req, res) => {
+exports.updateCouple = async (req, res) => {
   try {
-    const couple = await prisma.coupleInfo.findFirst();
-    if (!couple) {
-      logger.info('Couple info not found');
-      return res.status(404).json({ message: '尚未設置新人資料' });
+    const { id } = req.params;
+    
+    const access = await getWeddingAccess(req.user.userId, id);
+    
+    if (!access) {
+      logger.warn('Update couple failed: couple not found', { id });
+      return res.status(404).json({ message: '找不到此新人資料' });
     }
     
-    res.status(200).json(couple);
+    if (!can(access, 'wedding:update')) {
+      logger.warn('Update couple denied', { id, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    const couple = await prisma.coupleInfo.update({
+      where: { id },
+      data: coupleData(req.body)
+    });
+    
+    logger.info('Couple info updated', { coupleId: couple.id });
+    
+    const stale = await findStaleInvitations(couple);
+    if (stale.length > 0) {
+      logger.warn('Invitations are stale after couple update', { coupleId: couple.id, count: stale.length });
+    }
+    
+    res.status(200).json({ ...couple, staleInvitations: stale.length });
   } catch (error) {
-    logger.error('Get couple error', { 
+    logger.error('Update couple error', { 
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      body: req.body
+    });
+    
+    res.status(500).json({ 
+      message: '伺服器錯誤', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List Couples
+ * 
+ * Retrieves every wedding the authenticated user owns or collaborates on,
+ * ordered by wedding date so upcoming weddings come first.
+ * Each record includes the user's role on that wedding.
+ * 
+ * @route GET /api/couple
+ * @returns {Array} The user's couple records (empty if none have been created)
+ */
+exports.listCouples = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    
+    const couples = await prisma.coupleInfo.findMany({
+      where: accessibleCoupleFilter(userId),
+      include: {
+        members: { where: { userId, acceptedAt: { not: null } } }
+      },
+      orderBy: { weddingDate: 'asc' }
+    });
+    
+    res.status(200).json(couples.map(({ members, ...couple }) => ({
+      ...couple,
+      role: couple.ownerId === userId ? ROLES.OWNER : members[0].role
+    })));
+  } catch (error) {
+    logger.error('List couples error', { 
       error: error.message,
       stack: error.stack
     });
@@ -112,9 +176,10 @@ exports.getCouple = async (req, res) => {
  * Get Couple by ID
  * 
  * Retrieves a specific couple record by ID.
- * This could be used for multiple wedding support in the future.
+ * Only weddings the authenticated user owns or collaborates on are returned,
+ * together with the user's role on the wedding.
  * 
- * @route GET /api/couples/:id
+ * @route GET /api/couple/:id
  * @param {string} req.params.id - The couple ID to retrieve
  * @returns {Object} The couple information or 404 if not found
  */
@@ -122,16 +187,14 @@ exports.getCoupleById = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const couple = await prisma.coupleInfo.findUnique({
-      where: { id }
-    });
+    const access = await getWeddingAccess(req.user.userId, id);
     
-    if (!couple) {
+    if (!access) {
       logger.warn('Couple info not found', { id });
       return res.status(404).json({ message: '找不到此新人資料' });
     }
     
-    res.status(200).json(couple);
+    res.status(200).json({ ...access.couple, role: access.role });
   } catch (error) {
     logger.error('Get couple by id error', { 
       error: error.message,
@@ -2,172 +2,67 @@
  * Email Controller Module
  * 
  * Handles sending wedding invitations via email:
- * - Setting up email transport
  * - Creating HTML email templates
  * - Sending bulk invitations to all guests
  * - Sending individual invitations
  * - Implementing test mode functionality
  * 
- * Uses Nodemailer for email delivery and implements
- * proper error handling and logging.
+ * Merge fields in the invitation text (e.g. {{guest.name}}) are filled in
+ * for each email (utils/invitationMergeFields.js).
+ * 
+ * Uses the shared Nodemailer transport from config/mailer
+ * and implements proper error handling and logging.
  */
 const { PrismaClient } = require('@prisma/client');
-const nodemailer = require('nodemailer');
 const logger = require('../config/logger');
-const dotenv = require('dotenv');
-
-// Ensure environment variables are loaded
-dotenv.config();
+const { transporter, verifySmtpConfig } = require('../config/mailer');
+const { accessibleGuestFilter, getWeddingAccess, can } = require('../utils/weddingAccess');
+const { renderInvitationContent } = require('../utils/invitationMergeFields');
 
 const prisma = new PrismaClient();
 
 /**
- * Verify SMTP Configuration
- * 
- * Tests if the SMTP settings are valid and logs the results
- * Helps diagnose email delivery issues
+ * Builds the public RSVP link for a guest
+ * The link opens the frontend RSVP page, which calls /api/rsvp/:token
  * 
- * @returns {boolean} True if configuration is valid, false otherwise
+ * @param {string} rsvpToken - The guest's RSVP token
+ * @returns {string} RSVP page URL
  */
-async function verifySmtpConfig() {
-  try {
-    logger.info('開始驗證 SMTP 設置...');
-    
-    if (!process.env.SMTP_HOST || !process.env.SMTP_PORT || !process.env.SMTP_USER || !process.env.SMTP_PASS) {
-      logger.error('SMTP 設置不完整', {
-        smtpHost: process.env.SMTP_HOST || '未設置',
-        smtpPort: process.env.SMTP_PORT || '未設置',
-        smtpUser: process.env.SMTP_USER ? '已設置' : '未設置',
-        smtpPass: process.env.SMTP_PASS ? '已設置' : '未設置',
-        fromEmail: process.env.FROM_EMAIL || '未設置'
-      });
-      return false;
-    }
-    
-    // 創建臨時郵件傳輸器用於驗證
-    const tempTransporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT, 10),
-      secure: parseInt(process.env.SMTP_PORT, 10) === 465,
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-      },
-      // 設置超時時間以避免長時間掛起
-      connectionTimeout: 5000,
-      greetingTimeout: 5000,
-      socketTimeout: 5000
-    });
-    
-    // 嘗試驗證連接
-    logger.info('嘗試驗證 SMTP 連接...');
-    const verifyResult = await tempTransporter.verify();
-    
-    logger.info('SMTP 連接驗證成功', {
-      smtpHost: process.env.SMTP_HOST,
-      smtpPort: process.env.SMTP_PORT,
-      secure: parseInt(process.env.SMTP_PORT, 10) === 465
-    });
-    
-    return true;
-  } catch (error) {
-    logger.error('SMTP 連接驗證失敗', {
-      error: error.message,
-      stack: error.stack,
-      code: error.code,
-      command: error.command,
-      responseCode: error.responseCode,
-      response: error.response
-    });
-    
-    // 提供常見 SMTP 錯誤的具體解決方案
-    let troubleshooting = '';
-    if (error.code === 'ECONNREFUSED') {
-      troubleshooting = 'SMTP 伺服器連接被拒絕，請檢查主機名稱和端口是否正確';
-    } else if (error.code === 'ETIMEDOUT') {
-      troubleshooting = 'SMTP 伺服器連接超時，請檢查網絡設置或防火牆配置';
-    } else if (error.code === 'EAUTH') {
-      troubleshooting = '認證失敗，請檢查用戶名和密碼是否正確';
-    } else if (error.code === 'ESOCKET') {
-      troubleshooting = 'Socket 錯誤，可能是 SSL/TLS 配置問題';
-    }
-    
-    if (troubleshooting) {
-      logger.error(`SMTP 故障排除建議: ${troubleshooting}`);
-    }
-    
-    return false;
-  }
-}
-
-/**
- * Email Transport Configuration
- * Creates and configures Nodemailer transport
- * Handles both secure (465) and non-secure SMTP connections
- * Falls back gracefully if SMTP settings are missing
- */
-let transporter;
-try {
-  // Validate email configuration exists
-  if (process.env.SMTP_HOST && process.env.SMTP_PORT && process.env.SMTP_USER && process.env.SMTP_PASS) {
-    transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT, 10),
-      secure: parseInt(process.env.SMTP_PORT, 10) === 465, // Use secure connection if port is 465
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-      },
-      // 設置超時避免長時間掛起
-      connectionTimeout: 10000,
-      greetingTimeout: 10000,
-      socketTimeout: 10000
-    });
-    
-    logger.info('電子郵件傳輸器已初始化', {
-      smtpHost: process.env.SMTP_HOST,
-      smtpPort: process.env.SMTP_PORT,
-      secure: parseInt(process.env.SMTP_PORT, 10) === 465,
-      timeout: '10000ms'
-    });
-    
-    // 進行初始連接測試
-    verifySmtpConfig().then(isValid => {
-      if (isValid) {
-        logger.info('SMTP 設置有效，電子郵件功能就緒');
-      } else {
-        logger.warn('SMTP 設置無效，電子郵件功能將不可用');
-      }
-    });
-  } else {
-    logger.warn('SMTP 設置不完整', {
-      smtpHost: process.env.SMTP_HOST || '未設置',
-      smtpPort: process.env.SMTP_PORT || '未設置',
-      smtpUser: process.env.SMTP_USER ? '已設置' : '未設置',
-      smtpPass: process.env.SMTP_PASS ? '已設置' : '未設置',
-      fromEmail: process.env.FROM_EMAIL || '未設置'
-    });
-  }
-} catch (error) {
-  logger.error('電子郵件傳輸器初始化失敗', { 
-    error: error.message,
-    stack: error.stack,
-    code: error.code
-  });
-}
+const buildRsvpUrl = (rsvpToken) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendUrl}/rsvp/${encodeURIComponent(rsvpToken)}`;
+};
 
 /**
  * Create Email Template
  * 
  * Generates HTML email content with wedding invitation
  * Applies consistent styling and formatting
+ * Includes the guest's RSVP link so they can reply without an account;
+ * a household email includes one link per member
+ * Fills in the merge fields of the invitation text for the (first) guest
  * 
  * @param {Object} couple - Couple information (names, date, venue)
- * @param {Object} guest - Guest information
+ * @param {Object|Object[]} guests - Guest, or household members, the email is for (including rsvpToken
+ *                                   and household)
  * @param {string} invitationContent - The personalized invitation text
  * @returns {string} Formatted HTML for email body
  */
-const createEmailTemplate = (couple, guest, invitationContent) => {
+const createEmailTemplate = (couple, guests, invitationContent) => {
+  const recipients = [].concat(guests).filter(guest => guest.rsvpToken);
+  const content = renderInvitationContent(invitationContent, [].concat(guests)[0], couple);
+  const rsvpSection = recipients.length === 1
+    ? `<div class="rsvp">
+    <p>請告訴我們您是否能出席：</p>
+    <a href="${buildRsvpUrl(recipients[0].rsvpToken)}">回覆出席意願</a>
+  </div>`
+    : recipients.length > 1
+      ? `<div class="rsvp">
+    <p>請每位成員分別告訴我們是否能出席：</p>
+    ${recipients.map(guest => `<p><a href="${buildRsvpUrl(guest.rsvpToken)}">${guest.name} 回覆出席意願</a></p>`).join('\n    ')}
+  </div>`
+      : '';
+  
   return `
 <!DOCTYPE html>
 <html>
@@ -209,6 +104,18 @@ const createEmailTemplate = (couple, guest, invitationContent) => {
       font-style: italic;
       color: #8b5a2b;
     }
+    .rsvp {
+      text-align: center;
+      margin: 20px 0;
+    }
+    .rsvp a {
+      display: inline-block;
+      background-color: #8b5a2b;
+      color: #fff;
+      padding: 10px 24px;
+      border-radius: 5px;
+      text-decoration: none;
+    }
   </style>
 </head>
 <body>
@@ -217,8 +124,9 @@ const createEmailTemplate = (couple, guest, invitationContent) => {
     <p class="couple-names">${couple.groomName} & ${couple.brideName}</p>
   </div>
   <div class="content">
-    ${invitationContent.replace(/\n/g, '<br>')}
+    ${content.replace(/\n/g, '<br>')}
   </div>
+  ${rsvpSection}
   <div class="footer">
     <p>婚禮日期: ${couple.weddingDate.toISOString().split('T')[0]} ${couple.weddingTime}</p>
     <p>婚禮地點: ${couple.weddingLocation}</p>
@@ -232,21 +140,24 @@ const createEmailTemplate = (couple, guest, invitationContent) => {
  * Send Bulk Invitations
  * 
  * Sends wedding invitations to multiple guests in batch
+ * Guests in a household get one email, sent to the household's contact address
  * Supports test mode to simulate sending without actual delivery
- * Tracks success and failure for each recipient
+ * Tracks success and failure for each email
  * 
  * @route POST /api/emails/send-invitations
  * @param {string} req.body.coupleInfoId - ID of the couple sending invitations
+ * @param {string} [req.body.tagId] - Only send to guests with this tag (e.g. one group at a time)
  * @param {boolean} [req.query.testMode] - If true, only simulates sending
  * @returns {Object} Summary of send operation with success/failure counts
  */
 exports.sendInvitation = async (req, res) => {
   try {
-    const { coupleInfoId } = req.body;
+    const { coupleInfoId, tagId } = req.body;
     const { testMode } = req.query;
     
     logger.info('開始處理批量發送邀請函請求', {
       coupleInfoId,
+      tagId,
       testMode: testMode === 'true',
       startTime: new Date().toISOString()
     });
@@ -280,23 +191,32 @@ exports.sendInvitation = async (req, res) => {
     
     // Get couple information
     logger.debug('正在查詢新人資訊', { coupleInfoId });
-    const couple = await prisma.coupleInfo.findUnique({
-      where: { id: coupleInfoId }
-    });
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
     
-    if (!couple) {
+    if (!access) {
       logger.warn('批量發送失敗: 找不到新人資料', { coupleInfoId });
       return res.status(404).json({ message: '找不到新人資料' });
     }
     
+    // Only owners and planners may send invitations
+    if (!can(access, 'email:send')) {
+      logger.warn('批量發送失敗: 權限不足', { coupleInfoId, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    const { couple } = access;
+    
     // Get all guests with generated invitations ready to send
     logger.debug('查詢已準備好的賓客邀請函', { coupleInfoId });
     const guests = await prisma.guest.findMany({
       where: { 
         coupleInfoId,
         invitationContent: { not: null },
-        status: { in: ['generated', 'edited'] }
-      }
+        status: { in: ['generated', 'edited'] },
+        ...(tagId ? { tags: { some: { tagId } } } : {})
+      },
+      include: { household: true },
+      orderBy: { createdAt: 'asc' }
     });
     
     logger.info('已查詢到待發送的賓客清單', {
@@ -311,76 +231,100 @@ exports.sendInvitation = async (req, res) => {
       });
     }
     
+    // One email per household (to its contact address), one per individual guest
+    const deliveries = [];
+    const householdDeliveries = new Map();
+    for (const guest of guests) {
+      if (!guest.household) {
+        deliveries.push({ email: guest.email, name: guest.name, household: null, guests: [guest] });
+        continue;
+      }
+      
+      if (!householdDeliveries.has(guest.householdId)) {
+        const delivery = {
+          email: guest.household.contactEmail,
+          name: guest.household.name,
+          household: guest.household,
+          guests: []
+        };
+        householdDeliveries.set(guest.householdId, delivery);
+        deliveries.push(delivery);
+      }
+      householdDeliveries.get(guest.householdId).guests.push(guest);
+    }
+    
     logger.info('開始批量發送邀請函', { 
       coupleInfoId, 
       guestCount: guests.length,
+      emailCount: deliveries.length,
+      householdCount: householdDeliveries.size,
       testMode: testMode === 'true'
     });
     
-    // Track sending results
+    // Track sending results (one entry per email)
     const results = {
       success: [],
       failed: []
     };
     
-    // Send invitation to each guest
-    for (const guest of guests) {
+    // Send one invitation email per delivery
+    for (const delivery of deliveries) {
+      // Household members share one invitation; the first member's copy is sent
+      const [firstGuest] = delivery.guests;
+      const guestIds = delivery.guests.map(guest => guest.id);
+      const recipient = delivery.household
+        ? { householdId: delivery.household.id, guestIds, name: delivery.name, email: delivery.email }
+        : { guestId: firstGuest.id, name: delivery.name, email: delivery.email };
+      
       try {
-        logger.debug(`準備發送給賓客 ${guest.name}`, {
-          guestId: guest.id,
-          email: guest.email
+        logger.debug(`準備發送給${delivery.household ? '家庭' : '賓客'} ${delivery.name}`, {
+          guestIds,
+          householdId: delivery.household?.id,
+          email: delivery.email
         });
         
-        const emailHtml = createEmailTemplate(couple, guest, guest.invitationContent);
+        const emailHtml = createEmailTemplate(couple, delivery.guests, firstGuest.invitationContent);
         
         // If test mode, don't actually send emails
         if (testMode === 'true') {
           logger.info('測試模式: 模擬發送郵件', { 
-            guestId: guest.id, 
-            email: guest.email 
+            guestIds, 
+            email: delivery.email 
           });
           
-          results.success.push({
-            guestId: guest.id,
-            name: guest.name,
-            email: guest.email
-          });
+          results.success.push(recipient);
           
           continue;
         }
         
         // Send the email
         logger.debug('嘗試發送郵件', {
-          guestId: guest.id,
-          email: guest.email,
+          guestIds,
+          email: delivery.email,
           subject: `婚禮邀請 - ${couple.groomName} & ${couple.brideName}`
         });
         
         const info = await transporter.sendMail({
           from: `"${couple.groomName} & ${couple.brideName}" <${process.env.FROM_EMAIL}>`,
-          to: guest.email,
+          to: delivery.email,
           subject: `婚禮邀請 - ${couple.groomName} & ${couple.brideName}`,
           html: emailHtml
         });
         
-        // Update guest status
-        await prisma.guest.update({
-          where: { id: guest.id },
+        // Update status of every guest the email was for
+        await prisma.guest.updateMany({
+          where: { id: { in: guestIds } },
           data: { status: 'sent' }
         });
         
         logger.info('郵件發送成功', { 
-          guestId: guest.id, 
-          email: guest.email,
+          guestIds, 
+          email: delivery.email,
           messageId: info.messageId,
           response: info.response
         });
         
-        results.success.push({
-          guestId: guest.id,
-          name: guest.name,
-          email: guest.email
-        });
+        results.success.push(recipient);
       } catch (error) {
         logger.error('發送郵件失敗', { 
           error: error.message, 
@@ -388,14 +332,12 @@ exports.sendInvitation = async (req, res) => {
           command: error.command,
           responseCode: error.responseCode,
           response: error.response,
-          guestId: guest.id, 
-          email: guest.email 
+          guestIds, 
+          email: delivery.email 
         });
         
         results.failed.push({
-          guestId: guest.id,
-          name: guest.name,
-          email: guest.email,
+          ...recipient,
           error: error.message,
           errorCode: error.code || 'UNKNOWN'
         });
@@ -413,7 +355,7 @@ exports.sendInvitation = async (req, res) => {
     if (results.failed.length > 0) {
       logger.warn('部分邀請函發送失敗', {
         failedCount: results.failed.length,
-        totalCount: guests.length,
+        totalCount: deliveries.length,
         failedEmails: results.failed.map(f => ({ email: f.email, error: f.errorCode }))
       });
     }
@@ -479,9 +421,9 @@ exports.sendSingleInvitation = async (req, res) => {
     
     // Get guest information
     logger.debug('正在查詢賓客資訊', { guestId });
-    const guest = await prisma.guest.findUnique({
-      where: { id: guestId },
-      include: { coupleInfo: true }
+    const guest = await prisma.guest.findFirst({
+      where: { id: guestId, ...accessibleGuestFilter(req.user.userId) },
+      include: { coupleInfo: true, household: true }
     });
     
     if (!guest) {
@@ -489,6 +431,13 @@ exports.sendSingleInvitation = async (req, res) => {
       return res.status(404).json({ message: '找不到賓客資料' });
     }
     
+    // Only owners and planners may send invitations
+    const access = await getWeddingAccess(req.user.userId, guest.coupleInfoId);
+    if (!can(access, 'email:send')) {
+      logger.warn('發送邀請函失敗: 權限不足', { guestId, userId: req.user.userId, role: access?.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
     logger.debug('已獲取賓客資訊', { 
       guestId, 
       guestName: guest.name,
@@ -4,17 +4,374 @@
  * Handles all operations related to guest management:
  * - Creating new guests
  * - Retrieving guest information (individual or all)
- * - Updating guest details
+ * - Updating guest details and invitation status
  * - Deleting guests
+ * - Importing and exporting guest lists
+ * - Finding and merging duplicate guests
  * 
  * Each guest is associated with a couple's wedding and includes
  * personalized information used for invitation generation.
+ * An email address can be used by only one guest of a wedding; emails
+ * are stored trimmed and lowercased.
+ * All queries are limited to weddings the authenticated user can access,
+ * and changes are checked against the user's role on the wedding:
+ * family helpers may only add and edit guests of their own side,
+ * viewers may not change anything.
  */
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../config/logger');
+const {
+  ROLES,
+  SIDES,
+  accessibleGuestFilter,
+  getWeddingAccess,
+  can
+} = require('../utils/weddingAccess');
+const { generateToken } = require('../utils/secureToken');
+const {
+  serializeAllergies,
+  parseAllergies,
+  withParsedAllergies,
+  mealOptionsBelongToWedding
+} = require('../utils/dietary');
+const {
+  IMPORT_FIELDS,
+  parseSpreadsheet,
+  suggestMapping,
+  applyMapping,
+  writeGuestExport
+} = require('../utils/guestSpreadsheet');
+const {
+  normalizeEmail,
+  findDuplicateGroups,
+  richerText
+} = require('../utils/guestDuplicates');
+const {
+  guestTagsInclude,
+  withFlatTags,
+  findWeddingTags,
+  resolveTaggedSide
+} = require('../utils/tags');
+const { buildGuestListFilter } = require('../utils/guestFilters');
+const { renderInvitationContent } = require('../utils/invitationMergeFields');
 
 const prisma = new PrismaClient();
 
+/**
+ * Related records returned with guests in lists and detail views
+ */
+const guestInclude = {
+  rsvp: true,
+  companions: { orderBy: { createdAt: 'asc' } },
+  household: { select: { id: true, name: true, salutation: true, contactEmail: true } },
+  tags: guestTagsInclude
+};
+
+/**
+ * Converts a guest loaded with guestInclude to its API representation
+ * (allergies as arrays, tags as a plain list)
+ * 
+ * @param {Object} guest - Guest record
+ * @returns {Object} Guest for the response
+ */
+const toGuestResponse = (guest) => withFlatTags(withParsedAllergies(guest));
+
+/**
+ * Converts a companions list from the request to Companion create data
+ * Entries are either a name or { name, mealOptionId, allergies }
+ * 
+ * @param {Array<string|Object>} companions - Companions from the request body
+ * @returns {Object[]} Data for prisma.companion create
+ */
+const toCompanionData = (companions) => companions.map((companion) => (
+  typeof companion === 'string'
+    ? { name: companion }
+    : {
+        name: companion.name,
+        mealOptionId: companion.mealOptionId || null,
+        allergies: serializeAllergies(companion.allergies) ?? null
+      }
+));
+
+/**
+ * Meal option IDs chosen by a guest and their companions in a request
+ * 
+ * @param {Object} body - Request body
+ * @returns {Array<string|null|undefined>} Chosen meal option IDs
+ */
+const chosenMealOptionIds = (body) => [
+  body.mealOptionId,
+  ...(body.companions || []).map((companion) => companion && companion.mealOptionId)
+];
+
+/**
+ * Email address format accepted for imported guests
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Phone number format accepted for imported guests
+ */
+const PHONE_PATTERN = /^\+?[\d\s()-]{6,20}$/;
+
+/**
+ * What a bulk import does with a guest whose email is already on the list:
+ * - error: report the row as an error (default)
+ * - skip: leave the existing guest unchanged and count the row as skipped
+ * - update: update the existing guest with the row's fields
+ */
+const DUPLICATE_POLICIES = ['error', 'skip', 'update'];
+
+/**
+ * Reads an uploaded spreadsheet
+ * 
+ * @param {Object} file - Uploaded file from multer
+ * @returns {Promise<Object|null>} Parsed spreadsheet, or null if the file cannot be read
+ */
+const readSpreadsheet = async (file) => {
+  try {
+    return await parseSpreadsheet(file);
+  } catch (error) {
+    logger.warn('Spreadsheet could not be parsed', {
+      fileName: file.originalname,
+      error: error.message
+    });
+    return null;
+  }
+};
+
+/**
+ * Validates one guest of a bulk or spreadsheet import
+ * 
+ * @param {Object} data - Guest fields of the row
+ * @returns {Array<Object>} [{ field, message }] for every problem found (empty if valid)
+ */
+const validateGuestRow = (data) => {
+  const errors = [];
+  const isText = (value) => typeof value === 'string' && value.trim() !== '';
+  
+  if (!isText(data.name)) {
+    errors.push({ field: 'name', message: '賓客姓名不能為空' });
+  }
+  if (!isText(data.relationship)) {
+    errors.push({ field: 'relationship', message: '與新人關係不能為空' });
+  }
+  if (!isText(data.email)) {
+    errors.push({ field: 'email', message: '電子郵件不能為空' });
+  } else if (!EMAIL_PATTERN.test(data.email.trim())) {
+    errors.push({ field: 'email', message: `電子郵件格式不正確: ${data.email}` });
+  }
+  if (data.phone !== undefined && !PHONE_PATTERN.test(String(data.phone).trim())) {
+    errors.push({ field: 'phone', message: `電話號碼格式不正確: ${data.phone}` });
+  }
+  if (data.side && !SIDES.includes(data.side)) {
+    errors.push({ field: 'side', message: `所屬方必須是 groom/bride（男方/女方）: ${data.side}` });
+  }
+  if (data.plusOnesAllowed !== undefined &&
+      !(Number.isInteger(data.plusOnesAllowed) && data.plusOnesAllowed >= 0 && data.plusOnesAllowed <= 10)) {
+    errors.push({ field: 'plusOnesAllowed', message: `可攜伴人數必須是0到10的整數: ${data.plusOnesAllowed}` });
+  }
+  if (data.allergies !== undefined &&
+      !(Array.isArray(data.allergies) && data.allergies.every(allergy => typeof allergy === 'string'))) {
+    errors.push({ field: 'allergies', message: '過敏原格式不正確' });
+  }
+  
+  return errors;
+};
+
+/**
+ * Converts the fields of an import row to guest data
+ * Only fields present in the row are included, so an update keeps the
+ * existing values of columns the spreadsheet does not have.
+ * 
+ * @param {Object} data - Validated guest fields of the row
+ * @returns {Object} Data for prisma.guest create or update
+ */
+const toImportedGuestData = (data) => {
+  const guestData = {
+    name: data.name.trim(),
+    email: normalizeEmail(data.email),
+    relationship: data.relationship.trim()
+  };
+  ['phone', 'preferences', 'howMet', 'memories'].forEach((field) => {
+    if (data[field] !== undefined) {
+      guestData[field] = String(data[field]).trim() || null;
+    }
+  });
+  if (data.side) {
+    guestData.side = data.side;
+  }
+  if (data.plusOnesAllowed !== undefined) {
+    guestData.plusOnesAllowed = data.plusOnesAllowed;
+  }
+  if (data.allergies !== undefined) {
+    guestData.allergies = serializeAllergies(data.allergies);
+  }
+  return guestData;
+};
+
+/**
+ * Validates and saves the guests of a bulk or spreadsheet import
+ * Each row is handled on its own: invalid rows are reported and skipped,
+ * valid rows are created (or only counted in dry-run mode). Rows whose
+ * email is already on the guest list, or appears in an earlier row, are
+ * handled according to the duplicate policy.
+ * 
+ * @param {Object} access - Caller's access to the wedding (from getWeddingAccess)
+ * @param {string} coupleInfoId - ID of the wedding
+ * @param {Array<Object>} rows - [{ row, data }] where row is the number shown in the report
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - If true, nothing is written
+ * @param {string} [options.onDuplicate='error'] - One of DUPLICATE_POLICIES
+ * @returns {Promise<Object>} Report: totalRows, totalValid, totalImported, totalUpdated,
+ *                            totalSkipped, totalFailed and errors [{ row, field, message }]
+ */
+const importGuestRows = async (access, coupleInfoId, rows, { dryRun, onDuplicate = 'error' }) => {
+  const errors = [];
+  const failedRows = new Set();
+  let totalValid = 0;
+  let totalImported = 0;
+  let totalUpdated = 0;
+  let totalSkipped = 0;
+  
+  const existingGuests = await prisma.guest.findMany({
+    where: { coupleInfoId },
+    select: { id: true, email: true, side: true }
+  });
+  const existingByEmail = new Map(existingGuests.map(guest => [normalizeEmail(guest.email), guest]));
+  // Row number of the first row with each email in this import
+  const rowByEmail = new Map();
+  
+  for (const { row, data } of rows) {
+    const rowErrors = validateGuestRow(data);
+    const email = normalizeEmail(data.email);
+    const existing = existingByEmail.get(email);
+    
+    // Family helpers import into their own side unless a side is given
+    const side = data.side || (existing ? existing.side : null) ||
+      (access.role === ROLES.FAMILY_HELPER ? access.side : null);
+    
+    if (rowErrors.length === 0 && rowByEmail.has(email)) {
+      if (onDuplicate === 'skip') {
+        totalSkipped++;
+        continue;
+      }
+      rowErrors.push({ field: 'email', message: `電子郵件與第 ${rowByEmail.get(email)} 列重複: ${email}` });
+    }
+    
+    if (rowErrors.length === 0 && existing && onDuplicate === 'error') {
+      rowErrors.push({ field: 'email', message: `此電子郵件已在賓客名單中: ${email}` });
+    }
+    
+    if (rowErrors.length === 0 && existing && onDuplicate === 'skip') {
+      rowByEmail.set(email, row);
+      totalSkipped++;
+      continue;
+    }
+    
+    if (rowErrors.length === 0 &&
+        (!can(access, 'guest:write', side) || (existing && !can(access, 'guest:write', existing.side)))) {
+      rowErrors.push({ field: 'side', message: existing ? '沒有權限修改此方的賓客' : '沒有權限新增此方的賓客' });
+    }
+    
+    if (rowErrors.length > 0) {
+      failedRows.add(row);
+      errors.push(...rowErrors.map(rowError => ({ row, ...rowError })));
+      continue;
+    }
+    
+    rowByEmail.set(email, row);
+    totalValid++;
+    
+    if (dryRun) {
+      continue;
+    }
+    
+    try {
+      const guestData = toImportedGuestData({ ...data, side });
+      
+      if (existing) {
+        await prisma.guest.update({
+          where: { id: existing.id },
+          data: guestData
+        });
+        totalUpdated++;
+      } else {
+        await prisma.guest.create({
+          data: {
+            ...guestData,
+            status: 'pending',
+            rsvpToken: generateToken(32),
+            coupleInfo: { connect: { id: coupleInfoId } }
+          }
+        });
+        totalImported++;
+      }
+    } catch (guestError) {
+      failedRows.add(row);
+      errors.push(isDuplicateEmailError(guestError)
+        ? { row, field: 'email', message: `此電子郵件已在賓客名單中: ${email}` }
+        : { row, field: null, message: guestError.message });
+    }
+  }
+  
+  return {
+    dryRun,
+    onDuplicate,
+    totalRows: rows.length,
+    totalValid,
+    totalImported,
+    totalUpdated,
+    totalSkipped,
+    totalFailed: failedRows.size,
+    errors
+  };
+};
+
+/**
+ * Finds a guest of a wedding by email
+ * 
+ * @param {string} coupleInfoId - ID of the wedding
+ * @param {string} email - Email to look for (normalized before comparing)
+ * @param {string} [excludeId] - Guest to ignore, e.g. the one being updated
+ * @returns {Promise<Object|null>} The guest already using the email, if any
+ */
+const findGuestByEmail = (coupleInfoId, email, excludeId) => prisma.guest.findFirst({
+  where: {
+    coupleInfoId,
+    email: normalizeEmail(email),
+    ...(excludeId ? { id: { not: excludeId } } : {})
+  },
+  select: { id: true, name: true, email: true }
+});
+
+/**
+ * Tells whether a database error is the wedding's unique email constraint,
+ * raised when another request added the email after it was checked
+ * 
+ * @param {Error} error - Error thrown by Prisma
+ * @returns {boolean} True for a duplicate email
+ */
+const isDuplicateEmailError = (error) =>
+  error.code === 'P2002' && String(error.meta?.target).includes('email');
+
+/**
+ * Checks that a household belongs to the given wedding
+ * 
+ * @param {string|null|undefined} householdId - Household to assign the guest to
+ * @param {string} coupleInfoId - ID of the guest's wedding
+ * @returns {Promise<boolean>} True if no household is given or it belongs to the wedding
+ */
+const householdBelongsToWedding = async (householdId, coupleInfoId) => {
+  if (!householdId) {
+    return true;
+  }
+  const household = await prisma.household.findFirst({
+    where: { id: householdId, coupleInfoId }
+  });
+  return !!household;
+};
+
 /**
  * Create a New Guest
  * 
@@ -24,32 +381,93 @@ const prisma = new PrismaClient();
  * @route POST /api/guests
  * @param {Object} req.body - Guest information including name, relationship, and personal details
  * @param {string} req.body.coupleInfoId - ID of the couple this guest is associated with
- * @returns {Object} The created guest record
+ * @param {string} [req.body.side] - "groom" or "bride"; defaults to the family helper's own side
+ * @param {string} [req.body.phone] - Phone number, used to find duplicate guests
+ * @param {string} [req.body.householdId] - Household of the same wedding the guest is invited with
+ * @param {number} [req.body.plusOnesAllowed=0] - Number of extra people the guest may bring
+ * @param {Array<string|Object>} [req.body.companions] - People the guest brings (at most plusOnesAllowed),
+ *   as names or { name, mealOptionId, allergies }
+ * @param {string} [req.body.mealOptionId] - Meal the guest chose from the wedding's menu
+ * @param {string[]} [req.body.allergies] - The guest's allergies and dietary restrictions
+ * @param {string[]} [req.body.tagIds] - Tags of the same wedding to label the guest with;
+ *   a guest without a side takes the side of its tags
+ * @returns {Object} The created guest record (409 if the email is already on the wedding's guest list)
  */
 exports.createGuest = async (req, res) => {
   try {
     const { 
-      name, relationship, email, preferences,
-      howMet, memories, coupleInfoId 
+      name, relationship, preferences, phone,
+      howMet, memories, coupleInfoId,
+      householdId, plusOnesAllowed = 0, companions = [],
+      mealOptionId, allergies, tagIds = []
     } = req.body;
     
-    // Verify that the referenced couple exists
-    const coupleExists = await prisma.coupleInfo.findUnique({
-      where: { id: coupleInfoId }
-    });
+    // Verify that the referenced couple exists and the user can access it
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
     
-    if (!coupleExists) {
+    if (!access) {
       logger.warn('Create guest failed: couple not found', { coupleInfoId });
       return res.status(404).json({ message: '找不到對應的新人資料' });
     }
     
+    const tags = await findWeddingTags(tagIds, coupleInfoId);
+    
+    if (!tags) {
+      return res.status(400).json({ message: '找不到對應的標籤' });
+    }
+    
+    // Family helpers add guests to their own side unless a side is given;
+    // otherwise a guest takes the side of its tags
+    const tagged = resolveTaggedSide(
+      req.body.side || (access.role === ROLES.FAMILY_HELPER ? access.side : null),
+      tags
+    );
+    const { side } = tagged;
+    
+    if (!can(access, 'guest:write', side)) {
+      logger.warn('Create guest denied', { coupleInfoId, userId: req.user.userId, role: access.role, side });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    if (tagged.conflict) {
+      return res.status(400).json({ message: '標籤所屬方與賓客所屬方不符' });
+    }
+    
+    if (!(await householdBelongsToWedding(householdId, coupleInfoId))) {
+      return res.status(400).json({ message: '找不到對應的家庭' });
+    }
+    
+    const email = normalizeEmail(req.body.email);
+    const duplicate = await findGuestByEmail(coupleInfoId, email);
+    
+    if (duplicate) {
+      logger.warn('Create guest failed: email already on guest list', { coupleInfoId, email });
+      return res.status(409).json({ message: '此電子郵件已在賓客名單中', guest: duplicate });
+    }
+    
+    if (companions.length > plusOnesAllowed) {
+      return res.status(400).json({ message: '同行者人數超過可攜伴人數' });
+    }
+    
+    if (!(await mealOptionsBelongToWedding(chosenMealOptionIds(req.body), coupleInfoId))) {
+      return res.status(400).json({ message: '找不到對應的餐點選項' });
+    }
+    
     // Create the guest record with initial "pending" status
     const guest = await prisma.guest.create({
       data: {
-        name, relationship, email, preferences,
-        howMet, memories, status: 'pending',
-        coupleInfo: { connect: { id: coupleInfoId } }
-      }
+        name, relationship, email, phone, preferences,
+        howMet, memories, side, status: 'pending',
+        plusOnesAllowed,
+        rsvpToken: generateToken(32),
+        coupleInfo: { connect: { id: coupleInfoId } },
+        household: householdId ? { connect: { id: householdId } } : undefined,
+        mealOption: mealOptionId ? { connect: { id: mealOptionId } } : undefined,
+        allergies: serializeAllergies(allergies),
+        companions: { create: toCompanionData(companions) },
+        tags: { create: tags.map(tag => ({ tagId: tag.id })) }
+      },
+      include: guestInclude
     });
     
     logger.info('Guest created', { 
@@ -58,8 +476,14 @@ exports.createGuest = async (req, res) => {
       email: guest.email
     });
     
-    res.status(201).json(guest);
+    res.status(201).json(toGuestResponse(guest));
   } catch (error) {
+    if (isDuplicateEmailError(error)) {
+      const duplicate = await findGuestByEmail(req.body.coupleInfoId, req.body.email);
+      logger.warn('Create guest failed: email already on guest list', { coupleInfoId: req.body.coupleInfoId, email: duplicate?.email });
+      return res.status(409).json({ message: '此電子郵件已在賓客名單中', guest: duplicate });
+    }
+    
     logger.error('Create guest error', { 
       error: error.message,
       stack: error.stack,
@@ -73,34 +497,78 @@ exports.createGuest = async (req, res) => {
   }
 };
 
+/**
+ * Fields the guest list can be sorted by
+ */
+const GUEST_SORT_FIELDS = ['createdAt', 'name', 'status', 'relationship'];
+
+/**
+ * Page size of the guest list when no limit is given
+ */
+const DEFAULT_GUEST_PAGE_SIZE = 50;
+
 /**
  * Get All Guests
  * 
- * Retrieves all guests, optionally filtered by couple ID.
- * Results are ordered with most recently created guests first.
+ * Retrieves the guests of the weddings the user can access, one page at a time.
+ * Each guest includes their RSVP reply (null if they have not replied),
+ * their companions and their household.
+ * Pages are chained with a cursor: pass the nextCursor of a page to get the next one.
  * 
  * @route GET /api/guests
  * @param {string} [req.query.coupleInfoId] - Optional couple ID to filter guests
- * @returns {Array} List of guest records
+ * @param {string} [req.query.status] - Invitation statuses, comma-separated
+ * @param {string} [req.query.relationship] - Relationships, comma-separated
+ * @param {string} [req.query.side] - "groom" or "bride"
+ * @param {string} [req.query.tag] - Tag IDs, comma-separated (guests with any of them)
+ * @param {string} [req.query.rsvp] - RSVP responses, comma-separated ("none" for no reply)
+ * @param {string} [req.query.q] - Text searched in name, email and memories
+ * @param {string} [req.query.sort=createdAt] - createdAt, name, status or relationship
+ * @param {string} [req.query.order] - "asc" or "desc" (newest first by default, otherwise ascending)
+ * @param {number} [req.query.limit=50] - Page size (1-200)
+ * @param {string} [req.query.cursor] - nextCursor of the previous page
+ * @returns {Object} { guests, pagination: { total, limit, nextCursor, hasMore } }
  */
 exports.getAllGuests = async (req, res) => {
   try {
-    const { coupleInfoId } = req.query;
+    const { coupleInfoId, cursor } = req.query;
+    const sort = req.query.sort || 'createdAt';
+    const order = req.query.order || (sort === 'createdAt' ? 'desc' : 'asc');
+    // Express 5 parses req.query on every access, so validator sanitizers do not apply here
+    const limit = parseInt(req.query.limit, 10) || DEFAULT_GUEST_PAGE_SIZE;
     
-    // Filter by coupleInfoId if provided
-    const whereClause = coupleInfoId ? { coupleInfoId } : {};
+    const whereClause = buildGuestListFilter(req.user.userId, req.query);
     
-    const guests = await prisma.guest.findMany({
-      where: whereClause,
-      orderBy: { createdAt: 'desc' }
-    });
+    // The ID breaks ties so the order, and therefore the cursor, is stable
+    const [total, page] = await Promise.all([
+      prisma.guest.count({ where: whereClause }),
+      prisma.guest.findMany({
+        where: whereClause,
+        include: guestInclude,
+        orderBy: [{ [sort]: order }, { id: order }],
+        take: limit + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+      })
+    ]);
+    
+    const hasMore = page.length > limit;
+    const guests = page.slice(0, limit);
     
-    logger.info('Retrieved all guests', { 
+    logger.info('Retrieved guests', { 
       count: guests.length,
+      total,
       coupleInfoId: coupleInfoId || 'all' 
     });
     
-    res.status(200).json(guests);
+    res.status(200).json({
+      guests: guests.map(toGuestResponse),
+      pagination: {
+        total,
+        limit,
+        nextCursor: hasMore ? guests[guests.length - 1].id : null,
+        hasMore
+      }
+    });
   } catch (error) {
     logger.error('Get all guests error', { 
       error: error.message,
@@ -114,10 +582,74 @@ exports.getAllGuests = async (req, res) => {
   }
 };
 
+/**
+ * Export Guests
+ * 
+ * Downloads the guest list of a wedding as a CSV, XLSX or JSON file with
+ * contact details, relationship, invitation status, RSVP, meal choice and
+ * invitation text, with its merge fields filled in as the guest sees it.
+ * CSV files start with a UTF-8 BOM so Excel shows Traditional Chinese correctly.
+ * 
+ * @route GET /api/guests/export
+ * @param {string} req.query.coupleInfoId - ID of the wedding to export
+ * @param {string} [req.query.format=csv] - "csv", "xlsx" or "json"
+ * @returns {Buffer} The export file as an attachment
+ */
+exports.exportGuests = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+    const format = req.query.format || 'csv';
+    
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+    
+    if (!access) {
+      logger.warn('Guest export failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+    
+    const guests = await prisma.guest.findMany({
+      where: { coupleInfoId },
+      include: { ...guestInclude, mealOption: { select: { name: true } } },
+      orderBy: { createdAt: 'asc' }
+    });
+    
+    const { contentType, body } = await writeGuestExport(guests.map(guest => ({
+      ...toGuestResponse(guest),
+      invitationContent: renderInvitationContent(guest.invitationContent, guest, access.couple)
+    })), format);
+    const { groomName, brideName } = access.couple;
+    const fileName = `賓客名單_${groomName}_${brideName}.${format}`;
+    
+    logger.info('Guests exported', {
+      coupleInfoId,
+      format,
+      count: guests.length,
+      userId: req.user.userId
+    });
+    
+    res.status(200)
+      .set('Content-Type', contentType)
+      .set('Content-Disposition', `attachment; filename="guests.${format}"; filename*=UTF-8''${encodeURIComponent(fileName)}`)
+      .send(body);
+  } catch (error) {
+    logger.error('Export guests error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get Guest by ID
  * 
- * Retrieves a specific guest by ID, including related couple information.
+ * Retrieves a specific guest by ID, including related couple information,
+ * the guest's RSVP reply, companions and household.
  * 
  * @route GET /api/guests/:id
  * @param {string} req.params.id - ID of the guest to retrieve
@@ -127,9 +659,9 @@ exports.getGuestById = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const guest = await prisma.guest.findUnique({
-      where: { id },
-      include: { coupleInfo: true }
+    const guest = await prisma.guest.findFirst({
+      where: { id, ...accessibleGuestFilter(req.user.userId) },
+      include: { coupleInfo: true, ...guestInclude }
     });
     
     if (!guest) {
@@ -139,7 +671,7 @@ exports.getGuestById = async (req, res) => {
     
     logger.info('Retrieved guest by id', { id });
     
-    res.status(200).json(guest);
+    res.status(200).json(toGuestResponse(guest));
   } catch (error) {
     logger.error('Get guest by id error', { 
       error: error.message,
@@ -160,23 +692,37 @@ exports.getGuestById = async (req, res) => {
  * Updates an existing guest's information.
  * Note that this doesn't modify the invitation content directly;
  * That's handled by the invitation controller.
+ * Family helpers can only edit guests of their side and cannot move
+ * a guest to the other side.
+ * When companions is given it replaces the guest's companion list.
  * 
  * @route PUT /api/guests/:id
  * @param {string} req.params.id - ID of the guest to update
  * @param {Object} req.body - Updated guest information
- * @returns {Object} Updated guest record
+ * @param {string|null} [req.body.householdId] - Household to move the guest to, or null to remove it
+ * @param {number} [req.body.plusOnesAllowed] - Number of extra people the guest may bring
+ * @param {Array<string|Object>} [req.body.companions] - People the guest brings,
+ *   as names or { name, mealOptionId, allergies }
+ * @param {string|null} [req.body.mealOptionId] - Meal the guest chose, or null to clear it
+ * @param {string[]} [req.body.allergies] - The guest's allergies and dietary restrictions
+ * @param {string[]} [req.body.tagIds] - Replaces the guest's tags
+ * @returns {Object} Updated guest record (409 if the new email is used by another guest of the wedding)
  */
 exports.updateGuest = async (req, res) => {
   try {
     const { id } = req.params;
     const { 
-      name, relationship, email, preferences,
-      howMet, memories 
+      name, relationship, preferences, phone,
+      howMet, memories, side,
+      householdId, plusOnesAllowed, companions,
+      mealOptionId, allergies, tagIds
     } = req.body;
+    const email = req.body.email !== undefined ? normalizeEmail(req.body.email) : undefined;
     
-    // Verify guest exists before updating
-    const guestExists = await prisma.guest.findUnique({
-      where: { id }
+    // Verify guest exists (in one of the user's weddings) before updating
+    const guestExists = await prisma.guest.findFirst({
+      where: { id, ...accessibleGuestFilter(req.user.userId) },
+      include: { tags: guestTagsInclude }
     });
     
     if (!guestExists) {
@@ -184,18 +730,89 @@ exports.updateGuest = async (req, res) => {
       return res.status(404).json({ message: '找不到此賓客' });
     }
     
+    const tags = tagIds !== undefined
+      ? await findWeddingTags(tagIds, guestExists.coupleInfoId)
+      : guestExists.tags.map(link => link.tag);
+    
+    if (!tags) {
+      return res.status(400).json({ message: '找不到對應的標籤' });
+    }
+    
+    // A guest without a side takes the side of its tags
+    const tagged = resolveTaggedSide(side !== undefined ? side : guestExists.side, tags);
+    const newSide = side !== undefined || tagged.side !== guestExists.side ? tagged.side : undefined;
+    
+    const access = await getWeddingAccess(req.user.userId, guestExists.coupleInfoId);
+    
+    if (!can(access, 'guest:write', guestExists.side) ||
+        (newSide !== undefined && !can(access, 'guest:write', newSide))) {
+      logger.warn('Update guest denied', { id, userId: req.user.userId, role: access?.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    if (tagged.conflict) {
+      return res.status(400).json({ message: '標籤所屬方與賓客所屬方不符' });
+    }
+    
+    if (!(await householdBelongsToWedding(householdId, guestExists.coupleInfoId))) {
+      return res.status(400).json({ message: '找不到對應的家庭' });
+    }
+    
+    const duplicate = email && await findGuestByEmail(guestExists.coupleInfoId, email, id);
+    
+    if (duplicate) {
+      logger.warn('Update guest failed: email already on guest list', { id, email });
+      return res.status(409).json({ message: '此電子郵件已在賓客名單中', guest: duplicate });
+    }
+    
+    const allowed = plusOnesAllowed !== undefined ? plusOnesAllowed : guestExists.plusOnesAllowed;
+    const companionCount = companions !== undefined
+      ? companions.length
+      : await prisma.companion.count({ where: { guestId: id } });
+    
+    if (companionCount > allowed) {
+      return res.status(400).json({ message: '同行者人數超過可攜伴人數' });
+    }
+    
+    if (!(await mealOptionsBelongToWedding(chosenMealOptionIds(req.body), guestExists.coupleInfoId))) {
+      return res.status(400).json({ message: '找不到對應的餐點選項' });
+    }
+    
     const guest = await prisma.guest.update({
       where: { id },
       data: {
-        name, relationship, email, preferences,
-        howMet, memories
-      }
+        name, relationship, email, phone, preferences,
+        howMet, memories, side: newSide, plusOnesAllowed,
+        householdId,
+        mealOptionId,
+        allergies: serializeAllergies(allergies),
+        companions: companions !== undefined
+          ? { deleteMany: {}, create: toCompanionData(companions) }
+          : undefined,
+        tags: tagIds !== undefined
+          ? { deleteMany: {}, create: tags.map(tag => ({ tagId: tag.id })) }
+          : undefined
+      },
+      include: guestInclude
     });
     
     logger.info('Guest updated', { id });
     
-    res.status(200).json(guest);
+    res.status(200).json(toGuestResponse(guest));
   } catch (error) {
+    if (isDuplicateEmailError(error)) {
+      const updating = await prisma.guest.findUnique({ where: { id: req.params.id }, select: { coupleInfoId: true } });
+      
+      // The guest may have been deleted in the meantime
+      if (!updating) {
+        return res.status(404).json({ message: '找不到此賓客' });
+      }
+      
+      const duplicate = await findGuestByEmail(updating.coupleInfoId, req.body.email, req.params.id);
+      logger.warn('Update guest failed: email already on guest list', { id: req.params.id, email: duplicate?.email });
+      return res.status(409).json({ message: '此電子郵件已在賓客名單中', guest: duplicate });
+    }
+    
     logger.error('Update guest error', { 
       error: error.message,
       stack: error.stack,
@@ -224,9 +841,9 @@ exports.deleteGuest = async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Verify guest exists before deletion
-    const guestExists = await prisma.guest.findUnique({
-      where: { id }
+    // Verify guest exists (in one of the user's weddings) before deletion
+    const guestExists = await prisma.guest.findFirst({
+      where: { id, ...accessibleGuestFilter(req.user.userId) }
     });
     
     if (!guestExists) {
@@ -234,6 +851,13 @@ exports.deleteGuest = async (req, res) => {
       return res.status(404).json({ message: '找不到此賓客' });
     }
     
+    const access = await getWeddingAccess(req.user.userId, guestExists.coupleInfoId);
+    
+    if (!can(access, 'guest:delete')) {
+      logger.warn('Delete guest denied', { id, userId: req.user.userId, role: access?.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
     await prisma.guest.delete({
       where: { id }
     });
@@ -255,15 +879,221 @@ exports.deleteGuest = async (req, res) => {
   }
 };
 
+/**
+ * Find Duplicate Guests
+ * 
+ * Lists groups of guests of a wedding that are likely the same person:
+ * same email, same name (ignoring case, width, spaces and punctuation)
+ * or same phone number. Groups can be resolved with the merge endpoint.
+ * 
+ * @route GET /api/guests/duplicates
+ * @param {string} req.query.coupleInfoId - ID of the wedding to check
+ * @returns {Object} { coupleInfoId, groups: [{ reasons, guests }] }
+ */
+exports.findDuplicateGuests = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+    
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+    
+    if (!access) {
+      logger.warn('Find duplicate guests failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+    
+    const guests = await prisma.guest.findMany({
+      where: { coupleInfoId },
+      include: guestInclude,
+      orderBy: { createdAt: 'asc' }
+    });
+    
+    const groups = findDuplicateGroups(guests).map(group => ({
+      reasons: group.reasons,
+      guests: group.guests.map(toGuestResponse)
+    }));
+    
+    logger.info('Duplicate guests checked', { coupleInfoId, groups: groups.length });
+    
+    res.status(200).json({ coupleInfoId, groups });
+  } catch (error) {
+    logger.error('Find duplicate guests error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Merge Guests
+ * 
+ * Combines two records of the same person. The guest in the path is kept
+ * and the source guest is deleted:
+ * - preferences, howMet and memories keep the more detailed text
+ * - empty fields of the kept guest (phone, side, household, table, meal,
+ *   invitation) are filled from the source guest; a taken-over invitation
+ *   keeps its version history
+ * - allergies, tags and keep-apart constraints are combined, companions
+ *   with a new name are moved over and plus-ones are raised to cover them
+ * - the more recent RSVP reply is kept
+ * 
+ * @route POST /api/guests/:id/merge
+ * @param {string} req.params.id - ID of the guest to keep
+ * @param {string} req.body.sourceGuestId - ID of the guest merged into it and deleted
+ * @returns {Object} The merged guest record
+ */
+exports.mergeGuests = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sourceGuestId } = req.body;
+    
+    if (id === sourceGuestId) {
+      return res.status(400).json({ message: '無法將賓客與自己合併' });
+    }
+    
+    const [target, source] = await Promise.all([id, sourceGuestId].map(guestId => prisma.guest.findFirst({
+      where: { id: guestId, ...accessibleGuestFilter(req.user.userId) },
+      include: { rsvp: true, companions: true, tags: true }
+    })));
+    
+    if (!target || !source) {
+      logger.warn('Merge guests failed: guest not found', { id, sourceGuestId });
+      return res.status(404).json({ message: '找不到此賓客' });
+    }
+    
+    if (target.coupleInfoId !== source.coupleInfoId) {
+      return res.status(400).json({ message: '只能合併同一場婚禮的賓客' });
+    }
+    
+    const access = await getWeddingAccess(req.user.userId, target.coupleInfoId);
+    
+    if (!can(access, 'guest:delete')) {
+      logger.warn('Merge guests denied', { id, sourceGuestId, userId: req.user.userId, role: access?.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    const knownCompanions = new Set(target.companions.map(companion => companion.name.trim()));
+    const movedCompanions = source.companions.filter(companion => !knownCompanions.has(companion.name.trim()));
+    const targetTagIds = new Set(target.tags.map(link => link.tagId));
+    const movedTagIds = source.tags.map(link => link.tagId).filter(tagId => !targetTagIds.has(tagId));
+    const keepSourceRsvp = !!source.rsvp && (!target.rsvp || source.rsvp.updatedAt > target.rsvp.updatedAt);
+    const keepSourceInvitation = !target.invitationContent && !!source.invitationContent;
+    
+    const guest = await prisma.$transaction(async (tx) => {
+      if (movedCompanions.length > 0) {
+        await tx.companion.updateMany({
+          where: { id: { in: movedCompanions.map(companion => companion.id) } },
+          data: { guestId: id }
+        });
+      }
+      
+      if (movedTagIds.length > 0) {
+        await tx.guestTag.createMany({
+          data: movedTagIds.map(tagId => ({ guestId: id, tagId }))
+        });
+      }
+      
+      // Keep-apart constraints of the merged guest now apply to the kept guest
+      const sourceConstraints = await tx.seatingConstraint.findMany({
+        where: { OR: [{ guestId: sourceGuestId }, { otherGuestId: sourceGuestId }] }
+      });
+      for (const constraint of sourceConstraints) {
+        const otherId = constraint.guestId === sourceGuestId ? constraint.otherGuestId : constraint.guestId;
+        const [guestId, otherGuestId] = [id, otherId].sort();
+        if (otherId !== id) {
+          await tx.seatingConstraint.upsert({
+            where: { guestId_otherGuestId: { guestId, otherGuestId } },
+            create: { coupleInfoId: constraint.coupleInfoId, guestId, otherGuestId, note: constraint.note },
+            update: {}
+          });
+        }
+      }
+      
+      if (keepSourceRsvp) {
+        await tx.rsvp.deleteMany({ where: { guestId: id } });
+        await tx.rsvp.update({ where: { guestId: sourceGuestId }, data: { guestId: id } });
+      }
+      
+      // The kept invitation brings its version history along, numbered
+      // after the guest's own versions so it stays the current one
+      if (keepSourceInvitation) {
+        const latest = await tx.invitationVersion.aggregate({
+          where: { guestId: id },
+          _max: { sequence: true }
+        });
+        await tx.invitationVersion.updateMany({
+          where: { guestId: sourceGuestId },
+          data: { guestId: id, sequence: { increment: latest._max.sequence || 0 } }
+        });
+      }
+      
+      await tx.guest.delete({ where: { id: sourceGuestId } });
+      
+      return tx.guest.update({
+        where: { id },
+        data: {
+          phone: target.phone || source.phone,
+          preferences: richerText(target.preferences, source.preferences),
+          howMet: richerText(target.howMet, source.howMet),
+          memories: richerText(target.memories, source.memories),
+          side: target.side || source.side,
+          householdId: target.householdId || source.householdId,
+          tableId: target.tableId || source.tableId,
+          mealOptionId: target.mealOptionId || source.mealOptionId,
+          allergies: serializeAllergies([...parseAllergies(target.allergies), ...parseAllergies(source.allergies)]),
+          plusOnesAllowed: Math.max(
+            target.plusOnesAllowed,
+            source.plusOnesAllowed,
+            target.companions.length + movedCompanions.length
+          ),
+          invitationContent: keepSourceInvitation ? source.invitationContent : undefined,
+          invitationInputs: keepSourceInvitation ? source.invitationInputs : undefined,
+          status: keepSourceInvitation ? source.status : undefined
+        },
+        include: guestInclude
+      });
+    });
+    
+    logger.info('Guests merged', {
+      guestId: id,
+      mergedGuestId: sourceGuestId,
+      coupleInfoId: target.coupleInfoId,
+      movedCompanions: movedCompanions.length,
+      keptSourceRsvp: keepSourceRsvp
+    });
+    
+    res.status(200).json(toGuestResponse(guest));
+  } catch (error) {
+    logger.error('Merge guests error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      body: req.body
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Update Guest Status
  * 
- * Updates the RSVP status of a guest (pending, confirmed, declined).
- * This endpoint is typically called when a guest responds to an invitation.
+ * Updates the invitation lifecycle status of a guest
+ * (pending, generated, edited, sent), e.g. to mark an invitation
+ * that was delivered by hand as sent.
+ * The guest's RSVP reply is stored separately and is not affected.
  * 
  * @route PATCH /api/guests/:id/status
  * @param {string} req.params.id - ID of the guest to update
- * @param {string} req.body.status - New status (pending, confirmed, declined)
+ * @param {string} req.body.status - New status (pending, generated, edited, sent)
  * @returns {Object} Updated guest record with new status
  */
 exports.updateGuestStatus = async (req, res) => {
@@ -271,19 +1101,9 @@ exports.updateGuestStatus = async (req, res) => {
     const { id } = req.params;
     const { status } = req.body;
     
-    // Validate status value
-    const validStatuses = ['pending', 'confirmed', 'declined'];
-    if (!validStatuses.includes(status)) {
-      logger.warn('Invalid status provided', { status, id });
-      return res.status(400).json({ 
-        message: '無效的賓客狀態', 
-        validValues: validStatuses 
-      });
-    }
-    
     // Verify guest exists before updating status
-    const guestExists = await prisma.guest.findUnique({
-      where: { id }
+    const guestExists = await prisma.guest.findFirst({
+      where: { id, ...accessibleGuestFilter(req.user.userId) }
     });
     
     if (!guestExists) {
@@ -291,6 +1111,13 @@ exports.updateGuestStatus = async (req, res) => {
       return res.status(404).json({ message: '找不到此賓客' });
     }
     
+    const access = await getWeddingAccess(req.user.userId, guestExists.coupleInfoId);
+    
+    if (!can(access, 'guest:write', guestExists.side)) {
+      logger.warn('Update status denied', { id, userId: req.user.userId, role: access?.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
     const guest = await prisma.guest.update({
       where: { id },
       data: { status }
@@ -323,15 +1150,21 @@ exports.updateGuestStatus = async (req, res) => {
  * 
  * Imports multiple guests from a provided data array.
  * Each guest must have the required fields and will be associated with the specified couple.
+ * Guests a family helper is not allowed to add (other side) are reported as errors.
+ * Rows are numbered from 1 in the order of the array; the error report is always returned.
  * 
  * @route POST /api/guests/bulk
  * @param {Array} req.body.guests - Array of guest objects to import
  * @param {string} req.body.coupleInfoId - ID of the couple these guests are associated with
- * @returns {Object} Result with count of successfully imported guests
+ * @param {boolean} [req.body.dryRun] - If true, only validates the guests without saving them
+ * @param {string} [req.body.onDuplicate=error] - "error", "skip" or "update" for guests whose
+ *   email is already on the list
+ * @returns {Object} Import report with counts and row-numbered errors
  */
 exports.bulkImportGuests = async (req, res) => {
   try {
-    const { guests, coupleInfoId } = req.body;
+    const { guests, coupleInfoId, onDuplicate } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
     
     if (!Array.isArray(guests) || guests.length === 0) {
       logger.warn('Bulk import failed: invalid guests array', { 
@@ -341,66 +1174,35 @@ exports.bulkImportGuests = async (req, res) => {
       return res.status(400).json({ message: '需要提供有效的賓客陣列' });
     }
     
-    // Verify that the referenced couple exists
-    const coupleExists = await prisma.coupleInfo.findUnique({
-      where: { id: coupleInfoId }
-    });
+    // Verify that the referenced couple exists and the user can access it
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
     
-    if (!coupleExists) {
+    if (!access) {
       logger.warn('Bulk import failed: couple not found', { coupleInfoId });
       return res.status(404).json({ message: '找不到對應的新人資料' });
     }
     
-    // Process each guest in the array
-    const createdGuests = [];
-    const errors = [];
-    
-    for (const guestData of guests) {
-      try {
-        // Validate required fields
-        if (!guestData.name || !guestData.email || !guestData.relationship) {
-          errors.push({
-            guest: guestData,
-            error: '缺少必要欄位 (name, email, relationship)'
-          });
-          continue;
-        }
-        
-        // Create guest with association to couple
-        const guest = await prisma.guest.create({
-          data: {
-            name: guestData.name,
-            email: guestData.email,
-            relationship: guestData.relationship,
-            preferences: guestData.preferences || null,
-            howMet: guestData.howMet || null,
-            memories: guestData.memories || null,
-            status: 'pending',
-            coupleInfo: { connect: { id: coupleInfoId } }
-          }
-        });
-        
-        createdGuests.push(guest);
-      } catch (guestError) {
-        errors.push({
-          guest: guestData,
-          error: guestError.message
-        });
-      }
+    if (!can(access, 'guest:write', access.side)) {
+      logger.warn('Bulk import denied', { coupleInfoId, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
     }
     
+    const rows = guests.map((guestData, index) => ({ row: index + 1, data: guestData || {} }));
+    const report = await importGuestRows(access, coupleInfoId, rows, { dryRun, onDuplicate });
+    
     logger.info('Bulk guest import completed', {
       total: guests.length,
-      successful: createdGuests.length,
-      failed: errors.length,
+      successful: report.totalImported,
+      updated: report.totalUpdated,
+      skipped: report.totalSkipped,
+      failed: report.totalFailed,
+      dryRun,
       coupleInfoId
     });
     
-    res.status(201).json({
-      message: '批量匯入賓客完成',
-      totalImported: createdGuests.length,
-      totalFailed: errors.length,
-      errors: process.env.NODE_ENV === 'development' ? errors : undefined
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? '批量匯入檢查完成（未寫入資料）' : '批量匯入賓客完成',
+      ...report
     });
   } catch (error) {
     logger.error('Bulk import guests error', {
@@ -413,4 +1215,148 @@ exports.bulkImportGuests = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Preview Guest Spreadsheet
+ * 
+ * First step of a spreadsheet import: reads the uploaded CSV or XLSX file
+ * and returns its headers, the suggested column mapping and a few sample rows
+ * so the couple can check and adjust the mapping before importing.
+ * Nothing is saved.
+ * 
+ * @route POST /api/guests/import/preview
+ * @param {Object} req.file - Uploaded spreadsheet (multipart field "file")
+ * @param {string} req.body.coupleInfoId - ID of the wedding to import into
+ * @returns {Object} Headers, suggested mapping, importable fields, row count and sample rows
+ */
+exports.previewGuestImport = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.body;
+    
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+    
+    if (!access) {
+      logger.warn('Import preview failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+    
+    const sheet = await readSpreadsheet(req.file);
+    
+    if (!sheet) {
+      return res.status(400).json({ message: '無法讀取檔案，請確認檔案為 CSV 或 XLSX 格式' });
+    }
+    
+    res.status(200).json({
+      fileName: req.file.originalname,
+      headers: sheet.headers,
+      suggestedMapping: suggestMapping(sheet.headers),
+      fields: IMPORT_FIELDS,
+      totalRows: sheet.rows.length,
+      sampleRows: sheet.rows.slice(0, 5).map(({ row, values }) => ({
+        row,
+        values: Object.fromEntries(sheet.headers.map((header, index) => [header, values[index]]))
+      }))
+    });
+  } catch (error) {
+    logger.error('Import preview error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.body?.coupleInfoId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Import Guests from Spreadsheet
+ * 
+ * Imports guests from an uploaded CSV or XLSX file. Columns are mapped to
+ * guest fields with the given mapping, or with the suggested mapping when
+ * none is given. In dry-run mode the rows are only validated.
+ * The report always lists errors by spreadsheet row number (the header is
+ * row 1), so the file can be fixed and uploaded again.
+ * 
+ * @route POST /api/guests/import
+ * @param {Object} req.file - Uploaded spreadsheet (multipart field "file")
+ * @param {string} req.body.coupleInfoId - ID of the wedding to import into
+ * @param {string} [req.body.mapping] - JSON object mapping headers to guest fields
+ * @param {string} [req.body.dryRun] - "true" to validate without saving
+ * @param {string} [req.body.onDuplicate=error] - "error", "skip" or "update" for guests whose
+ *   email is already on the list
+ * @returns {Object} Import report with counts and row-numbered errors
+ */
+exports.importGuests = async (req, res) => {
+  try {
+    const { coupleInfoId, onDuplicate } = req.body;
+    const dryRun = req.body.dryRun === 'true';
+    
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+    
+    if (!access) {
+      logger.warn('Spreadsheet import failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+    
+    if (!can(access, 'guest:write', access.side)) {
+      logger.warn('Spreadsheet import denied', { coupleInfoId, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    const sheet = await readSpreadsheet(req.file);
+    
+    if (!sheet) {
+      return res.status(400).json({ message: '無法讀取檔案，請確認檔案為 CSV 或 XLSX 格式' });
+    }
+    
+    if (sheet.rows.length === 0) {
+      return res.status(400).json({ message: '檔案中沒有賓客資料' });
+    }
+    
+    const mapping = req.body.mapping ? JSON.parse(req.body.mapping) : suggestMapping(sheet.headers);
+    const mappedFields = Object.values(mapping);
+    const missingFields = ['name', 'relationship', 'email'].filter(field => !mappedFields.includes(field));
+    
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        message: `欄位對應缺少必要欄位: ${missingFields.join(', ')}`,
+        headers: sheet.headers,
+        mapping
+      });
+    }
+    
+    const report = await importGuestRows(access, coupleInfoId, applyMapping(sheet, mapping), { dryRun, onDuplicate });
+    
+    logger.info('Spreadsheet guest import completed', {
+      fileName: req.file.originalname,
+      total: report.totalRows,
+      successful: report.totalImported,
+      updated: report.totalUpdated,
+      skipped: report.totalSkipped,
+      failed: report.totalFailed,
+      dryRun,
+      coupleInfoId
+    });
+    
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? '匯入檢查完成（未寫入資料）' : '賓客匯入完成',
+      mapping,
+      ...report
+    });
+  } catch (error) {
+    logger.error('Spreadsheet import error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.body?.coupleInfoId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
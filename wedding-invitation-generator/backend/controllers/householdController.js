@@ -0,0 +1,272 @@
+/**
+ * Household Controller Module
+ *
+ * Handles households: groups of guests (a family, a couple) who are
+ * invited together with a single invitation.
+ * - Listing the households of a wedding
+ * - Creating a household and assigning guests to it
+ * - Updating a household and its members
+ * - Deleting a household (its guests are kept and become individual guests)
+ *
+ * The invitation of a household is addressed to its salutation
+ * (e.g. "王先生與王太太闔家") and emailed once to its contact address.
+ * Households follow the same side rules as guests: family helpers may
+ * only manage households of their own side.
+ */
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { ROLES, getWeddingAccess, can } = require('../utils/weddingAccess');
+
+const prisma = new PrismaClient();
+
+/**
+ * Members returned with each household
+ */
+const householdInclude = {
+  guests: {
+    select: { id: true, name: true, email: true, side: true, status: true, plusOnesAllowed: true },
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+/**
+ * Checks that every guest ID belongs to the given wedding
+ *
+ * @param {string[]} guestIds - IDs of the guests to assign
+ * @param {string} coupleInfoId - ID of the wedding
+ * @returns {Promise<boolean>} True if all guests were found in the wedding
+ */
+const guestsBelongToWedding = async (guestIds, coupleInfoId) => {
+  const count = await prisma.guest.count({
+    where: { id: { in: guestIds }, coupleInfoId }
+  });
+  return count === new Set(guestIds).size;
+};
+
+/**
+ * List Households
+ *
+ * Retrieves the households of a wedding with their members.
+ *
+ * @route GET /api/households
+ * @param {string} req.query.coupleInfoId - ID of the wedding
+ * @returns {Array} List of households, each with its guests
+ */
+exports.listHouseholds = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('List households failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const households = await prisma.household.findMany({
+      where: { coupleInfoId },
+      include: householdInclude,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.status(200).json(households);
+  } catch (error) {
+    logger.error('List households error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create Household
+ *
+ * Creates a household and optionally moves existing guests into it.
+ *
+ * @route POST /api/households
+ * @param {string} req.body.coupleInfoId - ID of the wedding
+ * @param {string} req.body.name - Name used in lists, e.g. "王家"
+ * @param {string} [req.body.salutation] - How the invitation addresses the household
+ * @param {string} req.body.contactEmail - Address the household invitation is sent to
+ * @param {string} [req.body.side] - "groom" or "bride"; defaults to the family helper's own side
+ * @param {string[]} [req.body.guestIds] - Guests of the wedding to assign to the household
+ * @returns {Object} The created household with its guests
+ */
+exports.createHousehold = async (req, res) => {
+  try {
+    const { coupleInfoId, name, salutation, contactEmail, guestIds = [] } = req.body;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('Create household failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const side = req.body.side || (access.role === ROLES.FAMILY_HELPER ? access.side : null);
+
+    if (!can(access, 'guest:write', side)) {
+      logger.warn('Create household denied', { coupleInfoId, userId: req.user.userId, role: access.role, side });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    if (guestIds.length > 0 && !(await guestsBelongToWedding(guestIds, coupleInfoId))) {
+      return res.status(400).json({ message: '部分賓客不屬於此婚禮' });
+    }
+
+    const household = await prisma.household.create({
+      data: {
+        name,
+        salutation: salutation || null,
+        contactEmail: String(contactEmail).trim().toLowerCase(),
+        side,
+        coupleInfo: { connect: { id: coupleInfoId } },
+        guests: { connect: guestIds.map((id) => ({ id })) }
+      },
+      include: householdInclude
+    });
+
+    logger.info('Household created', {
+      householdId: household.id,
+      coupleInfoId,
+      guestCount: household.guests.length
+    });
+
+    res.status(201).json(household);
+  } catch (error) {
+    logger.error('Create household error', {
+      error: error.message,
+      stack: error.stack,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update Household
+ *
+ * Updates a household. When guestIds is given it replaces the member list:
+ * guests not in the list leave the household and become individual guests.
+ *
+ * @route PUT /api/households/:id
+ * @param {string} req.params.id - ID of the household
+ * @param {Object} req.body - Fields to update (name, salutation, contactEmail, side, guestIds)
+ * @returns {Object} The updated household with its guests
+ */
+exports.updateHousehold = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, salutation, contactEmail, side, guestIds } = req.body;
+
+    const existing = await prisma.household.findUnique({
+      where: { id }
+    });
+
+    const access = existing && await getWeddingAccess(req.user.userId, existing.coupleInfoId);
+
+    if (!access) {
+      logger.warn('Update household failed: household not found', { id });
+      return res.status(404).json({ message: '找不到此家庭' });
+    }
+
+    if (!can(access, 'guest:write', existing.side) ||
+        (side !== undefined && !can(access, 'guest:write', side))) {
+      logger.warn('Update household denied', { id, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    if (guestIds && guestIds.length > 0 && !(await guestsBelongToWedding(guestIds, existing.coupleInfoId))) {
+      return res.status(400).json({ message: '部分賓客不屬於此婚禮' });
+    }
+
+    const household = await prisma.household.update({
+      where: { id },
+      data: {
+        name,
+        salutation,
+        contactEmail: contactEmail !== undefined ? String(contactEmail).trim().toLowerCase() : undefined,
+        side,
+        guests: guestIds ? { set: guestIds.map((guestId) => ({ id: guestId })) } : undefined
+      },
+      include: householdInclude
+    });
+
+    logger.info('Household updated', { householdId: id, guestCount: household.guests.length });
+
+    res.status(200).json(household);
+  } catch (error) {
+    logger.error('Update household error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete Household
+ *
+ * Removes a household. Its guests are kept and are invited individually
+ * from then on.
+ *
+ * @route DELETE /api/households/:id
+ * @param {string} req.params.id - ID of the household
+ * @returns {Object} Success message
+ */
+exports.deleteHousehold = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.household.findUnique({
+      where: { id }
+    });
+
+    const access = existing && await getWeddingAccess(req.user.userId, existing.coupleInfoId);
+
+    if (!access) {
+      logger.warn('Delete household failed: household not found', { id });
+      return res.status(404).json({ message: '找不到此家庭' });
+    }
+
+    if (!can(access, 'guest:delete')) {
+      logger.warn('Delete household denied', { id, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    await prisma.household.delete({
+      where: { id }
+    });
+
+    logger.info('Household deleted', { householdId: id, coupleInfoId: existing.coupleInfoId });
+
+    res.status(200).json({ message: '家庭已刪除' });
+  } catch (error) {
+    logger.error('Delete household error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -2,145 +2,329 @@
  * Invitation Controller Module
  * 
  * Handles the generation and management of wedding invitations:
- * - Generating personalized invitations using AI
- * - Updating invitation content
- * - Caching invitation data to improve performance
+ * - Generating personalized invitations using AI, optionally streamed as it is written
+ * - Generating candidate drafts to choose the invitation from
+ * - Updating invitation content, or applying one text to many guests
+ * - Filling in the merge fields of invitation texts (utils/invitationMergeFields.js)
+ * - Generating the invitations of many guests in a background job
+ * - Finding invitations written from details that changed since, and regenerating them
+ * - Checking AI invitations against the prompt's rules, retrying with corrections
+ * - Keeping every generated or edited version, with diff and revert
+ * - Caching generated invitations by their prompt inputs (utils/invitationCache.js)
+ * - Recording the tokens and cost of every AI request and keeping each
+ *   wedding within its AI budget (utils/aiUsage.js)
  * 
- * Uses the OpenAI API for natural language generation and
- * implements caching, error handling, and retry mechanisms.
+ * Uses the configured chain of OpenAI-compatible AI providers
+ * (config/llm.js) for natural language generation, falls back to the
+ * offline templates (utils/invitationTemplates.js) when every provider
+ * fails, and implements caching and error handling.
  */
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../config/logger');
-const NodeCache = require('node-cache');
-const OpenAI = require('openai');
 const { validationResult } = require('express-validator');
+const { SIDES, accessibleGuestFilter, getWeddingAccess, can } = require('../utils/weddingAccess');
+const { guestTagsInclude } = require('../utils/tags');
+const { buildGuestListFilter } = require('../utils/guestFilters');
+const {
+  ACTIVE_JOB_STATUSES,
+  registerJobHandler,
+  toJobResponse,
+  summarizeJobItems,
+  runJob
+} = require('../utils/jobRunner');
+const { diffText } = require('../utils/textDiff');
+const {
+  getInvitationCacheKey,
+  getCachedInvitation,
+  cacheInvitation,
+  invalidateCachedInvitations,
+  getInvitationCacheStats,
+  purgeInvitationCache
+} = require('../utils/invitationCache');
+const { renderInvitationPrompts } = require('../utils/invitationPrompts');
+const { writeTemplateInvitation } = require('../utils/invitationTemplates');
+const { MERGE_FIELDS, checkInvitationContent, renderInvitationContent } = require('../utils/invitationMergeFields');
+const { snapshotInvitationInputs, findStaleInvitations } = require('../utils/invitationInputs');
+const { countChineseCharacters, validateInvitation } = require('../utils/invitationValidators');
+const { hasAiProvider } = require('../utils/llmClient');
+const { completeValidatedInvitation } = require('../utils/invitationCompletion');
+const { hasAiBudget, getAiBudgetStatus, aiBudgetExhaustedError } = require('../utils/aiUsage');
 const dotenv = require('dotenv');
 
 // Ensure environment variables are loaded
 dotenv.config();
 
+// Initialize Prisma client for database operations
+const prisma = new PrismaClient();
+
+/**
+ * Guest relations needed to address an invitation:
+ * the guest's companions and tags and, for guests in a household,
+ * the other members and their companions
+ */
+const inviteeInclude = {
+  companions: { orderBy: { createdAt: 'asc' } },
+  tags: guestTagsInclude,
+  household: {
+    include: {
+      guests: {
+        include: { companions: { orderBy: { createdAt: 'asc' } } },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  }
+};
+
+/**
+ * Fields returned for each invitation version
+ */
+const versionSelect = {
+  id: true,
+  sequence: true,
+  content: true,
+  source: true,
+  feedbackText: true,
+  validation: true,
+  revertedFromId: true,
+  createdAt: true,
+  createdBy: { select: { id: true, name: true, email: true } }
+};
+
+/**
+ * Temperatures candidate drafts are written with, one per candidate
+ * Spread around the usual 0.7 so the candidates differ in wording
+ */
+const CANDIDATE_TEMPERATURES = [0.7, 1.0, 0.4, 1.1, 0.8];
+
+/**
+ * Fields returned for each candidate draft
+ */
+const draftSelect = {
+  id: true,
+  guestId: true,
+  content: true,
+  provider: true,
+  temperature: true,
+  validation: true,
+  selectedAt: true,
+  createdAt: true,
+  createdBy: { select: { id: true, name: true, email: true } }
+};
+
 /**
- * Invitation cache with 1-hour expiration
- * Used to store generated invitations to reduce API calls
- * and improve response times for frequently accessed invitations
+ * Converts a stored draft for API responses
+ * 
+ * @param {Object} draft - Draft selected with draftSelect
+ * @returns {Object} The draft with its validation results parsed
  */
-const invitationCache = new NodeCache({
-  stdTTL: 3600, // 1 hour
-  checkperiod: 120, // Check for expired keys every 2 minutes
-  useClones: false
+const toDraftResponse = (draft) => ({
+  ...draft,
+  validation: draft.validation ? JSON.parse(draft.validation) : null
 });
 
 /**
- * Initialize OpenAI API client
- * The system uses OpenAI's API for generating natural-sounding invitations,
- * but falls back to mock data if the API is not configured
- */
-let openai;
-try {
-  // Configuration options for OpenAI client
-  const openaiConfig = {
-    apiKey: process.env.OPENAI_API_KEY || process.env.DEEPSEEK_API_KEY,
-    // If using Azure OpenAI or other OpenAI-compatible endpoint
-    // Uncomment and configure these if needed
-    // baseURL: process.env.OPENAI_API_BASE || 'https://api.openai.com/v1',
-    // defaultHeaders: {
-    //   'api-key': process.env.OPENAI_API_KEY
-    // }
-  };
+ * Responds that the wedding's AI budget is spent
+ * 
+ * @param {Object} res - Express response object
+ * @param {Object} budget - Result of getAiBudgetStatus
+ * @returns {Object} The 402 response
+ */
+const sendBudgetExhausted = (res, budget) => res.status(402).json({
+  message: aiBudgetExhaustedError(budget).message,
+  errorCode: 'AI_BUDGET_EXHAUSTED',
+  budget
+});
+
+/**
+ * Converts a stored version for API responses
+ * 
+ * @param {Object} version - Version selected with versionSelect
+ * @returns {Object} The version with its validation results parsed
+ */
+const toVersionResponse = (version) => ({
+  ...version,
+  validation: version.validation ? JSON.parse(version.validation) : null
+});
+
+/**
+ * Save Invitation
+ * 
+ * Stores a new invitation text for a guest and records it as a new version.
+ * A household shares one invitation, so every member gets the same text
+ * and the same version in their history. Each member also gets a snapshot
+ * of the details the text was written from, to tell when it becomes stale
+ * (utils/invitationInputs.js). The members' cached invitations are
+ * dropped; callers cache a newly generated text themselves.
+ * 
+ * @param {Object} guest - Guest the invitation was written for (id, householdId)
+ * @param {string} content - Invitation text
+ * @param {string} status - New guest status ("generated" or "edited")
+ * @param {Object} version - Version details (source, feedbackText, validation, revertedFromId, createdById)
+ * @returns {Promise<Object>} { guest: updated guest, version: the guest's new version }
+ */
+const saveInvitation = async (guest, content, status, version) => {
+  const members = await prisma.guest.findMany({
+    where: guest.householdId ? { householdId: guest.householdId } : { id: guest.id },
+    include: { coupleInfo: true, household: true }
+  });
+  const memberIds = members.map(member => member.id);
+  const inputsOf = (member) => JSON.stringify(snapshotInvitationInputs(member, member.coupleInfo));
+  
+  const saved = await prisma.$transaction(async (tx) => {
+    let updatedGuest;
+    for (const member of members) {
+      const updated = await tx.guest.update({
+        where: { id: member.id },
+        data: { invitationContent: content, invitationInputs: inputsOf(member), status }
+      });
+      if (member.id === guest.id) {
+        updatedGuest = updated;
+      }
+    }
+    
+    // Numbered inside the transaction so concurrent saves get distinct versions
+    const latest = await tx.invitationVersion.groupBy({
+      by: ['guestId'],
+      where: { guestId: { in: memberIds } },
+      _max: { sequence: true }
+    });
+    const nextSequence = (guestId) => (latest.find(entry => entry.guestId === guestId)?._max.sequence || 0) + 1;
+    
+    if (memberIds.length > 1) {
+      await tx.invitationVersion.createMany({
+        data: memberIds.filter(memberId => memberId !== guest.id)
+          .map(guestId => ({ guestId, sequence: nextSequence(guestId), content, ...version }))
+      });
+    }
+    
+    const savedVersion = await tx.invitationVersion.create({
+      data: { guestId: guest.id, sequence: nextSequence(guest.id), content, ...version },
+      select: versionSelect
+    });
+    
+    return { guest: updatedGuest, version: toVersionResponse(savedVersion) };
+  });
+  
+  await invalidateCachedInvitations(memberIds);
+  
+  return saved;
+};
+
+/**
+ * Job type of batch invitation generation
+ */
+const BATCH_JOB_TYPE = 'invitation:generate';
+
+/**
+ * Batch Generation Job Handler
+ * 
+ * Generates the invitation of one guest of a batch job. A guest who got an
+ * invitation after the job was queued (e.g. through another job) is skipped
+ * unless the job regenerates existing invitations.
+ */
+registerJobHandler(BATCH_JOB_TYPE, async (item, job, options) => {
+  const traceId = `BAT-${Date.now().toString(36).substring(2, 9)}`;
+  
+  const guest = await prisma.guest.findUnique({
+    where: { id: item.guestId },
+    include: { coupleInfo: true, ...inviteeInclude }
+  });
+  
+  if (!guest) {
+    throw new Error('找不到此賓客資料');
+  }
   
-  // Initialize the OpenAI client with proper configuration
-  openai = new OpenAI(openaiConfig);
+  if (!options.force && guest.invitationContent) {
+    return { status: 'skipped', error: '已存在邀請函' };
+  }
   
-  logger.info('OpenAI API client initialized successfully', {
-    apiKeyConfigured: !!process.env.OPENAI_API_KEY,
-    backupKeyConfigured: !!process.env.DEEPSEEK_API_KEY,
-    apiKeyPrefix: process.env.OPENAI_API_KEY ? process.env.OPENAI_API_KEY.substring(0, 7) + '...' : 'not available',
-    // baseURL: openaiConfig.baseURL || 'default'
+  const cacheKey = await getInvitationCacheKey(guest, guest.coupleInfo);
+  const { content, source, provider, validation } = await writeInvitation(guest, traceId, {
+    operation: 'batch',
+    userId: job.createdById
   });
-} catch (error) {
-  logger.error('Failed to initialize OpenAI API', { 
-    error: error.message,
-    stack: error.stack
+  
+  // Also saves the content for the other household members
+  await saveInvitation(guest, content, 'generated', {
+    source,
+    validation: JSON.stringify(validation),
+    createdById: job.createdById
   });
-}
-
-// Initialize Prisma client for database operations
-const prisma = new PrismaClient();
+  await cacheInvitation(cacheKey, guest.id, { content, source, provider });
+  
+  return { result: { source, provider, contentLength: content.length, validationPassed: validation.passed } };
+});
 
 /**
- * Create Invitation Prompt
- * 
- * Constructs the AI prompt for generating a personalized invitation
- * Includes relevant data about the couple, wedding, and guest relationship
- * 
- * @param {Object} guest - Guest object with related couple information
- * @returns {string} Formatted prompt for the AI model
- */
-const createInvitationPrompt = (guest) => {
-  const { coupleInfo } = guest;
-  
-  return `
-請幫我創建一封針對特定賓客的個性化婚禮邀請函。以下是相關信息：
-
-新人資料:
-- 新郎: ${coupleInfo.groomName}
-- 新娘: ${coupleInfo.brideName}
-- 婚禮日期: ${coupleInfo.weddingDate.toISOString().split('T')[0]}
-- 婚禮時間: ${coupleInfo.weddingTime}
-- 婚禮地點: ${coupleInfo.weddingLocation}
-- 婚禮主題: ${coupleInfo.weddingTheme}
-${coupleInfo.backgroundStory ? `- 新人背景故事: ${coupleInfo.backgroundStory}` : ''}
-
-賓客資料:
-- 姓名: ${guest.name}
-- 與新人關係: ${guest.relationship}
-${guest.preferences ? `- 賓客偏好: ${guest.preferences}` : ''}
-${guest.howMet ? `- 相識方式: ${guest.howMet}` : ''}
-${guest.memories ? `- 共同回憶: ${guest.memories}` : ''}
-
-請創建一封約200-300字的邀請函，包含以下要素:
-1. 溫馨的問候語，針對賓客與新人的特定關係
-2. 誠摯邀請參加婚禮的語句
-3. 婚禮日期、時間和地點資訊
-4. 根據新人與賓客的關係加入個人化元素(如共同回憶、感謝的話)
-5. 期待賓客出席的結語
-
-格式要求:
-- 語調要溫暖、優雅且略帶感性
-- 字句精煉
-- 不需要加入RSVP詳情
-- 不需要再信件提及電子郵件地址
-- 不需要使用markdown格式輸出
-
-請直接提供完整邀請函內容，不要包含任何其他解釋或前後文。
-  `;
-};
+ * Finds the batch generation a wedding has running, if any
+ * 
+ * @param {string} coupleInfoId - ID of the wedding
+ * @returns {Promise<Object|null>} The queued or running job
+ */
+const findActiveBatchJob = (coupleInfoId) => prisma.job.findFirst({
+  where: { coupleInfoId, type: BATCH_JOB_TYPE, status: { in: ACTIVE_JOB_STATUSES } }
+});
 
 /**
- * Exponential Backoff Retry Mechanism
+ * Queue Batch Generation Job
  * 
- * Implements an exponential backoff strategy for API calls
- * to handle transient failures and rate limits
+ * Creates and starts a batch generation job for guests of a wedding.
+ * Guests the user may not write invitations for are left out, and one
+ * member stands for each household, which shares one invitation.
  * 
- * @param {Function} fn - Async function to retry
- * @param {number} maxRetries - Maximum number of retry attempts
- * @returns {Promise} Result of the function or throws error after max retries
+ * @param {string} coupleInfoId - ID of the wedding
+ * @param {Array<Object>} guests - Guests to generate for (id, side, householdId)
+ * @param {Object} access - The user's access to the wedding
+ * @param {string} userId - ID of the user starting the job
+ * @param {boolean} force - Whether existing invitations are regenerated
+ * @returns {Promise<Object|null>} The job with its progress, or null if no guest is left
  */
-const exponentialBackoff = async (fn, maxRetries = 3) => {
-  let retries = 0;
-  while (retries < maxRetries) {
-    try {
-      return await fn();
-    } catch (error) {
-      retries++;
-      if (retries >= maxRetries) throw error;
-      
-      // Calculate exponential delay - increases with each retry attempt
-      const delay = Math.pow(2, retries) * 1000; // Exponential delay (1s, 2s, 4s...)
-      logger.info(`Retry ${retries}/${maxRetries} after ${delay}ms`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+const queueBatchJob = async (coupleInfoId, guests, access, userId, force) => {
+  const households = new Set();
+  const selected = guests.filter(guest => {
+    if (!can(access, 'invitation:write', guest.side)) {
+      return false;
+    }
+    if (guest.householdId) {
+      if (households.has(guest.householdId)) {
+        return false;
+      }
+      households.add(guest.householdId);
     }
+    return true;
+  });
+  
+  if (selected.length === 0) {
+    return null;
   }
+  
+  const job = await prisma.job.create({
+    data: {
+      type: BATCH_JOB_TYPE,
+      coupleInfoId,
+      createdById: userId,
+      options: JSON.stringify({ force }),
+      items: {
+        create: selected.map((guest, position) => ({ guestId: guest.id, position }))
+      }
+    }
+  });
+  
+  logger.info('Batch invitation generation queued', {
+    jobId: job.id,
+    coupleInfoId,
+    guestCount: selected.length,
+    force,
+    userId
+  });
+  
+  // Runs in the background; the job stores its own progress and failures
+  runJob(job.id);
+  
+  return {
+    ...toJobResponse(job),
+    progress: summarizeJobItems(selected.map(() => ({ status: 'pending' })))
+  };
 };
 
 /**
@@ -234,6 +418,13 @@ function getExpectedFormat(fieldName) {
  * - AI-powered content generation with appropriate prompts
  * - Caching to improve performance and reduce API costs
  * - Graceful fallback to mock content if the AI service is unavailable
+ * - Guests in a household get one invitation addressed to the whole household,
+ *   saved for every member
+ * - Every generated text is kept in the version history ("ai" or "mock"),
+ *   so regenerating with force=true never loses an earlier text
+ * - With candidates=N, N drafts are written at different temperatures and
+ *   stored unselected; the guest's invitation stays as it is until one is
+ *   selected (201 with the drafts)
  * 
  * @route POST /api/invitations/generate
  * @param {Object} req - Express request object with guest information
@@ -250,6 +441,7 @@ exports.generateInvitation = async (req, res) => {
     
     const { guestId } = req.body;
     const forceRegenerate = req.query.force === 'true';
+    const candidateCount = req.query.candidates ? parseInt(req.query.candidates, 10) : 0;
     
     // Trace ID for logging
     const traceId = `GEN-${Date.now().toString(36).substring(2, 9)}`;
@@ -257,33 +449,16 @@ exports.generateInvitation = async (req, res) => {
     logger.info(`Starting invitation generation process [${traceId}]`, {
       guestId, 
       forceRegenerate,
+      candidateCount,
       traceId
     });
     
-    // Check if invitation is already in cache
-    const cacheKey = `invitation:${guestId}`;
-    if (!forceRegenerate && invitationCache.has(cacheKey)) {
-      const cachedInvitation = invitationCache.get(cacheKey);
-      
-      logger.info(`Returning cached invitation [${traceId}]`, {
-        guestId,
-        cacheHit: true,
-        traceId
-      });
-      
-      return res.status(200).json({
-        message: '已成功取得邀請函',
-        invitation: cachedInvitation,
-        source: 'cache'
-      });
-    }
-    
-    // Get guest information from database
+    // Get guest information from database (only guests in the user's weddings)
     let guest;
     try {
-      guest = await prisma.guest.findUnique({
-        where: { id: guestId },
-        include: { coupleInfo: true }
+      guest = await prisma.guest.findFirst({
+        where: { id: guestId, ...accessibleGuestFilter(req.user.userId) },
+        include: { coupleInfo: true, ...inviteeInclude }
       });
       
       // Log database query result
@@ -319,6 +494,13 @@ exports.generateInvitation = async (req, res) => {
       return res.status(404).json({ message: '找不到此賓客資料' });
     }
     
+    // Viewers and family helpers of the other side cannot generate invitations
+    const access = await getWeddingAccess(req.user.userId, guest.coupleInfoId);
+    if (!can(access, 'invitation:write', guest.side)) {
+      logger.warn(`Invitation generation denied [${traceId}]`, { guestId, userId: req.user.userId, role: access?.role, traceId });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
     // Check if the related data is complete - possibly pointing to database migration issues
     if (!guest.coupleInfo) {
       logger.error(`Guest found but missing coupleInfo relation [${traceId}]`, {
@@ -340,71 +522,89 @@ exports.generateInvitation = async (req, res) => {
       });
     }
     
-    // Check if guest already has an invitation and we're not forcing regeneration
-    if (!forceRegenerate && guest.invitationContent) {
-      logger.info(`Guest already has invitation [${traceId}]`, {
-        guestId,
-        status: guest.status,
-        traceId
-      });
+    // Candidates are always written anew and stored as drafts
+    if (candidateCount > 0) {
+      if (!hasAiProvider()) {
+        return res.status(503).json({ message: '尚未設定 AI 服務，無法生成候選邀請函' });
+      }
       
-      // Store in cache for future requests
-      invitationCache.set(cacheKey, guest.invitationContent);
+      // Candidates are only written by AI, so a spent budget refuses them whatever its action
+      const budget = await getAiBudgetStatus(guest.coupleInfo);
+      if (budget.exhausted) {
+        logger.warn(`Candidate generation refused, AI budget exhausted [${traceId}]`, { guestId, coupleInfoId: guest.coupleInfoId, traceId });
+        return sendBudgetExhausted(res, budget);
+      }
       
-      return res.status(200).json({
-        message: '已存在邀請函',
-        invitation: guest.invitationContent,
-        source: 'database'
+      const { drafts, failed } = await generateInvitationDrafts(guest, candidateCount, req.user.userId, traceId);
+      
+      if (drafts.length === 0) {
+        return res.status(502).json({ message: '無法生成候選邀請函，請稍後再試', referenceId: traceId });
+      }
+      
+      return res.status(201).json({
+        message: `已生成 ${drafts.length} 份候選邀請函`,
+        drafts,
+        failed
       });
     }
     
-    // Generate invitation content using AI
-    let invitationContent;
-    try {
-      // Log the attempt to generate content using AI
-      logger.info(`Attempting to generate invitation with AI [${traceId}]`, {
-        guestName: guest.name,
-        relationship: guest.relationship,
+    // Check if invitation is already in cache
+    // Looked up only after the ownership check so cached content is never
+    // returned for another user's guest; the key covers every prompt input,
+    // so a changed guest or wedding detail is never answered from the cache
+    const cacheKey = await getInvitationCacheKey(guest, guest.coupleInfo);
+    const cachedInvitation = forceRegenerate ? null : await getCachedInvitation(cacheKey);
+    if (cachedInvitation) {
+      logger.info(`Returning cached invitation [${traceId}]`, {
+        guestId,
+        cacheHit: true,
         traceId
       });
       
-      invitationContent = await generateInvitationWithAI(guest, guest.coupleInfo);
-      
-      logger.info(`AI generation successful [${traceId}]`, {
-        guestId,
-        contentLength: invitationContent.length,
-        traceId
+      return res.status(200).json({
+        message: '已成功取得邀請函',
+        invitation: cachedInvitation.content,
+        source: 'cache'
       });
-    } catch (aiError) {
-      // Log AI generation failure
-      logger.error(`AI invitation generation failed [${traceId}]`, {
-        error: aiError.message,
-        stack: aiError.stack,
+    }
+    
+    // Check if guest already has an invitation and we're not forcing regeneration
+    if (!forceRegenerate && guest.invitationContent) {
+      logger.info(`Guest already has invitation [${traceId}]`, {
         guestId,
+        status: guest.status,
         traceId
       });
       
-      // Fall back to mock content
-      invitationContent = generateMockInvitation(guest, guest.coupleInfo);
-      
-      logger.info(`Fallback to mock content [${traceId}]`, {
-        guestId,
-        contentLength: invitationContent.length,
-        traceId
+      return res.status(200).json({
+        message: '已存在邀請函',
+        invitation: guest.invitationContent,
+        source: 'database'
       });
     }
     
+    // Generate invitation content using AI, or the offline templates if every provider fails
+    const {
+      content: invitationContent,
+      source: contentSource,
+      provider: contentProvider,
+      validation
+    } = await writeInvitation(guest, traceId, { operation: 'generate', userId: req.user.userId });
+    
     // Update guest record with generated invitation
     try {
       const beforeUpdate = new Date();
       
-      const updatedGuest = await prisma.guest.update({
-        where: { id: guestId },
-        data: {
-          invitationContent,
-          status: 'generated',
-          updatedAt: new Date()
-        }
+      // Also saves the content for the other household members
+      const { guest: updatedGuest } = await saveInvitation(guest, invitationContent, 'generated', {
+        source: contentSource,
+        validation: JSON.stringify(validation),
+        createdById: req.user.userId
+      });
+      await cacheInvitation(cacheKey, guest.id, {
+        content: invitationContent,
+        source: contentSource,
+        provider: contentProvider
       });
       
       const updateDuration = new Date() - beforeUpdate;
@@ -452,14 +652,12 @@ exports.generateInvitation = async (req, res) => {
         message: '邀請函已生成但未能保存到資料庫',
         invitation: invitationContent,
         source: 'newly_generated',
+        validation,
         warning: 'database_save_failed',
         referenceId: traceId
       });
     }
     
-    // Store in cache
-    invitationCache.set(cacheKey, invitationContent);
-    
     logger.info(`Invitation generation complete [${traceId}]`, {
       guestId,
       contentLength: invitationContent.length,
@@ -470,9 +668,15 @@ exports.generateInvitation = async (req, res) => {
     res.status(200).json({
       message: '邀請函已成功生成',
       invitation: invitationContent,
-      source: 'newly_generated'
+      source: 'newly_generated',
+      provider: contentProvider,
+      validation
     });
   } catch (error) {
+    if (error.code === 'AI_BUDGET_EXHAUSTED') {
+      return sendBudgetExhausted(res, error.budget);
+    }
+    
     // 更詳細記錄未預期錯誤
     const errorId = `ERR-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`;
     
@@ -495,150 +699,510 @@ exports.generateInvitation = async (req, res) => {
 };
 
 /**
- * Update Invitation Content
+ * Generate Invitation for a Guest as a Stream
  * 
- * Allows manual editing of a generated invitation.
- * Updates both the database and cache.
+ * Streaming variant of generateInvitation: the response is a stream of
+ * server-sent events, so the user can watch the invitation being written.
+ * - "start": generation has begun
+ * - "delta": { text } the next piece of the AI text
+ * - "done": the same body generateInvitation responds with; its invitation
+ *   is the text that was saved, which may differ from the streamed pieces
+ *   (corrections after validation, length correction, or the built-in
+ *   template if the AI failed)
+ * - "error": { message } generation failed; nothing was saved (errorCode
+ *   "AI_BUDGET_EXHAUSTED" if the wedding's AI budget is spent and blocked)
  * 
- * @route PUT /api/invitations/:guestId
- * @param {string} req.params.guestId - ID of the guest whose invitation to update
- * @param {string} req.body.invitationContent - New invitation content
- * @returns {Object} Success message and updated guest information
+ * The text is saved exactly as generateInvitation saves it (status
+ * "generated", version history, household members and cache). If the
+ * client disconnects, the AI request is aborted and nothing is saved.
+ * Guest lookup and permission errors are returned as JSON before the
+ * stream starts.
+ * 
+ * @route POST /api/invitations/generate/stream
+ * @param {string} req.body.guestId - ID of the guest
+ * @param {string} [req.query.force] - "true" to regenerate an existing invitation
+ * @returns {Stream} text/event-stream
  */
-exports.updateInvitation = async (req, res) => {
+exports.generateInvitationStream = async (req, res) => {
+  const traceId = `STR-${Date.now().toString(36).substring(2, 9)}`;
+  const abortController = new AbortController();
+  
+  const send = (event, data) => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  
   try {
-    const { guestId } = req.params;
-    const { invitationContent, feedbackText } = req.body;
+    const { guestId } = req.body;
+    const forceRegenerate = req.query.force === 'true';
     
-    // Verify guest exists before attempting update
-    const guest = await prisma.guest.findUnique({
-      where: { id: guestId },
-      include: { coupleInfo: true }
+    if (req.query.candidates) {
+      return res.status(400).json({ message: '串流生成不支援 candidates，請改用 POST /api/invitations/generate' });
+    }
+    
+    const guest = await prisma.guest.findFirst({
+      where: { id: guestId, ...accessibleGuestFilter(req.user.userId) },
+      include: { coupleInfo: true, ...inviteeInclude }
     });
     
     if (!guest) {
-      logger.warn('Update invitation failed: guest not found', { guestId });
-      return res.status(404).json({ message: '找不到此賓客' });
+      return res.status(404).json({ message: '找不到此賓客資料' });
     }
     
-    let updatedContent = invitationContent;
+    const access = await getWeddingAccess(req.user.userId, guest.coupleInfoId);
+    if (!can(access, 'invitation:write', guest.side)) {
+      logger.warn(`Invitation generation denied [${traceId}]`, { guestId, userId: req.user.userId, role: access?.role, traceId });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
     
-    // If feedback is provided and AI API is available, regenerate invitation using feedback
-    if (feedbackText && openai && process.env.OPENAI_API_KEY) {
-      try {
-        logger.info('Regenerating invitation with user feedback', { guestId, feedbackLength: feedbackText.length });
-        
-        // Construct a prompt that incorporates the feedback
-        const feedbackPrompt = `
-請幫我根據以下的反饋，重新編寫婚禮邀請函。
-
-原始邀請函:
-${invitationContent}
-
-賓客資料:
-- 姓名: ${guest.name}
-- 與新人關係: ${guest.relationship}
-${guest.preferences ? `- 賓客偏好: ${guest.preferences}` : ''}
-${guest.howMet ? `- 相識方式: ${guest.howMet}` : ''}
-${guest.memories ? `- 共同回憶: ${guest.memories}` : ''}
-
-用戶反饋:
-${feedbackText}
-
-請根據反饋重新製作一封邀請函，著重地融合原邀請函和反饋中提及的內容和要求，而不是附加在末尾。
-保持原邀請函的溫暖、優雅風格。
-重要: 邀請函文字需要較充分的篇幅，控制在300-400個中文字符之間，不要過於精簡。
-在篇幅適中的同時，維持溫暖感和個人化特色，充分表達情感和誠意。
-請直接提供完整邀請函內容，不需要使用markdown格式輸出，不要包含任何其他解釋或前後文，以及電子郵件，以及任何個人機密資訊。
-`;
-
-        // Record request start time for performance monitoring
-        const startTime = Date.now();
-        
-        // Call OpenAI API to regenerate invitation incorporating feedback
-        const response = await openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          messages: [
-            { 
-              role: "system", 
-              content: "Please create a revised wedding invitation based on user feedback. Maintain a warm and elegant tone, aim for 300-400 Chinese characters (not less, not significantly more), and incorporate the user's suggestions into the original text. Focus on emotional depth and personal connection rather than brevity."
-            },
-            { role: "user", content: feedbackPrompt }
-          ],
-          max_tokens: 1024,
-          temperature: 0.7
-        });
-        
-        // Get the regenerated invitation content
-        let newContent = response.choices[0].message.content.trim();
-        
-        // Check and ensure the content is between 300-400 characters
-        if (newContent.length > 400) {
-          logger.warn(`Feedback-generated invitation exceeds maximum length`, {
-            guestId,
-            originalLength: newContent.length,
-            maxLength: 400
-          });
-          
-          // Truncate overly long content while preserving a clear and complete ending
-          newContent = newContent.substring(0, 380) + '...\n\n' + 
-                      `${guest.coupleInfo.groomName} & ${guest.coupleInfo.brideName} 敬上`;
-        } else if (newContent.length < 300) {
-          logger.warn(`Feedback-generated invitation is shorter than minimum length`, {
-            guestId,
-            originalLength: newContent.length,
-            minLength: 300
-          });
-        }
-        
-        updatedContent = newContent;
-        
-        // Record AI request completion time for performance monitoring
-        const aiResponseTime = Date.now() - startTime;
-        logger.info('Invitation regenerated with feedback', { 
-          guestId,
-          responseTime: aiResponseTime,
-          contentLength: updatedContent.length
-        });
-      } catch (error) {
-        // Log error but continue with manual update as fallback
-        logger.error('Error regenerating invitation with AI, using manual update instead', { 
-          error: error.message, 
-          guestId,
-          feedbackText 
-        });
-      }
+    if (!guest.coupleInfo) {
+      return res.status(500).json({
+        message: '賓客關聯資料不完整，無法生成邀請函',
+        errorCode: 'RELATION_DATA_MISSING',
+        referenceId: traceId
+      });
     }
     
-    // Update invitation content in database
-    const updatedGuest = await prisma.guest.update({
-      where: { id: guestId },
-      data: {
-        invitationContent: updatedContent,
-        status: 'edited' // Mark as manually edited for tracking purposes
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    // An existing invitation is returned at once, as generateInvitation does
+    const cacheKey = await getInvitationCacheKey(guest, guest.coupleInfo);
+    const cached = forceRegenerate ? null : await getCachedInvitation(cacheKey);
+    if (cached || (!forceRegenerate && guest.invitationContent)) {
+      send('done', {
+        message: cached ? '已成功取得邀請函' : '已存在邀請函',
+        invitation: cached ? cached.content : guest.invitationContent,
+        source: cached ? 'cache' : 'database'
+      });
+      return res.end();
+    }
+    
+    // The response closes before it has ended only if the client went away
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
       }
     });
     
-    // Update cache to maintain consistency
-    const cacheKey = `invitation_${guestId}`;
-    invitationCache.set(cacheKey, updatedContent);
+    logger.info(`Starting streamed invitation generation [${traceId}]`, { guestId, forceRegenerate, traceId });
+    send('start', { guestId });
     
-    logger.info('Invitation updated', { guestId });
+    const { content, source, provider, validation } = await writeInvitation(guest, traceId, {
+      operation: 'stream',
+      userId: req.user.userId,
+      stream: {
+        signal: abortController.signal,
+        onDelta: (text) => send('delta', { text })
+      }
+    });
     
-    // Return success response with updated guest data
-    res.status(200).json({
-      message: '邀請函已更新',
-      guest: updatedGuest
+    // Also saves the content for the other household members
+    await saveInvitation(guest, content, 'generated', {
+      source,
+      validation: JSON.stringify(validation),
+      createdById: req.user.userId
+    });
+    await cacheInvitation(cacheKey, guest.id, { content, source, provider });
+    
+    logger.info(`Streamed invitation generation complete [${traceId}]`, {
+      guestId,
+      contentLength: content.length,
+      provider,
+      traceId
     });
+    
+    send('done', {
+      message: '邀請函已成功生成',
+      invitation: content,
+      source: 'newly_generated',
+      provider,
+      validation
+    });
+    res.end();
   } catch (error) {
-    // Handle unexpected errors with detailed logging
-    logger.error('Update invitation error', { 
+    if (abortController.signal.aborted) {
+      logger.info(`Streamed invitation generation cancelled by the client [${traceId}]`, {
+        guestId: req.body?.guestId,
+        traceId
+      });
+      return;
+    }
+    
+    if (error.code === 'AI_BUDGET_EXHAUSTED') {
+      send('error', { message: error.message, errorCode: error.code, referenceId: traceId });
+      return res.end();
+    }
+    
+    logger.error(`Streamed invitation generation error [${traceId}]`, {
       error: error.message,
       stack: error.stack,
-      guestId: req.params.guestId
+      guestId: req.body?.guestId,
+      traceId
     });
     
-    // Return error response with limited details in production
+    if (res.headersSent) {
+      send('error', { message: '生成邀請函時發生錯誤', referenceId: traceId });
+      return res.end();
+    }
+    
+    res.status(500).json({
+      message: '生成邀請函時發生錯誤',
+      referenceId: traceId,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Generate Invitations in Batch
+ * 
+ * Starts a background job that generates the invitations of many guests
+ * of a wedding: the given guests, the guests matching the guest list
+ * filters, or every guest. Guests who already have an invitation are left
+ * out unless force is set. A household shares one invitation, so only one
+ * member of each household is processed. Family helpers only generate the
+ * invitations of their own side.
+ * 
+ * The job runs a few guests at a time and is resumed if the server
+ * restarts; follow it with GET /api/jobs/:id or its event stream.
+ * A wedding can only have one batch generation running at a time.
+ * 
+ * @route POST /api/invitations/generate-batch
+ * @param {string} req.body.coupleInfoId - ID of the wedding
+ * @param {string[]} [req.body.guestIds] - Only these guests
+ * @param {Object} [req.body.filter] - status, relationship, side, tag, rsvp and q, as in the guest list
+ * @param {boolean} [req.body.force=false] - Also regenerate existing invitations
+ * @returns {Object} { message, job } with status 202
+ */
+exports.generateInvitationsBatch = async (req, res) => {
+  try {
+    const { coupleInfoId, guestIds, filter = {}, force = false } = req.body;
+    
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+    
+    if (!access) {
+      logger.warn('Batch generation failed: couple not found', { coupleInfoId, userId: req.user.userId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+    
+    if (!SIDES.some(side => can(access, 'invitation:write', side))) {
+      logger.warn('Batch generation denied', { coupleInfoId, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    const activeJob = await findActiveBatchJob(coupleInfoId);
+    
+    if (activeJob) {
+      return res.status(409).json({ message: '此婚禮已有進行中的批次生成', jobId: activeJob.id });
+    }
+    
+    const guests = await prisma.guest.findMany({
+      where: {
+        AND: [
+          buildGuestListFilter(req.user.userId, { ...filter, coupleInfoId }),
+          ...(guestIds ? [{ id: { in: guestIds } }] : []),
+          ...(force ? [] : [{ invitationContent: null }])
+        ]
+      },
+      select: { id: true, side: true, householdId: true },
+      orderBy: { createdAt: 'asc' }
+    });
+    
+    const job = await queueBatchJob(coupleInfoId, guests, access, req.user.userId, force);
+    
+    if (!job) {
+      return res.status(400).json({ message: '沒有需要生成邀請函的賓客' });
+    }
+    
+    res.status(202).json({ message: '已開始批次生成邀請函', job });
+  } catch (error) {
+    logger.error('Batch invitation generation error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.body?.coupleInfoId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List Stale Invitations
+ * 
+ * Lists the invitations of a wedding that were written from details that
+ * changed since, e.g. after the wedding moved to another date or venue,
+ * with the changed details. Sent invitations are included: their guests
+ * received the old details.
+ * 
+ * @route GET /api/invitations/stale
+ * @param {string} req.query.coupleInfoId - ID of the wedding
+ * @returns {Object} { count, invitations: [{ guestId, name, email, side, status, householdId, changes }] }
+ */
+exports.getStaleInvitations = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+    
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+    
+    if (!access) {
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+    
+    const stale = await findStaleInvitations(access.couple);
+    
+    res.status(200).json({
+      count: stale.length,
+      invitations: stale.map(({ guest, changes }) => ({
+        guestId: guest.id,
+        name: guest.name,
+        email: guest.email,
+        side: guest.side,
+        status: guest.status,
+        householdId: guest.householdId,
+        changes
+      }))
+    });
+  } catch (error) {
+    logger.error('List stale invitations error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Regenerate Stale Invitations
+ * 
+ * Starts a batch generation job that rewrites a wedding's stale
+ * invitations from the current details, replacing manual edits too (they
+ * stay in the version history). Regenerated invitations are "generated"
+ * again, so sending the wedding's invitations delivers the corrected text
+ * to guests who received the old one.
+ * 
+ * @route POST /api/invitations/stale/regenerate
+ * @param {string} req.body.coupleInfoId - ID of the wedding
+ * @param {string[]} [req.body.guestIds] - Only these of the stale invitations
+ * @returns {Object} { message, job } with status 202
+ */
+exports.regenerateStaleInvitations = async (req, res) => {
+  try {
+    const { coupleInfoId, guestIds } = req.body;
+    
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+    
+    if (!access) {
+      logger.warn('Stale regeneration failed: couple not found', { coupleInfoId, userId: req.user.userId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+    
+    if (!SIDES.some(side => can(access, 'invitation:write', side))) {
+      logger.warn('Stale regeneration denied', { coupleInfoId, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    const activeJob = await findActiveBatchJob(coupleInfoId);
+    
+    if (activeJob) {
+      return res.status(409).json({ message: '此婚禮已有進行中的批次生成', jobId: activeJob.id });
+    }
+    
+    const stale = (await findStaleInvitations(access.couple))
+      .map(({ guest }) => guest)
+      .filter(guest => !guestIds || guestIds.includes(guest.id));
+    
+    const job = await queueBatchJob(coupleInfoId, stale, access, req.user.userId, true);
+    
+    if (!job) {
+      return res.status(400).json({ message: '沒有需要更新的邀請函' });
+    }
+    
+    res.status(202).json({ message: '已開始重新生成過期的邀請函', job });
+  } catch (error) {
+    logger.error('Stale invitation regeneration error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.body?.coupleInfoId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update Invitation Content
+ * 
+ * Allows manual editing of a generated invitation.
+ * Updates the database and drops the cached generated invitation.
+ * For a guest in a household the change applies to every member,
+ * since the household shares one invitation.
+ * The new text is added to the version history as "feedback" when it was
+ * rewritten from feedback, otherwise as "manual". Once the wedding's AI
+ * budget is spent, feedback is refused (402) or the text is saved as a
+ * manual edit, depending on the budget's action.
+ * The text may use merge fields such as {{guest.name}}; a text with an
+ * unknown field or an unclosed {{#if}} block is refused (400).
+ * 
+ * @route PUT /api/invitations/:guestId
+ * @param {string} req.params.guestId - ID of the guest whose invitation to update
+ * @param {string} req.body.invitationContent - New invitation content
+ * @param {string} [req.body.feedbackText] - Feedback to rewrite the invitation from with AI
+ * @returns {Object} Success message and updated guest information
+ */
+exports.updateInvitation = async (req, res) => {
+  try {
+    const { guestId } = req.params;
+    const { invitationContent, feedbackText } = req.body;
+    
+    // Verify guest exists (in one of the user's weddings) before attempting update
+    const guest = await prisma.guest.findFirst({
+      where: { id: guestId, ...accessibleGuestFilter(req.user.userId) },
+      include: { coupleInfo: true, tags: guestTagsInclude }
+    });
+    
+    if (!guest) {
+      logger.warn('Update invitation failed: guest not found', { guestId });
+      return res.status(404).json({ message: '找不到此賓客' });
+    }
+    
+    const access = await getWeddingAccess(req.user.userId, guest.coupleInfoId);
+    if (!can(access, 'invitation:write', guest.side)) {
+      logger.warn('Update invitation denied', { guestId, userId: req.user.userId, role: access?.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    const problems = checkInvitationContent(invitationContent);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: '邀請函內容格式不正確', errors: problems });
+    }
+    
+    let updatedContent = invitationContent;
+    let rewrittenFromFeedback = false;
+    let feedbackValidation = null;
+    
+    // A spent budget blocks the rewrite, or saves the text as a manual edit
+    const budget = feedbackText && hasAiProvider() && hasAiBudget(guest.coupleInfo)
+      ? await getAiBudgetStatus(guest.coupleInfo)
+      : null;
+    if (budget?.exhausted && budget.action === 'block') {
+      logger.warn('Feedback rewrite refused, AI budget exhausted', { guestId, coupleInfoId: guest.coupleInfoId });
+      return sendBudgetExhausted(res, budget);
+    }
+    
+    // If feedback is provided and AI API is available, regenerate invitation using feedback
+    if (feedbackText && hasAiProvider() && !budget?.exhausted) {
+      try {
+        logger.info('Regenerating invitation with user feedback', { guestId, feedbackLength: feedbackText.length });
+        
+        // Render the feedback prompts from the prompt templates
+        const prompts = await renderInvitationPrompts('feedback', guest, guest.coupleInfo, {
+          text: feedbackText,
+          original: invitationContent
+        });
+        const { length } = prompts;
+        
+        // Record request start time for performance monitoring
+        const startTime = Date.now();
+        
+        // Ask the AI providers to regenerate the invitation incorporating feedback,
+        // sending it back for corrections if it breaks the prompt's rules
+        const { completion, validation } = await completeValidatedInvitation([
+          { role: "system", content: prompts.system },
+          { role: "user", content: prompts.user }
+        ], guest.coupleInfo, {
+          maxTokens: 1024,
+          operationId: `FB-${Date.now().toString(36).substring(2, 9)}`,
+          usage: { operation: 'feedback', coupleInfoId: guest.coupleInfoId, guestId, userId: req.user.userId }
+        });
+        
+        // Get the regenerated invitation content
+        let newContent = completion.content;
+        feedbackValidation = validation;
+        
+        // Check and ensure the content is within the wedding's length range
+        if (countChineseCharacters(newContent) > length.max) {
+          logger.warn(`Feedback-generated invitation exceeds maximum length`, {
+            guestId,
+            originalLength: countChineseCharacters(newContent),
+            maxLength: length.max
+          });
+          
+          // Truncate overly long content while preserving a clear and complete ending
+          newContent = newContent.substring(0, length.max - 20) + '...\n\n' + 
+                      `${guest.coupleInfo.groomName} & ${guest.coupleInfo.brideName} 敬上`;
+          feedbackValidation = { ...validateInvitation(newContent, guest.coupleInfo), attempts: validation.attempts };
+        } else if (countChineseCharacters(newContent) < length.min) {
+          logger.warn(`Feedback-generated invitation is shorter than minimum length`, {
+            guestId,
+            originalLength: countChineseCharacters(newContent),
+            minLength: length.min
+          });
+        }
+        
+        updatedContent = newContent;
+        rewrittenFromFeedback = true;
+        
+        // Record AI request completion time for performance monitoring
+        const aiResponseTime = Date.now() - startTime;
+        logger.info('Invitation regenerated with feedback', { 
+          guestId,
+          responseTime: aiResponseTime,
+          contentLength: updatedContent.length,
+          provider: completion.provider
+        });
+      } catch (error) {
+        // Log error but continue with manual update as fallback
+        logger.error('Error regenerating invitation with AI, using manual update instead', { 
+          error: error.message, 
+          guestId,
+          feedbackText 
+        });
+      }
+    }
+    
+    // Update invitation content in database (dropping the cached one), marked as manually edited
+    // (the shared invitation of a household stays identical for all members)
+    const { guest: updatedGuest } = await saveInvitation(guest, updatedContent, 'edited', {
+      source: rewrittenFromFeedback ? 'feedback' : 'manual',
+      feedbackText: rewrittenFromFeedback ? feedbackText : null,
+      validation: rewrittenFromFeedback ? JSON.stringify(feedbackValidation) : null,
+      createdById: req.user.userId
+    });
+    
+    logger.info('Invitation updated', { guestId, source: rewrittenFromFeedback ? 'feedback' : 'manual' });
+    
+    // Return success response with updated guest data
+    res.status(200).json({
+      message: '邀請函已更新',
+      guest: updatedGuest
+    });
+  } catch (error) {
+    // Handle unexpected errors with detailed logging
+    logger.error('Update invitation error', { 
+      error: error.message,
+      stack: error.stack,
+      guestId: req.params.guestId
+    });
+    
+    // Return error response with limited details in production
     res.status(500).json({ 
       message: '伺服器錯誤', 
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -646,34 +1210,737 @@ ${feedbackText}
   }
 };
 
+/**
+ * Apply Invitation to Guests
+ * 
+ * Saves one invitation text for several guests of a wedding, e.g. a text
+ * with merge fields such as {{guest.name}} that are filled in for each
+ * guest when it is shown or sent. Every guest gets the text as a manual
+ * edit in their version history; as always, the other members of a
+ * guest's household get it too.
+ * 
+ * @route POST /api/invitations/apply
+ * @param {string} req.body.coupleInfoId - ID of the wedding
+ * @param {string[]} req.body.guestIds - Guests of the wedding to apply the text to
+ * @param {string} req.body.invitationContent - Invitation text
+ * @returns {Object} { message, updated: number of guests whose invitation was saved }
+ */
+exports.applyInvitation = async (req, res) => {
+  try {
+    const { coupleInfoId, guestIds, invitationContent } = req.body;
+    
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+    
+    if (!access) {
+      logger.warn('Apply invitation failed: couple not found', { coupleInfoId, userId: req.user.userId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+    
+    const guests = await prisma.guest.findMany({
+      where: { id: { in: guestIds }, coupleInfoId },
+      select: { id: true, side: true, householdId: true },
+      orderBy: { createdAt: 'asc' }
+    });
+    
+    if (guests.length !== new Set(guestIds).size) {
+      return res.status(400).json({ message: '部分賓客不屬於此婚禮' });
+    }
+    if (!guests.every(guest => can(access, 'invitation:write', guest.side))) {
+      logger.warn('Apply invitation denied', { coupleInfoId, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    const problems = checkInvitationContent(invitationContent);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: '邀請函內容格式不正確', errors: problems });
+    }
+    
+    // saveInvitation covers the whole household, so one member stands for it
+    const households = new Set();
+    const selected = guests.filter(guest => {
+      if (!guest.householdId) {
+        return true;
+      }
+      if (households.has(guest.householdId)) {
+        return false;
+      }
+      households.add(guest.householdId);
+      return true;
+    });
+    
+    for (const guest of selected) {
+      await saveInvitation(guest, invitationContent, 'edited', {
+        source: 'manual',
+        createdById: req.user.userId
+      });
+    }
+    
+    const updated = await prisma.guest.count({
+      where: {
+        coupleInfoId,
+        OR: [{ id: { in: guestIds } }, { householdId: { in: [...households] } }]
+      }
+    });
+    
+    logger.info('Invitation applied to guests', { coupleInfoId, updated, userId: req.user.userId });
+    
+    res.status(200).json({ message: `已將邀請函套用至 ${updated} 位賓客`, updated });
+  } catch (error) {
+    logger.error('Apply invitation error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.body?.coupleInfoId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Find Guest for Invitation History
+ * 
+ * Loads a guest from one of the user's weddings.
+ * 
+ * @param {string} guestId - ID of the guest
+ * @param {string} userId - ID of the requesting user
+ * @returns {Promise<Object|null>} The guest, or null if not found or not accessible
+ */
+const findGuestForHistory = (guestId, userId) => prisma.guest.findFirst({
+  where: { id: guestId, ...accessibleGuestFilter(userId) },
+  select: { id: true, name: true, side: true, householdId: true, coupleInfoId: true, invitationContent: true }
+});
+
+/**
+ * Get Invitation Versions
+ * 
+ * Lists every generated or edited version of a guest's invitation,
+ * newest first. The first version is the current invitation text.
+ * 
+ * @route GET /api/invitations/:guestId/versions
+ * @param {string} req.params.guestId - ID of the guest
+ * @returns {Object} { guestId, currentVersionId, versions }
+ */
+exports.getInvitationVersions = async (req, res) => {
+  try {
+    const { guestId } = req.params;
+    
+    const guest = await findGuestForHistory(guestId, req.user.userId);
+    
+    if (!guest) {
+      return res.status(404).json({ message: '找不到此賓客' });
+    }
+    
+    const versions = await prisma.invitationVersion.findMany({
+      where: { guestId },
+      select: versionSelect,
+      orderBy: { sequence: 'desc' }
+    });
+    
+    res.status(200).json({
+      guestId,
+      currentVersionId: versions[0]?.id || null,
+      versions: versions.map(toVersionResponse)
+    });
+  } catch (error) {
+    logger.error('Get invitation versions error', {
+      error: error.message,
+      stack: error.stack,
+      guestId: req.params.guestId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Diff Invitation Versions
+ * 
+ * Compares two versions of a guest's invitation. Without "to" the
+ * earlier version is compared with the current one.
+ * 
+ * @route GET /api/invitations/:guestId/versions/diff
+ * @param {string} req.params.guestId - ID of the guest
+ * @param {string} req.query.from - ID of the earlier version
+ * @param {string} [req.query.to] - ID of the later version (defaults to the current version)
+ * @param {string} [req.query.unit=line] - Compare by "line" or by "char"
+ * @returns {Object} { from, to, unit, changes, added, removed }
+ */
+exports.diffInvitationVersions = async (req, res) => {
+  try {
+    const { guestId } = req.params;
+    const unit = req.query.unit || 'line';
+    
+    const guest = await findGuestForHistory(guestId, req.user.userId);
+    
+    if (!guest) {
+      return res.status(404).json({ message: '找不到此賓客' });
+    }
+    
+    const from = await prisma.invitationVersion.findFirst({
+      where: { id: req.query.from, guestId },
+      select: versionSelect
+    });
+    const to = await prisma.invitationVersion.findFirst({
+      where: req.query.to ? { id: req.query.to, guestId } : { guestId },
+      select: versionSelect,
+      orderBy: { sequence: 'desc' }
+    });
+    
+    if (!from || !to) {
+      return res.status(404).json({ message: '找不到此邀請函版本' });
+    }
+    
+    const { changes, added, removed } = diffText(from.content, to.content, unit);
+    
+    res.status(200).json({ from, to, unit, changes, added, removed });
+  } catch (error) {
+    logger.error('Diff invitation versions error', {
+      error: error.message,
+      stack: error.stack,
+      guestId: req.params.guestId,
+      query: req.query
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revert Invitation
+ * 
+ * Restores the text of an earlier version. The restored text is recorded
+ * as a new "revert" version, so the history is never rewritten and the
+ * revert itself can be undone. The guest's status becomes "edited".
+ * For a guest in a household the text is restored for every member.
+ * 
+ * @route POST /api/invitations/:guestId/revert/:versionId
+ * @param {string} req.params.guestId - ID of the guest
+ * @param {string} req.params.versionId - ID of the version to restore
+ * @returns {Object} Success message, updated guest and the new version
+ */
+exports.revertInvitation = async (req, res) => {
+  try {
+    const { guestId, versionId } = req.params;
+    
+    const guest = await findGuestForHistory(guestId, req.user.userId);
+    
+    if (!guest) {
+      return res.status(404).json({ message: '找不到此賓客' });
+    }
+    
+    const access = await getWeddingAccess(req.user.userId, guest.coupleInfoId);
+    if (!can(access, 'invitation:write', guest.side)) {
+      logger.warn('Revert invitation denied', { guestId, userId: req.user.userId, role: access?.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    const target = await prisma.invitationVersion.findFirst({
+      where: { id: versionId, guestId }
+    });
+    
+    if (!target) {
+      return res.status(404).json({ message: '找不到此邀請函版本' });
+    }
+    
+    const { guest: updatedGuest, version } = await saveInvitation(guest, target.content, 'edited', {
+      source: 'revert',
+      // The restored text is unchanged, so its validation results still apply
+      validation: target.validation,
+      revertedFromId: target.id,
+      createdById: req.user.userId
+    });
+    
+    logger.info('Invitation reverted', { guestId, versionId });
+    
+    res.status(200).json({
+      message: '邀請函已還原',
+      guest: updatedGuest,
+      version
+    });
+  } catch (error) {
+    logger.error('Revert invitation error', {
+      error: error.message,
+      stack: error.stack,
+      guestId: req.params.guestId,
+      versionId: req.params.versionId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get Invitation Drafts
+ * 
+ * Lists the candidate drafts generated for a guest, newest first; the
+ * draft that was selected has selectedAt set.
+ * 
+ * @route GET /api/invitations/:guestId/drafts
+ * @param {string} req.params.guestId - ID of the guest
+ * @returns {Object} { guestId, drafts }
+ */
+exports.getInvitationDrafts = async (req, res) => {
+  try {
+    const { guestId } = req.params;
+    
+    const guest = await findGuestForHistory(guestId, req.user.userId);
+    
+    if (!guest) {
+      return res.status(404).json({ message: '找不到此賓客' });
+    }
+    
+    const drafts = await prisma.invitationDraft.findMany({
+      where: { guestId },
+      select: draftSelect,
+      orderBy: [{ createdAt: 'desc' }, { temperature: 'asc' }]
+    });
+    
+    res.status(200).json({ guestId, drafts: drafts.map(toDraftResponse) });
+  } catch (error) {
+    logger.error('Get invitation drafts error', {
+      error: error.message,
+      stack: error.stack,
+      guestId: req.params.guestId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Select Invitation Draft
+ * 
+ * Makes a candidate draft the guest's invitation. The text is saved like a
+ * generated invitation (status "generated", an "ai" version with the
+ * draft's validation results, shared with the household) and the draft is
+ * marked as selected. A draft can be selected again later.
+ * 
+ * @route POST /api/invitations/:guestId/drafts/:draftId/select
+ * @param {string} req.params.guestId - ID of the guest
+ * @param {string} req.params.draftId - ID of the draft
+ * @returns {Object} Success message, updated guest, the new version and the draft
+ */
+exports.selectInvitationDraft = async (req, res) => {
+  try {
+    const { guestId, draftId } = req.params;
+    
+    const guest = await findGuestForHistory(guestId, req.user.userId);
+    
+    if (!guest) {
+      return res.status(404).json({ message: '找不到此賓客' });
+    }
+    
+    const access = await getWeddingAccess(req.user.userId, guest.coupleInfoId);
+    if (!can(access, 'invitation:write', guest.side)) {
+      logger.warn('Select invitation draft denied', { guestId, userId: req.user.userId, role: access?.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+    
+    const draft = await prisma.invitationDraft.findFirst({
+      where: { id: draftId, guestId }
+    });
+    
+    if (!draft) {
+      return res.status(404).json({ message: '找不到此候選邀請函' });
+    }
+    
+    const { guest: updatedGuest, version } = await saveInvitation(guest, draft.content, 'generated', {
+      source: 'ai',
+      validation: draft.validation,
+      createdById: req.user.userId
+    });
+    
+    const selected = await prisma.invitationDraft.update({
+      where: { id: draftId },
+      data: { selectedAt: new Date() },
+      select: draftSelect
+    });
+    
+    logger.info('Invitation draft selected', { guestId, draftId });
+    
+    res.status(200).json({
+      message: '已選用此候選邀請函',
+      guest: updatedGuest,
+      version,
+      draft: toDraftResponse(selected)
+    });
+  } catch (error) {
+    logger.error('Select invitation draft error', {
+      error: error.message,
+      stack: error.stack,
+      guestId: req.params.guestId,
+      draftId: req.params.draftId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Preview Invitation
+ * 
+ * Shows a guest's invitation text as the guest sees it in the email and
+ * on the RSVP page, with its merge fields filled in.
+ * 
+ * @route GET /api/invitations/:guestId/preview
+ * @param {string} req.params.guestId - ID of the guest
+ * @returns {Object} { content: stored text, rendered: text as sent, fields: merge fields texts may use }
+ */
+exports.previewInvitation = async (req, res) => {
+  try {
+    const { guestId } = req.params;
+    
+    const guest = await prisma.guest.findFirst({
+      where: { id: guestId, ...accessibleGuestFilter(req.user.userId) },
+      include: { coupleInfo: true, household: true }
+    });
+    
+    if (!guest) {
+      return res.status(404).json({ message: '找不到此賓客' });
+    }
+    
+    res.status(200).json({
+      content: guest.invitationContent,
+      rendered: renderInvitationContent(guest.invitationContent, guest, guest.coupleInfo),
+      fields: MERGE_FIELDS
+    });
+  } catch (error) {
+    logger.error('Preview invitation error', {
+      error: error.message,
+      stack: error.stack,
+      guestId: req.params.guestId
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Preview Invitation Prompt
+ * 
+ * Shows the prompts that would be sent to the AI service for a guest,
+ * rendered from the prompt templates in use with the wedding's tone
+ * preset, target length and extra instructions. Nothing is generated.
+ * 
+ * @route GET /api/invitations/:guestId/prompt
+ * @param {string} req.params.guestId - ID of the guest
+ * @param {string} [req.query.kind=invitation] - "invitation" or "feedback"
+ * @param {string} [req.query.feedbackText] - Feedback to preview the feedback prompt with
+ * @returns {Object} { kind, tone, length, templates, messages }
+ */
+exports.previewInvitationPrompt = async (req, res) => {
+  try {
+    const { guestId } = req.params;
+    const kind = req.query.kind || 'invitation';
+    
+    const guest = await prisma.guest.findFirst({
+      where: { id: guestId, ...accessibleGuestFilter(req.user.userId) },
+      include: { coupleInfo: true, ...inviteeInclude }
+    });
+    
+    if (!guest) {
+      return res.status(404).json({ message: '找不到此賓客' });
+    }
+    
+    const feedback = kind === 'feedback'
+      ? { text: req.query.feedbackText || '', original: guest.invitationContent || '' }
+      : undefined;
+    const prompts = await renderInvitationPrompts(kind, guest, guest.coupleInfo, feedback);
+    
+    res.status(200).json({
+      kind,
+      tone: prompts.tone,
+      length: prompts.length,
+      templates: prompts.templates,
+      messages: [
+        { role: 'system', content: prompts.system },
+        { role: 'user', content: prompts.user }
+      ]
+    });
+  } catch (error) {
+    logger.error('Preview invitation prompt error', {
+      error: error.message,
+      stack: error.stack,
+      guestId: req.params.guestId,
+      query: req.query
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get Invitation Cache Statistics
+ * 
+ * Reports on the cache of generated invitations (admins only): stored
+ * entries, expired entries, hits recorded on the entries and the lookups
+ * since the server started.
+ * 
+ * @route GET /api/invitations/cache/stats
+ * @returns {Object} { ttlHours, entries, expired, storedHits, memory, lookups }
+ */
+exports.getInvitationCacheStats = async (req, res) => {
+  try {
+    res.status(200).json(await getInvitationCacheStats());
+  } catch (error) {
+    logger.error('Get invitation cache stats error', {
+      error: error.message,
+      stack: error.stack
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Purge Invitation Cache
+ * 
+ * Deletes cached invitations (admins only); the guests' saved invitations
+ * are not affected. Without options the whole cache is emptied.
+ * 
+ * @route DELETE /api/invitations/cache
+ * @param {string} [req.query.expiredOnly] - "true" to delete only expired entries
+ * @param {string} [req.query.coupleInfoId] - Only delete the entries of this wedding's guests
+ * @returns {Object} { message, deleted }
+ */
+exports.purgeInvitationCache = async (req, res) => {
+  try {
+    const expiredOnly = req.query.expiredOnly === 'true';
+    const { coupleInfoId } = req.query;
+    
+    const deleted = await purgeInvitationCache({ expiredOnly, coupleInfoId });
+    
+    logger.info('Invitation cache purged', { deleted, expiredOnly, coupleInfoId, userId: req.user.userId });
+    
+    res.status(200).json({ message: `已清除 ${deleted} 筆快取的邀請函`, deleted });
+  } catch (error) {
+    logger.error('Purge invitation cache error', {
+      error: error.message,
+      stack: error.stack,
+      query: req.query
+    });
+    
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Generate Invitation Drafts
+ * 
+ * Writes candidate invitations for a guest with the AI providers, each at
+ * its own temperature, and stores them as unselected drafts. Candidates
+ * the AI fails to write are left out; the offline templates are not used.
+ * 
+ * @param {Object} guest - Guest with coupleInfo and the inviteeInclude relations
+ * @param {number} count - Number of candidates (at most CANDIDATE_TEMPERATURES.length)
+ * @param {string} userId - ID of the user generating them
+ * @param {string} traceId - Trace ID for the logs
+ * @returns {Promise<Object>} { drafts, failed: number of candidates that could not be written }
+ */
+async function generateInvitationDrafts(guest, count, userId, traceId) {
+  const temperatures = CANDIDATE_TEMPERATURES.slice(0, count);
+  const outcomes = await Promise.allSettled(temperatures.map(temperature =>
+    generateInvitationWithAI(guest, guest.coupleInfo, { operation: 'candidate', userId, temperature })
+  ));
+  
+  const written = [];
+  outcomes.forEach((outcome, index) => {
+    if (outcome.status === 'fulfilled') {
+      written.push({ ...outcome.value, temperature: temperatures[index] });
+    } else {
+      logger.warn(`Candidate invitation failed [${traceId}]`, {
+        guestId: guest.id,
+        temperature: temperatures[index],
+        error: outcome.reason.message,
+        traceId
+      });
+    }
+  });
+  
+  const drafts = await prisma.$transaction(written.map(candidate => prisma.invitationDraft.create({
+    data: {
+      guestId: guest.id,
+      content: candidate.content,
+      provider: candidate.provider,
+      temperature: candidate.temperature,
+      validation: JSON.stringify(candidate.validation),
+      createdById: userId
+    },
+    select: draftSelect
+  })));
+  
+  logger.info(`Candidate invitations generated [${traceId}]`, {
+    guestId: guest.id,
+    requested: count,
+    generated: drafts.length,
+    traceId
+  });
+  
+  return { drafts: drafts.map(toDraftResponse), failed: outcomes.length - drafts.length };
+}
+
+/**
+ * Write Invitation Content
+ * 
+ * Writes the invitation text of a guest with the AI providers, falling
+ * back to the offline templates when none is available or every one fails.
+ * Once the wedding's AI budget is spent the templates are used right away,
+ * or the generation is refused if the budget's action is "block".
+ * 
+ * @param {Object} guest - Guest with coupleInfo and the inviteeInclude relations
+ * @param {string} traceId - Trace ID for the logs
+ * @param {Object} options - Options of the generation
+ * @param {string} options.operation - Operation the AI usage is recorded under ("generate", "stream" or "batch")
+ * @param {string} [options.userId] - User the AI usage is recorded for
+ * @param {Object} [options.stream] - { onDelta, signal } to stream the AI text as it is written
+ * @returns {Promise<Object>} { content, source: "ai" or "mock", provider: provider name or "mock",
+ *                            validation: { passed, attempts, results } }
+ * @throws {Error} If the stream was aborted (nothing is written then), or the budget is
+ *                 spent and blocked (code "AI_BUDGET_EXHAUSTED")
+ */
+async function writeInvitation(guest, traceId, { operation, userId, stream }) {
+  // Weddings without a limit need not add up their spending first
+  const budget = hasAiProvider() && hasAiBudget(guest.coupleInfo) ? await getAiBudgetStatus(guest.coupleInfo) : null;
+  if (budget?.exhausted) {
+    logger.warn(`AI budget exhausted [${traceId}]`, {
+      coupleInfoId: guest.coupleInfoId,
+      budget: budget.budget,
+      spent: budget.spent,
+      action: budget.action,
+      traceId
+    });
+    if (budget.action === 'block') {
+      throw aiBudgetExhaustedError(budget);
+    }
+    return await writeMockInvitation(guest, traceId);
+  }
+  
+  try {
+    // Log the attempt to generate content using AI
+    logger.info(`Attempting to generate invitation with AI [${traceId}]`, {
+      guestName: guest.name,
+      relationship: guest.relationship,
+      traceId
+    });
+    
+    const generated = await generateInvitationWithAI(guest, guest.coupleInfo, { operation, userId, stream });
+    
+    logger.info(`AI generation successful [${traceId}]`, {
+      guestId: guest.id,
+      contentLength: generated.content.length,
+      provider: generated.provider,
+      traceId
+    });
+    
+    return { content: generated.content, source: 'ai', provider: generated.provider, validation: generated.validation };
+  } catch (aiError) {
+    // The client has gone, so there is no one to write the invitation for
+    if (stream?.signal?.aborted) {
+      throw aiError;
+    }
+    
+    // Log AI generation failure
+    logger.error(`AI invitation generation failed [${traceId}]`, {
+      error: aiError.message,
+      stack: aiError.stack,
+      guestId: guest.id,
+      traceId
+    });
+    
+    // Fall back to mock content
+    return await writeMockInvitation(guest, traceId);
+  }
+}
+
+/**
+ * Write Mock Invitation Content
+ * 
+ * Writes the invitation text of a guest from the offline template
+ * selected for them (utils/invitationTemplates.js).
+ * 
+ * @param {Object} guest - Guest with coupleInfo and the inviteeInclude relations
+ * @param {string} traceId - Trace ID for the logs
+ * @returns {Promise<Object>} { content, source: "mock", provider: "mock", validation }
+ */
+async function writeMockInvitation(guest, traceId) {
+  const { content, template } = await writeTemplateInvitation(guest, guest.coupleInfo);
+  
+  logger.info(`Fallback to mock content [${traceId}]`, {
+    guestId: guest.id,
+    contentLength: content.length,
+    templateId: template.id,
+    builtinTemplate: template.builtin,
+    traceId
+  });
+  
+  // Recorded like an AI text, though the template is never sent back for corrections
+  return { content, source: 'mock', provider: 'mock', validation: { ...validateInvitation(content, guest.coupleInfo), attempts: 0 } };
+}
+
 /**
  * Generate Invitation Content with AI
  * 
  * Creates personalized invitation content using AI services.
- * Implements error handling, retry mechanisms, and performance tracking.
+ * The providers of the chain are tried in turn; see utils/llmClient.js
+ * for the retry and fallback rules. The text is validated and, if it
+ * breaks a rule, sent back for corrections (see utils/invitationCompletion.js).
  * 
  * @param {Object} guest - Guest information with relationship data
  * @param {Object} coupleInfo - Information about the couple
- * @returns {Promise<string>} AI-generated invitation content
- * @throws {Error} If AI generation fails after retries
+ * @param {Object} options - Options of the generation
+ * @param {string} options.operation - Operation the AI usage is recorded under
+ * @param {string} [options.userId] - User the AI usage is recorded for
+ * @param {Object} [options.stream] - { onDelta, signal } to receive the text as it is written
+ * @param {number} [options.temperature] - Sampling temperature instead of the provider's own
+ * @returns {Promise<Object>} { content, provider, model, usage, validation }
+ * @throws {Error} If no provider is configured, every provider failed or the stream was aborted
  */
-async function generateInvitationWithAI(guest, coupleInfo) {
+async function generateInvitationWithAI(guest, coupleInfo, { operation, userId, stream, temperature }) {
   // Log tracing ID for this particular AI generation call
   const operationId = `AI-${Date.now().toString(36).substring(2, 7)}`;
   
   logger.debug(`Starting AI invitation generation [${operationId}]`, {
     operationId,
     guestName: guest.name,
-    relationship: guest.relationship,
-    service: 'gpt-4o-mini'
+    relationship: guest.relationship
   });
   
   // Record request start time for performance monitoring
   const startTime = Date.now();
   
-  // Check if API client is available
-  if (!openai || !process.env.OPENAI_API_KEY && !process.env.DEEPSEEK_API_KEY) {
-    logger.warn(`OpenAI API not configured [${operationId}]`);
+  // Check if any AI provider is available
+  if (!hasAiProvider()) {
+    logger.warn(`No AI provider configured [${operationId}]`);
     throw new Error('AI service not configured');
   }
   
@@ -705,143 +1972,54 @@ async function generateInvitationWithAI(guest, coupleInfo) {
     throw error;
   }
   
-  // Create system prompt with detailed instructions
-  const systemPrompt = 
-    "You are a professional writer specializing in personalized wedding invitations. " +
-    "Create a heartfelt wedding invitation that deeply reflects the unique relationship between the couple and their guest. " +
-    "The invitation must be highly personalized based on the specific relationship and shared memories provided. " +
-    "IMPORTANT RULES: " +
-    "1. Create a substantial invitation between 300-400 Chinese characters. DO NOT be overly concise. " +
-    "2. Focus on emotional depth and personal connection rather than brevity. " +
-    "3. ALWAYS incorporate specific personal details provided about the guest (memories, how they met, preferences). " +
-    "4. Create a warm, elegant tone appropriate for a wedding. " +
-    "5. Include essential wedding details (date, time, location) in a detailed format. " +
-    "6. Format with proper paragraph breaks for readability. " +
-    "7. Sign with the couple's names at the end." +
-    "8. Do not include the guest's email address in the invitation." +
-    "9. Do not use markdown format in the invitation.";
-
-  // Create user prompt with specific guest and couple details
-  const userPrompt = `
-請為以下賓客創作一封個人化的婚禮邀請函:
-
-賓客資料:
-- 姓名: ${guest.name}
-- 與新人關係: ${guest.relationship}
-- 相識方式: ${guest.howMet || '未提供'}
-- 共同回憶: ${guest.memories || '未提供'}
-- 個人喜好: ${guest.preferences || '未提供'}
-
-婚禮資訊:
-- 新郎: ${coupleInfo.groomName}
-- 新娘: ${coupleInfo.brideName}
-- 婚禮日期: ${coupleInfo.weddingDate.toISOString().split('T')[0]}
-- 婚禮時間: ${coupleInfo.weddingTime}
-- 婚禮地點: ${coupleInfo.weddingLocation}
-- 婚禮主題: ${coupleInfo.weddingTheme}
-- 背景故事: ${coupleInfo.backgroundStory || '未提供'}
-
-重要要求:
-1. 必須使用繁體中文
-2. 邀請函需要較充分的篇幅，控制在300-400個中文字符之間，不要過於精簡
-3. 根據賓客資料中的「相識方式」、「共同回憶」和「個人喜好」來個人化邀請函內容
-4. 如果提供了「共同回憶」，一定要巧妙融入邀請函中，並做適當展開
-5. 結尾署名格式為: ${coupleInfo.groomName} & ${coupleInfo.brideName} 敬上
-6. 避免過於制式化的內容，確保邀請函具有獨特性和個人化特色，充分表達情感
-7. 不需要使用markdown格式輸出
-8. 不需要在信件提及電子郵件地址
-`;
+  // Render the system and user prompts from the prompt templates, with the
+  // wedding's tone preset, target length and extra instructions
+  const { system: systemPrompt, user: userPrompt, length } = await renderInvitationPrompts('invitation', guest, coupleInfo);
   
   try {
-    // Define API call function with retry capabilities
-    const generateContent = async () => {
-      try {
-        // Log the start of the API request with full details
-        logger.debug(`Sending request to OpenAI API [${operationId}]`, {
-          operationId,
-          guestId: guest.id,
-          modelName: "gpt-4o-mini",
-          promptLength: userPrompt.length,
-          systemPromptLength: systemPrompt.length,
-          apiKeyFirstChars: process.env.OPENAI_API_KEY ? process.env.OPENAI_API_KEY.substring(0, 7) + '...' : 'not available',
-          timestamp: new Date().toISOString()
-        });
-        
-        const apiRequestStart = Date.now();
-        
-        // Use chat completions API with modern format
-        const response = await openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          messages: [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: userPrompt }
-          ],
-          max_tokens: 1500,
-          temperature: 0.7,
-          // Add request metadata
-          user: operationId
-        });
-        
-        const apiRequestDuration = Date.now() - apiRequestStart;
-        
-        // Log successful API response
-        logger.debug(`OpenAI API response received [${operationId}]`, {
-          operationId,
-          requestDuration: apiRequestDuration,
-          modelUsed: response.model || "gpt-4o-mini",
-          responseId: response.id,
-          tokenUsage: response.usage,
-          timestamp: new Date().toISOString()
-        });
-        
-        // Validate API response format
-        if (!response || !response.choices || !response.choices[0] || !response.choices[0].message) {
-          throw new Error('API response structure invalid');
-        }
-        
-        let content = response.choices[0].message.content.trim();
-        
-        // Check and ensure the content is between 300-400 characters
-        if (content.length > 400) {
-          logger.warn(`Generated invitation exceeds maximum length [${operationId}]`, {
-            operationId,
-            originalLength: content.length,
-            maxLength: 400
-          });
-          
-          // Truncate overly long content while preserving a clear and complete ending
-          content = content.substring(0, 380) + '...\n\n' + 
-                    `${coupleInfo.groomName} & ${coupleInfo.brideName} 敬上`;
-        } else if (content.length < 300) {
-          logger.warn(`Generated invitation is shorter than minimum length [${operationId}]`, {
-            operationId,
-            originalLength: content.length,
-            minLength: 300,
-            contentPreview: content.substring(0, 100) + '...'
-          });
-        }
-        
-        // Return the generated content
-        return content;
-      } catch (error) {
-        // Log detailed error information to help with debugging
-        logger.error(`API call error in generateContent [${operationId}]`, {
-          operationId,
-          errorMessage: error.message,
-          errorCode: error.code,
-          statusCode: error.status,
-          errorType: error.constructor.name,
-          fullError: JSON.stringify(error),
-          timestamp: new Date().toISOString()
-        });
-        
-        // Rethrow for retry mechanism to handle
-        throw error;
-      }
-    };
+    logger.debug(`Sending invitation prompt to the AI providers [${operationId}]`, {
+      operationId,
+      guestId: guest.id,
+      promptLength: userPrompt.length,
+      systemPromptLength: systemPrompt.length
+    });
+    
+    // Tries each provider of the chain in turn, retrying transient failures;
+    // a streamed request passes the text on as the provider writes it
+    const { completion, validation } = await completeValidatedInvitation([
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt }
+    ], coupleInfo, {
+      maxTokens: 1500,
+      operationId,
+      stream,
+      temperature,
+      usage: { operation, coupleInfoId: coupleInfo.id, guestId: guest.id, userId }
+    });
     
-    // Execute with retry mechanism for transient failures
-    const content = await executeWithRetry(generateContent, 3, 1000);
+    let content = completion.content;
+    let finalValidation = validation;
+    
+    // Check and ensure the content is within the wedding's length range
+    if (countChineseCharacters(content) > length.max) {
+      logger.warn(`Generated invitation exceeds maximum length [${operationId}]`, {
+        operationId,
+        originalLength: countChineseCharacters(content),
+        maxLength: length.max
+      });
+      
+      // Truncate overly long content while preserving a clear and complete ending
+      content = content.substring(0, length.max - 20) + '...\n\n' + 
+                `${coupleInfo.groomName} & ${coupleInfo.brideName} 敬上`;
+      finalValidation = { ...validateInvitation(content, coupleInfo), attempts: validation.attempts };
+    } else if (countChineseCharacters(content) < length.min) {
+      logger.warn(`Generated invitation is shorter than minimum length [${operationId}]`, {
+        operationId,
+        originalLength: countChineseCharacters(content),
+        minLength: length.min,
+        contentPreview: content.substring(0, 100) + '...'
+      });
+    }
     
     // Check and log content quality
     if (!content || content.length < 130) {
@@ -853,34 +2031,31 @@ async function generateInvitationWithAI(guest, coupleInfo) {
       });
     }
     
-    // Log the final generated content length
-    logger.info(`Generated invitation length: ${content.length} characters [${operationId}]`);
-    
     // Calculate and log performance metrics
     const duration = Date.now() - startTime;
     logger.info(`AI invitation generation successful [${operationId}]`, {
       operationId,
       durationMs: duration,
       contentLength: content.length,
-      service: 'gpt-4o-mini'
+      provider: completion.provider,
+      model: completion.model,
+      validationPassed: finalValidation.passed,
+      validationAttempts: finalValidation.attempts
     });
     
-    return content;
+    return { ...completion, content, validation: finalValidation };
   } catch (error) {
     // Log detailed error information
     logger.error(`AI invitation generation failed [${operationId}]`, {
       operationId,
       errorMessage: error.message,
-      errorCode: error.code,
-      statusCode: error.status,
+      failedProviders: error.attempts,
       durationMs: Date.now() - startTime,
-      service: 'gpt-4o-mini',
       requestData: {
         guestId: guest.id,
         guestName: guest.name,
         relationship: guest.relationship
       },
-      apiErrorDetails: error.response?.data || 'No API error details available',
       timestamp: new Date().toISOString()
     });
     
@@ -888,124 +2063,4 @@ async function generateInvitationWithAI(guest, coupleInfo) {
     throw new Error(`AI generation failed: ${error.message}`);
   }
 }
-
-/**
- * Generate Mock Invitation Content
- * 
- * Fallback function that creates a template-based invitation
- * when AI generation is unavailable or fails.
- * 
- * @param {Object} guest - Guest information
- * @param {Object} coupleInfo - Information about the couple
- * @returns {string} Template-based invitation content
- */
-function generateMockInvitation(guest, coupleInfo) {
-  // Format wedding date
-  const weddingDate = coupleInfo.weddingDate.toISOString().split('T')[0];
-  
-  // Create personalized greeting based on relationship
-  let greeting;
-  if (guest.relationship.includes('親') || guest.relationship.includes('家人')) {
-    greeting = `親愛的${guest.name}：`;
-  } else if (guest.relationship.includes('朋友')) {
-    greeting = `摯友 ${guest.name}：`;
-  } else if (guest.relationship.includes('老師') || guest.relationship.includes('長輩')) {
-    greeting = `敬愛的${guest.name}：`;
-  } else if (guest.relationship.includes('同事') || guest.relationship.includes('同學')) {
-    greeting = `親愛的${guest.name}：`;
-  } else {
-    greeting = `尊敬的${guest.name}：`;
-  }
-  
-  // Add more personalized content based on relationship and available information
-  let personalizedContent = '';
-  if (guest.howMet) {
-    personalizedContent += `還記得我們在${guest.howMet}相識的日子嗎？那段時光仍然歷歷在目，成為我們生命中珍貴的回憶。`;
-  }
-  
-  if (guest.memories) {
-    personalizedContent += `我們一起經歷的${guest.memories}，那些笑聲和感動，已經成為我們友誼中不可或缺的一部分。這些共同的記憶讓我們的關係更加深厚，也讓我更加期待能在這個特別的日子與您分享我的喜悅。`;
-  }
-  
-  if (guest.preferences) {
-    personalizedContent += `知道您喜愛${guest.preferences}，我們特別在婚禮中安排了相關的元素，希望能讓您在參與我們婚禮的同時也能享受到熟悉的喜好。`;
-  }
-  
-  if (personalizedContent === '') {
-    // If no specific details are available, add generic but warm content
-    if (guest.relationship.includes('親') || guest.relationship.includes('家人')) {
-      personalizedContent = `多年來您給予我們的關愛和支持，一直是我們前進的動力。在這人生的重要時刻，您的祝福對我們格外珍貴。`;
-    } else if (guest.relationship.includes('朋友')) {
-      personalizedContent = `感謝多年來您的友誼和支持，這段珍貴的情誼讓我們的生活更加豐富多彩。很高興能在人生的這個重要時刻與您分享我們的喜悅。`;
-    } else {
-      personalizedContent = `非常感謝您在我們生命中扮演的重要角色，您的存在讓我們的生活更加完整。能在這個特別的日子邀請您出席，是我們莫大的榮幸。`;
-    }
-  }
-  
-  // Wedding details section with more elaborate description
-  const weddingDetails = `婚禮將於${weddingDate}${coupleInfo.weddingTime}在充滿浪漫氛圍的${coupleInfo.weddingLocation}舉行。我們精心準備了以「${coupleInfo.weddingTheme}」為主題的婚禮，融入了我們喜愛的元素，希望能創造一個難忘的時刻。`;
-  
-  // Closing section with sincere invitation
-  const closing = `我們誠摯地邀請您出席這個對我們來說無比重要的典禮，您的蒞臨將為我們的婚禮增添無限光彩。期待在這個充滿愛與祝福的日子裡，能與您一同見證我們人生的新篇章。\n\n懷著感恩與期待的心情`;
-  
-  // Build invitation content from template with expanded sections
-  const invitationContent = `${greeting}\n\n${personalizedContent}\n\n${weddingDetails}\n\n${closing}\n\n${coupleInfo.groomName} & ${coupleInfo.brideName} 敬上`;
-
-  // Log mock content generation
-  logger.info('Generated mock invitation content (backup method)', {
-    guestId: guest.id,
-    guestName: guest.name,
-    relationshipType: guest.relationship,
-    contentLength: invitationContent.length
-  });
-  
-  return invitationContent;
-}
-
-/**
- * Execute Function with Exponential Backoff Retry
- * 
- * Utility function that implements retry logic with exponential backoff.
- * Useful for handling transient failures in external API calls.
- * 
- * @param {Function} fn - Async function to execute
- * @param {number} maxRetries - Maximum number of retry attempts
- * @param {number} baseDelayMs - Base delay in milliseconds between retries
- * @returns {Promise<any>} Result of the function execution
- * @throws {Error} If all retry attempts fail
- */
-async function executeWithRetry(fn, maxRetries = 3, baseDelayMs = 1000) {
-  let lastError;
-  
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      // Execute the function
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      
-      // Don't delay if this was the last attempt
-      if (attempt === maxRetries) {
-        break;
-      }
-      
-      // Calculate exponential backoff delay with jitter
-      const delay = baseDelayMs * Math.pow(2, attempt) + Math.random() * 1000;
-      
-      // Log retry attempt
-      logger.warn(`Retry attempt ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`, {
-        errorMessage: error.message,
-        errorCode: error.code,
-        attempt: attempt + 1,
-        maxRetries,
-        delayMs: Math.round(delay)
-      });
-      
-      // Wait before next retry
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-  
-  // All retries failed
-  throw lastError;
-} 
\ No newline at end of file
+ 
\ No newline at end of file
@@ -0,0 +1,340 @@
+/**
+ * Invitation Template Controller Module
+ *
+ * Handles the offline templates invitations are written from when AI is
+ * not used (see utils/invitationTemplates.js):
+ * - Listing the built-in templates and a wedding's own
+ * - Creating, updating and deleting a wedding's own templates
+ * - Previewing a template for a guest
+ *
+ * A wedding's own templates are preferred over the built-in ones for the
+ * guests they match. Changing them drops the wedding's cached invitations
+ * that were written from templates, so the next generation uses the change.
+ */
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { getWeddingAccess, can, accessibleGuestFilter } = require('../utils/weddingAccess');
+const { guestTagsInclude } = require('../utils/tags');
+const { purgeInvitationCache } = require('../utils/invitationCache');
+const {
+  MATCH_CRITERIA,
+  TEMPLATE_VARIABLES,
+  BUILTIN_TEMPLATES,
+  checkInvitationTemplate,
+  parseStoredTemplate,
+  loadInvitationTemplates,
+  renderInvitationTemplate,
+  writeTemplateInvitation
+} = require('../utils/invitationTemplates');
+
+const prisma = new PrismaClient();
+
+/**
+ * Guest relations the templates use (tags, companions and household)
+ */
+const previewGuestInclude = {
+  coupleInfo: true,
+  companions: { orderBy: { createdAt: 'asc' } },
+  tags: guestTagsInclude,
+  household: {
+    include: {
+      guests: {
+        include: { companions: { orderBy: { createdAt: 'asc' } } },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  }
+};
+
+/**
+ * Loads a wedding's template together with the caller's access to the wedding
+ *
+ * @param {string} id - ID of the template
+ * @param {string} userId - ID of the authenticated user
+ * @returns {Promise<Object|null>} { template, access }, or null if the template does not
+ *                                 exist or the user cannot access its wedding
+ */
+const findTemplateWithAccess = async (id, userId) => {
+  const template = await prisma.invitationTemplate.findUnique({ where: { id } });
+  const access = template && await getWeddingAccess(userId, template.coupleInfoId);
+  return access ? { template, access } : null;
+};
+
+/**
+ * List Invitation Templates
+ *
+ * Retrieves the wedding's own templates and the built-in ones, with the
+ * match criteria and variables templates may use.
+ *
+ * @route GET /api/invitation-templates
+ * @param {string} req.query.coupleInfoId - ID of the wedding
+ * @returns {Object} { templates, criteria, variables }
+ */
+exports.listInvitationTemplates = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    res.status(200).json({
+      templates: await loadInvitationTemplates(coupleInfoId),
+      criteria: MATCH_CRITERIA,
+      variables: TEMPLATE_VARIABLES
+    });
+  } catch (error) {
+    logger.error('List invitation templates error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create Invitation Template
+ *
+ * Adds a template to a wedding (owners and planners). The template is
+ * checked first: only known criteria, tones and variables may be used and
+ * every {{#if}} block must be closed.
+ *
+ * @route POST /api/invitation-templates
+ * @param {string} req.body.coupleInfoId - ID of the wedding
+ * @param {string} req.body.name - Name of the template
+ * @param {string} [req.body.description] - When the template is used
+ * @param {Object} [req.body.match] - { relationships, tags, themes, tones }; omitted for every guest
+ * @param {Array<Array<Object>>} req.body.paragraphs - Paragraphs of sections ({ variants, when, unless })
+ * @returns {Object} The created template
+ */
+exports.createInvitationTemplate = async (req, res) => {
+  try {
+    const { coupleInfoId, name, description, match = {}, paragraphs } = req.body;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+    if (!can(access, 'wedding:update')) {
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    const problems = checkInvitationTemplate({ match, paragraphs });
+
+    if (problems.length > 0) {
+      return res.status(400).json({ message: '範本格式不正確', errors: problems });
+    }
+
+    const template = await prisma.invitationTemplate.create({
+      data: {
+        coupleInfoId,
+        name,
+        description,
+        match: JSON.stringify(match),
+        paragraphs: JSON.stringify(paragraphs),
+        createdById: req.user.userId
+      }
+    });
+    await purgeInvitationCache({ coupleInfoId, source: 'mock' });
+
+    logger.info('Invitation template created', { templateId: template.id, coupleInfoId, userId: req.user.userId });
+
+    res.status(201).json(parseStoredTemplate(template));
+  } catch (error) {
+    logger.error('Create invitation template error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.body.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update Invitation Template
+ *
+ * Changes a wedding's template (owners and planners). Fields that are
+ * not sent are kept; the result is checked like a new template.
+ *
+ * @route PUT /api/invitation-templates/:id
+ * @param {string} req.params.id - ID of the template
+ * @param {Object} req.body - name, description, match and/or paragraphs
+ * @returns {Object} The updated template
+ */
+exports.updateInvitationTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const found = await findTemplateWithAccess(id, req.user.userId);
+
+    if (!found) {
+      return res.status(404).json({ message: '找不到此範本' });
+    }
+    if (!can(found.access, 'wedding:update')) {
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    const current = parseStoredTemplate(found.template);
+    const match = req.body.match ?? current.match;
+    const paragraphs = req.body.paragraphs ?? current.paragraphs;
+    const problems = checkInvitationTemplate({ match, paragraphs });
+
+    if (problems.length > 0) {
+      return res.status(400).json({ message: '範本格式不正確', errors: problems });
+    }
+
+    const template = await prisma.invitationTemplate.update({
+      where: { id },
+      data: {
+        name: req.body.name,
+        description: req.body.description,
+        match: JSON.stringify(match),
+        paragraphs: JSON.stringify(paragraphs)
+      }
+    });
+    await purgeInvitationCache({ coupleInfoId: template.coupleInfoId, source: 'mock' });
+
+    logger.info('Invitation template updated', { templateId: id, userId: req.user.userId });
+
+    res.status(200).json(parseStoredTemplate(template));
+  } catch (error) {
+    logger.error('Update invitation template error', {
+      error: error.message,
+      stack: error.stack,
+      templateId: req.params.id
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete Invitation Template
+ *
+ * Removes a wedding's template (owners and planners). Invitations already
+ * written from it are kept.
+ *
+ * @route DELETE /api/invitation-templates/:id
+ * @param {string} req.params.id - ID of the template
+ * @returns {Object} Success message
+ */
+exports.deleteInvitationTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const found = await findTemplateWithAccess(id, req.user.userId);
+
+    if (!found) {
+      return res.status(404).json({ message: '找不到此範本' });
+    }
+    if (!can(found.access, 'wedding:update')) {
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    await prisma.invitationTemplate.delete({ where: { id } });
+    await purgeInvitationCache({ coupleInfoId: found.template.coupleInfoId, source: 'mock' });
+
+    logger.info('Invitation template deleted', { templateId: id, userId: req.user.userId });
+
+    res.status(200).json({ message: '範本已刪除' });
+  } catch (error) {
+    logger.error('Delete invitation template error', {
+      error: error.message,
+      stack: error.stack,
+      templateId: req.params.id
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Preview Invitation Template
+ *
+ * Writes a guest's invitation from a template without saving it: a
+ * template being written (paragraphs and match in the body), a stored or
+ * built-in template (templateId), or by default the template that would
+ * be selected for the guest.
+ *
+ * @route POST /api/invitation-templates/preview
+ * @param {string} req.body.guestId - ID of the guest
+ * @param {string} [req.body.templateId] - ID of a wedding's or built-in template
+ * @param {Object} [req.body.match] - Match criteria of an unsaved template
+ * @param {Array<Array<Object>>} [req.body.paragraphs] - Paragraphs of an unsaved template
+ * @returns {Object} { content, template: { id, name, builtin } or null for an unsaved template }
+ */
+exports.previewInvitationTemplate = async (req, res) => {
+  try {
+    const { guestId, templateId, match = {}, paragraphs } = req.body;
+
+    const guest = await prisma.guest.findFirst({
+      where: { id: guestId, ...accessibleGuestFilter(req.user.userId) },
+      include: previewGuestInclude
+    });
+
+    if (!guest) {
+      return res.status(404).json({ message: '找不到此賓客' });
+    }
+
+    if (paragraphs) {
+      const problems = checkInvitationTemplate({ match, paragraphs });
+
+      if (problems.length > 0) {
+        return res.status(400).json({ message: '範本格式不正確', errors: problems });
+      }
+
+      return res.status(200).json({
+        content: renderInvitationTemplate({ id: 'preview', match, paragraphs }, guest, guest.coupleInfo),
+        template: null
+      });
+    }
+
+    if (templateId) {
+      const stored = await prisma.invitationTemplate.findFirst({
+        where: { id: templateId, coupleInfoId: guest.coupleInfoId }
+      });
+      const template = stored ? parseStoredTemplate(stored) : BUILTIN_TEMPLATES.find(builtin => builtin.id === templateId);
+
+      if (!template) {
+        return res.status(404).json({ message: '找不到此範本' });
+      }
+
+      return res.status(200).json({
+        content: renderInvitationTemplate(template, guest, guest.coupleInfo),
+        template: { id: template.id, name: template.name, builtin: template.builtin }
+      });
+    }
+
+    res.status(200).json(await writeTemplateInvitation(guest, guest.coupleInfo));
+  } catch (error) {
+    logger.error('Preview invitation template error', {
+      error: error.message,
+      stack: error.stack,
+      guestId: req.body.guestId,
+      templateId: req.body.templateId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,232 @@
+/**
+ * Job Controller Module
+ *
+ * Reports on the background jobs of a wedding, such as batch invitation
+ * generation:
+ * - Listing the recent jobs of a wedding
+ * - Retrieving a job with the outcome of every guest
+ * - Streaming a job's progress as server-sent events
+ *
+ * Jobs are run by utils/jobRunner.js; anyone with access to the wedding
+ * can follow them.
+ */
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { accessibleCoupleFilter, getWeddingAccess } = require('../utils/weddingAccess');
+const {
+  ACTIVE_JOB_STATUSES,
+  jobItemSelect,
+  subscribeToJob,
+  toJobItemResponse,
+  toJobResponse,
+  summarizeJobItems
+} = require('../utils/jobRunner');
+
+const prisma = new PrismaClient();
+
+/**
+ * Number of jobs returned by the job list
+ */
+const JOB_LIST_LIMIT = 20;
+
+/**
+ * Interval of the keep-alive comments of the event stream
+ * Stops proxies from closing a stream while a slow guest is generated
+ */
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Finds a job of a wedding the user can access
+ *
+ * @param {string} jobId - ID of the job
+ * @param {string} userId - ID of the authenticated user
+ * @returns {Promise<Object|null>} The job with its items in order, or null
+ */
+const findAccessibleJob = (jobId, userId) => prisma.job.findFirst({
+  where: { id: jobId, coupleInfo: accessibleCoupleFilter(userId) },
+  include: { items: { select: jobItemSelect, orderBy: { position: 'asc' } } }
+});
+
+/**
+ * Converts a job with its items for API responses
+ *
+ * @param {Object} job - Job loaded by findAccessibleJob
+ * @returns {Object} The job with its progress and items
+ */
+const toJobDetails = (job) => ({
+  ...toJobResponse(job),
+  progress: summarizeJobItems(job.items),
+  items: job.items.map(toJobItemResponse)
+});
+
+/**
+ * List Jobs
+ *
+ * Retrieves the most recent background jobs of a wedding, newest first,
+ * with their progress.
+ *
+ * @route GET /api/jobs
+ * @param {string} req.query.coupleInfoId - ID of the wedding
+ * @returns {Object} { jobs }
+ */
+exports.listJobs = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const jobs = await prisma.job.findMany({
+      where: { coupleInfoId },
+      include: { items: { select: { status: true } } },
+      orderBy: { createdAt: 'desc' },
+      take: JOB_LIST_LIMIT
+    });
+
+    res.status(200).json({
+      jobs: jobs.map(job => ({ ...toJobResponse(job), progress: summarizeJobItems(job.items) }))
+    });
+  } catch (error) {
+    logger.error('List jobs error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get Job
+ *
+ * Retrieves a background job with its progress and the outcome of every
+ * guest: status, attempts, result (e.g. the AI provider used) and error.
+ *
+ * @route GET /api/jobs/:id
+ * @param {string} req.params.id - ID of the job
+ * @returns {Object} The job with progress and items
+ */
+exports.getJob = async (req, res) => {
+  try {
+    const job = await findAccessibleJob(req.params.id, req.user.userId);
+
+    if (!job) {
+      return res.status(404).json({ message: '找不到此工作' });
+    }
+
+    res.status(200).json(toJobDetails(job));
+  } catch (error) {
+    logger.error('Get job error', {
+      error: error.message,
+      stack: error.stack,
+      jobId: req.params.id
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Stream Job Events
+ *
+ * Streams a job's progress as server-sent events:
+ * - "snapshot": the job with every item, sent first
+ * - "item": an item started or finished, with the updated progress
+ * - "job": the job changed status, with the updated progress
+ * - "done": the job completed or failed; the stream then ends
+ *
+ * The stream also ends when the server shuts down; reconnecting later
+ * returns a fresh snapshot of the resumed job.
+ *
+ * @route GET /api/jobs/:id/events
+ * @param {string} req.params.id - ID of the job
+ * @returns {Stream} text/event-stream
+ */
+exports.streamJobEvents = async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    const userId = req.user.userId;
+
+    if (!(await findAccessibleJob(jobId, userId))) {
+      return res.status(404).json({ message: '找不到此工作' });
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    const send = (event, data) => {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+    const close = () => {
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+      res.end();
+    };
+
+    // Subscribed before the snapshot is read so no change is missed
+    unsubscribe = subscribeToJob(jobId, (event) => {
+      if (event.type === 'stop') {
+        return close();
+      }
+      send(event.type, event.type === 'item'
+        ? { item: event.item, progress: event.progress }
+        : { job: event.job, progress: event.progress });
+      if (event.type === 'job' && !ACTIVE_JOB_STATUSES.includes(event.job.status)) {
+        send('done', { job: event.job, progress: event.progress });
+        close();
+      }
+    });
+
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+    req.on('close', close);
+
+    const job = await findAccessibleJob(jobId, userId);
+    if (!job) {
+      return close();
+    }
+
+    const details = toJobDetails(job);
+    send('snapshot', details);
+
+    if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+      send('done', { job: toJobResponse(job), progress: details.progress });
+      close();
+    }
+  } catch (error) {
+    logger.error('Stream job events error', {
+      error: error.message,
+      stack: error.stack,
+      jobId: req.params.id
+    });
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,372 @@
+/**
+ * Member Controller Module
+ *
+ * Handles collaborators on a wedding:
+ * - Listing the members of a wedding
+ * - Inviting a collaborator by email with a role
+ * - Accepting an invitation
+ * - Removing a member or revoking a pending invitation
+ *
+ * An invitation is a WeddingMember row with a hashed one-time token.
+ * It only grants access after the invited account accepts it; the account
+ * must be registered with the same email address the invitation was sent to.
+ */
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { transporter } = require('../config/mailer');
+const { ROLES, getWeddingAccess, can } = require('../utils/weddingAccess');
+const { generateToken, hashToken } = require('../utils/secureToken');
+
+const prisma = new PrismaClient();
+
+/**
+ * Number of days an invitation link stays valid
+ */
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+
+/**
+ * Fields of a membership that are safe to return to clients
+ * (everything except the invitation token hash)
+ */
+const memberSelect = {
+  id: true,
+  coupleInfoId: true,
+  userId: true,
+  email: true,
+  role: true,
+  side: true,
+  inviteExpiresAt: true,
+  acceptedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Builds the link the invited collaborator opens to accept the invitation
+ *
+ * @param {string} token - Raw invitation token
+ * @returns {string} Frontend URL containing the token
+ */
+const buildInviteUrl = (token) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendUrl}/invites/accept?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Sends the invitation email to a collaborator
+ *
+ * @param {Object} couple - Wedding the collaborator is invited to
+ * @param {string} email - Invited email address
+ * @param {string} role - Invited role
+ * @param {string} inviteUrl - Link to accept the invitation
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendInviteEmail = async (couple, email, role, inviteUrl) => {
+  if (!transporter) {
+    logger.warn('成員邀請郵件未發送: 電子郵件傳輸器不可用', { email });
+    return false;
+  }
+
+  const roleNames = {
+    owner: '共同擁有者',
+    planner: '婚禮策劃',
+    family_helper: '家人協助者',
+    viewer: '檢視者'
+  };
+
+  await transporter.sendMail({
+    from: `"婚禮邀請函系統" <${process.env.FROM_EMAIL}>`,
+    to: email,
+    subject: `邀請您協助管理 ${couple.groomName} & ${couple.brideName} 的婚禮`,
+    html: `
+<p>您好，</p>
+<p>您被邀請以「${roleNames[role]}」的身分協助管理 ${couple.groomName} & ${couple.brideName} 的婚禮。</p>
+<p>請使用此電子郵件地址登入或註冊後，點擊以下連結接受邀請（${INVITE_TTL_DAYS} 天內有效）：</p>
+<p><a href="${inviteUrl}">${inviteUrl}</a></p>
+    `
+  });
+
+  return true;
+};
+
+/**
+ * List Members
+ *
+ * Retrieves the collaborators and pending invitations of a wedding.
+ * Any member of the wedding can see who else has access.
+ *
+ * @route GET /api/members
+ * @param {string} req.query.coupleInfoId - ID of the wedding
+ * @returns {Object} The wedding owner's ID and the list of memberships
+ */
+exports.listMembers = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('List members failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const members = await prisma.weddingMember.findMany({
+      where: { coupleInfoId },
+      select: memberSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.status(200).json({
+      ownerId: access.couple.ownerId,
+      members
+    });
+  } catch (error) {
+    logger.error('List members error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Invite Member
+ *
+ * Invites a collaborator to a wedding by email. Owners and planners can
+ * invite; only owners can invite another owner. Inviting an address that
+ * already has a pending invitation replaces that invitation (new role and
+ * a fresh link).
+ *
+ * @route POST /api/members/invite
+ * @param {string} req.body.coupleInfoId - ID of the wedding
+ * @param {string} req.body.email - Email address to invite
+ * @param {string} req.body.role - owner, planner, family_helper or viewer
+ * @param {string} [req.body.side] - groom or bride; required for family helpers
+ * @returns {Object} The pending membership, the invitation link and whether the email was sent
+ */
+exports.inviteMember = async (req, res) => {
+  try {
+    const { coupleInfoId, role } = req.body;
+    const email = String(req.body.email).trim().toLowerCase();
+    const side = req.body.side || null;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('Invite member failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    if (!can(access, 'members:manage') || (role === ROLES.OWNER && access.role !== ROLES.OWNER)) {
+      logger.warn('Invite member denied', { coupleInfoId, userId: req.user.userId, role: access.role, invitedRole: role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    if (role === ROLES.FAMILY_HELPER && !side) {
+      return res.status(400).json({ message: '家人協助者必須指定所屬方 (groom 或 bride)' });
+    }
+
+    const owner = access.couple.ownerId
+      ? await prisma.user.findUnique({ where: { id: access.couple.ownerId } })
+      : null;
+
+    if (owner && owner.email === email) {
+      return res.status(409).json({ message: '此電子郵件已是婚禮成員' });
+    }
+
+    const existing = await prisma.weddingMember.findUnique({
+      where: { coupleInfoId_email: { coupleInfoId, email } }
+    });
+
+    if (existing && existing.acceptedAt) {
+      return res.status(409).json({ message: '此電子郵件已是婚禮成員' });
+    }
+
+    const token = generateToken(32);
+    const inviteData = {
+      role,
+      side,
+      inviteTokenHash: hashToken(token),
+      inviteExpiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+    };
+
+    const member = existing
+      ? await prisma.weddingMember.update({
+          where: { id: existing.id },
+          data: inviteData,
+          select: memberSelect
+        })
+      : await prisma.weddingMember.create({
+          data: { coupleInfoId, email, ...inviteData },
+          select: memberSelect
+        });
+
+    const inviteUrl = buildInviteUrl(token);
+
+    let emailSent = false;
+    try {
+      emailSent = await sendInviteEmail(access.couple, email, role, inviteUrl);
+    } catch (mailError) {
+      logger.error('成員邀請郵件發送失敗', {
+        error: mailError.message,
+        code: mailError.code,
+        memberId: member.id
+      });
+    }
+
+    logger.info('Wedding member invited', {
+      memberId: member.id,
+      coupleInfoId,
+      role,
+      invitedBy: req.user.userId,
+      emailSent
+    });
+
+    res.status(201).json({ member, inviteUrl, emailSent });
+  } catch (error) {
+    logger.error('Invite member error', {
+      error: error.message,
+      stack: error.stack,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Accept Invitation
+ *
+ * Activates a membership for the authenticated user. The account email
+ * must match the invited address, so a forwarded link cannot be used by
+ * someone else. The token can only be used once.
+ *
+ * @route POST /api/members/accept
+ * @param {string} req.body.token - Invitation token from the email link
+ * @returns {Object} The activated membership
+ */
+exports.acceptInvite = async (req, res) => {
+  try {
+    const invite = await prisma.weddingMember.findUnique({
+      where: { inviteTokenHash: hashToken(req.body.token) }
+    });
+
+    if (!invite) {
+      logger.warn('Accept invite failed: unknown token', { userId: req.user.userId });
+      return res.status(404).json({ message: '邀請不存在或已被使用' });
+    }
+
+    if (invite.inviteExpiresAt && invite.inviteExpiresAt < new Date()) {
+      logger.warn('Accept invite failed: invitation expired', { memberId: invite.id });
+      return res.status(410).json({ message: '邀請已過期，請聯絡新人重新邀請' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId }
+    });
+
+    if (!user || user.email !== invite.email) {
+      logger.warn('Accept invite failed: email mismatch', { memberId: invite.id, userId: req.user.userId });
+      return res.status(403).json({ message: '此邀請不是寄給您目前登入的帳號' });
+    }
+
+    const member = await prisma.weddingMember.update({
+      where: { id: invite.id },
+      data: {
+        userId: user.id,
+        acceptedAt: new Date(),
+        inviteTokenHash: null,
+        inviteExpiresAt: null
+      },
+      select: memberSelect
+    });
+
+    logger.info('Wedding invitation accepted', {
+      memberId: member.id,
+      coupleInfoId: member.coupleInfoId,
+      userId: user.id,
+      role: member.role
+    });
+
+    res.status(200).json(member);
+  } catch (error) {
+    logger.error('Accept invite error', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.userId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove Member
+ *
+ * Removes a collaborator from a wedding or revokes a pending invitation.
+ * Owners and planners can remove members; only owners can remove an owner.
+ * Any member can remove themselves to leave a wedding.
+ *
+ * @route DELETE /api/members/:id
+ * @param {string} req.params.id - ID of the membership to remove
+ * @returns {Object} Success message
+ */
+exports.removeMember = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const member = await prisma.weddingMember.findUnique({
+      where: { id }
+    });
+
+    const access = member && await getWeddingAccess(req.user.userId, member.coupleInfoId);
+
+    if (!access) {
+      logger.warn('Remove member failed: member not found', { id });
+      return res.status(404).json({ message: '找不到此成員' });
+    }
+
+    const isSelf = member.userId === req.user.userId;
+    const allowed = isSelf || (can(access, 'members:manage') &&
+      (member.role !== ROLES.OWNER || access.role === ROLES.OWNER));
+
+    if (!allowed) {
+      logger.warn('Remove member denied', { id, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    await prisma.weddingMember.delete({
+      where: { id }
+    });
+
+    logger.info('Wedding member removed', {
+      memberId: id,
+      coupleInfoId: member.coupleInfoId,
+      removedBy: req.user.userId
+    });
+
+    res.status(200).json({ message: '成員已移除' });
+  } catch (error) {
+    logger.error('Remove member error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
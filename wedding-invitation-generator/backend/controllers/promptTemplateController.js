@@ -0,0 +1,163 @@
+/**
+ * Prompt Template Controller Module
+ *
+ * Handles the prompt templates the AI invitations are generated from:
+ * - Listing the templates in use and the tone presets weddings can pick
+ * - Listing the stored versions of a template
+ * - Storing a new version of a template (admins only)
+ *
+ * Stored versions are never changed or deleted; the newest version of a
+ * template is the one in use, so an earlier text is restored by storing
+ * it again.
+ */
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { checkTemplate } = require('../utils/templateRenderer');
+const {
+  TONE_PRESETS,
+  DEFAULT_TONE_PRESET,
+  DEFAULT_TARGET_LENGTH,
+  PROMPT_TEMPLATES,
+  lengthRange,
+  loadPromptTemplates
+} = require('../utils/invitationPrompts');
+
+const prisma = new PrismaClient();
+
+/**
+ * List Prompt Templates
+ *
+ * Retrieves every prompt template in use with the variables it may use,
+ * and the tone presets and default length a wedding can choose from.
+ *
+ * @route GET /api/prompt-templates
+ * @returns {Object} { templates, tones, defaultTone, defaultLength }
+ */
+exports.listPromptTemplates = async (req, res) => {
+  try {
+    const keys = Object.keys(PROMPT_TEMPLATES);
+    const inUse = await loadPromptTemplates(keys);
+
+    res.status(200).json({
+      templates: keys.map(key => ({
+        ...inUse[key],
+        description: PROMPT_TEMPLATES[key].description,
+        variables: PROMPT_TEMPLATES[key].variables,
+        builtin: inUse[key].version === 0
+      })),
+      tones: Object.entries(TONE_PRESETS).map(([name, tone]) => ({ name, label: tone.label, style: tone.style })),
+      defaultTone: DEFAULT_TONE_PRESET,
+      defaultLength: lengthRange(DEFAULT_TARGET_LENGTH)
+    });
+  } catch (error) {
+    logger.error('List prompt templates error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get Prompt Template Versions
+ *
+ * Retrieves the stored versions of a prompt template, newest first,
+ * together with the built-in template.
+ *
+ * @route GET /api/prompt-templates/:key
+ * @param {string} req.params.key - Template key, e.g. "invitation.user"
+ * @returns {Object} { key, description, variables, builtin, versions }
+ */
+exports.getPromptTemplate = async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    const versions = await prisma.promptTemplate.findMany({
+      where: { key },
+      include: { createdBy: { select: { id: true, name: true, email: true } } },
+      orderBy: { version: 'desc' }
+    });
+
+    res.status(200).json({
+      key,
+      description: PROMPT_TEMPLATES[key].description,
+      variables: PROMPT_TEMPLATES[key].variables,
+      builtin: { version: 0, body: PROMPT_TEMPLATES[key].body },
+      versions
+    });
+  } catch (error) {
+    logger.error('Get prompt template error', {
+      error: error.message,
+      stack: error.stack,
+      key: req.params.key
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create Prompt Template Version
+ *
+ * Stores a new version of a prompt template, which is used from then on.
+ * The template is checked first: {{#if}} blocks must be closed and only
+ * the template's variables may be used.
+ *
+ * @route POST /api/prompt-templates/:key
+ * @param {string} req.params.key - Template key, e.g. "invitation.user"
+ * @param {string} req.body.body - Template text
+ * @param {string} [req.body.note] - Description of the change
+ * @returns {Object} The stored version
+ */
+exports.createPromptTemplateVersion = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { body, note } = req.body;
+
+    const problems = checkTemplate(body, PROMPT_TEMPLATES[key].variables);
+
+    if (problems.length > 0) {
+      return res.status(400).json({ message: '範本格式不正確', errors: problems });
+    }
+
+    // Numbered inside the transaction so concurrent saves get distinct versions
+    const template = await prisma.$transaction(async (tx) => {
+      const latest = await tx.promptTemplate.findFirst({
+        where: { key },
+        orderBy: { version: 'desc' }
+      });
+
+      return tx.promptTemplate.create({
+        data: {
+          key,
+          version: (latest?.version || 0) + 1,
+          body,
+          note,
+          createdById: req.user.userId
+        }
+      });
+    });
+
+    logger.info('Prompt template version created', { key, version: template.version, userId: req.user.userId });
+
+    res.status(201).json(template);
+  } catch (error) {
+    logger.error('Create prompt template version error', {
+      error: error.message,
+      stack: error.stack,
+      key: req.params.key
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
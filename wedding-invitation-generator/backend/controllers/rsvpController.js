@@ -0,0 +1,221 @@
+/**
+ * RSVP Controller Module
+ * 
+ * Handles guests' replies to their invitations through the public RSVP link:
+ * - Showing the wedding details and the guest's current reply
+ * - Recording or changing the reply (attending, declined, maybe)
+ * - Recording meal choices and allergies for the catering summary
+ * 
+ * These endpoints do not require an account. The guest is identified only
+ * by the random token in their link, so responses never include data of
+ * other guests or internal IDs (apart from the IDs of the wedding's meal
+ * options, which the reply refers to).
+ */
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const {
+  serializeAllergies,
+  parseAllergies,
+  mealOptionsBelongToWedding
+} = require('../utils/dietary');
+const { renderInvitationContent } = require('../utils/invitationMergeFields');
+
+const prisma = new PrismaClient();
+
+/**
+ * Looks up the guest an RSVP token belongs to
+ * 
+ * @param {string} token - RSVP token from the link
+ * @returns {Promise<Object|null>} Guest with couple information and reply, or null
+ */
+const findGuestByToken = (token) => prisma.guest.findUnique({
+  where: { rsvpToken: token },
+  include: {
+    coupleInfo: {
+      include: { mealOptions: { orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }] } }
+    },
+    rsvp: true,
+    companions: { orderBy: { createdAt: 'asc' } },
+    household: true
+  }
+});
+
+/**
+ * Shapes the reply for the public response
+ * 
+ * @param {Object|null} rsvp - Rsvp record
+ * @returns {Object|null} Reply fields visible to the guest
+ */
+const toPublicRsvp = (rsvp) => rsvp && {
+  response: rsvp.response,
+  partySize: rsvp.partySize,
+  comment: rsvp.comment,
+  respondedAt: rsvp.respondedAt,
+  updatedAt: rsvp.updatedAt
+};
+
+/**
+ * Get RSVP Page Data
+ * 
+ * Returns what the guest needs to reply: their name, the wedding details,
+ * their invitation text (with its merge fields filled in), how many people
+ * they may bring, the menu with their and their companions' meal choices and
+ * allergies, and their current reply, if any.
+ * 
+ * @route GET /api/rsvp/:token
+ * @param {string} req.params.token - RSVP token from the guest's link
+ * @returns {Object} Guest name, wedding details, invitation and reply, or 404 for an unknown token
+ */
+exports.getRsvp = async (req, res) => {
+  try {
+    const guest = await findGuestByToken(req.params.token);
+    
+    if (!guest) {
+      logger.warn('RSVP lookup failed: unknown token', { ip: req.ip });
+      return res.status(404).json({ message: '找不到此回覆連結' });
+    }
+    
+    const { coupleInfo } = guest;
+    
+    res.status(200).json({
+      guestName: guest.name,
+      wedding: {
+        groomName: coupleInfo.groomName,
+        brideName: coupleInfo.brideName,
+        weddingDate: coupleInfo.weddingDate,
+        weddingTime: coupleInfo.weddingTime,
+        weddingLocation: coupleInfo.weddingLocation,
+        weddingTheme: coupleInfo.weddingTheme
+      },
+      invitationContent: renderInvitationContent(guest.invitationContent, guest, coupleInfo),
+      plusOnesAllowed: guest.plusOnesAllowed,
+      mealOptions: coupleInfo.mealOptions.map(option => ({
+        id: option.id,
+        name: option.name,
+        description: option.description
+      })),
+      mealOptionId: guest.mealOptionId,
+      allergies: parseAllergies(guest.allergies),
+      companions: guest.companions.map(companion => ({
+        name: companion.name,
+        mealOptionId: companion.mealOptionId,
+        allergies: parseAllergies(companion.allergies)
+      })),
+      rsvp: toPublicRsvp(guest.rsvp)
+    });
+  } catch (error) {
+    logger.error('Get RSVP error', { 
+      error: error.message,
+      stack: error.stack
+    });
+    
+    res.status(500).json({ 
+      message: '伺服器錯誤', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Submit RSVP
+ * 
+ * Records the guest's reply, or replaces it if they reply again.
+ * A declined reply is stored with a party size of 0.
+ * The party size cannot exceed the guest plus their allowed plus-ones.
+ * Meal choices and allergies of the guest and their companions are saved
+ * on the guest and companion records for the catering summary.
+ * The guest's invitation status is left unchanged.
+ * 
+ * @route POST /api/rsvp/:token
+ * @param {string} req.params.token - RSVP token from the guest's link
+ * @param {string} req.body.response - attending, declined or maybe
+ * @param {number} [req.body.partySize=1] - Number of people attending, including the guest
+ * @param {string} [req.body.comment] - Optional message to the couple
+ * @param {string} [req.body.mealOptionId] - The guest's meal choice
+ * @param {string[]} [req.body.allergies] - The guest's allergies
+ * @param {Object[]} [req.body.companions] - { mealOptionId, allergies } per companion,
+ *   in the order they are listed on the RSVP page
+ * @returns {Object} The saved reply
+ */
+exports.submitRsvp = async (req, res) => {
+  try {
+    const { response, comment } = req.body;
+    
+    const guest = await findGuestByToken(req.params.token);
+    
+    if (!guest) {
+      logger.warn('RSVP submit failed: unknown token', { ip: req.ip });
+      return res.status(404).json({ message: '找不到此回覆連結' });
+    }
+    
+    const partySize = req.body.partySize || 1;
+    
+    if (response !== 'declined' && partySize > guest.plusOnesAllowed + 1) {
+      return res.status(400).json({ 
+        message: `出席人數最多為${guest.plusOnesAllowed + 1}人（含本人）` 
+      });
+    }
+    
+    const companionChoices = req.body.companions || [];
+    
+    if (companionChoices.length > guest.companions.length) {
+      return res.status(400).json({ message: '同行者資料與邀請名單不符' });
+    }
+    
+    const mealOptionIds = [req.body.mealOptionId, ...companionChoices.map(choice => choice && choice.mealOptionId)];
+    if (!(await mealOptionsBelongToWedding(mealOptionIds, guest.coupleInfoId))) {
+      return res.status(400).json({ message: '找不到對應的餐點選項' });
+    }
+    
+    const data = {
+      response,
+      partySize: response === 'declined' ? 0 : partySize,
+      comment: comment || null
+    };
+    
+    const [rsvp] = await prisma.$transaction([
+      prisma.rsvp.upsert({
+        where: { guestId: guest.id },
+        create: { guestId: guest.id, ...data },
+        update: data
+      }),
+      prisma.guest.update({
+        where: { id: guest.id },
+        data: {
+          mealOptionId: req.body.mealOptionId,
+          allergies: serializeAllergies(req.body.allergies)
+        }
+      }),
+      ...companionChoices.map((choice, index) => prisma.companion.update({
+        where: { id: guest.companions[index].id },
+        data: {
+          mealOptionId: choice.mealOptionId,
+          allergies: serializeAllergies(choice.allergies)
+        }
+      }))
+    ]);
+    
+    logger.info('RSVP received', { 
+      guestId: guest.id,
+      coupleInfoId: guest.coupleInfoId,
+      response,
+      partySize: rsvp.partySize,
+      changed: !!guest.rsvp
+    });
+    
+    res.status(200).json({
+      message: '已收到您的回覆',
+      rsvp: toPublicRsvp(rsvp)
+    });
+  } catch (error) {
+    logger.error('Submit RSVP error', { 
+      error: error.message,
+      stack: error.stack
+    });
+    
+    res.status(500).json({ 
+      message: '伺服器錯誤', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,758 @@
+/**
+ * Seating Controller Module
+ *
+ * Handles the seating chart of a wedding:
+ * - Tables with a label and a number of seats
+ * - Seating guests at tables and moving them, within each table's capacity
+ * - Keep-apart constraints between two guests
+ * - Automatic seating that keeps households together and groups guests
+ *   by tag or relationship
+ * - Printable seating chart export
+ *
+ * Everyone with access to a wedding can view its seating chart; only
+ * owners and planners can change it.
+ */
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { getWeddingAccess, can } = require('../utils/weddingAccess');
+const { parseAllergies } = require('../utils/dietary');
+const { seatsFor, keepApartLookup, findKeepApartConflicts, planSeating } = require('../utils/seatingPlanner');
+const { writeSeatingChart } = require('../utils/seatingChart');
+
+const prisma = new PrismaClient();
+
+/**
+ * Order of tables in the seating chart
+ */
+const tableOrder = [{ sortOrder: 'asc' }, { createdAt: 'asc' }];
+
+/**
+ * Guest relations needed to seat a guest and print the chart
+ */
+const seatingGuestInclude = {
+  rsvp: true,
+  companions: { orderBy: { createdAt: 'asc' } },
+  tags: { select: { tagId: true }, orderBy: { createdAt: 'asc' } },
+  mealOption: { select: { name: true } }
+};
+
+/**
+ * Converts a guest to its seating chart entry
+ *
+ * @param {Object} guest - Guest loaded with seatingGuestInclude
+ * @returns {Object} Guest fields shown on the seating chart, with the seats taken
+ */
+const toSeatedGuest = (guest) => ({
+  id: guest.id,
+  name: guest.name,
+  side: guest.side,
+  relationship: guest.relationship,
+  householdId: guest.householdId,
+  tableId: guest.tableId,
+  rsvp: guest.rsvp ? guest.rsvp.response : null,
+  seats: seatsFor(guest),
+  companions: guest.companions.map(companion => ({ id: companion.id, name: companion.name })),
+  mealOption: guest.mealOption,
+  allergies: parseAllergies(guest.allergies)
+});
+
+/**
+ * Loads the seating chart of a wedding
+ *
+ * @param {string} coupleInfoId - ID of the wedding
+ * @returns {Promise<Object>} { tables, unseated, constraints, guests } where tables carry their
+ *                            seated guests and seatsTaken, unseated lists guests who have not
+ *                            declined and have no table, and guests are all guest records
+ */
+const loadSeating = async (coupleInfoId) => {
+  const [tables, guests, constraints] = await Promise.all([
+    prisma.table.findMany({ where: { coupleInfoId }, orderBy: tableOrder }),
+    prisma.guest.findMany({
+      where: { coupleInfoId },
+      include: seatingGuestInclude,
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.seatingConstraint.findMany({
+      where: { coupleInfoId },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  const seated = guests.map(toSeatedGuest);
+
+  return {
+    tables: tables.map(table => {
+      const tableGuests = seated.filter(guest => guest.tableId === table.id);
+      return {
+        ...table,
+        seatsTaken: tableGuests.reduce((total, guest) => total + guest.seats, 0),
+        guests: tableGuests
+      };
+    }),
+    unseated: seated.filter(guest => !guest.tableId && guest.seats > 0),
+    constraints,
+    guests
+  };
+};
+
+/**
+ * Loads a table together with the caller's access to its wedding
+ *
+ * @param {string} id - ID of the table
+ * @param {string} userId - ID of the authenticated user
+ * @returns {Promise<Object|null>} { table, access }, or null if the table does not exist
+ *                                 or the user cannot access its wedding
+ */
+const findTableWithAccess = async (id, userId) => {
+  const table = await prisma.table.findUnique({ where: { id } });
+  const access = table && await getWeddingAccess(userId, table.coupleInfoId);
+  return access ? { table, access } : null;
+};
+
+/**
+ * Get Seating Chart
+ *
+ * Retrieves the tables of a wedding with their guests and free seats,
+ * the guests still to be seated and the keep-apart constraints.
+ *
+ * @route GET /api/seating
+ * @param {string} req.query.coupleInfoId - ID of the wedding
+ * @returns {Object} { coupleInfoId, capacity, seatsTaken, tables, unseated, constraints }
+ */
+exports.getSeating = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('Get seating failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const { tables, unseated, constraints } = await loadSeating(coupleInfoId);
+
+    res.status(200).json({
+      coupleInfoId,
+      capacity: tables.reduce((total, table) => total + table.capacity, 0),
+      seatsTaken: tables.reduce((total, table) => total + table.seatsTaken, 0),
+      tables,
+      unseated,
+      constraints
+    });
+  } catch (error) {
+    logger.error('Get seating error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create Table
+ *
+ * Adds a table to the seating chart.
+ *
+ * @route POST /api/seating/tables
+ * @param {string} req.body.coupleInfoId - ID of the wedding
+ * @param {string} req.body.label - Name of the table, e.g. "主桌" (unique within the wedding)
+ * @param {number} req.body.capacity - Number of seats
+ * @param {number} [req.body.sortOrder=0] - Position in the seating chart
+ * @returns {Object} The created table
+ */
+exports.createTable = async (req, res) => {
+  try {
+    const { coupleInfoId, label, capacity, sortOrder } = req.body;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('Create table failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    if (!can(access, 'seating:manage')) {
+      logger.warn('Create table denied', { coupleInfoId, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    const existing = await prisma.table.findUnique({
+      where: { coupleInfoId_label: { coupleInfoId, label } }
+    });
+
+    if (existing) {
+      return res.status(409).json({ message: '此桌次名稱已存在', table: existing });
+    }
+
+    const table = await prisma.table.create({
+      data: { coupleInfoId, label, capacity, sortOrder: sortOrder ?? 0 }
+    });
+
+    logger.info('Table created', { tableId: table.id, coupleInfoId, capacity });
+
+    res.status(201).json({ ...table, seatsTaken: 0, guests: [] });
+  } catch (error) {
+    logger.error('Create table error', {
+      error: error.message,
+      stack: error.stack,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update Table
+ *
+ * Renames a table, changes its number of seats or its position.
+ * The number of seats cannot drop below the seats already taken.
+ *
+ * @route PUT /api/seating/tables/:id
+ * @param {string} req.params.id - ID of the table
+ * @param {Object} req.body - Fields to update (label, capacity, sortOrder)
+ * @returns {Object} The updated table
+ */
+exports.updateTable = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { label, capacity, sortOrder } = req.body;
+
+    const found = await findTableWithAccess(id, req.user.userId);
+
+    if (!found) {
+      logger.warn('Update table failed: table not found', { id });
+      return res.status(404).json({ message: '找不到此桌次' });
+    }
+
+    const { table, access } = found;
+
+    if (!can(access, 'seating:manage')) {
+      logger.warn('Update table denied', { id, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    if (label && label !== table.label) {
+      const existing = await prisma.table.findUnique({
+        where: { coupleInfoId_label: { coupleInfoId: table.coupleInfoId, label } }
+      });
+      if (existing) {
+        return res.status(409).json({ message: '此桌次名稱已存在', table: existing });
+      }
+    }
+
+    if (capacity !== undefined) {
+      const guests = await prisma.guest.findMany({
+        where: { tableId: id },
+        include: { rsvp: true, companions: true }
+      });
+      const seatsTaken = guests.reduce((total, guest) => total + seatsFor(guest), 0);
+      if (capacity < seatsTaken) {
+        return res.status(409).json({ message: '此桌已安排的人數超過新的座位數', seatsTaken });
+      }
+    }
+
+    const updated = await prisma.table.update({
+      where: { id },
+      data: { label, capacity, sortOrder }
+    });
+
+    logger.info('Table updated', { tableId: id });
+
+    res.status(200).json(updated);
+  } catch (error) {
+    logger.error('Update table error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete Table
+ *
+ * Removes a table from the seating chart. Its guests become unseated.
+ *
+ * @route DELETE /api/seating/tables/:id
+ * @param {string} req.params.id - ID of the table
+ * @returns {Object} Success message
+ */
+exports.deleteTable = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const found = await findTableWithAccess(id, req.user.userId);
+
+    if (!found) {
+      logger.warn('Delete table failed: table not found', { id });
+      return res.status(404).json({ message: '找不到此桌次' });
+    }
+
+    if (!can(found.access, 'seating:manage')) {
+      logger.warn('Delete table denied', { id, userId: req.user.userId, role: found.access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    await prisma.table.delete({ where: { id } });
+
+    logger.info('Table deleted', { tableId: id, coupleInfoId: found.table.coupleInfoId });
+
+    res.status(200).json({ message: '桌次已刪除' });
+  } catch (error) {
+    logger.error('Delete table error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Seat Guests
+ *
+ * Seats guests at a table, moving them from their current table if they
+ * have one. Fails if the table does not have enough free seats for the
+ * guests and their companions, or if one of them must be kept apart from
+ * a guest already at the table.
+ *
+ * @route POST /api/seating/tables/:id/guests
+ * @param {string} req.params.id - ID of the table
+ * @param {string[]} req.body.guestIds - Guests of the same wedding to seat
+ * @returns {Object} The table with its guests
+ */
+exports.seatGuests = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const guestIds = [...new Set(req.body.guestIds)];
+
+    const found = await findTableWithAccess(id, req.user.userId);
+
+    if (!found) {
+      logger.warn('Seat guests failed: table not found', { id });
+      return res.status(404).json({ message: '找不到此桌次' });
+    }
+
+    const { table, access } = found;
+
+    if (!can(access, 'seating:manage')) {
+      logger.warn('Seat guests denied', { id, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    const [guests, seated, constraints] = await Promise.all([
+      prisma.guest.findMany({
+        where: { id: { in: guestIds }, coupleInfoId: table.coupleInfoId },
+        include: { rsvp: true, companions: true }
+      }),
+      prisma.guest.findMany({
+        where: { tableId: id },
+        include: { rsvp: true, companions: true }
+      }),
+      prisma.seatingConstraint.findMany({ where: { coupleInfoId: table.coupleInfoId } })
+    ]);
+
+    if (guests.length !== guestIds.length) {
+      return res.status(400).json({ message: '部分賓客不屬於此婚禮' });
+    }
+
+    if (guests.some(guest => guest.rsvp?.response === 'declined')) {
+      return res.status(400).json({ message: '已婉拒出席的賓客無法安排座位' });
+    }
+
+    const newGuests = guests.filter(guest => guest.tableId !== id);
+    const seatsTaken = seated.reduce((total, guest) => total + seatsFor(guest), 0);
+    const seatsRequested = newGuests.reduce((total, guest) => total + seatsFor(guest), 0);
+
+    if (seatsTaken + seatsRequested > table.capacity) {
+      return res.status(409).json({
+        message: '此桌座位不足',
+        capacity: table.capacity,
+        seatsTaken,
+        seatsRequested
+      });
+    }
+
+    const apart = keepApartLookup(constraints);
+    const conflicts = [
+      ...findKeepApartConflicts(newGuests.map(guest => guest.id), seated.map(guest => guest.id), apart),
+      ...findKeepApartConflicts(guestIds, guestIds, apart).filter(([guestId, otherGuestId]) => guestId < otherGuestId)
+    ];
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        message: '部分賓客需要分開安排，不能坐在同一桌',
+        conflicts: conflicts.map(([guestId, otherGuestId]) => ({ guestId, otherGuestId }))
+      });
+    }
+
+    await prisma.guest.updateMany({
+      where: { id: { in: newGuests.map(guest => guest.id) } },
+      data: { tableId: id }
+    });
+
+    logger.info('Guests seated', { tableId: id, seated: newGuests.length });
+
+    const { tables } = await loadSeating(table.coupleInfoId);
+
+    res.status(200).json(tables.find(entry => entry.id === id));
+  } catch (error) {
+    logger.error('Seat guests error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Unseat Guests
+ *
+ * Removes guests from a table; they become unseated.
+ *
+ * @route DELETE /api/seating/tables/:id/guests
+ * @param {string} req.params.id - ID of the table
+ * @param {string[]} req.body.guestIds - Guests to remove from the table
+ * @returns {Object} Number of guests removed
+ */
+exports.unseatGuests = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { guestIds } = req.body;
+
+    const found = await findTableWithAccess(id, req.user.userId);
+
+    if (!found) {
+      logger.warn('Unseat guests failed: table not found', { id });
+      return res.status(404).json({ message: '找不到此桌次' });
+    }
+
+    if (!can(found.access, 'seating:manage')) {
+      logger.warn('Unseat guests denied', { id, userId: req.user.userId, role: found.access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    const { count } = await prisma.guest.updateMany({
+      where: { id: { in: guestIds }, tableId: id },
+      data: { tableId: null }
+    });
+
+    logger.info('Guests unseated', { tableId: id, unseated: count });
+
+    res.status(200).json({ message: '已取消賓客的座位', unseated: count });
+  } catch (error) {
+    logger.error('Unseat guests error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create Keep-Apart Constraint
+ *
+ * Records that two guests must not be seated at the same table. Existing
+ * seating is not changed; seatedTogether in the response tells whether
+ * the two guests currently share a table.
+ *
+ * @route POST /api/seating/constraints
+ * @param {string} req.body.coupleInfoId - ID of the wedding
+ * @param {string} req.body.guestId - One guest of the pair
+ * @param {string} req.body.otherGuestId - The other guest of the pair
+ * @param {string} [req.body.note] - Optional reason
+ * @returns {Object} The created constraint
+ */
+exports.createConstraint = async (req, res) => {
+  try {
+    const { coupleInfoId, note } = req.body;
+    // The pair is stored with the smaller ID first so it is recorded only once
+    const [guestId, otherGuestId] = [req.body.guestId, req.body.otherGuestId].sort();
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('Create seating constraint failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    if (!can(access, 'seating:manage')) {
+      logger.warn('Create seating constraint denied', { coupleInfoId, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    const guests = await prisma.guest.findMany({
+      where: { id: { in: [guestId, otherGuestId] }, coupleInfoId },
+      select: { id: true, tableId: true }
+    });
+
+    if (guests.length !== 2) {
+      return res.status(400).json({ message: '部分賓客不屬於此婚禮' });
+    }
+
+    const existing = await prisma.seatingConstraint.findUnique({
+      where: { guestId_otherGuestId: { guestId, otherGuestId } }
+    });
+
+    if (existing) {
+      return res.status(409).json({ message: '已設定這兩位賓客分開安排', constraint: existing });
+    }
+
+    const constraint = await prisma.seatingConstraint.create({
+      data: { coupleInfoId, guestId, otherGuestId, note: note || null }
+    });
+
+    logger.info('Seating constraint created', { constraintId: constraint.id, coupleInfoId });
+
+    res.status(201).json({
+      ...constraint,
+      seatedTogether: !!guests[0].tableId && guests[0].tableId === guests[1].tableId
+    });
+  } catch (error) {
+    logger.error('Create seating constraint error', {
+      error: error.message,
+      stack: error.stack,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete Keep-Apart Constraint
+ *
+ * @route DELETE /api/seating/constraints/:id
+ * @param {string} req.params.id - ID of the constraint
+ * @returns {Object} Success message
+ */
+exports.deleteConstraint = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const constraint = await prisma.seatingConstraint.findUnique({ where: { id } });
+    const access = constraint && await getWeddingAccess(req.user.userId, constraint.coupleInfoId);
+
+    if (!access) {
+      logger.warn('Delete seating constraint failed: constraint not found', { id });
+      return res.status(404).json({ message: '找不到此分桌限制' });
+    }
+
+    if (!can(access, 'seating:manage')) {
+      logger.warn('Delete seating constraint denied', { id, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    await prisma.seatingConstraint.delete({ where: { id } });
+
+    logger.info('Seating constraint deleted', { constraintId: id });
+
+    res.status(200).json({ message: '分桌限制已刪除' });
+  } catch (error) {
+    logger.error('Delete seating constraint error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Auto-Seat Guests
+ *
+ * Seats guests automatically: households stay at one table, guests with
+ * the same tag (or side and relationship) are seated together, and
+ * keep-apart constraints are respected. Guests who cannot be placed are
+ * listed with the reason.
+ *
+ * @route POST /api/seating/auto
+ * @param {string} req.body.coupleInfoId - ID of the wedding
+ * @param {string} [req.body.mode=fill] - "fill" seats only unseated guests and keeps the
+ *   current seating; "reset" clears all tables and seats everyone again
+ * @param {boolean} [req.body.includePending=false] - Also seat guests who have not replied
+ *   or replied "maybe" (guests who declined are never seated)
+ * @param {boolean} [req.body.dryRun=false] - Only return the plan, without saving it
+ * @returns {Object} { dryRun, mode, seated, assignments, unseated }
+ */
+exports.autoSeat = async (req, res) => {
+  try {
+    const { coupleInfoId, mode = 'fill', includePending = false, dryRun = false } = req.body;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('Auto-seat failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    if (!can(access, 'seating:manage')) {
+      logger.warn('Auto-seat denied', { coupleInfoId, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    const { tables, constraints, guests } = await loadSeating(coupleInfoId);
+
+    if (tables.length === 0) {
+      return res.status(400).json({ message: '請先新增桌次' });
+    }
+
+    const eligible = guest => guest.rsvp?.response === 'attending' ||
+      (includePending && guest.rsvp?.response !== 'declined');
+    const keepSeated = guest => mode === 'fill' && !!guest.tableId;
+    const toSeat = guests.filter(guest => eligible(guest) && !keepSeated(guest));
+
+    const { assignments, unseated } = planSeating({
+      tables: tables.map(table => ({
+        id: table.id,
+        capacity: table.capacity,
+        guests: guests.filter(guest => keepSeated(guest) && guest.tableId === table.id)
+      })),
+      guests: toSeat,
+      constraints
+    });
+
+    if (!dryRun) {
+      await prisma.$transaction([
+        ...(mode === 'reset'
+          ? [prisma.guest.updateMany({ where: { coupleInfoId }, data: { tableId: null } })]
+          : []),
+        ...tables.map(table => prisma.guest.updateMany({
+          where: {
+            id: { in: assignments.filter(assignment => assignment.tableId === table.id).map(assignment => assignment.guestId) }
+          },
+          data: { tableId: table.id }
+        }))
+      ]);
+    }
+
+    logger.info('Auto-seat completed', {
+      coupleInfoId,
+      mode,
+      dryRun,
+      seated: assignments.length,
+      unseated: unseated.length
+    });
+
+    const names = new Map(guests.map(guest => [guest.id, guest.name]));
+    const labels = new Map(tables.map(table => [table.id, table.label]));
+
+    res.status(200).json({
+      message: dryRun ? '已產生座位安排預覽，尚未儲存' : '已自動安排座位',
+      dryRun,
+      mode,
+      seated: assignments.length,
+      assignments: assignments.map(assignment => ({
+        ...assignment,
+        name: names.get(assignment.guestId),
+        label: labels.get(assignment.tableId)
+      })),
+      unseated: unseated.map(entry => ({ ...entry, name: names.get(entry.guestId) }))
+    });
+  } catch (error) {
+    logger.error('Auto-seat error', {
+      error: error.message,
+      stack: error.stack,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Export Seating Chart
+ *
+ * Downloads the seating chart as a printable HTML page (one block per
+ * table and an alphabetical guest index), or as a CSV or XLSX list with
+ * one row per seated guest.
+ *
+ * @route GET /api/seating/export
+ * @param {string} req.query.coupleInfoId - ID of the wedding
+ * @param {string} [req.query.format=html] - "html", "csv" or "xlsx"
+ * @returns {Buffer} The seating chart; HTML is shown inline, other formats as an attachment
+ */
+exports.exportSeating = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+    const format = req.query.format || 'html';
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('Seating export failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const { tables } = await loadSeating(coupleInfoId);
+    const { contentType, body } = await writeSeatingChart(access.couple, tables, format);
+    const { groomName, brideName } = access.couple;
+    const fileName = `座位表_${groomName}_${brideName}.${format}`;
+    const disposition = format === 'html' ? 'inline' : 'attachment';
+
+    logger.info('Seating chart exported', {
+      coupleInfoId,
+      format,
+      tables: tables.length,
+      userId: req.user.userId
+    });
+
+    res.status(200)
+      .set('Content-Type', contentType)
+      .set('Content-Disposition', `${disposition}; filename="seating.${format}"; filename*=UTF-8''${encodeURIComponent(fileName)}`)
+      .send(body);
+  } catch (error) {
+    logger.error('Export seating error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,558 @@
+/**
+ * Tag Controller Module
+ *
+ * Handles the tags that group a wedding's guests, e.g. "大學同學" or
+ * "公司同事", and the groom-side/bride-side breakdown of the guest list:
+ * - Listing, creating, updating and deleting tags
+ * - Applying a tag to guests and removing it, in bulk
+ * - Updating all guests with a tag at once
+ * - Counting guests per side and per tag
+ *
+ * A tag may belong to one side. Side tags follow the same rules as guests:
+ * family helpers may only manage tags and guests of their own side; tags
+ * shared by both sides are managed by owners and planners.
+ */
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { SIDES, getWeddingAccess, can } = require('../utils/weddingAccess');
+
+const prisma = new PrismaClient();
+
+/**
+ * Order of tags in lists: groom's side, bride's side, then shared tags
+ */
+const tagOrder = [{ side: 'desc' }, { name: 'asc' }];
+
+/**
+ * Checks whether the caller may manage a tag of the given side
+ *
+ * @param {Object} access - Caller's access to the wedding
+ * @param {string|null} side - Side of the tag
+ * @returns {boolean} True if the tag may be created, changed or deleted
+ */
+const canManageTag = (access, side) => (side ? can(access, 'guest:write', side) : can(access, 'wedding:update'));
+
+/**
+ * Loads a tag together with the caller's access to its wedding
+ *
+ * @param {string} id - ID of the tag
+ * @param {string} userId - ID of the authenticated user
+ * @returns {Promise<Object|null>} { tag, access }, or null if the tag does not exist
+ *                                 or the user cannot access its wedding
+ */
+const findTagWithAccess = async (id, userId) => {
+  const tag = await prisma.tag.findUnique({ where: { id } });
+  const access = tag && await getWeddingAccess(userId, tag.coupleInfoId);
+  return access ? { tag, access } : null;
+};
+
+/**
+ * Loads guests of a wedding for a bulk tag operation and checks them
+ *
+ * @param {string[]} guestIds - IDs of the guests
+ * @param {Object} tag - Tag the operation applies to
+ * @param {Object} access - Caller's access to the wedding
+ * @returns {Promise<Object>} { guests } if all guests can be changed, otherwise
+ *                            { status, message } describing the error response
+ */
+const loadTaggableGuests = async (guestIds, tag, access) => {
+  const guests = await prisma.guest.findMany({
+    where: { id: { in: guestIds }, coupleInfoId: tag.coupleInfoId },
+    select: { id: true, side: true }
+  });
+
+  if (guests.length !== new Set(guestIds).size) {
+    return { status: 400, message: '部分賓客不屬於此婚禮' };
+  }
+  if (!guests.every(guest => can(access, 'guest:write', guest.side || tag.side))) {
+    return { status: 403, message: '您沒有執行此操作的權限' };
+  }
+  return { guests };
+};
+
+/**
+ * Counts guests, attending guests and attending people of a group
+ *
+ * @param {Array<Object>} guests - Guests loaded with their RSVP
+ * @returns {Object} { guests, attending, headcount }
+ */
+const countGuests = (guests) => {
+  const attending = guests.filter(guest => guest.rsvp?.response === 'attending');
+  return {
+    guests: guests.length,
+    attending: attending.length,
+    headcount: attending.reduce((total, guest) => total + Math.max(guest.rsvp.partySize, 1), 0)
+  };
+};
+
+/**
+ * List Tags
+ *
+ * Retrieves the tags of a wedding with the number of guests per tag.
+ *
+ * @route GET /api/tags
+ * @param {string} req.query.coupleInfoId - ID of the wedding
+ * @returns {Array} Tags with guestCount
+ */
+exports.listTags = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('List tags failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const tags = await prisma.tag.findMany({
+      where: { coupleInfoId },
+      include: { _count: { select: { guests: true } } },
+      orderBy: tagOrder
+    });
+
+    res.status(200).json(tags.map(({ _count, ...tag }) => ({ ...tag, guestCount: _count.guests })));
+  } catch (error) {
+    logger.error('List tags error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get Side Summary
+ *
+ * Counts guests per side (groom, bride and guests without a side) and
+ * per tag, with how many replied "attending" and how many people that is
+ * including companions.
+ *
+ * @route GET /api/tags/summary
+ * @param {string} req.query.coupleInfoId - ID of the wedding
+ * @returns {Object} { coupleInfoId, total, sides: [{ side, ... }], tags: [{ id, name, side, color, ... }] }
+ */
+exports.getSideSummary = async (req, res) => {
+  try {
+    const { coupleInfoId } = req.query;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('Side summary failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    const [guests, tags] = await Promise.all([
+      prisma.guest.findMany({
+        where: { coupleInfoId },
+        select: { side: true, rsvp: true, tags: { select: { tagId: true } } }
+      }),
+      prisma.tag.findMany({
+        where: { coupleInfoId },
+        orderBy: tagOrder
+      })
+    ]);
+
+    res.status(200).json({
+      coupleInfoId,
+      total: countGuests(guests),
+      sides: [...SIDES, null].map(side => ({
+        side,
+        ...countGuests(guests.filter(guest => (guest.side || null) === side))
+      })),
+      tags: tags.map(tag => ({
+        id: tag.id,
+        name: tag.name,
+        side: tag.side,
+        color: tag.color,
+        ...countGuests(guests.filter(guest => guest.tags.some(link => link.tagId === tag.id)))
+      }))
+    });
+  } catch (error) {
+    logger.error('Side summary error', {
+      error: error.message,
+      stack: error.stack,
+      coupleInfoId: req.query.coupleInfoId
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create Tag
+ *
+ * Adds a tag to a wedding.
+ *
+ * @route POST /api/tags
+ * @param {string} req.body.coupleInfoId - ID of the wedding
+ * @param {string} req.body.name - Name of the tag (unique within the wedding)
+ * @param {string} [req.body.side] - "groom" or "bride"; omit for a tag used by both sides
+ * @param {string} [req.body.color] - Display color, e.g. "#d4a5a5"
+ * @returns {Object} The created tag
+ */
+exports.createTag = async (req, res) => {
+  try {
+    const { coupleInfoId, name, color } = req.body;
+    const side = req.body.side || null;
+
+    const access = await getWeddingAccess(req.user.userId, coupleInfoId);
+
+    if (!access) {
+      logger.warn('Create tag failed: couple not found', { coupleInfoId });
+      return res.status(404).json({ message: '找不到對應的新人資料' });
+    }
+
+    if (!canManageTag(access, side)) {
+      logger.warn('Create tag denied', { coupleInfoId, userId: req.user.userId, role: access.role, side });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    const existing = await prisma.tag.findUnique({
+      where: { coupleInfoId_name: { coupleInfoId, name } }
+    });
+
+    if (existing) {
+      return res.status(409).json({ message: '此標籤名稱已存在', tag: existing });
+    }
+
+    const tag = await prisma.tag.create({
+      data: { coupleInfoId, name, side, color: color || null }
+    });
+
+    logger.info('Tag created', { tagId: tag.id, coupleInfoId, side });
+
+    res.status(201).json({ ...tag, guestCount: 0 });
+  } catch (error) {
+    logger.error('Create tag error', {
+      error: error.message,
+      stack: error.stack,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update Tag
+ *
+ * Renames, recolors or moves a tag to another side. A tag can only be
+ * moved to a side if none of its guests belong to the other side;
+ * its guests without a side take the new side.
+ *
+ * @route PUT /api/tags/:id
+ * @param {string} req.params.id - ID of the tag
+ * @param {Object} req.body - Fields to update (name, side, color)
+ * @returns {Object} The updated tag
+ */
+exports.updateTag = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, side, color } = req.body;
+
+    const found = await findTagWithAccess(id, req.user.userId);
+
+    if (!found) {
+      logger.warn('Update tag failed: tag not found', { id });
+      return res.status(404).json({ message: '找不到此標籤' });
+    }
+
+    const { tag, access } = found;
+
+    if (!canManageTag(access, tag.side) || (side !== undefined && !canManageTag(access, side))) {
+      logger.warn('Update tag denied', { id, userId: req.user.userId, role: access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    if (name && name !== tag.name) {
+      const existing = await prisma.tag.findUnique({
+        where: { coupleInfoId_name: { coupleInfoId: tag.coupleInfoId, name } }
+      });
+      if (existing) {
+        return res.status(409).json({ message: '此標籤名稱已存在', tag: existing });
+      }
+    }
+
+    if (side) {
+      const otherSideGuests = await prisma.guest.count({
+        where: { tags: { some: { tagId: id } }, side: { not: side } }
+      });
+      if (otherSideGuests > 0) {
+        return res.status(400).json({ message: '此標籤有另一方的賓客，無法變更所屬方' });
+      }
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (side) {
+        await tx.guest.updateMany({
+          where: { tags: { some: { tagId: id } }, side: null },
+          data: { side }
+        });
+      }
+      return tx.tag.update({
+        where: { id },
+        data: { name, side, color },
+        include: { _count: { select: { guests: true } } }
+      });
+    });
+
+    logger.info('Tag updated', { tagId: id });
+
+    const { _count, ...result } = updated;
+    res.status(200).json({ ...result, guestCount: _count.guests });
+  } catch (error) {
+    logger.error('Update tag error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete Tag
+ *
+ * Removes a tag from the wedding and from all guests labeled with it.
+ * The guests themselves are kept.
+ *
+ * @route DELETE /api/tags/:id
+ * @param {string} req.params.id - ID of the tag
+ * @returns {Object} Success message
+ */
+exports.deleteTag = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const found = await findTagWithAccess(id, req.user.userId);
+
+    if (!found) {
+      logger.warn('Delete tag failed: tag not found', { id });
+      return res.status(404).json({ message: '找不到此標籤' });
+    }
+
+    if (!canManageTag(found.access, found.tag.side)) {
+      logger.warn('Delete tag denied', { id, userId: req.user.userId, role: found.access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    await prisma.tag.delete({ where: { id } });
+
+    logger.info('Tag deleted', { tagId: id, coupleInfoId: found.tag.coupleInfoId });
+
+    res.status(200).json({ message: '標籤已刪除' });
+  } catch (error) {
+    logger.error('Delete tag error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Tag Guests
+ *
+ * Applies a tag to several guests at once. Guests without a side take the
+ * side of the tag; guests of the other side cannot get a side tag.
+ * Guests that already have the tag are left unchanged.
+ *
+ * @route POST /api/tags/:id/guests
+ * @param {string} req.params.id - ID of the tag
+ * @param {string[]} req.body.guestIds - Guests of the same wedding to tag
+ * @returns {Object} Number of guests newly tagged
+ */
+exports.addTagToGuests = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { guestIds } = req.body;
+
+    const found = await findTagWithAccess(id, req.user.userId);
+
+    if (!found) {
+      logger.warn('Tag guests failed: tag not found', { id });
+      return res.status(404).json({ message: '找不到此標籤' });
+    }
+
+    const { tag, access } = found;
+    const result = await loadTaggableGuests(guestIds, tag, access);
+
+    if (!result.guests) {
+      logger.warn('Tag guests rejected', { id, userId: req.user.userId, reason: result.message });
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    if (tag.side && result.guests.some(guest => guest.side && guest.side !== tag.side)) {
+      return res.status(400).json({ message: '標籤所屬方與賓客所屬方不符' });
+    }
+
+    const alreadyTagged = await prisma.guestTag.findMany({
+      where: { tagId: id, guestId: { in: guestIds } },
+      select: { guestId: true }
+    });
+    const taggedIds = new Set(alreadyTagged.map(link => link.guestId));
+    const newGuestIds = [...new Set(guestIds)].filter(guestId => !taggedIds.has(guestId));
+
+    await prisma.$transaction([
+      prisma.guestTag.createMany({
+        data: newGuestIds.map(guestId => ({ guestId, tagId: id }))
+      }),
+      ...(tag.side
+        ? [prisma.guest.updateMany({ where: { id: { in: newGuestIds }, side: null }, data: { side: tag.side } })]
+        : [])
+    ]);
+
+    logger.info('Tag applied to guests', { tagId: id, tagged: newGuestIds.length });
+
+    res.status(200).json({ message: '已為賓客加上標籤', tagged: newGuestIds.length });
+  } catch (error) {
+    logger.error('Tag guests error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Untag Guests
+ *
+ * Removes a tag from several guests at once.
+ *
+ * @route DELETE /api/tags/:id/guests
+ * @param {string} req.params.id - ID of the tag
+ * @param {string[]} req.body.guestIds - Guests to remove the tag from
+ * @returns {Object} Number of guests the tag was removed from
+ */
+exports.removeTagFromGuests = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { guestIds } = req.body;
+
+    const found = await findTagWithAccess(id, req.user.userId);
+
+    if (!found) {
+      logger.warn('Untag guests failed: tag not found', { id });
+      return res.status(404).json({ message: '找不到此標籤' });
+    }
+
+    const result = await loadTaggableGuests(guestIds, found.tag, found.access);
+
+    if (!result.guests) {
+      logger.warn('Untag guests rejected', { id, userId: req.user.userId, reason: result.message });
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const { count } = await prisma.guestTag.deleteMany({
+      where: { tagId: id, guestId: { in: guestIds } }
+    });
+
+    logger.info('Tag removed from guests', { tagId: id, untagged: count });
+
+    res.status(200).json({ message: '已移除賓客的標籤', untagged: count });
+  } catch (error) {
+    logger.error('Untag guests error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update Tagged Guests
+ *
+ * Changes the relationship or number of plus-ones of every guest with
+ * the tag, e.g. to set all "公司同事" to relationship "同事".
+ *
+ * @route PATCH /api/tags/:id/guests
+ * @param {string} req.params.id - ID of the tag
+ * @param {string} [req.body.relationship] - New relationship of the guests
+ * @param {number} [req.body.plusOnesAllowed] - New number of plus-ones; guests who
+ *   already named more companions keep enough plus-ones for them
+ * @returns {Object} Number of guests updated
+ */
+exports.updateTaggedGuests = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { relationship, plusOnesAllowed } = req.body;
+
+    const found = await findTagWithAccess(id, req.user.userId);
+
+    if (!found) {
+      logger.warn('Update tagged guests failed: tag not found', { id });
+      return res.status(404).json({ message: '找不到此標籤' });
+    }
+
+    const guests = await prisma.guest.findMany({
+      where: { tags: { some: { tagId: id } } },
+      select: { id: true, side: true, _count: { select: { companions: true } } }
+    });
+
+    if (!guests.every(guest => can(found.access, 'guest:write', guest.side))) {
+      logger.warn('Update tagged guests denied', { id, userId: req.user.userId, role: found.access.role });
+      return res.status(403).json({ message: '您沒有執行此操作的權限' });
+    }
+
+    await prisma.$transaction(guests.map(guest => prisma.guest.update({
+      where: { id: guest.id },
+      data: {
+        relationship,
+        plusOnesAllowed: plusOnesAllowed !== undefined
+          ? Math.max(plusOnesAllowed, guest._count.companions)
+          : undefined
+      }
+    })));
+
+    logger.info('Tagged guests updated', { tagId: id, updated: guests.length });
+
+    res.status(200).json({ message: '已更新此標籤的賓客', updated: guests.length });
+  } catch (error) {
+    logger.error('Update tagged guests error', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      body: req.body
+    });
+
+    res.status(500).json({
+      message: '伺服器錯誤',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -8,9 +8,20 @@
  * for securely transmitting information between parties as a JSON object.
  * This information can be verified and trusted because it is digitally signed.
  */
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
 const logger = require('../config/logger');
 
+const prisma = new PrismaClient();
+
+/**
+ * Access token lifetime
+ * Kept short because clients renew access tokens with a refresh token;
+ * accepts any value understood by jsonwebtoken (e.g. "15m", "1h")
+ */
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
 /**
  * Verifies that JWT secret is properly configured in environment variables
  * This is critical for security as a missing or weak secret could compromise authentication
@@ -27,26 +38,32 @@ const checkJwtSecret = () => {
 
 /**
  * Generates a JWT access token for user authentication
- * The token contains the user ID and expires after 1 hour
+ * The token contains the user ID, role and login session ID, and expires
+ * after ACCESS_TOKEN_TTL. Each token also gets a unique ID (jti) for logging.
  * 
  * @param {string} userId - The ID of the user to authenticate
+ * @param {string} role - The user's role, checked by adminOnly
+ * @param {string} sessionId - The AuthSession the token belongs to
  * @returns {string} Signed JWT token
  * @throws {Error} If JWT_SECRET is not configured
  */
-const generateAccessToken = (userId) => {
+const generateAccessToken = (userId, role, sessionId) => {
   if (!checkJwtSecret()) {
     throw new Error('JWT_SECRET not configured');
   }
   
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '1h'
+  return jwt.sign({ userId, role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID()
   });
 };
 
 /**
  * Authentication Middleware
  * 
- * Verifies the JWT token in the request's Authorization header
+ * Verifies the JWT token in the request's Authorization header and checks
+ * that the login session it belongs to has not been revoked (by logout or
+ * refresh token reuse), so a stolen token stops working immediately.
  * If valid, adds the decoded user information to the request object
  * If invalid, returns an appropriate error response
  * 
@@ -55,7 +72,7 @@ const generateAccessToken = (userId) => {
  * @param {Function} next - Express next middleware function
  * @returns {Object} Error response if authentication fails
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   if (!checkJwtSecret()) {
     return res.status(500).json({ message: '伺服器配置錯誤' });
   }
@@ -74,30 +91,67 @@ const authenticateToken = (req, res, next) => {
   }
   
   // Verify token
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      if (err.name === 'TokenExpiredError') {
-        logger.warn('Authentication failed: Token expired', {
-          ip: req.ip,
-          path: req.path,
-          method: req.method
-        });
-        return res.status(401).json({ message: '登入已過期，請重新登入' });
-      }
-      
-      logger.warn('Authentication failed: Invalid token', {
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      logger.warn('Authentication failed: Token expired', {
         ip: req.ip,
         path: req.path,
-        method: req.method,
-        error: err.message
+        method: req.method
       });
-      return res.status(403).json({ message: '無效的認證' });
+      return res.status(401).json({ message: '登入已過期，請重新登入' });
     }
     
-    // Add user info to request object for use in route handlers
-    req.user = user;
-    next();
-  });
+    logger.warn('Authentication failed: Invalid token', {
+      ip: req.ip,
+      path: req.path,
+      method: req.method,
+      error: err.message
+    });
+    return res.status(403).json({ message: '無效的認證' });
+  }
+  
+  // Tokens issued before sessions existed carry no session ID and cannot be revoked
+  if (!user.sid) {
+    logger.warn('Authentication failed: Token without session', {
+      ip: req.ip,
+      path: req.path,
+      userId: user.userId
+    });
+    return res.status(403).json({ message: '無效的認證' });
+  }
+  
+  // Revocation check
+  try {
+    const session = await prisma.authSession.findUnique({
+      where: { id: user.sid },
+      select: { userId: true, revokedAt: true }
+    });
+    
+    if (!session || session.revokedAt || session.userId !== user.userId) {
+      logger.warn('Authentication failed: Session revoked', {
+        ip: req.ip,
+        path: req.path,
+        userId: user.userId,
+        sessionId: user.sid,
+        tokenId: user.jti
+      });
+      return res.status(401).json({ message: '登入已失效，請重新登入' });
+    }
+  } catch (error) {
+    logger.error('Authentication session check error', {
+      error: error.message,
+      stack: error.stack,
+      sessionId: user.sid
+    });
+    return res.status(500).json({ message: '伺服器錯誤' });
+  }
+  
+  // Add user info to request object for use in route handlers
+  req.user = user;
+  next();
 };
 
 /**
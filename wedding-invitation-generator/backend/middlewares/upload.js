@@ -0,0 +1,67 @@
+/**
+ * File Upload Middleware
+ *
+ * Accepts spreadsheet uploads (CSV or XLSX) for the guest import.
+ * Files are kept in memory, never written to disk, and limited in size.
+ * Upload errors (wrong file type, file too large, missing file) are
+ * answered with 400 in the API's usual error format.
+ */
+const multer = require('multer');
+const logger = require('../config/logger');
+
+/**
+ * Largest accepted spreadsheet, in megabytes
+ */
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 5;
+
+/**
+ * Multer instance for spreadsheets
+ * The file type is checked by extension because browsers report
+ * inconsistent MIME types for CSV files
+ */
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return callback(null, true);
+    }
+    callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+  }
+});
+
+/**
+ * Upload Spreadsheet Middleware
+ *
+ * Reads a single spreadsheet from the multipart field "file" into
+ * req.file and the other form fields into req.body.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Error response if the upload is rejected
+ */
+const uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload.single('file')(req, res, (error) => {
+    if (error) {
+      logger.warn('Spreadsheet upload rejected', {
+        code: error.code,
+        error: error.message,
+        userId: req.user?.userId
+      });
+
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `檔案大小不可超過 ${MAX_UPLOAD_MB}MB`
+        : '請上傳一個 CSV 或 XLSX 檔案（欄位名稱 file）';
+      return res.status(400).json({ message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: '請上傳一個 CSV 或 XLSX 檔案（欄位名稱 file）' });
+    }
+
+    next();
+  });
+};
+
+module.exports = { uploadSpreadsheet };
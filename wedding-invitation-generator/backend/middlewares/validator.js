@@ -264,6 +264,64 @@ function sanitizeHeaders(headers) {
   return sanitized;
 }
 
+/**
+ * Checks an allergy list: at most 20 entries of 1-50 characters
+ * 
+ * @param {*} value - Value of the allergies field
+ * @returns {boolean} True if valid
+ * @throws {Error} If the list is invalid
+ */
+function isAllergyList(value) {
+  if (!Array.isArray(value) || value.length > 20 ||
+      !value.every(item => typeof item === 'string' && item.trim().length > 0 && item.length <= 50)) {
+    throw new Error('過敏原必須是最多20項、每項不超過50字的文字陣列');
+  }
+  return true;
+}
+
+/**
+ * Checks one entry of a guest's companions list: a name, or an object
+ * with a name and optionally a meal option ID and an allergy list
+ * 
+ * @param {*} value - One companions entry
+ * @returns {boolean} True if valid
+ * @throws {Error} If the entry is invalid
+ */
+function isCompanionEntry(value) {
+  const name = typeof value === 'string' ? value : value && value.name;
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    throw new Error('同行者姓名格式不正確');
+  }
+  if (typeof value === 'object') {
+    const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (value.mealOptionId != null && !uuidPattern.test(value.mealOptionId)) {
+      throw new Error('餐點選項ID格式不正確');
+    }
+    if (value.allergies != null) {
+      isAllergyList(value.allergies);
+    }
+  }
+  return true;
+}
+
+/**
+ * Checks a spreadsheet column mapping sent as a form field: a JSON object
+ * whose values are guest field names (or null for ignored columns)
+ * 
+ * @param {string} value - Mapping as JSON text
+ * @returns {boolean} True if valid
+ */
+function isColumnMapping(value) {
+  let mapping;
+  try {
+    mapping = JSON.parse(value);
+  } catch (error) {
+    return false;
+  }
+  return !!mapping && typeof mapping === 'object' && !Array.isArray(mapping) &&
+    Object.values(mapping).every(field => field === null || typeof field === 'string');
+}
+
 /**
  * Validation Schemas
  * 
@@ -277,6 +335,56 @@ function sanitizeHeaders(headers) {
  * - String patterns (time format)
  */
 const validationSchemas = {
+  /**
+   * Account Registration Validation
+   * 
+   * Validates a new account:
+   * - Email must be in valid format
+   * - Password must be at least 8 characters long
+   * - Name, when provided, must be a string of at most 100 characters
+   */
+  register: [
+    body('email').isEmail().withMessage('電子郵件格式不正確'),
+    body('password').isLength({ min: 8 }).withMessage('密碼長度至少需要8個字元'),
+    body('name').optional().isString().isLength({ max: 100 }).withMessage('名稱格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Login Validation
+   * 
+   * Validates login credentials:
+   * - Email must be in valid format
+   * - Password cannot be empty
+   */
+  login: [
+    body('email').isEmail().withMessage('電子郵件格式不正確'),
+    body('password').notEmpty().withMessage('密碼不能為空'),
+    handleValidation
+  ],
+  
+  /**
+   * Refresh Token Validation
+   * 
+   * Validates the token refresh request:
+   * - Refresh token must be provided
+   */
+  refreshToken: [
+    body('refreshToken').isString().notEmpty().withMessage('缺少刷新憑證'),
+    handleValidation
+  ],
+  
+  /**
+   * Logout Validation
+   * 
+   * Validates the logout request:
+   * - allSessions must be a boolean if provided
+   */
+  logout: [
+    body('allSessions').optional().isBoolean({ strict: true }).withMessage('allSessions 必須是布林值'),
+    handleValidation
+  ],
+  
   /**
    * Couple Information Validation
    * 
@@ -285,6 +393,7 @@ const validationSchemas = {
    * - Wedding date must be in ISO8601 format
    * - Wedding time must be in HH:MM format
    * - Location and theme must be provided
+   * - Tone preset, target length (100-1000) and extra instructions are optional
    */
   coupleInfo: [
     body('groomName').notEmpty().withMessage('新郎姓名不能為空'),
@@ -293,6 +402,29 @@ const validationSchemas = {
     body('weddingTime').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('婚禮時間格式不正確'),
     body('weddingLocation').notEmpty().withMessage('婚禮地點不能為空'),
     body('weddingTheme').notEmpty().withMessage('婚禮主題不能為空'),
+    body('tonePreset').optional().isIn(['warm', 'formal', 'humorous', 'poetic', 'traditional']).withMessage('語氣必須是 warm、formal、humorous、poetic 或 traditional'),
+    body('targetLength').optional().isInt({ min: 100, max: 1000 }).withMessage('目標字數必須介於100到1000之間').toInt(),
+    body('extraInstructions').optional({ values: 'null' }).isString().isLength({ max: 1000 }).withMessage('額外要求不能超過1000個字元'),
+    handleValidation
+  ],
+  
+  /**
+   * Couple Information Update Validation
+   * 
+   * Validates the wedding ID in the path and applies
+   * the same field rules as when creating a couple
+   */
+  updateCoupleInfo: [
+    param('id').isUUID().withMessage('新人ID格式不正確'),
+    body('groomName').notEmpty().withMessage('新郎姓名不能為空'),
+    body('brideName').notEmpty().withMessage('新娘姓名不能為空'),
+    body('weddingDate').isISO8601().withMessage('婚禮日期格式不正確'),
+    body('weddingTime').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('婚禮時間格式不正確'),
+    body('weddingLocation').notEmpty().withMessage('婚禮地點不能為空'),
+    body('weddingTheme').notEmpty().withMessage('婚禮主題不能為空'),
+    body('tonePreset').optional().isIn(['warm', 'formal', 'humorous', 'poetic', 'traditional']).withMessage('語氣必須是 warm、formal、humorous、poetic 或 traditional'),
+    body('targetLength').optional().isInt({ min: 100, max: 1000 }).withMessage('目標字數必須介於100到1000之間').toInt(),
+    body('extraInstructions').optional({ values: 'null' }).isString().isLength({ max: 1000 }).withMessage('額外要求不能超過1000個字元'),
     handleValidation
   ],
   
@@ -302,13 +434,88 @@ const validationSchemas = {
    * Validates guest data when creating or updating:
    * - Name and relationship cannot be empty
    * - Email must be in valid format
+   * - Phone, when provided, must be a phone number
    * - Must be associated with a valid couple (UUID)
+   * - Household, plus-ones, companions, meal choice, allergies and tags are optional
    */
   guestInfo: [
     body('name').notEmpty().withMessage('賓客姓名不能為空'),
     body('relationship').notEmpty().withMessage('與新人關係不能為空'),
     body('email').isEmail().withMessage('電子郵件格式不正確'),
+    body('phone').optional({ values: 'null' }).matches(/^\+?[\d\s()-]{6,20}$/).withMessage('電話號碼格式不正確'),
     body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('side').optional({ values: 'null' }).isIn(['groom', 'bride']).withMessage('賓客所屬方必須是 groom 或 bride'),
+    body('householdId').optional({ values: 'null' }).isUUID().withMessage('家庭ID格式不正確'),
+    body('plusOnesAllowed').optional().isInt({ min: 0, max: 10 }).withMessage('可攜伴人數必須介於0到10之間').toInt(),
+    body('companions').optional().isArray({ max: 10 }).withMessage('同行者必須是姓名陣列'),
+    body('companions.*').custom(isCompanionEntry),
+    body('mealOptionId').optional({ values: 'null' }).isUUID().withMessage('餐點選項ID格式不正確'),
+    body('allergies').optional({ values: 'null' }).custom(isAllergyList),
+    body('tagIds').optional().isArray().withMessage('tagIds 必須是陣列'),
+    body('tagIds.*').isUUID().withMessage('標籤ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Guest List Validation
+   * 
+   * Validates guest list queries; every parameter is optional:
+   * - Couple ID must be a valid UUID
+   * - Status and RSVP filters must be comma-separated known values
+   * - Side must be groom or bride
+   * - Tag must be comma-separated tag IDs
+   * - Sort must be createdAt, name, status or relationship; order asc or desc
+   * - Limit must be between 1 and 200; cursor must be a guest ID
+   */
+  listGuests: [
+    query('coupleInfoId').optional().isUUID().withMessage('新人ID格式不正確'),
+    query('status').optional().matches(/^(pending|generated|edited|sent)(,(pending|generated|edited|sent))*$/)
+      .withMessage('狀態篩選必須是 pending、generated、edited 或 sent（可用逗號分隔）'),
+    query('rsvp').optional().matches(/^(attending|declined|maybe|none)(,(attending|declined|maybe|none))*$/)
+      .withMessage('出席回覆篩選必須是 attending、declined、maybe 或 none（可用逗號分隔）'),
+    query('relationship').optional().isString().isLength({ max: 200 }).withMessage('關係篩選格式不正確'),
+    query('side').optional().isIn(['groom', 'bride']).withMessage('賓客所屬方必須是 groom 或 bride'),
+    query('tag').optional().matches(/^[0-9a-f-]{36}(,[0-9a-f-]{36})*$/i).withMessage('標籤篩選必須是以逗號分隔的標籤ID'),
+    query('q').optional().isString().isLength({ max: 100 }).withMessage('搜尋文字不可超過100字'),
+    query('sort').optional().isIn(['createdAt', 'name', 'status', 'relationship']).withMessage('排序欄位必須是 createdAt、name、status 或 relationship'),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('排序方向必須是 asc 或 desc'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('每頁筆數必須介於1到200之間'),
+    query('cursor').optional().isUUID().withMessage('分頁游標格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Guest Update Validation
+   * 
+   * Validates the guest ID in the path and the household, dietary and
+   * tag fields when they are provided; other fields are optional on update
+   */
+  updateGuest: [
+    param('id').isUUID().withMessage('賓客ID格式不正確'),
+    body('email').optional().isEmail().withMessage('電子郵件格式不正確'),
+    body('phone').optional({ values: 'null' }).matches(/^\+?[\d\s()-]{6,20}$/).withMessage('電話號碼格式不正確'),
+    body('side').optional({ values: 'null' }).isIn(['groom', 'bride']).withMessage('賓客所屬方必須是 groom 或 bride'),
+    body('householdId').optional({ values: 'null' }).isUUID().withMessage('家庭ID格式不正確'),
+    body('plusOnesAllowed').optional().isInt({ min: 0, max: 10 }).withMessage('可攜伴人數必須介於0到10之間').toInt(),
+    body('companions').optional().isArray({ max: 10 }).withMessage('同行者必須是姓名陣列'),
+    body('companions.*').custom(isCompanionEntry),
+    body('mealOptionId').optional({ values: 'null' }).isUUID().withMessage('餐點選項ID格式不正確'),
+    body('allergies').optional({ values: 'null' }).custom(isAllergyList),
+    body('tagIds').optional().isArray().withMessage('tagIds 必須是陣列'),
+    body('tagIds.*').isUUID().withMessage('標籤ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Guest Status Validation
+   * 
+   * Validates invitation status updates:
+   * - Guest ID must be a valid UUID
+   * - Status must be an invitation lifecycle value
+   */
+  guestStatus: [
+    param('id').isUUID().withMessage('賓客ID格式不正確'),
+    body('status').isIn(['pending', 'generated', 'edited', 'sent']).withMessage('無效的賓客狀態'),
     handleValidation
   ],
   
@@ -317,9 +524,62 @@ const validationSchemas = {
    * 
    * Validates request to generate an invitation:
    * - Guest ID must be a valid UUID
+   * - Number of candidates, when provided, must be between 1 and 5
    */
   generateInvitation: [
     body('guestId').isUUID().withMessage('賓客ID格式不正確'),
+    query('candidates').optional().isInt({ min: 1, max: 5 }).withMessage('候選邀請函數量必須是1到5之間的整數'),
+    handleValidation
+  ],
+  
+  /**
+   * Batch Invitation Generation Validation
+   * 
+   * Validates starting a batch generation:
+   * - Must specify a valid couple ID (UUID)
+   * - Guest IDs, when provided, must be a non-empty array of UUIDs
+   * - Filter, when provided, must use the guest list filter formats
+   * - Force, when provided, must be a boolean
+   */
+  generateInvitationsBatch: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('guestIds').optional().isArray({ min: 1, max: 1000 }).withMessage('guestIds 必須是1到1000位賓客的陣列'),
+    body('guestIds.*').isUUID().withMessage('賓客ID格式不正確'),
+    body('filter').optional().isObject().withMessage('篩選條件格式不正確'),
+    body('filter.status').optional().matches(/^(pending|generated|edited|sent)(,(pending|generated|edited|sent))*$/)
+      .withMessage('狀態篩選必須是 pending、generated、edited 或 sent（可用逗號分隔）'),
+    body('filter.rsvp').optional().matches(/^(attending|declined|maybe|none)(,(attending|declined|maybe|none))*$/)
+      .withMessage('出席回覆篩選必須是 attending、declined、maybe 或 none（可用逗號分隔）'),
+    body('filter.relationship').optional().isString().isLength({ max: 200 }).withMessage('關係篩選格式不正確'),
+    body('filter.side').optional().isIn(['groom', 'bride']).withMessage('賓客所屬方必須是 groom 或 bride'),
+    body('filter.tag').optional().matches(/^[0-9a-f-]{36}(,[0-9a-f-]{36})*$/i).withMessage('標籤篩選必須是以逗號分隔的標籤ID'),
+    body('filter.q').optional().isString().isLength({ max: 100 }).withMessage('搜尋文字不可超過100字'),
+    body('force').optional().isBoolean().withMessage('force 必須是布林值').toBoolean(),
+    handleValidation
+  ],
+  
+  /**
+   * Stale Invitations Validation
+   * 
+   * Validates listing a wedding's stale invitations:
+   * - Must specify a valid couple ID (UUID)
+   */
+  staleInvitations: [
+    query('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Stale Invitation Regeneration Validation
+   * 
+   * Validates regenerating a wedding's stale invitations:
+   * - Must specify a valid couple ID (UUID)
+   * - Guest IDs, when provided, must be a non-empty array of UUIDs
+   */
+  regenerateStaleInvitations: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('guestIds').optional().isArray({ min: 1, max: 1000 }).withMessage('guestIds 必須是1到1000位賓客的陣列'),
+    body('guestIds.*').isUUID().withMessage('賓客ID格式不正確'),
     handleValidation
   ],
   
@@ -336,14 +596,299 @@ const validationSchemas = {
     handleValidation
   ],
   
+  /**
+   * Invitation Apply Validation
+   * 
+   * Validates applying one invitation text to many guests:
+   * - Must specify a valid couple ID (UUID)
+   * - Guest IDs must be a non-empty array of UUIDs
+   * - Invitation content must not be empty
+   */
+  applyInvitation: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('guestIds').isArray({ min: 1, max: 1000 }).withMessage('guestIds 必須是1到1000位賓客的陣列'),
+    body('guestIds.*').isUUID().withMessage('賓客ID格式不正確'),
+    body('invitationContent').isString().notEmpty().withMessage('邀請函內容不能為空'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Preview Validation
+   * 
+   * Validates previewing a guest's invitation:
+   * - Guest ID must be a valid UUID
+   */
+  invitationPreview: [
+    param('guestId').isUUID().withMessage('賓客ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Versions Validation
+   * 
+   * Validates listing the versions of an invitation:
+   * - Guest ID must be a valid UUID
+   */
+  invitationVersions: [
+    param('guestId').isUUID().withMessage('賓客ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Diff Validation
+   * 
+   * Validates comparing two versions of an invitation:
+   * - Guest ID must be a valid UUID
+   * - From version ID must be a valid UUID
+   * - To version ID, when provided, must be a valid UUID
+   * - Unit, when provided, must be line or char
+   */
+  invitationDiff: [
+    param('guestId').isUUID().withMessage('賓客ID格式不正確'),
+    query('from').isUUID().withMessage('版本ID格式不正確'),
+    query('to').optional().isUUID().withMessage('版本ID格式不正確'),
+    query('unit').optional().isIn(['line', 'char']).withMessage('比較單位必須是 line 或 char'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Revert Validation
+   * 
+   * Validates restoring an earlier version of an invitation:
+   * - Guest ID must be a valid UUID
+   * - Version ID must be a valid UUID
+   */
+  revertInvitation: [
+    param('guestId').isUUID().withMessage('賓客ID格式不正確'),
+    param('versionId').isUUID().withMessage('版本ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Drafts Validation
+   * 
+   * Validates listing the candidate drafts of an invitation:
+   * - Guest ID must be a valid UUID
+   */
+  invitationDrafts: [
+    param('guestId').isUUID().withMessage('賓客ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Draft Selection Validation
+   * 
+   * Validates selecting a candidate draft as the invitation:
+   * - Guest ID must be a valid UUID
+   * - Draft ID must be a valid UUID
+   */
+  selectInvitationDraft: [
+    param('guestId').isUUID().withMessage('賓客ID格式不正確'),
+    param('draftId').isUUID().withMessage('候選邀請函ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Prompt Preview Validation
+   * 
+   * Validates previewing the AI prompt for a guest:
+   * - Guest ID must be a valid UUID
+   * - Kind, when provided, must be invitation or feedback
+   * - Feedback text, when provided, must be at most 2000 characters
+   */
+  invitationPrompt: [
+    param('guestId').isUUID().withMessage('賓客ID格式不正確'),
+    query('kind').optional().isIn(['invitation', 'feedback']).withMessage('提示類型必須是 invitation 或 feedback'),
+    query('feedbackText').optional().isLength({ max: 2000 }).withMessage('回饋內容不能超過2000個字元'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Cache Purge Validation
+   * 
+   * Validates purging the invitation cache:
+   * - expiredOnly, when provided, must be a boolean
+   * - Couple info ID, when provided, must be a valid UUID
+   */
+  purgeInvitationCache: [
+    query('expiredOnly').optional().isBoolean().withMessage('expiredOnly 必須是布林值'),
+    query('coupleInfoId').optional().isUUID().withMessage('新人ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * AI Usage Report Validation
+   * 
+   * Validates the period of the global AI usage report:
+   * - From and to dates, when provided, must be ISO 8601 dates
+   */
+  aiUsageReport: [
+    query('from').optional().isISO8601().withMessage('開始日期格式不正確'),
+    query('to').optional().isISO8601().withMessage('結束日期格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Wedding AI Usage Validation
+   * 
+   * Validates the AI usage report of a wedding:
+   * - Couple info ID must be a valid UUID
+   * - From and to dates, when provided, must be ISO 8601 dates
+   */
+  weddingAiUsage: [
+    param('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    query('from').optional().isISO8601().withMessage('開始日期格式不正確'),
+    query('to').optional().isISO8601().withMessage('結束日期格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * AI Budget Validation
+   * 
+   * Validates setting a wedding's AI budget:
+   * - Couple info ID must be a valid UUID
+   * - Budget, when not null, must be a number of USD of at least 0
+   * - Action, when not null, must be mock or block
+   */
+  aiBudget: [
+    param('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('budget').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('預算必須是大於或等於0的數字').toFloat(),
+    body('action').optional({ values: 'null' }).isIn(['mock', 'block']).withMessage('預算用完後的處理方式必須是 mock 或 block'),
+    handleValidation
+  ],
+  
+  /**
+   * Job ID Validation
+   * 
+   * Validates routes addressing a single background job:
+   * - Job ID must be a valid UUID
+   */
+  jobId: [
+    param('id').isUUID().withMessage('工作ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Job List Validation
+   * 
+   * Validates listing the background jobs of a wedding:
+   * - Must specify a valid couple ID (UUID)
+   */
+  listJobs: [
+    query('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Prompt Template Key Validation
+   * 
+   * Validates the prompt template in the path:
+   * - Key must be one of the prompt templates
+   */
+  promptTemplateKey: [
+    param('key').isIn(['invitation.system', 'invitation.user', 'feedback.system', 'feedback.user']).withMessage('找不到此提示範本'),
+    handleValidation
+  ],
+  
+  /**
+   * Prompt Template Validation
+   * 
+   * Validates storing a new prompt template version:
+   * - Key must be one of the prompt templates
+   * - Body cannot be empty and must be at most 20000 characters
+   * - Note, when provided, must be at most 200 characters
+   */
+  promptTemplate: [
+    param('key').isIn(['invitation.system', 'invitation.user', 'feedback.system', 'feedback.user']).withMessage('找不到此提示範本'),
+    body('body').isString().withMessage('範本內容不能為空').bail().trim().notEmpty().withMessage('範本內容不能為空').isLength({ max: 20000 }).withMessage('範本內容不能超過20000個字元'),
+    body('note').optional({ values: 'null' }).isString().isLength({ max: 200 }).withMessage('說明不能超過200個字元'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Template Query Validation
+   * 
+   * Validates listing the invitation templates of a wedding:
+   * - Must specify a valid couple ID (UUID)
+   */
+  invitationTemplateQuery: [
+    query('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Template Validation
+   * 
+   * Validates creating an invitation template:
+   * - Must specify a valid couple ID (UUID)
+   * - Name cannot be empty and must be at most 50 characters
+   * - Description, when provided, must be at most 200 characters
+   * - Match, when provided, must be an object
+   * - Paragraphs must be a non-empty array
+   * The criteria, sections and phrasings are checked by the controller
+   */
+  invitationTemplate: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('name').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('範本名稱不能為空且不可超過50字'),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 200 }).withMessage('說明不能超過200個字元'),
+    body('match').optional().isObject().withMessage('適用條件必須是物件'),
+    body('paragraphs').isArray({ min: 1 }).withMessage('段落必須是非空陣列'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Template Update Validation
+   * 
+   * Validates the template ID in the path and the same field
+   * rules as when creating, with every field optional
+   */
+  updateInvitationTemplate: [
+    param('id').isUUID().withMessage('範本ID格式不正確'),
+    body('name').optional().isString().trim().notEmpty().isLength({ max: 50 }).withMessage('範本名稱不能為空且不可超過50字'),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 200 }).withMessage('說明不能超過200個字元'),
+    body('match').optional().isObject().withMessage('適用條件必須是物件'),
+    body('paragraphs').optional().isArray({ min: 1 }).withMessage('段落必須是非空陣列'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Template ID Validation
+   * 
+   * Validates routes addressing a single invitation template:
+   * - Template ID must be a valid UUID
+   */
+  invitationTemplateId: [
+    param('id').isUUID().withMessage('範本ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Template Preview Validation
+   * 
+   * Validates previewing an invitation template:
+   * - Guest ID must be a valid UUID
+   * - Template ID, when provided, must be a string
+   * - Match, when provided, must be an object
+   * - Paragraphs, when provided, must be a non-empty array
+   */
+  invitationTemplatePreview: [
+    body('guestId').isUUID().withMessage('賓客ID格式不正確'),
+    body('templateId').optional().isString().notEmpty().withMessage('範本ID格式不正確'),
+    body('match').optional().isObject().withMessage('適用條件必須是物件'),
+    body('paragraphs').optional().isArray({ min: 1 }).withMessage('段落必須是非空陣列'),
+    handleValidation
+  ],
+  
   /**
    * Invitation Sending Validation
    * 
    * Validates request to send invitations:
    * - Couple ID must be a valid UUID
+   * - Tag ID, when provided, must be a valid UUID
    */
   sendInvitation: [
     body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('tagId').optional().isUUID().withMessage('標籤ID格式不正確'),
     handleValidation
   ],
   
@@ -356,6 +901,478 @@ const validationSchemas = {
   sendSingleInvitation: [
     param('guestId').isUUID().withMessage('賓客ID格式不正確'),
     handleValidation
+  ],
+  
+  /**
+   * RSVP Reply Validation
+   * 
+   * Validates a guest's reply from the public RSVP page:
+   * - Response must be attending, declined or maybe
+   * - Party size, when provided, must be between 1 and 20
+   * - Comment, when provided, must be at most 500 characters
+   * - Meal choices must be UUIDs and allergies lists of short strings,
+   *   for the guest and for each companion (in the order they are listed)
+   */
+  rsvpReply: [
+    param('token').isString().isLength({ min: 20, max: 128 }).withMessage('無效的回覆連結'),
+    body('response').isIn(['attending', 'declined', 'maybe']).withMessage('回覆必須是 attending、declined 或 maybe'),
+    body('partySize').optional().isInt({ min: 1, max: 20 }).withMessage('出席人數必須介於1到20之間').toInt(),
+    body('comment').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage('留言不可超過500字'),
+    body('mealOptionId').optional({ values: 'null' }).isUUID().withMessage('餐點選項ID格式不正確'),
+    body('allergies').optional({ values: 'null' }).custom(isAllergyList),
+    body('companions').optional().isArray({ max: 10 }).withMessage('同行者資料必須是陣列'),
+    body('companions.*').isObject().withMessage('同行者資料格式不正確'),
+    body('companions.*.mealOptionId').optional({ values: 'null' }).isUUID().withMessage('餐點選項ID格式不正確'),
+    body('companions.*.allergies').optional({ values: 'null' }).custom(isAllergyList),
+    handleValidation
+  ],
+  
+  /**
+   * Member List Validation
+   * 
+   * Validates listing the members of a wedding:
+   * - Must specify a valid couple ID (UUID)
+   */
+  listMembers: [
+    query('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Member Invitation Validation
+   * 
+   * Validates inviting a collaborator:
+   * - Must specify a valid couple ID (UUID)
+   * - Email must be in valid format
+   * - Role must be one of the wedding roles
+   * - Side, when provided, must be "groom" or "bride"
+   */
+  inviteMember: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('email').isEmail().withMessage('電子郵件格式不正確'),
+    body('role').isIn(['owner', 'planner', 'family_helper', 'viewer']).withMessage('成員角色不正確'),
+    body('side').optional({ values: 'null' }).isIn(['groom', 'bride']).withMessage('所屬方必須是 groom 或 bride'),
+    handleValidation
+  ],
+  
+  /**
+   * Invitation Acceptance Validation
+   * 
+   * Validates accepting a collaborator invitation:
+   * - Invitation token must be provided
+   */
+  acceptInvite: [
+    body('token').isString().notEmpty().withMessage('缺少邀請憑證'),
+    handleValidation
+  ],
+  
+  /**
+   * Member Removal Validation
+   * 
+   * Validates removing a collaborator:
+   * - Membership ID must be a valid UUID
+   */
+  removeMember: [
+    param('id').isUUID().withMessage('成員ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Household List Validation
+   * 
+   * Validates listing the households of a wedding:
+   * - Must specify a valid couple ID (UUID)
+   */
+  listHouseholds: [
+    query('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Household Validation
+   * 
+   * Validates creating a household:
+   * - Must specify a valid couple ID (UUID)
+   * - Name cannot be empty
+   * - Contact email must be in valid format
+   * - Side, when provided, must be "groom" or "bride"
+   * - Guest IDs, when provided, must be UUIDs
+   */
+  householdInfo: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('name').isString().trim().notEmpty().withMessage('家庭名稱不能為空'),
+    body('salutation').optional({ values: 'null' }).isString().isLength({ max: 100 }).withMessage('稱謂不可超過100字'),
+    body('contactEmail').isEmail().withMessage('聯絡電子郵件格式不正確'),
+    body('side').optional({ values: 'null' }).isIn(['groom', 'bride']).withMessage('所屬方必須是 groom 或 bride'),
+    body('guestIds').optional().isArray().withMessage('guestIds 必須是陣列'),
+    body('guestIds.*').isUUID().withMessage('賓客ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Household Update Validation
+   * 
+   * Validates the household ID in the path and the same field
+   * rules as when creating, with every field optional
+   */
+  updateHousehold: [
+    param('id').isUUID().withMessage('家庭ID格式不正確'),
+    body('name').optional().isString().trim().notEmpty().withMessage('家庭名稱不能為空'),
+    body('salutation').optional({ values: 'null' }).isString().isLength({ max: 100 }).withMessage('稱謂不可超過100字'),
+    body('contactEmail').optional().isEmail().withMessage('聯絡電子郵件格式不正確'),
+    body('side').optional({ values: 'null' }).isIn(['groom', 'bride']).withMessage('所屬方必須是 groom 或 bride'),
+    body('guestIds').optional().isArray().withMessage('guestIds 必須是陣列'),
+    body('guestIds.*').isUUID().withMessage('賓客ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Household ID Validation
+   * 
+   * Validates routes addressing a single household:
+   * - Household ID must be a valid UUID
+   */
+  householdId: [
+    param('id').isUUID().withMessage('家庭ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Tag Query Validation
+   * 
+   * Validates listing the tags of a wedding and the side summary:
+   * - Must specify a valid couple ID (UUID)
+   */
+  tagQuery: [
+    query('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Tag Validation
+   * 
+   * Validates creating a tag:
+   * - Must specify a valid couple ID (UUID)
+   * - Name cannot be empty and must be at most 30 characters
+   * - Side, when provided, must be "groom" or "bride"
+   * - Color, when provided, must be a hex color such as #d4a5a5
+   */
+  tagInfo: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('name').isString().trim().notEmpty().isLength({ max: 30 }).withMessage('標籤名稱不能為空且不可超過30字'),
+    body('side').optional({ values: 'null' }).isIn(['groom', 'bride']).withMessage('所屬方必須是 groom 或 bride'),
+    body('color').optional({ values: 'null' }).matches(/^#[0-9a-f]{6}$/i).withMessage('顏色必須是 #RRGGBB 格式'),
+    handleValidation
+  ],
+  
+  /**
+   * Tag Update Validation
+   * 
+   * Validates the tag ID in the path and the same field
+   * rules as when creating, with every field optional
+   */
+  updateTag: [
+    param('id').isUUID().withMessage('標籤ID格式不正確'),
+    body('name').optional().isString().trim().notEmpty().isLength({ max: 30 }).withMessage('標籤名稱不能為空且不可超過30字'),
+    body('side').optional({ values: 'null' }).isIn(['groom', 'bride']).withMessage('所屬方必須是 groom 或 bride'),
+    body('color').optional({ values: 'null' }).matches(/^#[0-9a-f]{6}$/i).withMessage('顏色必須是 #RRGGBB 格式'),
+    handleValidation
+  ],
+  
+  /**
+   * Tag ID Validation
+   * 
+   * Validates routes addressing a single tag:
+   * - Tag ID must be a valid UUID
+   */
+  tagId: [
+    param('id').isUUID().withMessage('標籤ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Tag Guests Validation
+   * 
+   * Validates adding a tag to guests or removing it:
+   * - Tag ID must be a valid UUID
+   * - Guest IDs must be a non-empty array of UUIDs
+   */
+  tagGuests: [
+    param('id').isUUID().withMessage('標籤ID格式不正確'),
+    body('guestIds').isArray({ min: 1 }).withMessage('需要提供至少一位賓客'),
+    body('guestIds.*').isUUID().withMessage('賓客ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Tagged Guests Update Validation
+   * 
+   * Validates a bulk update of the guests with a tag:
+   * - Tag ID must be a valid UUID
+   * - Relationship, when provided, cannot be empty
+   * - Plus-ones, when provided, must be between 0 and 10
+   * - At least one of them must be provided
+   */
+  updateTaggedGuests: [
+    param('id').isUUID().withMessage('標籤ID格式不正確'),
+    body('relationship').optional().isString().trim().notEmpty().withMessage('與新人關係不能為空'),
+    body('plusOnesAllowed').optional().isInt({ min: 0, max: 10 }).withMessage('可攜伴人數必須介於0到10之間').toInt(),
+    body().custom((value) => {
+      if (value?.relationship === undefined && value?.plusOnesAllowed === undefined) {
+        throw new Error('請提供 relationship 或 plusOnesAllowed');
+      }
+      return true;
+    }),
+    handleValidation
+  ],
+  
+  /**
+   * Seating Query Validation
+   * 
+   * Validates viewing a wedding's seating chart:
+   * - Must specify a valid couple ID (UUID)
+   */
+  seatingQuery: [
+    query('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Seating Export Validation
+   * 
+   * Validates seating chart downloads:
+   * - Must specify a valid couple ID (UUID)
+   * - Format, when provided, must be html, csv or xlsx
+   */
+  seatingExport: [
+    query('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    query('format').optional().isIn(['html', 'csv', 'xlsx']).withMessage('匯出格式必須是 html、csv 或 xlsx'),
+    handleValidation
+  ],
+  
+  /**
+   * Table Validation
+   * 
+   * Validates adding a table to the seating chart:
+   * - Must specify a valid couple ID (UUID)
+   * - Label cannot be empty and must be at most 30 characters
+   * - Capacity must be between 1 and 30 seats
+   * - Sort order, when provided, must be a non-negative integer
+   */
+  tableInfo: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('label').isString().trim().notEmpty().isLength({ max: 30 }).withMessage('桌次名稱不能為空且不可超過30字'),
+    body('capacity').isInt({ min: 1, max: 30 }).withMessage('座位數必須介於1到30之間').toInt(),
+    body('sortOrder').optional().isInt({ min: 0 }).withMessage('排序必須是非負整數').toInt(),
+    handleValidation
+  ],
+  
+  /**
+   * Table Update Validation
+   * 
+   * Validates the table ID in the path and the same field
+   * rules as when adding, with every field optional
+   */
+  updateTable: [
+    param('id').isUUID().withMessage('桌次ID格式不正確'),
+    body('label').optional().isString().trim().notEmpty().isLength({ max: 30 }).withMessage('桌次名稱不能為空且不可超過30字'),
+    body('capacity').optional().isInt({ min: 1, max: 30 }).withMessage('座位數必須介於1到30之間').toInt(),
+    body('sortOrder').optional().isInt({ min: 0 }).withMessage('排序必須是非負整數').toInt(),
+    handleValidation
+  ],
+  
+  /**
+   * Table ID Validation
+   * 
+   * Validates routes addressing a single table:
+   * - Table ID must be a valid UUID
+   */
+  tableId: [
+    param('id').isUUID().withMessage('桌次ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Table Guests Validation
+   * 
+   * Validates seating guests at a table or removing them:
+   * - Table ID must be a valid UUID
+   * - Guest IDs must be a non-empty array of UUIDs
+   */
+  tableGuests: [
+    param('id').isUUID().withMessage('桌次ID格式不正確'),
+    body('guestIds').isArray({ min: 1 }).withMessage('需要提供至少一位賓客'),
+    body('guestIds.*').isUUID().withMessage('賓客ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Seating Constraint Validation
+   * 
+   * Validates keeping two guests apart:
+   * - Must specify a valid couple ID (UUID)
+   * - Both guest IDs must be valid UUIDs and different
+   * - Note, when provided, must be at most 100 characters
+   */
+  seatingConstraint: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('guestId').isUUID().withMessage('賓客ID格式不正確'),
+    body('otherGuestId').isUUID().withMessage('賓客ID格式不正確')
+      .custom((value, { req }) => value !== req.body.guestId).withMessage('請選擇兩位不同的賓客'),
+    body('note').optional({ values: 'null' }).isString().isLength({ max: 100 }).withMessage('備註不可超過100字'),
+    handleValidation
+  ],
+  
+  /**
+   * Seating Constraint ID Validation
+   * 
+   * Validates routes addressing a single keep-apart constraint:
+   * - Constraint ID must be a valid UUID
+   */
+  seatingConstraintId: [
+    param('id').isUUID().withMessage('分桌限制ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Auto-Seat Validation
+   * 
+   * Validates automatic seating:
+   * - Must specify a valid couple ID (UUID)
+   * - Mode, when provided, must be fill or reset
+   * - includePending and dryRun, when provided, must be booleans
+   */
+  autoSeat: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('mode').optional().isIn(['fill', 'reset']).withMessage('mode 必須是 fill 或 reset'),
+    body('includePending').optional().isBoolean().withMessage('includePending 必須是布林值').toBoolean(),
+    body('dryRun').optional().isBoolean().withMessage('dryRun 必須是布林值').toBoolean(),
+    handleValidation
+  ],
+  
+  /**
+   * Meal Option Validation
+   * 
+   * Validates adding an option to a wedding's menu:
+   * - Must specify a valid couple ID (UUID)
+   * - Name cannot be empty
+   * - Description, when provided, must be at most 200 characters
+   * - Sort order, when provided, must be a non-negative integer
+   */
+  mealOption: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('name').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('餐點名稱不能為空且不可超過50字'),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 200 }).withMessage('餐點說明不可超過200字'),
+    body('sortOrder').optional().isInt({ min: 0 }).withMessage('排序必須是非負整數').toInt(),
+    handleValidation
+  ],
+  
+  /**
+   * Meal Option Update Validation
+   * 
+   * Validates the meal option ID in the path and the same field
+   * rules as when adding, with every field optional
+   */
+  updateMealOption: [
+    param('id').isUUID().withMessage('餐點選項ID格式不正確'),
+    body('name').optional().isString().trim().notEmpty().isLength({ max: 50 }).withMessage('餐點名稱不能為空且不可超過50字'),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 200 }).withMessage('餐點說明不可超過200字'),
+    body('sortOrder').optional().isInt({ min: 0 }).withMessage('排序必須是非負整數').toInt(),
+    handleValidation
+  ],
+  
+  /**
+   * Meal Option ID Validation
+   * 
+   * Validates routes addressing a single meal option:
+   * - Meal option ID must be a valid UUID
+   */
+  mealOptionId: [
+    param('id').isUUID().withMessage('餐點選項ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Catering Query Validation
+   * 
+   * Validates menu and catering summary requests:
+   * - Must specify a valid couple ID (UUID)
+   */
+  cateringQuery: [
+    query('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Bulk Guest Import Validation
+   * 
+   * Validates a JSON guest import (individual guests are checked
+   * row by row by the controller so all errors can be reported):
+   * - Must specify a valid couple ID (UUID)
+   * - Guests must be a non-empty array
+   * - Dry run, when provided, must be a boolean
+   * - Duplicate policy, when provided, must be error, skip or update
+   */
+  bulkGuests: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('guests').isArray({ min: 1 }).withMessage('需要提供有效的賓客陣列'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun 必須是布林值').toBoolean(),
+    body('onDuplicate').optional().isIn(['error', 'skip', 'update']).withMessage('onDuplicate 必須是 error、skip 或 update'),
+    handleValidation
+  ],
+  
+  /**
+   * Guest Export Validation
+   * 
+   * Validates guest list downloads:
+   * - Must specify a valid couple ID (UUID)
+   * - Format, when provided, must be csv, xlsx or json
+   */
+  guestExport: [
+    query('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    query('format').optional().isIn(['csv', 'xlsx', 'json']).withMessage('匯出格式必須是 csv、xlsx 或 json'),
+    handleValidation
+  ],
+  
+  /**
+   * Duplicate Guests Query Validation
+   * 
+   * Validates duplicate searches:
+   * - Must specify a valid couple ID (UUID)
+   */
+  duplicateGuests: [
+    query('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Guest Merge Validation
+   * 
+   * Validates merging two guests:
+   * - Guest ID to keep (path) must be a valid UUID
+   * - Source guest ID must be a valid UUID
+   */
+  mergeGuests: [
+    param('id').isUUID().withMessage('賓客ID格式不正確'),
+    body('sourceGuestId').isUUID().withMessage('要合併的賓客ID格式不正確'),
+    handleValidation
+  ],
+  
+  /**
+   * Spreadsheet Import Validation
+   * 
+   * Validates the form fields sent with an uploaded spreadsheet:
+   * - Must specify a valid couple ID (UUID)
+   * - Dry run, when provided, must be "true" or "false"
+   * - Mapping, when provided, must be a JSON object of header to field name
+   * - Duplicate policy, when provided, must be error, skip or update
+   */
+  guestImport: [
+    body('coupleInfoId').isUUID().withMessage('新人ID格式不正確'),
+    body('dryRun').optional().isIn(['true', 'false']).withMessage('dryRun 必須是 true 或 false'),
+    body('mapping').optional().custom(isColumnMapping).withMessage('欄位對應必須是 JSON 物件（欄位名稱對應賓客欄位）'),
+    body('onDuplicate').optional().isIn(['error', 'skip', 'update']).withMessage('onDuplicate 必須是 error、skip 或 update'),
+    handleValidation
   ]
 };
 
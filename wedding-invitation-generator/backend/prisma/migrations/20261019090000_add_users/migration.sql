@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "User" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "email" TEXT NOT NULL,
+    "passwordHash" TEXT NOT NULL,
+    "name" TEXT,
+    "role" TEXT NOT NULL DEFAULT 'user',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_CoupleInfo" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "ownerId" TEXT,
+    "groomName" TEXT NOT NULL,
+    "brideName" TEXT NOT NULL,
+    "weddingDate" DATETIME NOT NULL,
+    "weddingTime" TEXT NOT NULL,
+    "weddingLocation" TEXT NOT NULL,
+    "weddingTheme" TEXT NOT NULL,
+    "backgroundStory" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "CoupleInfo_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_CoupleInfo" ("backgroundStory", "brideName", "createdAt", "groomName", "id", "updatedAt", "weddingDate", "weddingLocation", "weddingTheme", "weddingTime") SELECT "backgroundStory", "brideName", "createdAt", "groomName", "id", "updatedAt", "weddingDate", "weddingLocation", "weddingTheme", "weddingTime" FROM "CoupleInfo";
+DROP TABLE "CoupleInfo";
+ALTER TABLE "new_CoupleInfo" RENAME TO "CoupleInfo";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_email_key" ON "User"("email");
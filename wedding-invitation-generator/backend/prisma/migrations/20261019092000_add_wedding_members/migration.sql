@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "Guest" ADD COLUMN "side" TEXT;
+
+-- CreateTable
+CREATE TABLE "WeddingMember" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "coupleInfoId" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "side" TEXT,
+    "inviteTokenHash" TEXT,
+    "inviteExpiresAt" DATETIME,
+    "acceptedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "WeddingMember_coupleInfoId_fkey" FOREIGN KEY ("coupleInfoId") REFERENCES "CoupleInfo" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "WeddingMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WeddingMember_inviteTokenHash_key" ON "WeddingMember"("inviteTokenHash");
+
+-- CreateIndex
+CREATE INDEX "WeddingMember_userId_idx" ON "WeddingMember"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WeddingMember_coupleInfoId_email_key" ON "WeddingMember"("coupleInfoId", "email");
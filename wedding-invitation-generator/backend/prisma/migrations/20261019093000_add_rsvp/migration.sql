@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Guest" ADD COLUMN "rsvpToken" TEXT;
+
+-- Backfill RSVP tokens for existing guests
+UPDATE "Guest" SET "rsvpToken" = lower(hex(randomblob(32))) WHERE "rsvpToken" IS NULL;
+
+-- CreateTable
+CREATE TABLE "Rsvp" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "guestId" TEXT NOT NULL,
+    "response" TEXT NOT NULL,
+    "partySize" INTEGER NOT NULL DEFAULT 1,
+    "comment" TEXT,
+    "respondedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Rsvp_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "Guest" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Guest_rsvpToken_key" ON "Guest"("rsvpToken");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Rsvp_guestId_key" ON "Rsvp"("guestId");
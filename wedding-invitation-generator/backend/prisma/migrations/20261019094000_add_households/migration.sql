@@ -0,0 +1,58 @@
+-- CreateTable
+CREATE TABLE "Household" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "coupleInfoId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "salutation" TEXT,
+    "contactEmail" TEXT NOT NULL,
+    "side" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Household_coupleInfoId_fkey" FOREIGN KEY ("coupleInfoId") REFERENCES "CoupleInfo" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "Companion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "guestId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Companion_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "Guest" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Guest" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "relationship" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "preferences" TEXT,
+    "howMet" TEXT,
+    "memories" TEXT,
+    "status" TEXT NOT NULL,
+    "invitationContent" TEXT,
+    "side" TEXT,
+    "householdId" TEXT,
+    "plusOnesAllowed" INTEGER NOT NULL DEFAULT 0,
+    "rsvpToken" TEXT,
+    "coupleInfoId" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Guest_householdId_fkey" FOREIGN KEY ("householdId") REFERENCES "Household" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Guest_coupleInfoId_fkey" FOREIGN KEY ("coupleInfoId") REFERENCES "CoupleInfo" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_Guest" ("coupleInfoId", "createdAt", "email", "howMet", "id", "invitationContent", "memories", "name", "preferences", "relationship", "rsvpToken", "side", "status", "updatedAt") SELECT "coupleInfoId", "createdAt", "email", "howMet", "id", "invitationContent", "memories", "name", "preferences", "relationship", "rsvpToken", "side", "status", "updatedAt" FROM "Guest";
+DROP TABLE "Guest";
+ALTER TABLE "new_Guest" RENAME TO "Guest";
+CREATE UNIQUE INDEX "Guest_rsvpToken_key" ON "Guest"("rsvpToken");
+CREATE INDEX "Guest_householdId_idx" ON "Guest"("householdId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "Household_coupleInfoId_idx" ON "Household"("coupleInfoId");
+
+-- CreateIndex
+CREATE INDEX "Companion_guestId_idx" ON "Companion"("guestId");
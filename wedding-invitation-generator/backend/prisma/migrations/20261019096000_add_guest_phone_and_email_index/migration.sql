@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "Guest" ADD COLUMN "phone" TEXT;
+
+-- Store emails lowercased so duplicates are found regardless of case
+UPDATE "Guest" SET "email" = lower(trim("email"));
+
+-- Each email may belong to only one guest of a wedding. Creating the index
+-- fails with "UNIQUE constraint failed: Guest.coupleInfoId, Guest.email"
+-- while a wedding has two guests with the same email; list them with
+--   SELECT "coupleInfoId", "email", COUNT(*) FROM "Guest"
+--   GROUP BY "coupleInfoId", "email" HAVING COUNT(*) > 1;
+-- and remove or change the duplicates before migrating again.
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Guest_coupleInfoId_email_key" ON "Guest"("coupleInfoId", "email");
@@ -0,0 +1,75 @@
+-- CreateTable
+CREATE TABLE "Table" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "coupleInfoId" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "capacity" INTEGER NOT NULL,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Table_coupleInfoId_fkey" FOREIGN KEY ("coupleInfoId") REFERENCES "CoupleInfo" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "SeatingConstraint" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "coupleInfoId" TEXT NOT NULL,
+    "guestId" TEXT NOT NULL,
+    "otherGuestId" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "SeatingConstraint_coupleInfoId_fkey" FOREIGN KEY ("coupleInfoId") REFERENCES "CoupleInfo" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "SeatingConstraint_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "Guest" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "SeatingConstraint_otherGuestId_fkey" FOREIGN KEY ("otherGuestId") REFERENCES "Guest" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Guest" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "relationship" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "phone" TEXT,
+    "preferences" TEXT,
+    "howMet" TEXT,
+    "memories" TEXT,
+    "status" TEXT NOT NULL,
+    "invitationContent" TEXT,
+    "side" TEXT,
+    "householdId" TEXT,
+    "plusOnesAllowed" INTEGER NOT NULL DEFAULT 0,
+    "mealOptionId" TEXT,
+    "allergies" TEXT,
+    "rsvpToken" TEXT,
+    "tableId" TEXT,
+    "coupleInfoId" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Guest_householdId_fkey" FOREIGN KEY ("householdId") REFERENCES "Household" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Guest_mealOptionId_fkey" FOREIGN KEY ("mealOptionId") REFERENCES "MealOption" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Guest_tableId_fkey" FOREIGN KEY ("tableId") REFERENCES "Table" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Guest_coupleInfoId_fkey" FOREIGN KEY ("coupleInfoId") REFERENCES "CoupleInfo" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_Guest" ("allergies", "coupleInfoId", "createdAt", "email", "householdId", "howMet", "id", "invitationContent", "mealOptionId", "memories", "name", "phone", "plusOnesAllowed", "preferences", "relationship", "rsvpToken", "side", "status", "updatedAt") SELECT "allergies", "coupleInfoId", "createdAt", "email", "householdId", "howMet", "id", "invitationContent", "mealOptionId", "memories", "name", "phone", "plusOnesAllowed", "preferences", "relationship", "rsvpToken", "side", "status", "updatedAt" FROM "Guest";
+DROP TABLE "Guest";
+ALTER TABLE "new_Guest" RENAME TO "Guest";
+CREATE UNIQUE INDEX "Guest_rsvpToken_key" ON "Guest"("rsvpToken");
+CREATE INDEX "Guest_householdId_idx" ON "Guest"("householdId");
+CREATE INDEX "Guest_tableId_idx" ON "Guest"("tableId");
+CREATE UNIQUE INDEX "Guest_coupleInfoId_email_key" ON "Guest"("coupleInfoId", "email");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Table_coupleInfoId_label_key" ON "Table"("coupleInfoId", "label");
+
+-- CreateIndex
+CREATE INDEX "SeatingConstraint_coupleInfoId_idx" ON "SeatingConstraint"("coupleInfoId");
+
+-- CreateIndex
+CREATE INDEX "SeatingConstraint_otherGuestId_idx" ON "SeatingConstraint"("otherGuestId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SeatingConstraint_guestId_otherGuestId_key" ON "SeatingConstraint"("guestId", "otherGuestId");
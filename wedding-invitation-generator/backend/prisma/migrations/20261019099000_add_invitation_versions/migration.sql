@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "InvitationVersion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "guestId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "feedbackText" TEXT,
+    "revertedFromId" TEXT,
+    "createdById" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "InvitationVersion_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "Guest" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "InvitationVersion_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "InvitationVersion_guestId_createdAt_idx" ON "InvitationVersion"("guestId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "InvitationVersion_createdById_idx" ON "InvitationVersion"("createdById");
+
+-- Existing invitations become the first version of their history
+-- (IDs are random version 4 UUIDs; the origin of generated texts is unknown, so they count as "ai")
+INSERT INTO "InvitationVersion" ("id", "guestId", "content", "source", "createdAt")
+SELECT lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))), 2) || '-' ||
+       substr('89ab', 1 + (abs(random()) % 4), 1) || substr(lower(hex(randomblob(2))), 2) || '-' || lower(hex(randomblob(6))),
+       "id",
+       "invitationContent",
+       CASE "status" WHEN 'edited' THEN 'manual' ELSE 'ai' END,
+       "updatedAt"
+FROM "Guest"
+WHERE "invitationContent" IS NOT NULL;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "CoupleInfo" ADD COLUMN "extraInstructions" TEXT;
+ALTER TABLE "CoupleInfo" ADD COLUMN "targetLength" INTEGER NOT NULL DEFAULT 350;
+ALTER TABLE "CoupleInfo" ADD COLUMN "tonePreset" TEXT NOT NULL DEFAULT 'warm';
+
+-- CreateTable
+CREATE TABLE "PromptTemplate" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "key" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "body" TEXT NOT NULL,
+    "note" TEXT,
+    "createdById" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PromptTemplate_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PromptTemplate_createdById_idx" ON "PromptTemplate"("createdById");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromptTemplate_key_version_key" ON "PromptTemplate"("key", "version");
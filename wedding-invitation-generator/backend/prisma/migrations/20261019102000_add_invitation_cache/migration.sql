@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "InvitationCache" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "guestId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "provider" TEXT,
+    "hits" INTEGER NOT NULL DEFAULT 0,
+    "lastHitAt" DATETIME,
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "InvitationCache_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "Guest" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "InvitationCache_guestId_idx" ON "InvitationCache"("guestId");
+
+-- CreateIndex
+CREATE INDEX "InvitationCache_expiresAt_idx" ON "InvitationCache"("expiresAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "InvitationVersion" ADD COLUMN "validation" TEXT;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "InvitationDraft" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "guestId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "temperature" REAL NOT NULL,
+    "validation" TEXT,
+    "selectedAt" DATETIME,
+    "createdById" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "InvitationDraft_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "Guest" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "InvitationDraft_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "InvitationDraft_guestId_createdAt_idx" ON "InvitationDraft"("guestId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "InvitationDraft_createdById_idx" ON "InvitationDraft"("createdById");
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "CoupleInfo" ADD COLUMN "aiBudget" REAL;
+ALTER TABLE "CoupleInfo" ADD COLUMN "aiBudgetAction" TEXT;
+
+-- CreateTable
+CREATE TABLE "AiUsage" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "coupleInfoId" TEXT,
+    "guestId" TEXT,
+    "userId" TEXT,
+    "operation" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "promptTokens" INTEGER NOT NULL,
+    "completionTokens" INTEGER NOT NULL,
+    "totalTokens" INTEGER NOT NULL,
+    "cost" REAL NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "AiUsage_coupleInfoId_fkey" FOREIGN KEY ("coupleInfoId") REFERENCES "CoupleInfo" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "AiUsage_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "Guest" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "AiUsage_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "AiUsage_coupleInfoId_createdAt_idx" ON "AiUsage"("coupleInfoId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AiUsage_createdAt_idx" ON "AiUsage"("createdAt");
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "InvitationTemplate" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "coupleInfoId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "match" TEXT NOT NULL,
+    "paragraphs" TEXT NOT NULL,
+    "createdById" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "InvitationTemplate_coupleInfoId_fkey" FOREIGN KEY ("coupleInfoId") REFERENCES "CoupleInfo" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "InvitationTemplate_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "InvitationTemplate_coupleInfoId_idx" ON "InvitationTemplate"("coupleInfoId");
+
+-- CreateIndex
+CREATE INDEX "InvitationTemplate_createdById_idx" ON "InvitationTemplate"("createdById");
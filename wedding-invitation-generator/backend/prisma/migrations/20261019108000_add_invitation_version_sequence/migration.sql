@@ -0,0 +1,33 @@
+-- DropIndex
+DROP INDEX "InvitationVersion_guestId_createdAt_idx";
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_InvitationVersion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "guestId" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "content" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "feedbackText" TEXT,
+    "validation" TEXT,
+    "revertedFromId" TEXT,
+    "createdById" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "InvitationVersion_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "Guest" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "InvitationVersion_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+-- Existing versions are numbered in the order they were recorded; versions
+-- recorded in the same millisecond keep the order they were inserted in
+INSERT INTO "new_InvitationVersion" ("content", "createdAt", "createdById", "feedbackText", "guestId", "id", "revertedFromId", "sequence", "source", "validation")
+SELECT "content", "createdAt", "createdById", "feedbackText", "guestId", "id", "revertedFromId",
+       ROW_NUMBER() OVER (PARTITION BY "guestId" ORDER BY "createdAt", "rowid"),
+       "source", "validation"
+FROM "InvitationVersion";
+DROP TABLE "InvitationVersion";
+ALTER TABLE "new_InvitationVersion" RENAME TO "InvitationVersion";
+CREATE INDEX "InvitationVersion_createdById_idx" ON "InvitationVersion"("createdById");
+CREATE UNIQUE INDEX "InvitationVersion_guestId_sequence_key" ON "InvitationVersion"("guestId", "sequence");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,68 @@
+/**
+ * AI Usage Routes
+ * 
+ * This module defines API endpoints for the tokens and estimated cost of
+ * the AI requests made for invitations, and for the AI budgets that limit
+ * each wedding's spending.
+ * 
+ * All routes are prefixed with '/api/ai-usage' from the main application.
+ */
+const express = require('express');
+const aiUsageController = require('../controllers/aiUsageController');
+const validationSchemas = require('../middlewares/validator');
+const { adminOnly } = require('../middlewares/auth');
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * Get AI Usage Report
+ * 
+ * GET /api/ai-usage
+ * 
+ * Reports the AI usage of all weddings (admins only): requests, tokens and
+ * estimated cost in total, per operation and per model, and the 50
+ * weddings that spent the most with their budgets.
+ * 
+ * Query parameters:
+ * - from (optional): Only usage from this date (ISO 8601)
+ * - to (optional): Only usage before this date (ISO 8601)
+ */
+router.get('/', adminOnly, validationSchemas.aiUsageReport, aiUsageController.getAiUsageReport);
+
+/**
+ * Get Wedding AI Usage
+ * 
+ * GET /api/ai-usage/weddings/:coupleInfoId
+ * 
+ * Reports the AI usage of a wedding, its 20 most recent requests and its
+ * budget: the limit, what was spent, what remains and whether AI
+ * generation is still available.
+ * 
+ * Path parameters:
+ * - coupleInfoId: UUID of the wedding
+ * 
+ * Query parameters:
+ * - from (optional): Only usage from this date (ISO 8601)
+ * - to (optional): Only usage before this date (ISO 8601)
+ */
+router.get('/weddings/:coupleInfoId', validationSchemas.weddingAiUsage, aiUsageController.getWeddingAiUsage);
+
+/**
+ * Update Wedding AI Budget
+ * 
+ * PUT /api/ai-usage/weddings/:coupleInfoId/budget
+ * 
+ * Sets a wedding's AI budget (admins only).
+ * 
+ * Path parameters:
+ * - coupleInfoId: UUID of the wedding
+ * 
+ * Optional fields (null or omitted for the server's default):
+ * - budget: Spending limit in USD
+ * - action: What happens once it is spent, "mock" (use the offline
+ *   templates) or "block" (refuse AI generation)
+ */
+router.put('/weddings/:coupleInfoId/budget', adminOnly, validationSchemas.aiBudget, aiUsageController.updateAiBudget);
+
+module.exports = router;
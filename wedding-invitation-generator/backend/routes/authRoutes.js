@@ -0,0 +1,94 @@
+/**
+ * Authentication Routes
+ *
+ * This module defines API endpoints for user accounts.
+ * Registering and logging in issue the JWT access tokens that every
+ * couple, guest, invitation and email route requires, together with a
+ * refresh token used to obtain new access tokens when they expire.
+ *
+ * All routes are prefixed with '/api/auth' from the main application.
+ */
+const express = require('express');
+const authController = require('../controllers/authController');
+const validationSchemas = require('../middlewares/validator');
+const { authenticateToken } = require('../middlewares/auth');
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * Register
+ *
+ * POST /api/auth/register
+ *
+ * Creates a new user account and signs the user in.
+ *
+ * Request body must include:
+ * - email: Login email address
+ * - password: Password of at least 8 characters
+ *
+ * Optional fields:
+ * - name: Display name
+ *
+ * Returns the created user, an access token and a refresh token.
+ * Returns a 409 error if the email address is already registered.
+ */
+router.post('/register', validationSchemas.register, authController.register);
+
+/**
+ * Log In
+ *
+ * POST /api/auth/login
+ *
+ * Verifies the user's credentials and starts a new session,
+ * issuing an access token and a refresh token.
+ * The token must be sent as "Authorization: Bearer <token>" on protected routes.
+ *
+ * Request body must include:
+ * - email: Login email address
+ * - password: Account password
+ *
+ * Returns a 401 error if the email or password is incorrect.
+ */
+router.post('/login', validationSchemas.login, authController.login);
+
+/**
+ * Refresh Tokens
+ *
+ * POST /api/auth/refresh
+ *
+ * Exchanges a refresh token for a new access token and refresh token.
+ * Each refresh token can only be used once; presenting a used token
+ * revokes the session.
+ *
+ * Request body must include:
+ * - refreshToken: Refresh token from login, register or the previous refresh
+ *
+ * Returns a 401 error if the token is unknown, expired, used or revoked.
+ */
+router.post('/refresh', validationSchemas.refreshToken, authController.refresh);
+
+/**
+ * Log Out
+ *
+ * POST /api/auth/logout
+ *
+ * Revokes the current session so its access and refresh tokens stop working.
+ * Requires authentication.
+ *
+ * Optional fields:
+ * - allSessions: true to sign out of every session of the account
+ */
+router.post('/logout', authenticateToken, validationSchemas.logout, authController.logout);
+
+/**
+ * Current User
+ *
+ * GET /api/auth/me
+ *
+ * Returns the account that the supplied access token belongs to.
+ * Requires authentication.
+ */
+router.get('/me', authenticateToken, authController.me);
+
+module.exports = router;
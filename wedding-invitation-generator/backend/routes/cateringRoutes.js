@@ -0,0 +1,85 @@
+/**
+ * Catering Routes
+ *
+ * This module defines API endpoints for the wedding menu and the
+ * catering summary. Each wedding defines its meal options (e.g. meat,
+ * fish, vegetarian); guests choose one and record allergies through
+ * the RSVP page or the guest API.
+ *
+ * All routes are prefixed with '/api/catering' from the main application.
+ */
+const express = require('express');
+const cateringController = require('../controllers/cateringController');
+const validationSchemas = require('../middlewares/validator');
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * Get Catering Summary
+ *
+ * GET /api/catering/summary
+ *
+ * Counts meals and allergies of all guests who replied "attending",
+ * including their companions. Party members without a meal choice are
+ * reported as unspecified.
+ *
+ * Query parameters:
+ * - coupleInfoId: UUID of the wedding
+ */
+router.get('/summary', validationSchemas.cateringQuery, cateringController.getCateringSummary);
+
+/**
+ * List Meal Options
+ *
+ * GET /api/catering/meal-options
+ *
+ * Retrieves the menu of a wedding in menu order.
+ *
+ * Query parameters:
+ * - coupleInfoId: UUID of the wedding
+ */
+router.get('/meal-options', validationSchemas.cateringQuery, cateringController.listMealOptions);
+
+/**
+ * Create Meal Option
+ *
+ * POST /api/catering/meal-options
+ *
+ * Adds an option to the menu. Only owners and planners can change the menu.
+ *
+ * Request body must include:
+ * - coupleInfoId: UUID of the wedding
+ * - name: Name shown to guests (e.g. "素食")
+ *
+ * Optional fields:
+ * - description: Description of the dish
+ * - sortOrder: Position in the menu (ascending)
+ */
+router.post('/meal-options', validationSchemas.mealOption, cateringController.createMealOption);
+
+/**
+ * Update Meal Option
+ *
+ * PUT /api/catering/meal-options/:id
+ *
+ * Updates the name, description or position of a meal option.
+ *
+ * Path parameters:
+ * - id: UUID of the meal option
+ */
+router.put('/meal-options/:id', validationSchemas.updateMealOption, cateringController.updateMealOption);
+
+/**
+ * Delete Meal Option
+ *
+ * DELETE /api/catering/meal-options/:id
+ *
+ * Removes a meal option; guests who chose it no longer have a meal choice.
+ *
+ * Path parameters:
+ * - id: UUID of the meal option
+ */
+router.delete('/meal-options/:id', validationSchemas.mealOptionId, cateringController.deleteMealOption);
+
+module.exports = router;
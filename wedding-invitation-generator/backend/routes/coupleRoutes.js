@@ -15,12 +15,13 @@ const validationSchemas = require('../middlewares/validator');
 const router = express.Router();
 
 /**
- * Create or Update Couple Information
+ * Create Couple Information
  * 
  * POST /api/couple
  * 
- * Creates a new couple record if none exists, or updates the existing record.
- * The system is designed to support a single couple at a time for simplicity.
+ * Creates a new wedding owned by the authenticated user.
+ * Users can manage several weddings, so every call creates a new record;
+ * use PUT /api/couple/:id to change an existing one.
  * 
  * Request body must include:
  * - groomName: Name of the groom
@@ -34,21 +35,36 @@ const router = express.Router();
  * - backgroundStory: The couple's story
  * 
  * All fields are validated according to the coupleInfo validation schema.
+ * Returns the created record with a 201 status.
  */
-router.post('/', validationSchemas.coupleInfo, coupleController.createOrUpdateCouple);
+router.post('/', validationSchemas.coupleInfo, coupleController.createCouple);
 
 /**
- * Get Couple Information
+ * List Couples
  * 
  * GET /api/couple
  * 
- * Retrieves the first couple record from the database.
- * Since the system is designed for a single couple at a time,
- * this endpoint returns that record without requiring an ID.
+ * Retrieves all weddings owned by the authenticated user,
+ * ordered by wedding date.
  * 
- * Returns a 404 error if no couple information has been created yet.
+ * Returns an empty array if the user has not created any wedding yet.
  */
-router.get('/', coupleController.getCouple);
+router.get('/', coupleController.listCouples);
+
+/**
+ * Update Couple Information
+ * 
+ * PUT /api/couple/:id
+ * 
+ * Updates one of the authenticated user's weddings.
+ * Accepts the same fields as the create endpoint.
+ * 
+ * Path parameters:
+ * - id: UUID of the couple record to update
+ * 
+ * Returns a 404 error if the wedding does not exist or belongs to another user.
+ */
+router.put('/:id', validationSchemas.updateCoupleInfo, coupleController.updateCouple);
 
 /**
  * Get Couple By ID
@@ -56,7 +72,7 @@ router.get('/', coupleController.getCouple);
  * GET /api/couple/:id
  * 
  * Retrieves a specific couple record by its ID.
- * This endpoint allows for future expansion to multiple couples.
+ * Only weddings owned by the authenticated user can be retrieved.
  * 
  * Path parameters:
  * - id: UUID of the couple record to retrieve
@@ -20,11 +20,16 @@ const router = express.Router();
  * 
  * Sends wedding invitations to all guests with generated or edited invitations.
  * Uses HTML email templates with the invitation content.
+ * Guests in a household receive one email at the household's contact
+ * address, with an RSVP link for each member.
  * Updates each guest's status to "sent" after successful delivery.
  * 
  * Request body must include:
  * - coupleInfoId: UUID of the couple whose guests will receive invitations
  * 
+ * Optional fields:
+ * - tagId: UUID of a tag; only guests with the tag receive invitations
+ * 
  * Query parameters:
  * - testMode (optional): Set to 'true' to simulate sending without actual delivery
  * 
@@ -10,6 +10,7 @@
 const express = require('express');
 const guestController = require('../controllers/guestController');
 const validationSchemas = require('../middlewares/validator');
+const { uploadSpreadsheet } = require('../middlewares/upload');
 
 // Create Express router
 const router = express.Router();
@@ -26,16 +27,22 @@ const router = express.Router();
  * Request body must include:
  * - name: Guest's name
  * - relationship: Relationship to the couple
- * - email: Guest's email address
+ * - email: Guest's email address (unique within the wedding, case-insensitive)
  * - coupleInfoId: UUID of the couple this guest is associated with
  * 
  * Optional fields:
+ * - phone: Guest's phone number
  * - preferences: Any preferences the guest has specified
  * - howMet: Story of how the guest met the couple
  * - memories: Shared memories with the couple
+ * - side: groom or bride
+ * - householdId: UUID of a household of the same wedding
+ * - plusOnesAllowed: Number of extra people the guest may bring (0-10)
+ * - companions: Names of the people the guest brings (at most plusOnesAllowed)
  * 
  * All fields are validated according to the guestInfo validation schema.
  * Guest is created with an initial status of "pending".
+ * Returns a 409 error with the existing guest if the email is already on the guest list.
  */
 router.post('/', validationSchemas.guestInfo, guestController.createGuest);
 
@@ -44,15 +51,61 @@ router.post('/', validationSchemas.guestInfo, guestController.createGuest);
  * 
  * GET /api/guests
  * 
- * Retrieves a list of all guests, optionally filtered by couple ID.
- * Results are ordered with most recently created guests first.
+ * Retrieves the guests of the user's weddings one page at a time.
+ * 
+ * Query parameters (all optional):
+ * - coupleInfoId: UUID of the couple to filter guests by
+ * - status: Invitation statuses, comma-separated (e.g. "pending,generated")
+ * - relationship: Relationships, comma-separated
+ * - side: groom or bride
+ * - rsvp: RSVP replies, comma-separated ('attending', 'declined', 'maybe', 'none' for no reply)
+ * - q: Text searched in name, email and memories
+ * - sort: createdAt (default), name, status or relationship
+ * - order: asc or desc (default: newest first for createdAt, otherwise ascending)
+ * - limit: Page size, 1-200 (default 50)
+ * - cursor: nextCursor returned with the previous page
+ * 
+ * Returns { guests, pagination: { total, limit, nextCursor, hasMore } },
+ * where total counts all guests matching the filters.
+ */
+router.get('/', validationSchemas.listGuests, guestController.getAllGuests);
+
+/**
+ * Export Guests
+ * 
+ * GET /api/guests/export
+ * 
+ * Downloads the guest list of a wedding, e.g. for the venue or the caterer.
+ * Columns: name, email, relationship, side, household, plus-ones allowed,
+ * companions, invitation status, RSVP reply, party size, RSVP comment,
+ * reply time, meal, allergies and invitation text.
+ * Spreadsheets use Chinese headers and labels; CSV files start with a
+ * UTF-8 BOM so Excel opens them correctly. JSON keeps the stored values.
  * 
  * Query parameters:
- * - coupleInfoId (optional): UUID of the couple to filter guests by
+ * - coupleInfoId: UUID of the couple whose guests are exported
+ * - format (optional): 'csv' (default), 'xlsx' or 'json'
  * 
- * Returns an array of guest records.
+ * Returns a 404 error if the couple is not found.
  */
-router.get('/', guestController.getAllGuests);
+router.get('/export', validationSchemas.guestExport, guestController.exportGuests);
+
+/**
+ * Find Duplicate Guests
+ * 
+ * GET /api/guests/duplicates
+ * 
+ * Lists groups of guests that are likely the same person: same email,
+ * same name (ignoring case, width, spaces and punctuation) or same phone
+ * number (+886 and leading 0 are treated alike).
+ * 
+ * Query parameters:
+ * - coupleInfoId: UUID of the couple whose guests are checked
+ * 
+ * Returns { coupleInfoId, groups: [{ reasons, guests }] }, where reasons
+ * lists the matches found ('email', 'name', 'phone').
+ */
+router.get('/duplicates', validationSchemas.duplicateGuests, guestController.findDuplicateGuests);
 
 /**
  * Get Guest by ID
@@ -81,10 +134,13 @@ router.get('/:id', guestController.getGuestById);
  * - id: UUID of the guest to update
  * 
  * Request body may include any of the guest fields to update.
+ * A companions array replaces the guest's companion list;
+ * householdId null removes the guest from their household.
  * 
  * Returns a 404 error if no guest with the given ID is found.
+ * Returns a 409 error if the new email is used by another guest of the wedding.
  */
-router.put('/:id', guestController.updateGuest);
+router.put('/:id', validationSchemas.updateGuest, guestController.updateGuest);
 
 /**
  * Delete Guest
@@ -101,24 +157,47 @@ router.put('/:id', guestController.updateGuest);
  */
 router.delete('/:id', guestController.deleteGuest);
 
+/**
+ * Merge Guests
+ * 
+ * POST /api/guests/:id/merge
+ * 
+ * Merges another guest of the same wedding into this one and deletes it.
+ * The more detailed preferences, howMet and memories text is kept, empty
+ * fields are filled from the other guest, allergies and companions are
+ * combined and the more recent RSVP reply is kept.
+ * Only owners and planners can merge guests.
+ * 
+ * Path parameters:
+ * - id: UUID of the guest to keep
+ * 
+ * Request body must include:
+ * - sourceGuestId: UUID of the guest to merge into it
+ * 
+ * Returns the merged guest.
+ * Returns a 400 error if the guests belong to different weddings.
+ */
+router.post('/:id/merge', validationSchemas.mergeGuests, guestController.mergeGuests);
+
 /**
  * Update Guest Status
  * 
  * PATCH /api/guests/:id/status
  * 
- * Updates the RSVP status of a guest (pending, confirmed, declined).
- * This endpoint is typically called when a guest responds to an invitation.
+ * Updates the invitation status of a guest (pending, generated, edited, sent).
+ * Guests reply through their public RSVP link (see /api/rsvp); replies are
+ * stored separately and do not change this status.
  * 
  * Path parameters:
  * - id: UUID of the guest to update
  * 
  * Request body must include:
- * - status: New status (must be one of: 'pending', 'confirmed', 'declined')
+ * - status: New status (must be one of: 'pending', 'generated', 'edited', 'sent')
  * 
  * Returns a 404 error if no guest with the given ID is found.
  * Returns a 400 error if the status value is invalid.
  */
-router.patch('/:id/status', guestController.updateGuestStatus);
+router.patch('/:id/status', validationSchemas.guestStatus, guestController.updateGuestStatus);
 
 /**
  * Bulk Import Guests
@@ -132,8 +211,60 @@ router.patch('/:id/status', guestController.updateGuestStatus);
  * - guests: Array of guest objects to import (each with name, email, relationship)
  * - coupleInfoId: UUID of the couple these guests are associated with
  * 
- * Returns a summary of the import operation, including counts of successful and failed imports.
+ * Optional fields:
+ * - dryRun: If true, guests are only validated and nothing is saved
+ * - onDuplicate: What to do with guests whose email is already on the list
+ *   (or appears earlier in the array): 'error' (default, reported as an
+ *   error), 'skip' (left unchanged) or 'update' (updated with the new fields)
+ * 
+ * Invalid guests are skipped; the other guests are still imported.
+ * Returns a report with the counts (totalRows, totalValid, totalImported,
+ * totalUpdated, totalSkipped, totalFailed)
+ * and an errors list of { row, field, message }, where row is the position
+ * of the guest in the array starting at 1.
+ */
+router.post('/bulk', validationSchemas.bulkGuests, guestController.bulkImportGuests);
+
+/**
+ * Preview Guest Spreadsheet
+ * 
+ * POST /api/guests/import/preview
+ * 
+ * First step of a spreadsheet import. Reads an uploaded CSV or XLSX file
+ * (multipart/form-data) and returns its headers, a suggested mapping of
+ * headers to guest fields and the first rows. Chinese and English headers
+ * are recognized, e.g. 姓名 → name, 關係 → relationship, 電子郵件 → email.
+ * 
+ * Form fields:
+ * - file: The spreadsheet (.csv or .xlsx); the first row holds the headers
+ * - coupleInfoId: UUID of the couple to import into
+ * 
+ * Returns a 400 error if the file is missing, too large or cannot be read.
+ */
+router.post('/import/preview', uploadSpreadsheet, validationSchemas.guestImport, guestController.previewGuestImport);
+
+/**
+ * Import Guests from Spreadsheet
+ * 
+ * POST /api/guests/import
+ * 
+ * Imports guests from an uploaded CSV or XLSX file (multipart/form-data).
+ * 
+ * Form fields:
+ * - file: The spreadsheet (.csv or .xlsx); the first row holds the headers
+ * - coupleInfoId: UUID of the couple to import into
+ * - mapping (optional): JSON object of header to guest field, e.g.
+ *   {"姓名":"name","關係":"relationship","電子郵件":"email","備註":null};
+ *   defaults to the suggested mapping
+ * - dryRun (optional): "true" to only validate the rows
+ * - onDuplicate (optional): 'error' (default), 'skip' or 'update', as for /bulk
+ * 
+ * Invalid rows are skipped; the other rows are still imported.
+ * Returns the mapping used and a report with the counts and an errors list
+ * of { row, field, message }, where row is the spreadsheet row number
+ * (the header is row 1).
+ * Returns a 400 error if name, relationship or email are not mapped.
  */
-router.post('/bulk', guestController.bulkImportGuests);
+router.post('/import', uploadSpreadsheet, validationSchemas.guestImport, guestController.importGuests);
 
 module.exports = router; 
\ No newline at end of file
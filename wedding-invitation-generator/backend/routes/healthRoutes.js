@@ -15,6 +15,7 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../config/logger');
 const nodemailer = require('nodemailer');
+const { describeProviders } = require('../config/llm');
 
 // Create Express router
 const router = express.Router();
@@ -49,6 +50,7 @@ router.get('/', async (req, res) => {
  * - Logging system status
  * - Memory usage statistics
  * - System uptime
+ * - AI provider chain (names and models only, since this route is public)
  * 
  * This endpoint performs actual checks against dependencies like the database,
  * making it more thorough but also more resource-intensive than the basic check.
@@ -75,6 +77,7 @@ router.get('/detailed', async (req, res) => {
       timestamp: new Date(),
       database: { status: 'connected' },
       logger: { status: 'operational' },
+      ai: { providers: describeProviders().map(({ name, model }) => ({ name, model })), fallback: 'mock' },
       system: {
         memoryUsage: {
           rss: `${Math.round(memoryUsage.rss / 1024 / 1024)} MB`,
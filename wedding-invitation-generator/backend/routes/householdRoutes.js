@@ -0,0 +1,76 @@
+/**
+ * Household Routes
+ *
+ * This module defines API endpoints for households: guests who are
+ * invited together with one invitation (a family or a couple).
+ * A household has a salutation the invitation is addressed to and a
+ * contact email the invitation is sent to.
+ *
+ * All routes are prefixed with '/api/households' from the main application.
+ */
+const express = require('express');
+const householdController = require('../controllers/householdController');
+const validationSchemas = require('../middlewares/validator');
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * List Households
+ *
+ * GET /api/households
+ *
+ * Retrieves the households of a wedding with their members.
+ *
+ * Query parameters:
+ * - coupleInfoId: UUID of the wedding
+ *
+ * Returns a 404 error if the user has no access to the wedding.
+ */
+router.get('/', validationSchemas.listHouseholds, householdController.listHouseholds);
+
+/**
+ * Create Household
+ *
+ * POST /api/households
+ *
+ * Creates a household, optionally assigning existing guests to it.
+ *
+ * Request body must include:
+ * - coupleInfoId: UUID of the wedding
+ * - name: Name used in lists (e.g. "王家")
+ * - contactEmail: Address the household invitation is sent to
+ *
+ * Optional fields:
+ * - salutation: How the invitation addresses the household (e.g. "王先生與王太太闔家")
+ * - side: groom or bride
+ * - guestIds: UUIDs of guests of the wedding to assign
+ */
+router.post('/', validationSchemas.householdInfo, householdController.createHousehold);
+
+/**
+ * Update Household
+ *
+ * PUT /api/households/:id
+ *
+ * Updates a household. When guestIds is given it replaces the members;
+ * guests left out are invited individually again.
+ *
+ * Path parameters:
+ * - id: UUID of the household
+ */
+router.put('/:id', validationSchemas.updateHousehold, householdController.updateHousehold);
+
+/**
+ * Delete Household
+ *
+ * DELETE /api/households/:id
+ *
+ * Removes a household. Its guests are kept.
+ *
+ * Path parameters:
+ * - id: UUID of the household
+ */
+router.delete('/:id', validationSchemas.householdId, householdController.deleteHousehold);
+
+module.exports = router;
@@ -2,13 +2,17 @@
  * Invitation Generation Routes
  * 
  * This module defines API endpoints for generating and managing wedding invitations.
- * These routes handle AI-powered invitation generation and manual editing of invitations.
+ * These routes handle AI-powered invitation generation and manual editing of invitations,
+ * and the version history every generated or edited text is kept in.
+ * Generated invitations are cached by their prompt inputs; admins can
+ * inspect and purge the cache.
  * 
  * All routes are prefixed with '/api/invitations' from the main application.
  */
 const express = require('express');
 const invitationController = require('../controllers/invitationController');
 const validationSchemas = require('../middlewares/validator');
+const { adminOnly } = require('../middlewares/auth');
 
 // Create Express router
 const router = express.Router();
@@ -20,19 +24,125 @@ const router = express.Router();
  * 
  * Creates a personalized wedding invitation for a specific guest using AI.
  * The content is generated based on couple information and guest details.
- * Implements caching to improve performance and reduce API costs.
+ * Generated invitations are cached by a hash of the guest and wedding
+ * details, prompt template versions and AI models, so a changed detail
+ * is never answered from the cache.
  * 
  * Request body must include:
  * - guestId: UUID of the guest to generate invitation for
  * 
  * Query parameters:
  * - force (optional): Set to 'true' to regenerate even if a cached version exists
+ * - candidates (optional): Write 1-5 candidate drafts instead (201), see
+ *   GET /api/invitations/:guestId/drafts; each draft counts against the
+ *   hourly generation limit
  * 
  * The generated invitation is stored in the guest record and the guest's
- * status is updated to "generated".
+ * status is updated to "generated". For a guest in a household the
+ * invitation is addressed to the household and stored for every member.
+ * Candidate drafts leave the guest's invitation as it is until one of
+ * them is selected.
  */
 router.post('/generate', validationSchemas.generateInvitation, invitationController.generateInvitation);
 
+/**
+ * Generate Invitation for Guest as a Stream
+ * 
+ * POST /api/invitations/generate/stream
+ * 
+ * Same as POST /api/invitations/generate, but responds with server-sent
+ * events: "start", then "delta" events with each piece of the AI text as
+ * it is written, then "done" with the saved invitation (or "error").
+ * Closing the connection cancels the generation; nothing is saved then.
+ * Shares the rate limit of POST /api/invitations/generate.
+ * 
+ * Request body must include:
+ * - guestId: UUID of the guest to generate invitation for
+ * 
+ * Query parameters:
+ * - force (optional): Set to 'true' to regenerate even if an invitation exists
+ * 
+ * Candidate drafts cannot be streamed; candidates is answered with 400.
+ */
+router.post('/generate/stream', validationSchemas.generateInvitation, invitationController.generateInvitationStream);
+
+/**
+ * Generate Invitations in Batch
+ * 
+ * POST /api/invitations/generate-batch
+ * 
+ * Starts a background job generating the invitations of many guests of a
+ * wedding and returns it right away (202). Follow its progress with
+ * GET /api/jobs/:id or the event stream GET /api/jobs/:id/events.
+ * Returns 409 with the job ID if the wedding already has a batch running.
+ * 
+ * Request body must include:
+ * - coupleInfoId: UUID of the wedding
+ * 
+ * Optional fields:
+ * - guestIds: Only generate for these guests
+ * - filter: Guest list filters (status, relationship, side, tag, rsvp, q)
+ * - force: Also regenerate guests who already have an invitation
+ */
+router.post('/generate-batch', validationSchemas.generateInvitationsBatch, invitationController.generateInvitationsBatch);
+
+/**
+ * List Stale Invitations
+ * 
+ * GET /api/invitations/stale
+ * 
+ * Lists the wedding's invitations that were written from details that
+ * changed since (wedding date, time or venue, the couple's or the guest's
+ * names, the guest's personal details or the household's salutation),
+ * with each changed detail's old and new value.
+ * 
+ * Query parameters:
+ * - coupleInfoId: UUID of the wedding
+ */
+router.get('/stale', validationSchemas.staleInvitations, invitationController.getStaleInvitations);
+
+/**
+ * Regenerate Stale Invitations
+ * 
+ * POST /api/invitations/stale/regenerate
+ * 
+ * Starts a background job regenerating the wedding's stale invitations,
+ * like POST /api/invitations/generate-batch with force.
+ * Returns 409 with the job ID if the wedding already has a batch running.
+ * Shares the rate limit of POST /api/invitations/generate-batch.
+ * 
+ * Request body must include:
+ * - coupleInfoId: UUID of the wedding
+ * 
+ * Optional fields:
+ * - guestIds: Only these of the stale invitations
+ */
+router.post('/stale/regenerate', validationSchemas.regenerateStaleInvitations, invitationController.regenerateStaleInvitations);
+
+/**
+ * Get Invitation Cache Statistics
+ * 
+ * GET /api/invitations/cache/stats
+ * 
+ * Reports on the cache of generated invitations (admins only): stored and
+ * expired entries, recorded hits and the lookups since the server started.
+ */
+router.get('/cache/stats', adminOnly, invitationController.getInvitationCacheStats);
+
+/**
+ * Purge Invitation Cache
+ * 
+ * DELETE /api/invitations/cache
+ * 
+ * Deletes cached invitations (admins only). The guests' saved invitations
+ * are kept; the next generation request simply finds no cached entry.
+ * 
+ * Query parameters:
+ * - expiredOnly (optional): Set to 'true' to delete only expired entries
+ * - coupleInfoId (optional): Only delete the entries of this wedding's guests
+ */
+router.delete('/cache', adminOnly, validationSchemas.purgeInvitationCache, invitationController.purgeInvitationCache);
+
 /**
  * Update Invitation Content
  * 
@@ -47,9 +157,141 @@ router.post('/generate', validationSchemas.generateInvitation, invitationControl
  * Request body must include:
  * - invitationContent: The edited invitation text
  * 
- * The guest's status is updated to "edited" after modification.
+ * Optional fields:
+ * - feedbackText: Feedback to rewrite the invitation from with AI
+ * 
+ * The guest's status is updated to "edited" after modification and
+ * the new text is added to the version history.
  * Returns a 404 error if no guest with the given ID is found.
+ * 
+ * The text may use merge fields, filled in for each guest when the
+ * invitation is shown or sent: {{guest.name}}, {{guest.relationship}},
+ * {{guest.side}}, {{invitees.addressee}}, {{wedding.groomName}},
+ * {{wedding.brideName}}, {{wedding.date}}, {{wedding.time}},
+ * {{wedding.location}} and {{wedding.theme}}, as well as {{#if}} blocks.
+ * Returns 400 for an unknown field or an unclosed {{#if}} block.
  */
 router.put('/:guestId', validationSchemas.updateInvitation, invitationController.updateInvitation);
 
+/**
+ * Apply Invitation to Guests
+ * 
+ * POST /api/invitations/apply
+ * 
+ * Saves one invitation text, usually with merge fields, for several
+ * guests of a wedding. Each guest gets it as a manual edit; the other
+ * members of their households get it too.
+ * 
+ * Request body must include:
+ * - coupleInfoId: UUID of the wedding
+ * - guestIds: UUIDs of the wedding's guests
+ * - invitationContent: The invitation text
+ */
+router.post('/apply', validationSchemas.applyInvitation, invitationController.applyInvitation);
+
+/**
+ * Preview Invitation
+ * 
+ * GET /api/invitations/:guestId/preview
+ * 
+ * Shows the guest's invitation as it is sent, with its merge fields
+ * filled in, next to the stored text and the fields texts may use.
+ * 
+ * Path parameters:
+ * - guestId: UUID of the guest
+ */
+router.get('/:guestId/preview', validationSchemas.invitationPreview, invitationController.previewInvitation);
+
+/**
+ * Preview Invitation Prompt
+ * 
+ * GET /api/invitations/:guestId/prompt
+ * 
+ * Shows the fully rendered system and user prompts that would be sent to
+ * the AI service for the guest, using the prompt templates in use and the
+ * wedding's tone preset, target length and extra instructions.
+ * 
+ * Path parameters:
+ * - guestId: UUID of the guest
+ * 
+ * Query parameters:
+ * - kind (optional): invitation (default) or feedback
+ * - feedbackText (optional): Feedback to render the feedback prompt with
+ */
+router.get('/:guestId/prompt', validationSchemas.invitationPrompt, invitationController.previewInvitationPrompt);
+
+/**
+ * Get Invitation Versions
+ * 
+ * GET /api/invitations/:guestId/versions
+ * 
+ * Lists every version of the guest's invitation, newest first, with its
+ * source (ai, mock, manual, feedback or revert), the feedback it was
+ * rewritten from and who produced it.
+ * 
+ * Path parameters:
+ * - guestId: UUID of the guest
+ */
+router.get('/:guestId/versions', validationSchemas.invitationVersions, invitationController.getInvitationVersions);
+
+/**
+ * Diff Invitation Versions
+ * 
+ * GET /api/invitations/:guestId/versions/diff
+ * 
+ * Compares two versions of the guest's invitation.
+ * 
+ * Path parameters:
+ * - guestId: UUID of the guest
+ * 
+ * Query parameters:
+ * - from: UUID of the earlier version
+ * - to (optional): UUID of the later version (defaults to the current version)
+ * - unit (optional): line (default) or char
+ */
+router.get('/:guestId/versions/diff', validationSchemas.invitationDiff, invitationController.diffInvitationVersions);
+
+/**
+ * Revert Invitation
+ * 
+ * POST /api/invitations/:guestId/revert/:versionId
+ * 
+ * Restores the text of an earlier version as a new version.
+ * The guest's status is updated to "edited".
+ * 
+ * Path parameters:
+ * - guestId: UUID of the guest
+ * - versionId: UUID of the version to restore
+ */
+router.post('/:guestId/revert/:versionId', validationSchemas.revertInvitation, invitationController.revertInvitation);
+
+/**
+ * Get Invitation Drafts
+ * 
+ * GET /api/invitations/:guestId/drafts
+ * 
+ * Lists the candidate drafts generated for the guest with
+ * POST /api/invitations/generate?candidates=N, newest first, with their
+ * temperature, validation results and when one was selected.
+ * 
+ * Path parameters:
+ * - guestId: UUID of the guest
+ */
+router.get('/:guestId/drafts', validationSchemas.invitationDrafts, invitationController.getInvitationDrafts);
+
+/**
+ * Select Invitation Draft
+ * 
+ * POST /api/invitations/:guestId/drafts/:draftId/select
+ * 
+ * Makes a candidate draft the guest's invitation: it is saved like a
+ * generated invitation, added to the version history and shared with the
+ * guest's household. The guest's status is updated to "generated".
+ * 
+ * Path parameters:
+ * - guestId: UUID of the guest
+ * - draftId: UUID of the draft to select
+ */
+router.post('/:guestId/drafts/:draftId/select', validationSchemas.selectInvitationDraft, invitationController.selectInvitationDraft);
+
 module.exports = router; 
\ No newline at end of file
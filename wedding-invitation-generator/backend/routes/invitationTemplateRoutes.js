@@ -0,0 +1,93 @@
+/**
+ * Invitation Template Routes
+ *
+ * This module defines API endpoints for the offline templates invitations
+ * are written from when AI is not used: the built-in templates and those
+ * a couple writes for their own guests.
+ * Anyone with access to a wedding can read and preview its templates;
+ * owners and planners can change them.
+ *
+ * All routes are prefixed with '/api/invitation-templates' from the main application.
+ */
+const express = require('express');
+const invitationTemplateController = require('../controllers/invitationTemplateController');
+const validationSchemas = require('../middlewares/validator');
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * List Invitation Templates
+ *
+ * GET /api/invitation-templates
+ *
+ * Retrieves the wedding's own templates followed by the built-in ones,
+ * with the match criteria and the variables templates may use.
+ *
+ * Query parameters:
+ * - coupleInfoId: UUID of the wedding
+ */
+router.get('/', validationSchemas.invitationTemplateQuery, invitationTemplateController.listInvitationTemplates);
+
+/**
+ * Preview Invitation Template
+ *
+ * POST /api/invitation-templates/preview
+ *
+ * Writes a guest's invitation from a template without saving it.
+ *
+ * Request body must include:
+ * - guestId: UUID of the guest
+ *
+ * Optional fields (by default the template selected for the guest):
+ * - templateId: ID of the wedding's or a built-in template
+ * - paragraphs, match: A template being written, checked as when it is created
+ */
+router.post('/preview', validationSchemas.invitationTemplatePreview, invitationTemplateController.previewInvitationTemplate);
+
+/**
+ * Create Invitation Template
+ *
+ * POST /api/invitation-templates
+ *
+ * Adds a template to a wedding. Returns 400 with the problems found if
+ * the template uses an unknown criterion, tone or variable or has an
+ * unclosed {{#if}} block.
+ *
+ * Request body must include:
+ * - coupleInfoId: UUID of the wedding
+ * - name: Name of the template
+ * - paragraphs: Paragraphs, each a list of sections:
+ *   { variants: [phrasings], when: variable(s), unless: variable(s) }
+ *
+ * Optional fields:
+ * - description: When the template is used
+ * - match: Guests it is for: { relationships, tags, themes, tones }
+ */
+router.post('/', validationSchemas.invitationTemplate, invitationTemplateController.createInvitationTemplate);
+
+/**
+ * Update Invitation Template
+ *
+ * PUT /api/invitation-templates/:id
+ *
+ * Changes a wedding's template; fields that are not sent are kept.
+ *
+ * Path parameters:
+ * - id: UUID of the template
+ */
+router.put('/:id', validationSchemas.updateInvitationTemplate, invitationTemplateController.updateInvitationTemplate);
+
+/**
+ * Delete Invitation Template
+ *
+ * DELETE /api/invitation-templates/:id
+ *
+ * Removes a wedding's template. Built-in templates cannot be deleted.
+ *
+ * Path parameters:
+ * - id: UUID of the template
+ */
+router.delete('/:id', validationSchemas.invitationTemplateId, invitationTemplateController.deleteInvitationTemplate);
+
+module.exports = router;
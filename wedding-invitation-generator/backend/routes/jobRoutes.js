@@ -0,0 +1,50 @@
+/**
+ * Job Routes
+ * 
+ * This module defines API endpoints for following background jobs, such
+ * as batch invitation generation. Jobs are started by the feature they
+ * belong to (e.g. POST /api/invitations/generate-batch).
+ * 
+ * All routes are prefixed with '/api/jobs' from the main application.
+ */
+const express = require('express');
+const jobController = require('../controllers/jobController');
+const validationSchemas = require('../middlewares/validator');
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * List Jobs
+ * 
+ * GET /api/jobs
+ * 
+ * Retrieves the 20 most recent jobs of a wedding with their progress,
+ * e.g. to find a batch that is still running after a page reload.
+ * 
+ * Query parameters:
+ * - coupleInfoId: UUID of the wedding
+ */
+router.get('/', validationSchemas.listJobs, jobController.listJobs);
+
+/**
+ * Get Job
+ * 
+ * GET /api/jobs/:id
+ * 
+ * Retrieves a job with its progress and the outcome of every guest.
+ */
+router.get('/:id', validationSchemas.jobId, jobController.getJob);
+
+/**
+ * Stream Job Events
+ * 
+ * GET /api/jobs/:id/events
+ * 
+ * Streams the job's progress as server-sent events ("snapshot", "item",
+ * "job" and "done"). Requires the Authorization header like every other
+ * route, so browsers read the stream with fetch rather than EventSource.
+ */
+router.get('/:id/events', validationSchemas.jobId, jobController.streamJobEvents);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * Wedding Member Routes
+ *
+ * This module defines API endpoints for wedding collaborators.
+ * Owners and planners invite other accounts by email with a role
+ * (owner, planner, family_helper or viewer); the invited account
+ * gains access to the wedding once it accepts the invitation.
+ *
+ * All routes are prefixed with '/api/members' from the main application.
+ */
+const express = require('express');
+const memberController = require('../controllers/memberController');
+const validationSchemas = require('../middlewares/validator');
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * List Members
+ *
+ * GET /api/members
+ *
+ * Retrieves the collaborators and pending invitations of a wedding.
+ *
+ * Query parameters:
+ * - coupleInfoId: UUID of the wedding
+ *
+ * Returns a 404 error if the user has no access to the wedding.
+ */
+router.get('/', validationSchemas.listMembers, memberController.listMembers);
+
+/**
+ * Invite Member
+ *
+ * POST /api/members/invite
+ *
+ * Sends an invitation email to a collaborator.
+ * Only owners and planners can invite; only owners can invite owners.
+ *
+ * Request body must include:
+ * - coupleInfoId: UUID of the wedding
+ * - email: Email address of the collaborator
+ * - role: owner, planner, family_helper or viewer
+ *
+ * Optional fields:
+ * - side: groom or bride (required for family_helper)
+ *
+ * Returns the pending membership and the invitation link, which can be
+ * shared manually if the email service is not configured.
+ */
+router.post('/invite', validationSchemas.inviteMember, memberController.inviteMember);
+
+/**
+ * Accept Invitation
+ *
+ * POST /api/members/accept
+ *
+ * Accepts an invitation for the logged in account.
+ * The account must use the email address the invitation was sent to.
+ *
+ * Request body must include:
+ * - token: Invitation token from the email link
+ *
+ * Returns a 404 error for an unknown or used token and 410 for an expired one.
+ */
+router.post('/accept', validationSchemas.acceptInvite, memberController.acceptInvite);
+
+/**
+ * Remove Member
+ *
+ * DELETE /api/members/:id
+ *
+ * Removes a collaborator or revokes a pending invitation.
+ * Members can always remove themselves to leave a wedding.
+ *
+ * Path parameters:
+ * - id: UUID of the membership
+ */
+router.delete('/:id', validationSchemas.removeMember, memberController.removeMember);
+
+module.exports = router;
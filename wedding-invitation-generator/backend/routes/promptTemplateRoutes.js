@@ -0,0 +1,62 @@
+/**
+ * Prompt Template Routes
+ *
+ * This module defines API endpoints for the prompt templates the AI
+ * invitations are generated from. Templates are versioned: storing a
+ * template adds a new version, which is used from then on.
+ * Anyone signed in can read the templates; only admins can change them.
+ *
+ * All routes are prefixed with '/api/prompt-templates' from the main application.
+ */
+const express = require('express');
+const promptTemplateController = require('../controllers/promptTemplateController');
+const validationSchemas = require('../middlewares/validator');
+const { adminOnly } = require('../middlewares/auth');
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * List Prompt Templates
+ *
+ * GET /api/prompt-templates
+ *
+ * Retrieves the templates in use (the newest stored version, or the
+ * built-in template) with the variables each may use, and the tone
+ * presets a wedding can pick.
+ */
+router.get('/', promptTemplateController.listPromptTemplates);
+
+/**
+ * Get Prompt Template Versions
+ *
+ * GET /api/prompt-templates/:key
+ *
+ * Retrieves the built-in template and every stored version, newest first.
+ *
+ * Path parameters:
+ * - key: invitation.system, invitation.user, feedback.system or feedback.user
+ */
+router.get('/:key', validationSchemas.promptTemplateKey, promptTemplateController.getPromptTemplate);
+
+/**
+ * Create Prompt Template Version
+ *
+ * POST /api/prompt-templates/:key
+ *
+ * Stores a new version of the template (admins only).
+ * Returns 400 with the problems found if the template uses an unknown
+ * variable or has an unclosed {{#if}} block.
+ *
+ * Path parameters:
+ * - key: invitation.system, invitation.user, feedback.system or feedback.user
+ *
+ * Request body must include:
+ * - body: Template text with {{variables}} and {{#if variable}}...{{else}}...{{/if}} blocks
+ *
+ * Optional fields:
+ * - note: Description of the change
+ */
+router.post('/:key', adminOnly, validationSchemas.promptTemplate, promptTemplateController.createPromptTemplateVersion);
+
+module.exports = router;
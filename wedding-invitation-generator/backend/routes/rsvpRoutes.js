@@ -0,0 +1,53 @@
+/**
+ * RSVP Routes
+ * 
+ * This module defines the public endpoints behind the RSVP link
+ * included in every invitation email. They do not require an account;
+ * the random per-guest token in the URL identifies the guest.
+ * 
+ * All routes are prefixed with '/api/rsvp' from the main application.
+ */
+const express = require('express');
+const rsvpController = require('../controllers/rsvpController');
+const validationSchemas = require('../middlewares/validator');
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * Get RSVP Page Data
+ * 
+ * GET /api/rsvp/:token
+ * 
+ * Returns the guest's name, the wedding details, the invitation text
+ * and the guest's current reply (null if they have not replied yet).
+ * 
+ * Path parameters:
+ * - token: RSVP token from the guest's link
+ * 
+ * Returns a 404 error if the token is unknown.
+ */
+router.get('/:token', rsvpController.getRsvp);
+
+/**
+ * Submit RSVP
+ * 
+ * POST /api/rsvp/:token
+ * 
+ * Records the guest's reply. Replying again replaces the previous reply.
+ * 
+ * Path parameters:
+ * - token: RSVP token from the guest's link
+ * 
+ * Request body must include:
+ * - response: attending, declined or maybe
+ * 
+ * Optional fields:
+ * - partySize: Number of people attending, including the guest (1-20, default 1)
+ * - comment: Message to the couple (max. 500 characters)
+ * 
+ * Returns a 404 error if the token is unknown.
+ */
+router.post('/:token', validationSchemas.rsvpReply, rsvpController.submitRsvp);
+
+module.exports = router;
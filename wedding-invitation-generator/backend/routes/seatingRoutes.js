@@ -0,0 +1,158 @@
+/**
+ * Seating Routes
+ *
+ * This module defines API endpoints for the seating chart: tables with
+ * a number of seats, seating and moving guests, keep-apart constraints,
+ * automatic seating and the printable seating chart.
+ * A guest takes one seat per person attending, companions included.
+ *
+ * All routes are prefixed with '/api/seating' from the main application.
+ */
+const express = require('express');
+const seatingController = require('../controllers/seatingController');
+const validationSchemas = require('../middlewares/validator');
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * Get Seating Chart
+ *
+ * GET /api/seating
+ *
+ * Retrieves the tables with their guests and seats taken, the guests
+ * still to be seated (everyone who has not declined) and the
+ * keep-apart constraints.
+ *
+ * Query parameters:
+ * - coupleInfoId: UUID of the wedding
+ */
+router.get('/', validationSchemas.seatingQuery, seatingController.getSeating);
+
+/**
+ * Export Seating Chart
+ *
+ * GET /api/seating/export
+ *
+ * Downloads the seating chart. The default HTML page is meant for
+ * printing: one block per table and an alphabetical guest index.
+ *
+ * Query parameters:
+ * - coupleInfoId: UUID of the wedding
+ * - format (optional): html (default), csv or xlsx
+ */
+router.get('/export', validationSchemas.seatingExport, seatingController.exportSeating);
+
+/**
+ * Create Table
+ *
+ * POST /api/seating/tables
+ *
+ * Adds a table. Labels are unique within a wedding.
+ *
+ * Request body must include:
+ * - coupleInfoId: UUID of the wedding
+ * - label: Name of the table (e.g. "主桌", "第3桌")
+ * - capacity: Number of seats (1-30)
+ *
+ * Optional fields:
+ * - sortOrder: Position in the seating chart
+ */
+router.post('/tables', validationSchemas.tableInfo, seatingController.createTable);
+
+/**
+ * Update Table
+ *
+ * PUT /api/seating/tables/:id
+ *
+ * Updates a table. The capacity cannot be lowered below the seats taken.
+ *
+ * Path parameters:
+ * - id: UUID of the table
+ */
+router.put('/tables/:id', validationSchemas.updateTable, seatingController.updateTable);
+
+/**
+ * Delete Table
+ *
+ * DELETE /api/seating/tables/:id
+ *
+ * Removes a table. Its guests become unseated.
+ *
+ * Path parameters:
+ * - id: UUID of the table
+ */
+router.delete('/tables/:id', validationSchemas.tableId, seatingController.deleteTable);
+
+/**
+ * Seat Guests
+ *
+ * POST /api/seating/tables/:id/guests
+ *
+ * Seats guests at the table, moving them from their current table.
+ * Returns 409 if the table lacks free seats or a guest must be kept
+ * apart from someone at the table.
+ *
+ * Request body must include:
+ * - guestIds: UUIDs of the guests
+ */
+router.post('/tables/:id/guests', validationSchemas.tableGuests, seatingController.seatGuests);
+
+/**
+ * Unseat Guests
+ *
+ * DELETE /api/seating/tables/:id/guests
+ *
+ * Removes guests from the table.
+ *
+ * Request body must include:
+ * - guestIds: UUIDs of the guests
+ */
+router.delete('/tables/:id/guests', validationSchemas.tableGuests, seatingController.unseatGuests);
+
+/**
+ * Create Keep-Apart Constraint
+ *
+ * POST /api/seating/constraints
+ *
+ * Records that two guests must not share a table.
+ *
+ * Request body must include:
+ * - coupleInfoId: UUID of the wedding
+ * - guestId, otherGuestId: UUIDs of the two guests
+ *
+ * Optional fields:
+ * - note: Reason for the constraint
+ */
+router.post('/constraints', validationSchemas.seatingConstraint, seatingController.createConstraint);
+
+/**
+ * Delete Keep-Apart Constraint
+ *
+ * DELETE /api/seating/constraints/:id
+ *
+ * Path parameters:
+ * - id: UUID of the constraint
+ */
+router.delete('/constraints/:id', validationSchemas.seatingConstraintId, seatingController.deleteConstraint);
+
+/**
+ * Auto-Seat Guests
+ *
+ * POST /api/seating/auto
+ *
+ * Seats guests automatically, keeping households together, grouping
+ * guests by tag (or side and relationship) and respecting keep-apart
+ * constraints. Guests who cannot be placed are listed with the reason.
+ *
+ * Request body must include:
+ * - coupleInfoId: UUID of the wedding
+ *
+ * Optional fields:
+ * - mode: fill (default, keeps current seating) or reset (seats everyone again)
+ * - includePending: Also seat guests who have not replied or replied "maybe"
+ * - dryRun: Return the plan without saving it
+ */
+router.post('/auto', validationSchemas.autoSeat, seatingController.autoSeat);
+
+module.exports = router;
@@ -0,0 +1,126 @@
+/**
+ * Tag Routes
+ *
+ * This module defines API endpoints for guest tags: groups such as
+ * "大學同學" or "公司同事" that a wedding's guests are labeled with.
+ * A tag may belong to the groom's or the bride's side, and the side
+ * summary counts guests per side and per tag.
+ *
+ * All routes are prefixed with '/api/tags' from the main application.
+ */
+const express = require('express');
+const tagController = require('../controllers/tagController');
+const validationSchemas = require('../middlewares/validator');
+
+// Create Express router
+const router = express.Router();
+
+/**
+ * List Tags
+ *
+ * GET /api/tags
+ *
+ * Retrieves the tags of a wedding with the number of guests per tag.
+ *
+ * Query parameters:
+ * - coupleInfoId: UUID of the wedding
+ *
+ * Returns a 404 error if the user has no access to the wedding.
+ */
+router.get('/', validationSchemas.tagQuery, tagController.listTags);
+
+/**
+ * Side Summary
+ *
+ * GET /api/tags/summary
+ *
+ * Counts guests per side (groom, bride, none) and per tag: invited
+ * guests, guests attending and the people attending including companions.
+ *
+ * Query parameters:
+ * - coupleInfoId: UUID of the wedding
+ */
+router.get('/summary', validationSchemas.tagQuery, tagController.getSideSummary);
+
+/**
+ * Create Tag
+ *
+ * POST /api/tags
+ *
+ * Adds a tag to a wedding. Tag names are unique within a wedding;
+ * a duplicate name returns 409 with the existing tag.
+ *
+ * Request body must include:
+ * - coupleInfoId: UUID of the wedding
+ * - name: Name of the tag (e.g. "大學同學")
+ *
+ * Optional fields:
+ * - side: groom or bride; omit for a tag shared by both sides
+ * - color: Display color as #RRGGBB
+ */
+router.post('/', validationSchemas.tagInfo, tagController.createTag);
+
+/**
+ * Update Tag
+ *
+ * PUT /api/tags/:id
+ *
+ * Renames, recolors or changes the side of a tag. Changing the side
+ * fails if the tag has guests of the other side.
+ *
+ * Path parameters:
+ * - id: UUID of the tag
+ */
+router.put('/:id', validationSchemas.updateTag, tagController.updateTag);
+
+/**
+ * Delete Tag
+ *
+ * DELETE /api/tags/:id
+ *
+ * Removes a tag. Its guests are kept.
+ *
+ * Path parameters:
+ * - id: UUID of the tag
+ */
+router.delete('/:id', validationSchemas.tagId, tagController.deleteTag);
+
+/**
+ * Tag Guests
+ *
+ * POST /api/tags/:id/guests
+ *
+ * Applies the tag to guests of the same wedding. Guests without a side
+ * take the side of the tag.
+ *
+ * Request body must include:
+ * - guestIds: UUIDs of the guests
+ */
+router.post('/:id/guests', validationSchemas.tagGuests, tagController.addTagToGuests);
+
+/**
+ * Untag Guests
+ *
+ * DELETE /api/tags/:id/guests
+ *
+ * Removes the tag from guests.
+ *
+ * Request body must include:
+ * - guestIds: UUIDs of the guests
+ */
+router.delete('/:id/guests', validationSchemas.tagGuests, tagController.removeTagFromGuests);
+
+/**
+ * Update Tagged Guests
+ *
+ * PATCH /api/tags/:id/guests
+ *
+ * Updates every guest with the tag at once.
+ *
+ * Request body (at least one field):
+ * - relationship: New relationship
+ * - plusOnesAllowed: New number of plus-ones (0-10)
+ */
+router.patch('/:id/guests', validationSchemas.updateTaggedGuests, tagController.updateTaggedGuests);
+
+module.exports = router;
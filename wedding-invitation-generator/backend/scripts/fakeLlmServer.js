@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Local Fake LLM Server
+ *
+ * A stand-in for an OpenAI-compatible chat completions API, so invitation
+ * generation can be developed and tested offline without an API key.
+ * It writes a simple invitation from the guest and wedding details found
+ * in the prompt, sized to the length range the prompt asks for (counted in
+ * Chinese characters, as the invitation validators count them). When asked
+ * to correct an invitation it leaves out links, emails and phone numbers.
+ * The closing sentences vary with the temperature, so candidate invitations
+ * written at different temperatures differ.
+ * Requests with "stream": true are answered piece by piece as
+ * server-sent events, like the real API.
+ *
+ * Usage:
+ *   node scripts/fakeLlmServer.js [options]
+ *   LOCAL_LLM_BASE_URL=http://localhost:5055/v1 npm run dev
+ *
+ * Options:
+ *   --port     Port to listen on (default 5055, or FAKE_LLM_PORT)
+ *   --delay    Milliseconds to wait before answering (default 0, or FAKE_LLM_DELAY_MS)
+ *   --chunk-delay
+ *              Milliseconds between the pieces of a streamed answer
+ *              (default 20, or FAKE_LLM_CHUNK_DELAY_MS)
+ *   --fail     Answer every request with this HTTP status, e.g. 503 to test
+ *              the provider fallback (or FAKE_LLM_FAIL_STATUS)
+ *   --help     Show help information
+ *
+ * Endpoints:
+ *   GET  /v1/models
+ *   POST /v1/chat/completions
+ */
+const http = require('http');
+const { countChineseCharacters } = require('../utils/invitationValidators');
+
+const MODEL = 'fake-invitation-writer';
+
+/**
+ * Closing sentences, picked by the temperature (the default 0.7 picks the third)
+ */
+const FILLERS = [
+  '能與您分享這份喜悅，是我們最大的幸福，誠心盼望您的蒞臨。',
+  '這一天因為有您而更加完整，我們已經迫不及待想見到您。',
+  '您的祝福是我們最珍貴的禮物，期待與您共度這個美好的日子。',
+  '感謝您一直以來的照顧，希望您能來為我們的新生活獻上祝福。',
+  '我們將準備美酒佳餚，恭候您的光臨，與我們一同留下美好回憶。'
+];
+
+/**
+ * Contact details removed when the prompt asks for corrections
+ */
+const CONTACT_DETAILS = /https?:\/\/\S+|www\.\S+|[\w.+-]+@[\w-]+(\.[\w-]+)+|09\d{2}-?\d{3}-?\d{3}/g;
+
+/**
+ * Finds the value of a "- label: value" line in the prompt
+ *
+ * @param {string} prompt - Prompt text
+ * @param {string} label - Line label, e.g. "姓名"
+ * @returns {string|null} The value, or null if missing or "未提供"
+ */
+const field = (prompt, label) => {
+  const match = prompt.match(new RegExp(`-\\s*${label}:\\s*(.+)`));
+  const value = match ? match[1].trim() : null;
+  return value && value !== '未提供' ? value : null;
+};
+
+/**
+ * Writes an invitation from the details in the prompt
+ *
+ * @param {Array<Object>} messages - Chat messages of the request
+ * @param {number} [temperature=0.7] - Sampling temperature of the request
+ * @returns {string} Invitation text
+ */
+const writeInvitation = (messages, temperature = 0.7) => {
+  const prompt = messages.map(message => message.content).join('\n');
+  const correcting = /請修正/.test(messages[messages.length - 1].content);
+  const addressee = (prompt.match(/稱呼「(.+?)」/) || [])[1] || field(prompt, '姓名') || '親愛的朋友';
+  const groom = field(prompt, '新郎') || '新郎';
+  const bride = field(prompt, '新娘') || '新娘';
+  const range = prompt.match(/(\d+)-(\d+) Chinese characters/) || prompt.match(/(\d+)-(\d+)個中文字符/);
+  const [min, max] = range ? [Number(range[1]), Number(range[2])] : [300, 400];
+
+  // A feedback request rewrites the original text with the feedback applied
+  const feedback = (prompt.match(/用戶反饋:\n([\s\S]*?)\n\n/) || [])[1];
+  const memories = correcting
+    ? (field(prompt, '共同回憶') || '').replace(CONTACT_DETAILS, '').trim()
+    : field(prompt, '共同回憶');
+  const paragraphs = [
+    `親愛的${addressee}：`,
+    memories ? `還記得${memories}嗎？那段時光一直是我們珍藏的回憶。` : '感謝您一路以來的陪伴與支持，讓我們的生活充滿溫暖。',
+    `我們誠摯邀請您於${[field(prompt, '婚禮日期') || '婚禮當天', field(prompt, '婚禮時間')].filter(Boolean).join(' ')}蒞臨${field(prompt, '婚禮地點') || '婚禮會場'}，見證我們的婚禮。`,
+    feedback ? `（已依照您的意見調整：${feedback.trim()}）` : null
+  ].filter(Boolean);
+  const signature = `${groom} & ${bride} 敬上`;
+  const filler = FILLERS[Math.round(temperature * 10) % FILLERS.length];
+
+  let body = paragraphs.join('\n\n');
+  while (countChineseCharacters(`${body}\n\n${signature}`) < min) {
+    body += filler;
+  }
+  while (body && countChineseCharacters(`${body}\n\n${signature}`) > max) {
+    body = body.slice(0, -1);
+  }
+  return `${body}\n\n${signature}`;
+};
+
+/**
+ * Creates the fake server
+ *
+ * @param {Object} [options] - Server options
+ * @param {number} [options.delayMs=0] - Milliseconds to wait before answering
+ * @param {number} [options.chunkDelayMs=20] - Milliseconds between the pieces of a streamed answer
+ * @param {number} [options.failStatus] - HTTP status to answer every completion with
+ * @returns {http.Server} The server (not yet listening)
+ */
+const createFakeLlmServer = ({ delayMs = 0, chunkDelayMs = 20, failStatus } = {}) => http.createServer((req, res) => {
+  const send = (status, payload) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  };
+
+  if (req.method === 'GET' && req.url === '/v1/models') {
+    return send(200, { object: 'list', data: [{ id: MODEL, object: 'model', owned_by: 'local' }] });
+  }
+
+  if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+    return send(404, { error: { message: 'Not found', type: 'invalid_request_error' } });
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => setTimeout(() => {
+    if (failStatus) {
+      return send(failStatus, { error: { message: `Fake failure ${failStatus}`, type: 'server_error' } });
+    }
+
+    let request;
+    try {
+      request = JSON.parse(raw);
+    } catch (error) {
+      return send(400, { error: { message: 'Invalid JSON body', type: 'invalid_request_error' } });
+    }
+    if (!Array.isArray(request.messages)) {
+      return send(400, { error: { message: 'messages is required', type: 'invalid_request_error' } });
+    }
+
+    const content = writeInvitation(request.messages, request.temperature);
+    const promptTokens = request.messages.reduce((total, message) => total + String(message.content).length, 0);
+    const id = `chatcmpl-fake-${Date.now().toString(36)}`;
+    const created = Math.floor(Date.now() / 1000);
+    const model = request.model || MODEL;
+    const usage = { prompt_tokens: promptTokens, completion_tokens: content.length, total_tokens: promptTokens + content.length };
+
+    if (!request.stream) {
+      return send(200, {
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage
+      });
+    }
+
+    // Streamed answers are sent a few characters at a time
+    const pieces = content.match(/[\s\S]{1,8}/g) || [];
+    const chunk = (choices, extra = {}) => `data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices, ...extra })}\n\n`;
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+    let index = 0;
+    const timer = setInterval(() => {
+      if (index < pieces.length) {
+        res.write(chunk([{ index: 0, delta: index === 0 ? { role: 'assistant', content: pieces[0] } : { content: pieces[index] }, finish_reason: null }]));
+        index += 1;
+        return;
+      }
+      clearInterval(timer);
+      res.write(chunk([{ index: 0, delta: {}, finish_reason: 'stop' }]));
+      if (request.stream_options?.include_usage) {
+        res.write(chunk([], { usage }));
+      }
+      res.end('data: [DONE]\n\n');
+    }, chunkDelayMs);
+
+    // The client went away, e.g. the user closed the page
+    res.on('close', () => clearInterval(timer));
+  }, delayMs));
+});
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--help')) {
+    console.log('Usage: node scripts/fakeLlmServer.js [--port 5055] [--delay ms] [--chunk-delay ms] [--fail status]');
+    process.exit(0);
+  }
+
+  const port = Number(option('port') || process.env.FAKE_LLM_PORT || 5055);
+  const server = createFakeLlmServer({
+    delayMs: Number(option('delay') || process.env.FAKE_LLM_DELAY_MS || 0),
+    chunkDelayMs: Number(option('chunk-delay') || process.env.FAKE_LLM_CHUNK_DELAY_MS || 20),
+    failStatus: Number(option('fail') || process.env.FAKE_LLM_FAIL_STATUS) || undefined
+  });
+
+  server.listen(port, () => {
+    console.log(`Fake LLM server listening on http://localhost:${port}/v1`);
+    console.log(`Start the backend with LOCAL_LLM_BASE_URL=http://localhost:${port}/v1 to use it`);
+  });
+}
+
+module.exports = { createFakeLlmServer };
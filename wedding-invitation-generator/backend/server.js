@@ -96,6 +96,32 @@ try {
       throw err;
     }
     
+    try {
+      logger.info('檢查帳號驗證路由模塊...');
+      const authRoutes = require('./routes/authRoutes');
+      logger.info('帳號驗證路由模塊檢查成功');
+    } catch (err) {
+      logger.error('帳號驗證路由模塊檢查失敗', { 
+        error: err.message, 
+        stack: err.stack,
+        failedAt: err.stack?.split('\n')[1]?.trim() || '無法確定失敗位置'
+      });
+      throw err;
+    }
+    
+    try {
+      logger.info('檢查賓客回覆路由模塊...');
+      const rsvpRoutes = require('./routes/rsvpRoutes');
+      logger.info('賓客回覆路由模塊檢查成功');
+    } catch (err) {
+      logger.error('賓客回覆路由模塊檢查失敗', { 
+        error: err.message, 
+        stack: err.stack,
+        failedAt: err.stack?.split('\n')[1]?.trim() || '無法確定失敗位置'
+      });
+      throw err;
+    }
+    
     try {
       logger.info('檢查新人資訊路由模塊...');
       const coupleRoutes = require('./routes/coupleRoutes');
@@ -117,6 +143,19 @@ try {
       throw err;
     }
     
+    try {
+      logger.info('檢查婚禮成員路由模塊...');
+      const memberRoutes = require('./routes/memberRoutes');
+      logger.info('婚禮成員路由模塊檢查成功');
+    } catch (err) {
+      logger.error('婚禮成員路由模塊檢查失敗', { 
+        error: err.message, 
+        stack: err.stack,
+        failedAt: err.stack?.split('\n')[1]?.trim() || '無法確定失敗位置'
+      });
+      throw err;
+    }
+    
     try {
       logger.info('檢查賓客管理路由模塊...');
       const guestRoutes = require('./routes/guestRoutes');
@@ -130,6 +169,84 @@ try {
       throw err;
     }
     
+    try {
+      logger.info('檢查家庭分組路由模塊...');
+      const householdRoutes = require('./routes/householdRoutes');
+      logger.info('家庭分組路由模塊檢查成功');
+    } catch (err) {
+      logger.error('家庭分組路由模塊檢查失敗', { 
+        error: err.message, 
+        stack: err.stack,
+        failedAt: err.stack?.split('\n')[1]?.trim() || '無法確定失敗位置'
+      });
+      throw err;
+    }
+    
+    try {
+      logger.info('檢查餐點統計路由模塊...');
+      const cateringRoutes = require('./routes/cateringRoutes');
+      logger.info('餐點統計路由模塊檢查成功');
+    } catch (err) {
+      logger.error('餐點統計路由模塊檢查失敗', { 
+        error: err.message, 
+        stack: err.stack,
+        failedAt: err.stack?.split('\n')[1]?.trim() || '無法確定失敗位置'
+      });
+      throw err;
+    }
+    
+    try {
+      logger.info('檢查標籤路由模塊...');
+      const tagRoutes = require('./routes/tagRoutes');
+      logger.info('標籤路由模塊檢查成功');
+    } catch (err) {
+      logger.error('標籤路由模塊檢查失敗', { 
+        error: err.message, 
+        stack: err.stack,
+        failedAt: err.stack?.split('\n')[1]?.trim() || '無法確定失敗位置'
+      });
+      throw err;
+    }
+    
+    try {
+      logger.info('檢查座位安排路由模塊...');
+      const seatingRoutes = require('./routes/seatingRoutes');
+      logger.info('座位安排路由模塊檢查成功');
+    } catch (err) {
+      logger.error('座位安排路由模塊檢查失敗', { 
+        error: err.message, 
+        stack: err.stack,
+        failedAt: err.stack?.split('\n')[1]?.trim() || '無法確定失敗位置'
+      });
+      throw err;
+    }
+    
+    try {
+      logger.info('檢查提示範本路由模塊...');
+      const promptTemplateRoutes = require('./routes/promptTemplateRoutes');
+      logger.info('提示範本路由模塊檢查成功');
+    } catch (err) {
+      logger.error('提示範本路由模塊檢查失敗', { 
+        error: err.message, 
+        stack: err.stack,
+        failedAt: err.stack?.split('\n')[1]?.trim() || '無法確定失敗位置'
+      });
+      throw err;
+    }
+    
+    try {
+      logger.info('檢查邀請函範本路由模塊...');
+      const invitationTemplateRoutes = require('./routes/invitationTemplateRoutes');
+      logger.info('邀請函範本路由模塊檢查成功');
+    } catch (err) {
+      logger.error('邀請函範本路由模塊檢查失敗', { 
+        error: err.message, 
+        stack: err.stack,
+        failedAt: err.stack?.split('\n')[1]?.trim() || '無法確定失敗位置'
+      });
+      throw err;
+    }
+    
     try {
       logger.info('檢查邀請函生成路由模塊...');
       const invitationRoutes = require('./routes/invitationRoutes');
@@ -173,6 +290,32 @@ try {
       throw err;
     }
     
+    try {
+      logger.info('檢查背景工作路由模塊...');
+      const jobRoutes = require('./routes/jobRoutes');
+      logger.info('背景工作路由模塊檢查成功');
+    } catch (err) {
+      logger.error('背景工作路由模塊檢查失敗', { 
+        error: err.message, 
+        stack: err.stack,
+        failedAt: err.stack?.split('\n')[1]?.trim() || '無法確定失敗位置'
+      });
+      throw err;
+    }
+    
+    try {
+      logger.info('檢查AI用量路由模塊...');
+      const aiUsageRoutes = require('./routes/aiUsageRoutes');
+      logger.info('AI用量路由模塊檢查成功');
+    } catch (err) {
+      logger.error('AI用量路由模塊檢查失敗', { 
+        error: err.message, 
+        stack: err.stack,
+        failedAt: err.stack?.split('\n')[1]?.trim() || '無法確定失敗位置'
+      });
+      throw err;
+    }
+    
     try {
       logger.info('檢查電子郵件路由模塊...');
       const emailRoutes = require('./routes/emailRoutes');
@@ -480,7 +623,7 @@ server.on('listening', () => {
       logger.info(`已註冊路由層: ${routerLayers.length}`);
       
       // Log API endpoints for monitoring
-      const apiPaths = ['/api/health', '/api/couple', '/api/guests', '/api/invitations', '/api/emails'];
+      const apiPaths = ['/api/health', '/api/auth', '/api/rsvp', '/api/couple', '/api/members', '/api/guests', '/api/households', '/api/tags', '/api/catering', '/api/seating', '/api/prompt-templates', '/api/invitation-templates', '/api/invitations', '/api/jobs', '/api/ai-usage', '/api/emails'];
       logger.info(`API端點: ${apiPaths.join(', ')}`);
       
       // Log each route for better debugging
@@ -512,6 +655,17 @@ server.on('listening', () => {
     cpuUsage: process.cpuUsage(),
     uptime: process.uptime()
   });
+  
+  // Resume background jobs interrupted by the last shutdown
+  require('./utils/jobRunner').resumeJobs()
+    .then(count => {
+      if (count > 0) {
+        logger.info(`已恢復 ${count} 個未完成的背景工作`);
+      }
+    })
+    .catch(err => {
+      logger.error('恢復背景工作失敗', { error: err.message, stack: err.stack });
+    });
 });
 
 /**
@@ -537,7 +691,7 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
  * Graceful Shutdown Function
  * 
  * Implements a controlled shutdown process:
- * 1. Logs the shutdown initiation
+ * 1. Logs the shutdown initiation and stops background jobs
  * 2. Closes the database connections to prevent corruption
  * 3. Closes the HTTP server (stops accepting new connections)
  * 4. Logs successful shutdown and exits normally
@@ -552,6 +706,9 @@ function gracefulShutdown(signal) {
   const shutdownStart = Date.now();
   logger.serverShutdown(signal, 0);
   
+  // Stop background jobs from starting new items; they resume at the next start
+  require('./utils/jobRunner').stopJobs();
+  
   // Track shutdown phases
   let dbClosed = false;
   let serverClosed = false;
@@ -0,0 +1,98 @@
+const {
+  normalizeEmail,
+  normalizeName,
+  normalizePhone,
+  findDuplicateGroups,
+  richerText
+} = require('../utils/guestDuplicates');
+
+const guest = (id, extra = {}) => ({ id, name: id, email: `${id}@mail.jp`, phone: null, ...extra });
+
+/**
+ * IDs of the guests of each group
+ */
+const groupIds = (groups) => groups.map(group => group.guests.map(({ id }) => id));
+
+describe('normalizeEmail', () => {
+  test('ignores case and surrounding spaces', () => {
+    expect(normalizeEmail('  Ming@Mail.JP ')).toBe('ming@mail.jp');
+    expect(normalizeEmail(null)).toBe('');
+  });
+});
+
+describe('normalizeName', () => {
+  test('folds full-width letters and digits', () => {
+    expect(normalizeName('ＡＭＹ　２')).toBe(normalizeName('amy 2'));
+  });
+
+  test('ignores case, spaces and punctuation', () => {
+    expect(normalizeName(' 王．小明 ')).toBe('王小明');
+    expect(normalizeName('Mary-Jane O\'Neil')).toBe('maryjaneoneil');
+  });
+});
+
+describe('normalizePhone', () => {
+  test('replaces the Taiwan country code with a leading 0', () => {
+    expect(normalizePhone('+886 912-345-678')).toBe('0912345678');
+    expect(normalizePhone('886912345678')).toBe('0912345678');
+    expect(normalizePhone('(0912) 345 678')).toBe('0912345678');
+  });
+
+  test('ignores numbers too short to compare', () => {
+    expect(normalizePhone('12-34')).toBe('');
+    expect(normalizePhone(null)).toBe('');
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  test('groups guests sharing an email, a name or a phone number', () => {
+    const groups = findDuplicateGroups([
+      guest('a', { email: 'Ming@Mail.jp' }),
+      guest('b', { email: ' ming@mail.jp' }),
+      guest('c', { name: '王小明' }),
+      guest('d', { name: '王 小明' }),
+      guest('e', { phone: '+886 912-345-678' }),
+      guest('f', { phone: '0912345678' }),
+      guest('g')
+    ]);
+
+    expect(groups).toEqual([
+      { reasons: ['email'], guests: [expect.objectContaining({ id: 'a' }), expect.objectContaining({ id: 'b' })] },
+      { reasons: ['name'], guests: [expect.objectContaining({ id: 'c' }), expect.objectContaining({ id: 'd' })] },
+      { reasons: ['phone'], guests: [expect.objectContaining({ id: 'e' }), expect.objectContaining({ id: 'f' })] }
+    ]);
+  });
+
+  test('links guests through a third guest', () => {
+    const groups = findDuplicateGroups([
+      guest('a', { name: '小張' }),
+      guest('b', { phone: '0912345678' }),
+      guest('c', { name: '小張', phone: '+886912345678' })
+    ]);
+
+    expect(groupIds(groups)).toEqual([['a', 'b', 'c']]);
+    expect(groups[0].reasons).toEqual(['name', 'phone']);
+  });
+
+  test('leaves guests without anything in common out', () => {
+    expect(findDuplicateGroups([guest('a'), guest('b'), guest('c', { phone: '123' }), guest('d', { phone: '123' })])).toEqual([]);
+  });
+});
+
+describe('richerText', () => {
+  test('keeps the longer text of the guests being merged', () => {
+    expect(richerText('大學同學', '大學同學，一起參加登山社')).toBe('大學同學，一起參加登山社');
+    expect(richerText('大學同學，一起參加登山社', '同學')).toBe('大學同學，一起參加登山社');
+  });
+
+  test('prefers the kept guest on a tie and ignores surrounding spaces', () => {
+    expect(richerText('同事', '鄰居')).toBe('同事');
+    expect(richerText('同事', '  鄰居  ')).toBe('同事');
+  });
+
+  test('fills in a text only the merged guest has', () => {
+    expect(richerText(null, '素食')).toBe('素食');
+    expect(richerText('素食', null)).toBe('素食');
+    expect(richerText(null, null)).toBeNull();
+  });
+});
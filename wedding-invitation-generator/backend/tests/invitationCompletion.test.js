@@ -0,0 +1,133 @@
+// The tests play the AI providers; the usage records and logs need no database
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn() }));
+jest.mock('../utils/llmClient', () => ({ completeChat: jest.fn(), streamChat: jest.fn() }));
+jest.mock('../utils/aiUsage', () => ({ recordAiUsage: jest.fn() }));
+
+const { completeChat, streamChat } = require('../utils/llmClient');
+const { recordAiUsage } = require('../utils/aiUsage');
+const { completeValidatedInvitation } = require('../utils/invitationCompletion');
+
+const coupleInfo = {
+  groomName: '王小明',
+  brideName: '李小美',
+  weddingDate: new Date('2026-12-01T00:00:00Z'),
+  weddingTime: '12:00',
+  weddingLocation: '台北晶華酒店'
+};
+
+/**
+ * An invitation that passes every rule; extra text is inserted before the signature
+ */
+const invitation = (extra = '') => [
+  '親愛的小張：',
+  '我們誠摯地邀請您參加我們的婚禮，'.repeat(20),
+  `婚禮將於2026年12月1日12:00在台北晶華酒店舉行。${extra}`,
+  '王小明 & 李小美 敬上'
+].join('\n\n');
+
+const answer = (content) => ({ content, provider: 'primary', model: 'test-model', usage: { prompt_tokens: 10, completion_tokens: 20 } });
+
+const options = { maxTokens: 1500, operationId: 'AI-test', usage: { operation: 'generate', coupleInfoId: 'wedding-1' } };
+
+beforeEach(() => {
+  completeChat.mockReset();
+  streamChat.mockReset();
+  recordAiUsage.mockReset();
+});
+
+describe('completeValidatedInvitation', () => {
+  test('returns an answer that passes at once', async () => {
+    completeChat.mockResolvedValueOnce(answer(invitation()));
+
+    const { completion, validation } = await completeValidatedInvitation([], coupleInfo, options);
+
+    expect(completion.content).toBe(invitation());
+    expect(validation).toEqual(expect.objectContaining({ passed: true, attempts: 1 }));
+    expect(recordAiUsage).toHaveBeenCalledWith(options.usage, completion);
+  });
+
+  test('sends a failed answer back with the instructions to correct it', async () => {
+    const withEmail = invitation('請回覆至 ming@mail.jp');
+    completeChat
+      .mockResolvedValueOnce(answer(withEmail))
+      .mockResolvedValueOnce(answer(invitation()));
+
+    const { completion, validation } = await completeValidatedInvitation([{ role: 'user', content: '寫一封邀請函' }], coupleInfo, options);
+
+    expect(completion.content).toBe(invitation());
+    expect(validation).toEqual(expect.objectContaining({ passed: true, attempts: 2 }));
+    expect(completeChat.mock.calls[1][0].messages).toEqual([
+      { role: 'user', content: '寫一封邀請函' },
+      { role: 'assistant', content: withEmail },
+      { role: 'user', content: expect.stringContaining('- 請刪除電子郵件地址') }
+    ]);
+    expect(recordAiUsage).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps the answer with the fewest broken rules once the corrections run out', async () => {
+    const twoProblems = invitation('請回覆至 ming@mail.jp 或來電0912-345-678');
+    const oneProblem = invitation('請來電0912-345-678');
+    completeChat
+      .mockResolvedValueOnce(answer(twoProblems))
+      .mockResolvedValueOnce(answer(oneProblem))
+      .mockResolvedValueOnce(answer(twoProblems));
+
+    const { completion, validation } = await completeValidatedInvitation([], coupleInfo, options);
+
+    expect(completeChat).toHaveBeenCalledTimes(3);
+    expect(completion.content).toBe(oneProblem);
+    expect(validation.passed).toBe(false);
+    expect(validation.attempts).toBe(3);
+    expect(validation.results.filter(result => !result.passed).map(result => result.rule)).toEqual(['phone']);
+  });
+
+  test('streams only the first answer', async () => {
+    const stream = { onDelta: jest.fn(), signal: new AbortController().signal };
+    streamChat.mockResolvedValueOnce(answer(invitation('請回覆至 ming@mail.jp')));
+    completeChat.mockResolvedValueOnce(answer(invitation()));
+
+    const { validation } = await completeValidatedInvitation([], coupleInfo, { ...options, stream });
+
+    expect(validation.attempts).toBe(2);
+    expect(streamChat).toHaveBeenCalledWith(expect.objectContaining(stream));
+    expect(completeChat).toHaveBeenCalledWith(expect.objectContaining({ signal: stream.signal }));
+  });
+
+  test('records the usage of a stream that ended early', async () => {
+    const error = new Error('Request was aborted.');
+    error.completion = answer('親愛的小張');
+    streamChat.mockRejectedValueOnce(error);
+
+    await expect(completeValidatedInvitation([], coupleInfo, { ...options, stream: { onDelta: jest.fn() } })).rejects.toThrow(error);
+    expect(recordAiUsage).toHaveBeenCalledWith(options.usage, error.completion);
+  });
+
+  test('gives up when the request is aborted during a correction', async () => {
+    const abortController = new AbortController();
+    streamChat.mockResolvedValueOnce(answer(invitation('請回覆至 ming@mail.jp')));
+    completeChat.mockImplementationOnce(async () => {
+      abortController.abort();
+      throw new Error('Request was aborted.');
+    });
+
+    await expect(completeValidatedInvitation([], coupleInfo, {
+      ...options,
+      stream: { onDelta: jest.fn(), signal: abortController.signal }
+    })).rejects.toThrow('Request was aborted.');
+  });
+
+  test('keeps the best answer when a correction fails', async () => {
+    const withEmail = invitation('請回覆至 ming@mail.jp');
+    completeChat
+      .mockResolvedValueOnce(answer(withEmail))
+      .mockRejectedValueOnce(new Error('All AI providers failed'));
+
+    const { completion, validation } = await completeValidatedInvitation([], coupleInfo, options);
+
+    expect(completion.content).toBe(withEmail);
+    expect(validation.passed).toBe(false);
+    expect(validation.attempts).toBe(1);
+    expect(completeChat).toHaveBeenCalledTimes(2);
+    expect(recordAiUsage).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,57 @@
+// The comparison needs no database
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn() }));
+
+const { snapshotInvitationInputs, findChangedInputs } = require('../utils/invitationInputs');
+
+const wedding = {
+  groomName: '王小明',
+  brideName: '李小美',
+  weddingDate: new Date('2026-12-01T00:00:00Z'),
+  weddingTime: '12:00',
+  weddingLocation: '台北晶華酒店'
+};
+const guest = { name: '小張', relationship: '朋友', howMet: null, memories: '一起爬山', preferences: null, household: null };
+
+/**
+ * The guest with an invitation saved under the given wedding details
+ */
+const withInvitation = (invitationContent, savedWedding = wedding) => ({
+  ...guest,
+  invitationContent,
+  invitationInputs: JSON.stringify(snapshotInvitationInputs(guest, savedWedding))
+});
+
+describe('findChangedInputs', () => {
+  const moved = { ...wedding, weddingDate: new Date('2027-01-02T00:00:00Z'), weddingLocation: '新地點' };
+
+  test('reports changed details with their old and new values', () => {
+    expect(findChangedInputs(withInvitation('2026-12-01 台北晶華酒店 見'), moved)).toEqual([
+      { field: 'wedding.date', label: '婚禮日期', from: '2026-12-01', to: '2027-01-02' },
+      { field: 'wedding.location', label: '婚禮地點', from: '台北晶華酒店', to: '新地點' }
+    ]);
+  });
+
+  test('reports nothing while the details are unchanged', () => {
+    expect(findChangedInputs(withInvitation('邀請函'), wedding)).toEqual([]);
+  });
+
+  test('ignores details the text fills in as merge fields', () => {
+    const content = '{{wedding.date}} 於{{ wedding.location }}{{#if guest.name}}，{{guest.name}}{{/if}}';
+    expect(findChangedInputs(withInvitation(content), moved)).toEqual([]);
+    expect(findChangedInputs({ ...withInvitation(content), name: '張大' }, moved)).toEqual([]);
+  });
+
+  test('still reports details written out in a merge-field text', () => {
+    const changes = findChangedInputs(withInvitation('{{wedding.date}} 於台北晶華酒店'), moved);
+    expect(changes.map(change => change.field)).toEqual(['wedding.location']);
+  });
+
+  test('treats placeholders of a text that does not render as plain text', () => {
+    const changes = findChangedInputs(withInvitation('{{wedding.date}} {{#if guest.name}}'), moved);
+    expect(changes.map(change => change.field)).toEqual(['wedding.date', 'wedding.location']);
+  });
+
+  test('ignores invitations saved without a snapshot', () => {
+    expect(findChangedInputs({ ...guest, invitationContent: '邀請函', invitationInputs: null }, moved)).toEqual([]);
+  });
+});
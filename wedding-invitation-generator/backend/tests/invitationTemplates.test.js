@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+// The couple's own templates come from the database; the tests supply them
+const mockFindTemplates = jest.fn();
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({ invitationTemplate: { findMany: mockFindTemplates } }))
+}));
+
+const {
+  BUILTIN_TEMPLATES,
+  checkInvitationTemplate,
+  renderInvitationTemplate,
+  writeTemplateInvitation
+} = require('../utils/invitationTemplates');
+
+const coupleInfo = {
+  id: 'wedding-1',
+  groomName: '王小明',
+  brideName: '李小美',
+  weddingDate: new Date('2026-12-01T00:00:00Z'),
+  weddingTime: '12:00',
+  weddingLocation: '台北晶華酒店',
+  weddingTheme: '簡約',
+  tonePreset: 'warm'
+};
+
+const guest = (id, extra = {}) => ({
+  id,
+  name: '小張',
+  relationship: '朋友',
+  tags: [],
+  companions: [],
+  plusOnesAllowed: 0,
+  householdId: null,
+  household: null,
+  ...extra
+});
+
+const template = (paragraphs, extra = {}) => ({ id: 'test', match: {}, paragraphs, ...extra });
+
+/**
+ * A stored InvitationTemplate record
+ */
+const storedTemplate = (id, match, paragraphs) => ({
+  id,
+  coupleInfoId: coupleInfo.id,
+  name: id,
+  description: null,
+  match: JSON.stringify(match),
+  paragraphs: JSON.stringify(paragraphs)
+});
+
+beforeEach(() => {
+  mockFindTemplates.mockReset();
+  mockFindTemplates.mockResolvedValue([]);
+});
+
+describe('BUILTIN_TEMPLATES', () => {
+  test('loads every built-in template', () => {
+    const files = fs.readdirSync(path.join(__dirname, '..', 'templates', 'invitations')).filter(file => file.endsWith('.json'));
+    expect(BUILTIN_TEMPLATES.map(builtin => `${builtin.id}.json`).sort()).toEqual(files.sort());
+    BUILTIN_TEMPLATES.forEach(builtin => {
+      expect(builtin.builtin).toBe(true);
+      expect(checkInvitationTemplate(builtin)).toEqual([]);
+    });
+  });
+});
+
+describe('checkInvitationTemplate', () => {
+  test('accepts a valid template', () => {
+    expect(checkInvitationTemplate(template([
+      [{ variants: ['親愛的{{invitees.addressee}}：'] }],
+      [{ when: 'guest.memories', variants: ['記得{{guest.memories}}嗎？', '{{#if guest.howMet}}從{{guest.howMet}}開始{{/if}}'] }]
+    ], { match: { relationships: ['朋友'], tones: ['formal'] } }))).toEqual([]);
+  });
+
+  test('reports unknown criteria and tones', () => {
+    expect(checkInvitationTemplate(template([[{ variants: ['邀請'] }]], {
+      match: { relationships: '朋友', ages: ['30'], tones: ['formal', 'cheerful'] }
+    }))).toEqual([
+      '適用條件 relationships 必須是文字陣列',
+      '未知的適用條件: ages',
+      '未知的語氣: cheerful'
+    ]);
+  });
+
+  test('reports unknown variables of conditions and phrasings', () => {
+    expect(checkInvitationTemplate(template([
+      [{ when: 'guest.pet', unless: ['guest.memories'], variants: ['邀請', '{{#if guest.nickname}}嗨{{/if}}'] }]
+    ]))).toEqual([
+      '第 1 段第 1 個區塊的條件使用了未知的變數: guest.pet',
+      '第 1 段第 1 個區塊第 2 種寫法: 未知的變數: guest.nickname'
+    ]);
+  });
+
+  test('does not allow the length and instructions meant for the AI', () => {
+    expect(checkInvitationTemplate(template([[{ variants: ['{{length.min}}{{instructions.extra}}'] }]])))
+      .toEqual(['第 1 段第 1 個區塊第 1 種寫法: 未知的變數: length.min, instructions.extra']);
+  });
+
+  test('reports missing paragraphs and phrasings', () => {
+    expect(checkInvitationTemplate(template([]))).toEqual(['段落（paragraphs）必須是非空陣列']);
+    expect(checkInvitationTemplate(template([[], [{ variants: [] }]]))).toEqual([
+      '第 1 段必須是非空的區塊陣列',
+      '第 2 段第 1 個區塊必須有至少一種寫法（variants）'
+    ]);
+  });
+});
+
+describe('renderInvitationTemplate', () => {
+  const greetings = template([[{ variants: ['甲', '乙', '丙', '丁', '戊'] }]]);
+
+  test('picks the same phrasing for a guest every time', () => {
+    const first = renderInvitationTemplate(greetings, guest('guest-1'), coupleInfo);
+    expect(renderInvitationTemplate(greetings, guest('guest-1'), coupleInfo)).toBe(first);
+    expect(renderInvitationTemplate(greetings, guest('guest-1', { name: '張大' }), coupleInfo)).toBe(first);
+  });
+
+  test('picks different phrasings for different guests', () => {
+    const texts = new Set(Array.from({ length: 20 }, (_, index) =>
+      renderInvitationTemplate(greetings, guest(`guest-${index}`), coupleInfo)));
+    expect(texts.size).toBeGreaterThan(1);
+  });
+
+  test('gives the members of a household the same text', () => {
+    const household = { id: 'household-1', name: '王家', salutation: '王府', guests: [guest('a'), guest('b')] };
+    const texts = ['a', 'b'].map(id =>
+      renderInvitationTemplate(greetings, guest(id, { householdId: household.id, household }), coupleInfo));
+    expect(texts[0]).toBe(texts[1]);
+  });
+
+  test('includes sections by the guest details and adds the signature', () => {
+    const story = template([
+      [{ variants: ['親愛的{{invitees.addressee}}：'] }],
+      [
+        { when: 'guest.memories', variants: ['記得{{guest.memories}}嗎？'] },
+        { unless: 'guest.memories', variants: ['期待與您相見。'] }
+      ],
+      [{ when: 'guest.howMet', variants: ['從{{guest.howMet}}相識至今。'] }]
+    ]);
+
+    expect(renderInvitationTemplate(story, guest('a', { memories: '一起爬山' }), coupleInfo))
+      .toBe('親愛的小張：\n\n記得一起爬山嗎？\n\n王小明 & 李小美 敬上');
+    expect(renderInvitationTemplate(story, guest('a'), coupleInfo))
+      .toBe('親愛的小張：\n\n期待與您相見。\n\n王小明 & 李小美 敬上');
+  });
+});
+
+describe('writeTemplateInvitation', () => {
+  test('prefers the template naming the most criteria the guest meets', async () => {
+    const friend = await writeTemplateInvitation(guest('a'), coupleInfo);
+    const other = await writeTemplateInvitation(guest('a', { relationship: '鄰居' }), coupleInfo);
+    const humorous = await writeTemplateInvitation(guest('a'), { ...coupleInfo, tonePreset: 'humorous' });
+
+    expect(friend.template).toEqual({ id: 'friends', name: '朋友', builtin: true });
+    expect(other.template.id).toBe('default');
+    expect(humorous.template.id).toBe('humorous-friends');
+  });
+
+  test('prefers the couple\'s own templates', async () => {
+    mockFindTemplates.mockResolvedValue([storedTemplate('own', {}, [[{ variants: ['我們的邀請'] }]])]);
+
+    const result = await writeTemplateInvitation(guest('a'), coupleInfo);
+
+    expect(mockFindTemplates).toHaveBeenCalledWith(expect.objectContaining({ where: { coupleInfoId: coupleInfo.id } }));
+    expect(result).toEqual({
+      content: '我們的邀請\n\n王小明 & 李小美 敬上',
+      template: { id: 'own', name: 'own', builtin: false }
+    });
+  });
+
+  test('picks one of equally matching templates, the same for a guest every time', async () => {
+    mockFindTemplates.mockResolvedValue(['x', 'y', 'z'].map(id => storedTemplate(id, {}, [[{ variants: [id] }]])));
+
+    const picks = await Promise.all(Array.from({ length: 20 }, (_, index) => writeTemplateInvitation(guest(`guest-${index}`), coupleInfo)));
+    const again = await writeTemplateInvitation(guest('guest-0'), coupleInfo);
+
+    expect(new Set(picks.map(({ template: picked }) => picked.id)).size).toBeGreaterThan(1);
+    expect(again).toEqual(picks[0]);
+  });
+});
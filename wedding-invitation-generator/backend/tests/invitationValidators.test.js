@@ -0,0 +1,108 @@
+// The prompt templates the target length comes from need no database
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn() }));
+
+const { countChineseCharacters, validateInvitation, correctionPrompt } = require('../utils/invitationValidators');
+
+const coupleInfo = {
+  groomName: '王小明',
+  brideName: '李小美',
+  weddingDate: new Date('2026-12-01T00:00:00Z'),
+  weddingTime: '18:30',
+  weddingLocation: '台北晶華酒店',
+  targetLength: 140
+};
+
+const body = '我們誠摯地邀請您參加我們的婚禮，'.repeat(7);
+
+/**
+ * An invitation of about 140 Chinese characters that passes every rule
+ */
+const invitation = ({ details = '婚禮將於2026年12月1日18:30在台北晶華酒店舉行。', extra = '', signature = '王小明 & 李小美 敬上' } = {}) =>
+  ['親愛的小張：', `${body}${details}${extra}`, signature].join('\n\n');
+
+/**
+ * Rules a validation failed
+ */
+const failedRules = (validation) => validation.results.filter(result => !result.passed).map(result => result.rule);
+
+describe('countChineseCharacters', () => {
+  test('counts ideographs and full-width punctuation only', () => {
+    expect(countChineseCharacters('親愛的 Amy，2026年見！')).toBe(7);
+  });
+});
+
+describe('validateInvitation', () => {
+  test('passes an invitation that follows every rule', () => {
+    const validation = validateInvitation(invitation(), coupleInfo);
+
+    expect(validation.passed).toBe(true);
+    expect(validation.results.map(result => result.rule))
+      .toEqual(['length', 'markdown', 'email', 'phone', 'url', 'signature', 'date', 'time', 'location']);
+    validation.results.forEach(result => expect(result.message).toBeNull());
+  });
+
+  test('keeps the number of Chinese characters within the target range', () => {
+    const short = validateInvitation(['您好', '2026年12月1日18:30 台北晶華酒店', '王小明 & 李小美 敬上'].join('\n'), coupleInfo);
+    const long = validateInvitation(invitation({ extra: body.repeat(2) }), coupleInfo);
+
+    expect(failedRules(short)).toEqual(['length']);
+    expect(short.results[0].message).toMatch(/^目前有 \d+ 個中文字，請控制在 120-160 個中文字之間$/);
+    expect(failedRules(long)).toEqual(['length']);
+  });
+
+  test('uses the default target length of weddings without one', () => {
+    const validation = validateInvitation(invitation(), { ...coupleInfo, targetLength: null });
+
+    expect(failedRules(validation)).toEqual(['length']);
+    expect(validation.results[0].message).toContain('300-400');
+  });
+
+  test('requires the signature at the end', () => {
+    expect(failedRules(validateInvitation(invitation({ signature: '王小明 敬上' }), coupleInfo))).toEqual(['signature']);
+    expect(failedRules(validateInvitation(invitation({ signature: '王小明＆李小美敬上' }), coupleInfo))).toEqual([]);
+  });
+
+  test('requires the wedding date, time and location', () => {
+    const validation = validateInvitation(invitation({ details: '婚禮當天見，' }), coupleInfo);
+
+    expect(failedRules(validation)).toEqual(['date', 'time', 'location']);
+    expect(validation.results.find(result => result.rule === 'date').message).toBe('請寫出婚禮日期 2026-12-01');
+    expect(validation.results.find(result => result.rule === 'location').message).toBe('請寫出婚禮地點「台北晶華酒店」');
+  });
+
+  test('accepts the usual ways of writing the date and time', () => {
+    ['12月1日晚上6點半在台北晶華酒店舉行。', '2026/12/01 18:30 於台北 晶華酒店舉行。', '2026-12-1下午6點在台北晶華酒店舉行。'].forEach(details => {
+      expect(failedRules(validateInvitation(invitation({ details }), coupleInfo))).toEqual([]);
+    });
+  });
+
+  test('does not require a time or location the wedding does not have', () => {
+    const validation = validateInvitation(invitation({ details: '婚禮將於2026年12月1日舉行。' }), {
+      ...coupleInfo,
+      weddingTime: null,
+      weddingLocation: null
+    });
+
+    expect(validation.passed).toBe(true);
+  });
+
+  test('reports markdown, contact details and links', () => {
+    expect(failedRules(validateInvitation(`# 喜帖\n\n${invitation()}`, coupleInfo))).toEqual(['markdown']);
+    expect(failedRules(validateInvitation(invitation({ extra: '**敬請光臨**' }), coupleInfo))).toEqual(['markdown']);
+    expect(failedRules(validateInvitation(invitation({ extra: '請回覆至 ming@mail.jp' }), coupleInfo))).toEqual(['email']);
+    expect(failedRules(validateInvitation(invitation({ extra: '請來電0912-345-678' }), coupleInfo))).toEqual(['phone']);
+    expect(failedRules(validateInvitation(invitation({ extra: '詳見https://wedding.tw' }), coupleInfo))).toEqual(['url']);
+  });
+});
+
+describe('correctionPrompt', () => {
+  test('lists the instructions of the failed rules', () => {
+    const prompt = correctionPrompt(validateInvitation(invitation({ details: '婚禮將於2026年12月1日18:30舉行。', signature: '敬上' }), coupleInfo));
+
+    expect(prompt.split('\n')).toEqual([
+      '這封邀請函有以下問題，請修正後重新提供完整的邀請函內容（只輸出邀請函本身）：',
+      '- 請以「王小明 & 李小美 敬上」作為結尾署名',
+      '- 請寫出婚禮地點「台北晶華酒店」'
+    ]);
+  });
+});
@@ -0,0 +1,198 @@
+// The tests configure their own providers; the logs need no database
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn() }));
+jest.mock('../config/llm', () => ({ llmProviders: [] }));
+
+const { APIUserAbortError } = require('openai');
+const { llmProviders } = require('../config/llm');
+const { hasAiProvider, executeWithRetry, completeChat, streamChat } = require('../utils/llmClient');
+
+/**
+ * A provider whose client answers with the given function
+ */
+const provider = (name, create) => ({
+  name,
+  model: `${name}-model`,
+  temperature: 0.7,
+  maxRetries: 0,
+  client: { chat: { completions: { create: jest.fn(create) } } }
+});
+
+/**
+ * An error as the OpenAI client throws it for an HTTP status
+ */
+const httpError = (status) => Object.assign(new Error(`${status} status code`), { status });
+
+/**
+ * A chat completion answer
+ */
+const answer = (content) => ({
+  id: 'chatcmpl-1',
+  choices: [{ message: { content } }],
+  usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+});
+
+/**
+ * A streamed answer: one chunk per piece, then the usage
+ */
+async function* chunks(pieces, { failAfter } = {}) {
+  for (const [index, piece] of pieces.entries()) {
+    if (index === failAfter) {
+      throw httpError(502);
+    }
+    yield { model: 'streamed-model', choices: [{ delta: { content: piece } }] };
+  }
+  yield { choices: [], usage: { prompt_tokens: 10, completion_tokens: pieces.length } };
+}
+
+const request = { messages: [{ role: 'user', content: '寫一封邀請函' }], maxTokens: 100, operationId: 'AI-test' };
+
+afterEach(() => {
+  llmProviders.length = 0;
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('executeWithRetry', () => {
+  test('retries transient failures with exponential backoff', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(429))
+      .mockResolvedValue('ok');
+
+    const result = executeWithRetry(fn, 3, 1000);
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(fn).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(fn).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(fn).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(fn).toHaveBeenCalledTimes(3);
+    await expect(result).resolves.toBe('ok');
+  });
+
+  test('throws the last error once the retries run out', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(500))
+      .mockRejectedValueOnce(httpError(502));
+
+    await expect(executeWithRetry(fn, 1, 0)).rejects.toThrow('502 status code');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not repeat failures that cannot succeed', async () => {
+    const unauthorized = jest.fn().mockRejectedValue(httpError(401));
+    const aborted = jest.fn().mockRejectedValue(new APIUserAbortError());
+
+    await expect(executeWithRetry(unauthorized, 3, 0)).rejects.toThrow('401 status code');
+    await expect(executeWithRetry(aborted, 3, 0)).rejects.toThrow(APIUserAbortError);
+    expect(unauthorized).toHaveBeenCalledTimes(1);
+    expect(aborted).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('completeChat', () => {
+  test('refuses without a provider', async () => {
+    expect(hasAiProvider()).toBe(false);
+    await expect(completeChat(request)).rejects.toThrow('AI service not configured');
+  });
+
+  test('falls back to the next provider', async () => {
+    const primary = provider('primary', async () => { throw httpError(401); });
+    const backup = provider('backup', async () => answer('  邀請函  '));
+    llmProviders.push(primary, backup);
+
+    const completion = await completeChat({ ...request, temperature: 1.1 });
+
+    expect(completion).toEqual({
+      content: '邀請函',
+      provider: 'backup',
+      model: 'backup-model',
+      usage: answer().usage
+    });
+    expect(backup.client.chat.completions.create).toHaveBeenCalledWith(
+      expect.objectContaining({ model: 'backup-model', messages: request.messages, max_tokens: 100, temperature: 1.1 }),
+      { signal: undefined }
+    );
+  });
+
+  test('lists the failed attempts once every provider failed', async () => {
+    llmProviders.push(
+      provider('primary', async () => { throw httpError(401); }),
+      provider('backup', async () => ({ choices: [] }))
+    );
+
+    const error = await completeChat(request).catch(failure => failure);
+
+    expect(error.message).toBe('All AI providers failed: primary (401 status code), backup (API response structure invalid)');
+    expect(error.attempts).toEqual([
+      { provider: 'primary', error: '401 status code', statusCode: 401 },
+      { provider: 'backup', error: 'API response structure invalid', statusCode: undefined }
+    ]);
+  });
+
+  test('does not fall back once the request is aborted', async () => {
+    const abortController = new AbortController();
+    const backup = provider('backup', async () => answer('邀請函'));
+    llmProviders.push(provider('primary', async () => {
+      abortController.abort();
+      throw new APIUserAbortError();
+    }), backup);
+
+    await expect(completeChat({ ...request, signal: abortController.signal })).rejects.toThrow(APIUserAbortError);
+    expect(backup.client.chat.completions.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('streamChat', () => {
+  test('passes the answer on piece by piece', async () => {
+    llmProviders.push(provider('primary', async () => chunks(['親愛的', '小張'])));
+    const onDelta = jest.fn();
+
+    const completion = await streamChat({ ...request, onDelta });
+
+    expect(onDelta.mock.calls).toEqual([['親愛的'], ['小張']]);
+    expect(completion).toEqual({
+      content: '親愛的小張',
+      provider: 'primary',
+      model: 'streamed-model',
+      usage: { prompt_tokens: 10, completion_tokens: 2 }
+    });
+  });
+
+  test('falls back to the next provider while nothing was passed on', async () => {
+    llmProviders.push(
+      provider('primary', async () => chunks(['親愛的'], { failAfter: 0 })),
+      provider('backup', async () => chunks(['您好']))
+    );
+    const onDelta = jest.fn();
+
+    const completion = await streamChat({ ...request, onDelta });
+
+    expect(completion.provider).toBe('backup');
+    expect(onDelta.mock.calls).toEqual([['您好']]);
+  });
+
+  test('does not fall back after the first piece was passed on', async () => {
+    const backup = provider('backup', async () => chunks(['您好']));
+    llmProviders.push(provider('primary', async () => chunks(['親愛的', '小張'], { failAfter: 1 })), backup);
+    const onDelta = jest.fn();
+
+    const error = await streamChat({ ...request, onDelta }).catch(failure => failure);
+
+    expect(error.message).toBe('502 status code');
+    expect(onDelta.mock.calls).toEqual([['親愛的']]);
+    expect(backup.client.chat.completions.create).not.toHaveBeenCalled();
+    // The partial answer was paid for; its usage is estimated from the text
+    expect(error.completion).toEqual({
+      content: '親愛的',
+      provider: 'primary',
+      model: 'streamed-model',
+      usage: { prompt_tokens: 6, completion_tokens: 3 }
+    });
+  });
+});
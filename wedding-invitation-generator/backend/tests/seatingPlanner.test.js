@@ -0,0 +1,119 @@
+const { seatsFor, planSeating } = require('../utils/seatingPlanner');
+
+const guest = (id, extra = {}) => ({ id, side: 'groom', relationship: '朋友', plusOnesAllowed: 0, ...extra });
+const table = (id, capacity, guests = []) => ({ id, capacity, guests });
+
+/**
+ * Table each guest was assigned to
+ */
+const tableOf = ({ assignments }) => Object.fromEntries(assignments.map(({ guestId, tableId }) => [guestId, tableId]));
+
+describe('seatsFor', () => {
+  test('counts the reported party of guests who attend', () => {
+    expect(seatsFor(guest('a', { rsvp: { response: 'attending', partySize: 3 } }))).toBe(3);
+  });
+
+  test('keeps a seat for every plus-one of guests who have not replied', () => {
+    expect(seatsFor(guest('a', { plusOnesAllowed: 2 }))).toBe(3);
+    expect(seatsFor(guest('a', { rsvp: { response: 'maybe' }, companions: [{}] }))).toBe(2);
+  });
+
+  test('gives no seat to guests who declined', () => {
+    expect(seatsFor(guest('a', { rsvp: { response: 'declined', partySize: 2 } }))).toBe(0);
+  });
+});
+
+describe('planSeating', () => {
+  test('never fills a table beyond its capacity', () => {
+    const guests = ['a', 'b', 'c', 'd', 'e'].map(id => guest(id, { plusOnesAllowed: 1 }));
+    const plan = planSeating({ tables: [table('t1', 4), table('t2', 4)], guests, constraints: [] });
+
+    const seats = { t1: 0, t2: 0 };
+    plan.assignments.forEach(({ tableId }) => { seats[tableId] += 2; });
+    expect(seats).toEqual({ t1: 4, t2: 4 });
+    expect(plan.unseated).toEqual([{ guestId: 'e', reason: '座位不足' }]);
+  });
+
+  test('counts guests already seated against the capacity', () => {
+    const plan = planSeating({
+      tables: [table('t1', 4, [guest('x', { plusOnesAllowed: 2 })]), table('t2', 4)],
+      guests: [guest('a', { plusOnesAllowed: 1 })],
+      constraints: []
+    });
+
+    expect(tableOf(plan)).toEqual({ a: 't2' });
+  });
+
+  test('seats a household together at one table', () => {
+    const guests = [
+      guest('solo1', { relationship: '同事' }),
+      guest('h1', { householdId: 'h', relationship: '家人' }),
+      guest('solo2', { relationship: '同事' }),
+      guest('h2', { householdId: 'h', relationship: '同學' }),
+      guest('h3', { householdId: 'h' })
+    ];
+    const plan = planSeating({ tables: [table('t1', 2), table('t2', 3)], guests, constraints: [] });
+
+    expect(tableOf(plan)).toEqual({ h1: 't2', h2: 't2', h3: 't2', solo1: 't1', solo2: 't1' });
+    expect(plan.unseated).toEqual([]);
+  });
+
+  test('keeps guests of a group together', () => {
+    const guests = [
+      guest('a1', { tags: [{ tagId: 'college' }] }),
+      guest('b1', { tags: [{ tagId: 'work' }] }),
+      guest('a2', { tags: [{ tagId: 'college' }] }),
+      guest('b2', { tags: [{ tagId: 'work' }] })
+    ];
+    const seated = tableOf(planSeating({ tables: [table('t1', 2), table('t2', 2)], guests, constraints: [] }));
+
+    expect(seated.a1).toBe(seated.a2);
+    expect(seated.b1).toBe(seated.b2);
+    expect(seated.a1).not.toBe(seated.b1);
+  });
+
+  test('never seats guests who must be kept apart at one table', () => {
+    const guests = [guest('a'), guest('b'), guest('c')];
+    const plan = planSeating({
+      tables: [table('t1', 10), table('t2', 10)],
+      guests,
+      constraints: [{ guestId: 'b', otherGuestId: 'a' }]
+    });
+    const seated = tableOf(plan);
+
+    expect(seated.a).not.toBe(seated.b);
+    expect(plan.unseated).toEqual([]);
+  });
+
+  test('keeps guests apart from those already seated', () => {
+    const plan = planSeating({
+      tables: [table('t1', 10, [guest('x')]), table('t2', 10)],
+      guests: [guest('a')],
+      constraints: [{ guestId: 'x', otherGuestId: 'a' }]
+    });
+
+    expect(tableOf(plan)).toEqual({ a: 't2' });
+  });
+
+  test('reports why guests could not be seated', () => {
+    const plan = planSeating({
+      tables: [table('t1', 3, [guest('x')])],
+      guests: [
+        guest('big', { rsvp: { response: 'attending', partySize: 4 } }),
+        guest('h1', { householdId: 'h' }), guest('h2', { householdId: 'h' }),
+        guest('h3', { householdId: 'h' }), guest('h4', { householdId: 'h' }),
+        guest('rival')
+      ],
+      constraints: [{ guestId: 'rival', otherGuestId: 'x' }]
+    });
+
+    expect(plan.assignments).toEqual([]);
+    expect(plan.unseated).toEqual(expect.arrayContaining([
+      { guestId: 'big', reason: '同行人數超過單桌座位數' },
+      { guestId: 'h1', reason: '家庭人數超過單桌座位數' },
+      { guestId: 'h4', reason: '家庭人數超過單桌座位數' },
+      { guestId: 'rival', reason: '有空位的桌次都有需要分開安排的賓客' }
+    ]));
+    expect(plan.unseated).toHaveLength(6);
+  });
+});
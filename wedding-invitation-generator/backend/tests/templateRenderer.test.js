@@ -0,0 +1,77 @@
+const { renderTemplate, checkTemplate, hasVariable, listVariables } = require('../utils/templateRenderer');
+
+describe('renderTemplate', () => {
+  test('inserts variables and joins lists', () => {
+    const variables = { guest: { name: '小張', tags: ['大學同學', '登山社'] } };
+    expect(renderTemplate('親愛的{{guest.name}}（{{ guest.tags }}）', variables)).toBe('親愛的小張（大學同學、登山社）');
+  });
+
+  test('renders missing variables as empty text', () => {
+    expect(renderTemplate('[{{guest.memories}}][{{wedding.theme.name}}]', { guest: {} })).toBe('[][]');
+  });
+
+  test('keeps the else part when the variable has no value', () => {
+    const template = '{{#if guest.memories}}記得{{guest.memories}}{{else}}期待相見{{/if}}';
+    expect(renderTemplate(template, { guest: { memories: '一起爬山' } })).toBe('記得一起爬山');
+    expect(renderTemplate(template, { guest: { memories: '' } })).toBe('期待相見');
+    expect(renderTemplate(template, { guest: {} })).toBe('期待相見');
+  });
+
+  test('renders nested blocks', () => {
+    const template = '{{#if a}}A{{#if b}}B{{else}}不B{{/if}}{{else}}不A{{#if b}}B{{/if}}{{/if}}';
+    expect(renderTemplate(template, { a: 1, b: 1 })).toBe('AB');
+    expect(renderTemplate(template, { a: 1, b: 0 })).toBe('A不B');
+    expect(renderTemplate(template, { a: 0, b: 1 })).toBe('不AB');
+    expect(renderTemplate(template, { a: 0, b: 0 })).toBe('不A');
+  });
+
+  test('throws on syntax errors', () => {
+    expect(() => renderTemplate('{{#if a}}A', {})).toThrow('Invalid template');
+    expect(() => renderTemplate('A{{/if}}', {})).toThrow('Invalid template');
+  });
+});
+
+describe('hasVariable', () => {
+  test('treats empty values and lists as missing', () => {
+    const variables = { guest: { name: '小張', tags: [], plusOnes: 0, memories: null } };
+    expect(hasVariable(variables, 'guest.name')).toBe(true);
+    expect(hasVariable(variables, 'guest.tags')).toBe(false);
+    expect(hasVariable(variables, 'guest.plusOnes')).toBe(false);
+    expect(hasVariable(variables, 'guest.memories')).toBe(false);
+    expect(hasVariable(variables, 'wedding.date')).toBe(false);
+  });
+});
+
+describe('checkTemplate', () => {
+  const allowed = ['guest.name', 'guest.memories', 'wedding.date'];
+
+  test('accepts templates using allowed variables', () => {
+    expect(checkTemplate('{{#if guest.memories}}{{guest.name}}{{else}}{{wedding.date}}{{/if}}', allowed)).toEqual([]);
+  });
+
+  test('reports unknown variables once, including those tested by {{#if}}', () => {
+    expect(checkTemplate('{{guest.nickname}}{{#if guest.pet}}{{guest.nickname}}{{/if}}', allowed))
+      .toEqual(['未知的變數: guest.nickname, guest.pet']);
+  });
+
+  test('reports unknown variables inside nested blocks', () => {
+    expect(checkTemplate('{{#if guest.name}}{{#if guest.memories}}{{else}}{{couple.story}}{{/if}}{{/if}}', allowed))
+      .toEqual(['未知的變數: couple.story']);
+  });
+
+  test('reports unbalanced blocks', () => {
+    expect(checkTemplate('{{#if guest.name}}{{#if guest.memories}}{{/if}}', allowed))
+      .toEqual(['有 1 個 {{#if}} 區塊缺少 {{/if}}']);
+    expect(checkTemplate('{{guest.name}}{{/if}}', allowed)).toEqual(['多餘的 {{/if}}']);
+    expect(checkTemplate('{{else}}', allowed)).toEqual(['{{else}} 必須位於 {{#if}} 區塊內且只能出現一次']);
+    expect(checkTemplate('{{#if guest.name}}{{else}}{{else}}{{/if}}', allowed))
+      .toEqual(['{{else}} 必須位於 {{#if}} 區塊內且只能出現一次']);
+  });
+});
+
+describe('listVariables', () => {
+  test('lists each variable once', () => {
+    expect(listVariables('{{#if guest.memories}}{{guest.name}}{{else}}{{guest.name}}{{/if}}'))
+      .toEqual(['guest.memories', 'guest.name']);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * AI Usage
+ *
+ * Records the tokens and estimated cost of every AI request (AiUsage) and
+ * keeps each wedding within its AI budget.
+ *
+ * Costs are estimated from the prices of the provider that answered (see
+ * config/llm.js). A wedding's budget is its aiBudget in USD, or
+ * AI_WEDDING_BUDGET when it has none; without either the wedding has no
+ * limit. Once the spending reaches the budget the wedding's aiBudgetAction
+ * (default AI_BUDGET_ACTION, "mock") applies:
+ * - mock: invitations are written from the offline templates instead
+ * - block: AI generation is refused
+ * The budget is checked before each generation, so the requests of a
+ * generation already under way may take the spending past it.
+ */
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { llmProviders } = require('../config/llm');
+
+const prisma = new PrismaClient();
+
+/**
+ * What happens once a wedding's budget is spent
+ */
+const AI_BUDGET_ACTIONS = ['mock', 'block'];
+
+/**
+ * Budget of weddings without their own, in USD (null for no limit)
+ */
+const AI_WEDDING_BUDGET = process.env.AI_WEDDING_BUDGET !== undefined && process.env.AI_WEDDING_BUDGET !== '' &&
+  Number(process.env.AI_WEDDING_BUDGET) >= 0
+  ? Number(process.env.AI_WEDDING_BUDGET)
+  : null;
+
+/**
+ * Action of weddings without their own
+ */
+const AI_BUDGET_ACTION = AI_BUDGET_ACTIONS.includes(process.env.AI_BUDGET_ACTION) ? process.env.AI_BUDGET_ACTION : 'mock';
+
+/**
+ * Message of a generation refused because the budget is spent
+ * Also the error of batch items, so it is written for the user
+ */
+const AI_BUDGET_EXHAUSTED_MESSAGE = '此婚禮的 AI 使用額度已用完，請聯絡管理員調整預算';
+
+/**
+ * Rounds an amount of USD for reports
+ *
+ * @param {number} amount - Amount in USD
+ * @returns {number} The amount rounded to 6 decimals
+ */
+const roundCost = (amount) => Math.round(amount * 1e6) / 1e6;
+
+/**
+ * Estimates the cost of a request
+ *
+ * @param {string} providerName - Provider that answered
+ * @param {Object} [usage] - Usage block of the answer ({ prompt_tokens, completion_tokens })
+ * @returns {number} Estimated cost in USD (0 for unknown providers or missing usage)
+ */
+const estimateCost = (providerName, usage) => {
+  const provider = llmProviders.find(candidate => candidate.name === providerName);
+  if (!provider || !usage) {
+    return 0;
+  }
+  return ((usage.prompt_tokens || 0) * provider.pricing.input + (usage.completion_tokens || 0) * provider.pricing.output) / 1e6;
+};
+
+/**
+ * Records an AI request
+ * Never throws: a failed record is logged so the generation itself goes on
+ *
+ * @param {Object} context - { operation, coupleInfoId, guestId, userId }
+ * @param {Object} completion - Result of completeChat or streamChat ({ provider, model, usage })
+ * @returns {Promise<void>}
+ */
+const recordAiUsage = async (context, completion) => {
+  const usage = completion.usage || {};
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  if (!completion.usage) {
+    logger.warn('AI answer without usage, recorded with 0 tokens', {
+      provider: completion.provider,
+      model: completion.model,
+      operation: context.operation
+    });
+  }
+
+  try {
+    await prisma.aiUsage.create({
+      data: {
+        coupleInfoId: context.coupleInfoId || null,
+        guestId: context.guestId || null,
+        userId: context.userId || null,
+        operation: context.operation,
+        provider: completion.provider,
+        model: completion.model,
+        promptTokens,
+        completionTokens,
+        totalTokens: usage.total_tokens || promptTokens + completionTokens,
+        cost: estimateCost(completion.provider, completion.usage)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to record AI usage', {
+      error: error.message,
+      operation: context.operation,
+      coupleInfoId: context.coupleInfoId,
+      provider: completion.provider
+    });
+  }
+};
+
+/**
+ * Whether a wedding's spending is limited
+ *
+ * @param {Object} coupleInfo - The wedding (aiBudget)
+ * @returns {boolean} True if the wedding or the server default sets a budget
+ */
+const hasAiBudget = (coupleInfo) => (coupleInfo.aiBudget ?? AI_WEDDING_BUDGET) !== null;
+
+/**
+ * Reports a wedding's budget and spending
+ *
+ * @param {Object} coupleInfo - The wedding (id, aiBudget, aiBudgetAction)
+ * @returns {Promise<Object>} { budget, spent, remaining, exhausted, action, custom }; budget and
+ *                            remaining are null for weddings without a limit
+ */
+const getAiBudgetStatus = async (coupleInfo) => {
+  const budget = coupleInfo.aiBudget ?? AI_WEDDING_BUDGET;
+  const { _sum } = await prisma.aiUsage.aggregate({ where: { coupleInfoId: coupleInfo.id }, _sum: { cost: true } });
+  const spent = _sum.cost || 0;
+
+  return {
+    budget,
+    spent: roundCost(spent),
+    remaining: budget === null ? null : roundCost(Math.max(0, budget - spent)),
+    exhausted: budget !== null && spent >= budget,
+    action: coupleInfo.aiBudgetAction || AI_BUDGET_ACTION,
+    // Whether the wedding has its own budget rather than the default
+    custom: coupleInfo.aiBudget !== null && coupleInfo.aiBudget !== undefined
+  };
+};
+
+/**
+ * Creates the error of a generation refused because the budget is spent
+ *
+ * @param {Object} budget - Result of getAiBudgetStatus
+ * @returns {Error} Error with code "AI_BUDGET_EXHAUSTED" and the budget
+ */
+const aiBudgetExhaustedError = (budget) => {
+  const error = new Error(AI_BUDGET_EXHAUSTED_MESSAGE);
+  error.code = 'AI_BUDGET_EXHAUSTED';
+  error.budget = budget;
+  return error;
+};
+
+/**
+ * Sums up AI usage
+ *
+ * @param {Object} where - Prisma filter of the AiUsage records to include
+ * @returns {Promise<Object>} { calls, promptTokens, completionTokens, totalTokens, cost,
+ *                            byOperation, byModel }
+ */
+const summarizeAiUsage = async (where) => {
+  const sum = { promptTokens: true, completionTokens: true, totalTokens: true, cost: true };
+  const [total, byOperation, byModel] = await Promise.all([
+    prisma.aiUsage.aggregate({ where, _count: { _all: true }, _sum: sum }),
+    prisma.aiUsage.groupBy({ by: ['operation'], where, _count: { _all: true }, _sum: sum, orderBy: { operation: 'asc' } }),
+    prisma.aiUsage.groupBy({ by: ['provider', 'model'], where, _count: { _all: true }, _sum: sum, orderBy: [{ provider: 'asc' }, { model: 'asc' }] })
+  ]);
+  const totals = (group) => ({
+    calls: group._count._all,
+    promptTokens: group._sum.promptTokens || 0,
+    completionTokens: group._sum.completionTokens || 0,
+    totalTokens: group._sum.totalTokens || 0,
+    cost: roundCost(group._sum.cost || 0)
+  });
+
+  return {
+    ...totals(total),
+    byOperation: byOperation.map(group => ({ operation: group.operation, ...totals(group) })),
+    byModel: byModel.map(group => ({ provider: group.provider, model: group.model, ...totals(group) }))
+  };
+};
+
+module.exports = {
+  AI_BUDGET_ACTIONS,
+  AI_WEDDING_BUDGET,
+  AI_BUDGET_ACTION,
+  AI_BUDGET_EXHAUSTED_MESSAGE,
+  roundCost,
+  estimateCost,
+  recordAiUsage,
+  hasAiBudget,
+  getAiBudgetStatus,
+  aiBudgetExhaustedError,
+  summarizeAiUsage
+};
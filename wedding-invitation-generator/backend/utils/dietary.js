@@ -0,0 +1,94 @@
+/**
+ * Dietary Helpers
+ *
+ * Meal choices and allergies are recorded per person (guest or companion)
+ * so the catering summary can count them. Allergies are stored as a JSON
+ * array of strings in the `allergies` column and returned to clients as an
+ * array; entries are trimmed, lowercased and de-duplicated so "Peanut" and
+ * "peanut " are counted together.
+ */
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Normalizes an allergy list
+ *
+ * @param {string[]} allergies - Allergies as entered
+ * @returns {string[]} Trimmed, lowercased, de-duplicated, non-empty entries
+ */
+const normalizeAllergies = (allergies) => [
+  ...new Set(allergies.map((allergy) => String(allergy).trim().toLowerCase()).filter(Boolean))
+];
+
+/**
+ * Converts an allergy list to its stored form
+ *
+ * @param {string[]|null|undefined} allergies - Allergies from the request
+ * @returns {string|null|undefined} JSON string, null to clear, or undefined to leave unchanged
+ */
+const serializeAllergies = (allergies) => {
+  if (allergies === undefined) {
+    return undefined;
+  }
+  const list = normalizeAllergies(allergies || []);
+  return list.length > 0 ? JSON.stringify(list) : null;
+};
+
+/**
+ * Reads a stored allergy list
+ *
+ * @param {string|null} value - Stored JSON string
+ * @returns {string[]} The allergies (empty if none or unreadable)
+ */
+const parseAllergies = (value) => {
+  if (!value) {
+    return [];
+  }
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Replaces the stored allergy lists of a guest and its companions
+ * with arrays for API responses
+ *
+ * @param {Object} guest - Guest record (companions optional)
+ * @returns {Object} Copy of the guest with parsed allergies
+ */
+const withParsedAllergies = (guest) => ({
+  ...guest,
+  allergies: parseAllergies(guest.allergies),
+  ...(guest.companions
+    ? { companions: guest.companions.map((companion) => ({ ...companion, allergies: parseAllergies(companion.allergies) })) }
+    : {})
+});
+
+/**
+ * Checks that every meal option ID belongs to the given wedding
+ *
+ * @param {Array<string|null|undefined>} mealOptionIds - Chosen meal options (empty values are ignored)
+ * @param {string} coupleInfoId - ID of the wedding
+ * @returns {Promise<boolean>} True if all given meal options are on the wedding's menu
+ */
+const mealOptionsBelongToWedding = async (mealOptionIds, coupleInfoId) => {
+  const ids = [...new Set(mealOptionIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return true;
+  }
+  const count = await prisma.mealOption.count({
+    where: { id: { in: ids }, coupleInfoId }
+  });
+  return count === ids.length;
+};
+
+module.exports = {
+  serializeAllergies,
+  parseAllergies,
+  withParsedAllergies,
+  mealOptionsBelongToWedding
+};
@@ -0,0 +1,122 @@
+/**
+ * Guest Duplicate Helpers
+ *
+ * A wedding's guest list may contain each email address only once; emails
+ * are compared trimmed and lowercased. Guest lists built from several
+ * spreadsheets still end up with the same person entered twice under a
+ * different address, so likely duplicates are also found by name and
+ * phone number after normalizing them:
+ * - Names ignore case, width (全形/半形), spaces and punctuation
+ * - Phone numbers keep only digits; the Taiwan country code 886 is
+ *   replaced by a leading 0 so "+886 912-345-678" matches "0912345678"
+ */
+
+/**
+ * Normalizes an email address
+ *
+ * @param {string} email - Email as entered
+ * @returns {string} Trimmed, lowercased email
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Normalizes a name for duplicate matching
+ *
+ * @param {string} name - Name as entered
+ * @returns {string} Name without case, width, spaces or punctuation differences
+ */
+const normalizeName = (name) => String(name || '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[\s\p{P}\p{S}]/gu, '');
+
+/**
+ * Normalizes a phone number for duplicate matching
+ *
+ * @param {string|null} phone - Phone number as entered
+ * @returns {string} Digits only (empty if too short to compare)
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '').replace(/^886/, '0');
+  return digits.length >= 6 ? digits : '';
+};
+
+/**
+ * Keys on which two guests are considered likely duplicates
+ */
+const DUPLICATE_KEYS = {
+  email: (guest) => normalizeEmail(guest.email),
+  name: (guest) => normalizeName(guest.name),
+  phone: (guest) => normalizePhone(guest.phone)
+};
+
+/**
+ * Groups guests that are likely the same person
+ * Guests sharing an email, a normalized name or a phone number end up in
+ * the same group, also when they are only linked through a third guest.
+ *
+ * @param {Array<Object>} guests - Guests of one wedding (id, name, email, phone)
+ * @returns {Array<Object>} [{ reasons, guests }] for every group of two or more
+ *                          guests; reasons lists the matching keys
+ */
+const findDuplicateGroups = (guests) => {
+  // Union-find over guest indexes
+  const parent = guests.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  // Matching keys per guest index
+  const reasons = guests.map(() => new Set());
+
+  for (const [reason, keyOf] of Object.entries(DUPLICATE_KEYS)) {
+    const firstByKey = new Map();
+    guests.forEach((guest, index) => {
+      const key = keyOf(guest);
+      if (!key) {
+        return;
+      }
+      if (!firstByKey.has(key)) {
+        firstByKey.set(key, index);
+        return;
+      }
+      const first = firstByKey.get(key);
+      parent[find(index)] = find(first);
+      reasons[index].add(reason);
+      reasons[first].add(reason);
+    });
+  }
+
+  const groups = new Map();
+  guests.forEach((guest, index) => {
+    const root = find(index);
+    if (!groups.has(root)) {
+      groups.set(root, { reasons: new Set(), guests: [] });
+    }
+    const group = groups.get(root);
+    group.guests.push(guest);
+    reasons[index].forEach((reason) => group.reasons.add(reason));
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.guests.length > 1)
+    .map((group) => ({
+      reasons: Object.keys(DUPLICATE_KEYS).filter((reason) => group.reasons.has(reason)),
+      guests: group.guests
+    }));
+};
+
+/**
+ * Picks the more detailed of two free-text fields
+ *
+ * @param {string|null} first - Text of the guest being kept
+ * @param {string|null} second - Text of the guest being merged into it
+ * @returns {string|null} The longer text (the first one on a tie)
+ */
+const richerText = (first, second) =>
+  (second || '').trim().length > (first || '').trim().length ? second : first;
+
+module.exports = {
+  normalizeEmail,
+  normalizeName,
+  normalizePhone,
+  findDuplicateGroups,
+  richerText
+};
@@ -0,0 +1,78 @@
+/**
+ * Guest List Filters
+ *
+ * Builds the Prisma filter of the guest list from its query parameters
+ * (status, relationship, side, tag, rsvp and q). The same filters select
+ * the guests of other bulk operations, such as batch invitation generation.
+ * Only guests of weddings the user can access are ever matched.
+ */
+const { accessibleGuestFilter } = require('./weddingAccess');
+
+/**
+ * Splits a comma-separated query value
+ * 
+ * @param {string|undefined} value - Query value, e.g. "pending,generated"
+ * @returns {string[]|undefined} The values, or undefined if none were given
+ */
+const splitQueryList = (value) => {
+  const list = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return list.length > 0 ? list : undefined;
+};
+
+/**
+ * Builds the filter of a guest list request
+ * 
+ * @param {string} userId - ID of the authenticated user
+ * @param {Object} query - Filters as in the guest list query (see getAllGuests in controllers/guestController.js)
+ * @returns {Object} Prisma where clause for the Guest model
+ */
+const buildGuestListFilter = (userId, query) => {
+  const { coupleInfoId, side, q } = query;
+  const tagIds = splitQueryList(query.tag);
+  const statuses = splitQueryList(query.status);
+  const relationships = splitQueryList(query.relationship);
+  const rsvpResponses = splitQueryList(query.rsvp);
+  const conditions = [accessibleGuestFilter(userId)];
+  
+  if (coupleInfoId) {
+    conditions.push({ coupleInfoId });
+  }
+  if (statuses) {
+    conditions.push({ status: { in: statuses } });
+  }
+  if (relationships) {
+    conditions.push({ relationship: { in: relationships } });
+  }
+  if (side) {
+    conditions.push({ side });
+  }
+  if (tagIds) {
+    conditions.push({ tags: { some: { tagId: { in: tagIds } } } });
+  }
+  if (rsvpResponses) {
+    // "none" matches guests who have not replied yet
+    const responses = rsvpResponses.filter(response => response !== 'none');
+    conditions.push({
+      OR: [
+        ...(responses.length > 0 ? [{ rsvp: { is: { response: { in: responses } } } }] : []),
+        ...(rsvpResponses.includes('none') ? [{ rsvp: { is: null } }] : [])
+      ]
+    });
+  }
+  if (q && q.trim()) {
+    const text = q.trim();
+    conditions.push({
+      OR: [
+        { name: { contains: text } },
+        { email: { contains: text.toLowerCase() } },
+        { memories: { contains: text } }
+      ]
+    });
+  }
+  
+  return { AND: conditions };
+};
+
+module.exports = {
+  buildGuestListFilter
+};
@@ -0,0 +1,321 @@
+/**
+ * Guest Spreadsheet Helpers
+ *
+ * Reads guest lists uploaded as CSV or XLSX files and maps their columns
+ * to guest fields. The first row is the header row; headers are matched
+ * against known aliases (e.g. 姓名, 關係, 電子郵件) to suggest a mapping,
+ * which the client can review and override before importing.
+ *
+ * Rows keep the number they have in the spreadsheet (the header is row 1),
+ * so import errors can point couples to the exact row to fix.
+ *
+ * Also writes guest lists back out as CSV, XLSX or JSON for venues and
+ * caterers. Spreadsheets use Chinese headers and labels; JSON keeps the
+ * stored values.
+ */
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+
+/**
+ * Guest fields that can be imported, with the headers recognized for each
+ * Headers are compared after trimming, lowercasing and removing spaces
+ */
+const FIELD_ALIASES = {
+  name: ['姓名', '名字', '賓客姓名', '賓客', 'name', 'guestname', 'fullname'],
+  relationship: ['關係', '與新人關係', '關係類型', 'relationship', 'relation'],
+  email: ['電子郵件', '電子信箱', '電郵', '信箱', 'email', 'e-mail', 'mail'],
+  phone: ['電話', '手機', '聯絡電話', '手機號碼', 'phone', 'mobile', 'tel'],
+  side: ['所屬方', '男方女方', '男方/女方', '邀請方', 'side'],
+  preferences: ['喜好', '偏好', '個人喜好', 'preferences', 'preference'],
+  howMet: ['相識方式', '如何認識', '認識方式', 'howmet'],
+  memories: ['共同回憶', '回憶', 'memories', 'memory'],
+  plusOnesAllowed: ['可攜伴人數', '攜伴人數', '攜伴', 'plusones', 'plusonesallowed'],
+  allergies: ['過敏', '過敏原', '飲食限制', 'allergies', 'allergy']
+};
+
+/**
+ * Importable guest fields
+ */
+const IMPORT_FIELDS = Object.keys(FIELD_ALIASES);
+
+/**
+ * Values accepted for the side column
+ */
+const SIDE_VALUES = {
+  groom: 'groom',
+  '男方': 'groom',
+  '新郎': 'groom',
+  bride: 'bride',
+  '女方': 'bride',
+  '新娘': 'bride'
+};
+
+/**
+ * Labels used for stored values in exported spreadsheets
+ */
+const EXPORT_LABELS = {
+  side: { groom: '男方', bride: '女方' },
+  status: { pending: '未生成', generated: '已生成', edited: '已編輯', sent: '已寄出' },
+  rsvp: { attending: '出席', declined: '不克出席', maybe: '未定' }
+};
+
+/**
+ * Columns of a guest export, in order
+ * Each column reads its value from a guest loaded with rsvp, companions,
+ * household, tags and mealOption
+ */
+const EXPORT_COLUMNS = [
+  { key: 'name', header: '姓名', value: (guest) => guest.name },
+  { key: 'email', header: '電子郵件', value: (guest) => guest.email },
+  { key: 'phone', header: '電話', value: (guest) => guest.phone },
+  { key: 'relationship', header: '關係', value: (guest) => guest.relationship },
+  { key: 'side', header: '所屬方', value: (guest) => guest.side },
+  { key: 'household', header: '家庭', value: (guest) => guest.household?.name ?? null },
+  { key: 'tags', header: '標籤', value: (guest) => (guest.tags || []).map((tag) => tag.name) },
+  { key: 'plusOnesAllowed', header: '可攜伴人數', value: (guest) => guest.plusOnesAllowed },
+  { key: 'companions', header: '同行者', value: (guest) => guest.companions.map((companion) => companion.name) },
+  { key: 'status', header: '邀請函狀態', value: (guest) => guest.status },
+  { key: 'rsvp', header: '出席回覆', value: (guest) => guest.rsvp?.response ?? null },
+  { key: 'partySize', header: '出席人數', value: (guest) => guest.rsvp?.partySize ?? null },
+  { key: 'rsvpComment', header: '回覆留言', value: (guest) => guest.rsvp?.comment ?? null },
+  { key: 'respondedAt', header: '回覆時間', value: (guest) => guest.rsvp?.respondedAt ?? null },
+  { key: 'meal', header: '餐點', value: (guest) => guest.mealOption?.name ?? null },
+  { key: 'allergies', header: '過敏', value: (guest) => guest.allergies },
+  { key: 'invitationContent', header: '邀請函內容', value: (guest) => guest.invitationContent }
+];
+
+/**
+ * Export formats with their content types
+ */
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * Normalizes a header for alias matching
+ *
+ * @param {string} header - Header as written in the spreadsheet
+ * @returns {string} Trimmed, lowercased header without spaces
+ */
+const normalizeHeader = (header) => String(header || '').replace(/^\uFEFF/, '').replace(/\s+/g, '').toLowerCase();
+
+/**
+ * Converts an Excel cell value to text
+ * Handles rich text, hyperlinks (email cells), formulas and dates
+ *
+ * @param {*} value - ExcelJS cell value
+ * @returns {string} Cell text
+ */
+const cellToText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join('');
+    }
+    if (value.text !== undefined) {
+      return cellToText(value.text);
+    }
+    if (value.result !== undefined) {
+      return cellToText(value.result);
+    }
+    return '';
+  }
+  return String(value);
+};
+
+/**
+ * Parses an uploaded spreadsheet
+ *
+ * @param {Object} file - Uploaded file from multer (originalname, buffer)
+ * @returns {Promise<Object>} { headers, rows: [{ row, values }] } where values are
+ *                            the cell texts in header order; empty rows are skipped
+ * @throws {Error} If the file is not a readable CSV or XLSX file
+ */
+const parseSpreadsheet = async (file) => {
+  const isExcel = /\.xlsx$/i.test(file.originalname);
+  const table = [];
+
+  if (isExcel) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const worksheet = workbook.worksheets[0];
+    if (worksheet) {
+      worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        // row.values is 1-based; drop the empty first element
+        table.push({ row: rowNumber, values: row.values.slice(1).map(cellToText) });
+      });
+    }
+  } else {
+    const records = parse(file.buffer, {
+      bom: true,
+      relax_column_count: true,
+      skip_empty_lines: false
+    });
+    records.forEach((values, index) => table.push({ row: index + 1, values }));
+  }
+
+  const nonEmpty = table.filter(({ values }) => values.some((value) => String(value).trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const [headerRow, ...rows] = nonEmpty;
+  const headers = headerRow.values.map((header) => String(header).trim());
+
+  return {
+    headers,
+    rows: rows.map(({ row, values }) => ({ row, values: headers.map((_, index) => String(values[index] ?? '').trim()) }))
+  };
+};
+
+/**
+ * Suggests which guest field each header holds
+ *
+ * @param {string[]} headers - Spreadsheet headers
+ * @returns {Object} Mapping of header to guest field (null when not recognized)
+ */
+const suggestMapping = (headers) => {
+  const used = new Set();
+  return Object.fromEntries(headers.map((header) => {
+    const normalized = normalizeHeader(header);
+    const field = IMPORT_FIELDS.find((candidate) =>
+      !used.has(candidate) && FIELD_ALIASES[candidate].some((alias) => normalizeHeader(alias) === normalized));
+    if (field) {
+      used.add(field);
+    }
+    return [header, field || null];
+  }));
+};
+
+/**
+ * Converts spreadsheet rows to guest data using a column mapping
+ * Values are converted to the types the guest API expects; values that
+ * cannot be converted are kept as given so validation can report them.
+ *
+ * @param {Object} sheet - Result of parseSpreadsheet
+ * @param {Object} mapping - Header to guest field (unknown fields and null are ignored)
+ * @returns {Array<Object>} [{ row, data }] with one entry per spreadsheet row
+ */
+const applyMapping = (sheet, mapping) => sheet.rows.map(({ row, values }) => {
+  const data = {};
+
+  sheet.headers.forEach((header, index) => {
+    const field = mapping[header];
+    const value = values[index];
+    if (!IMPORT_FIELDS.includes(field) || value === '') {
+      return;
+    }
+
+    if (field === 'side') {
+      data.side = SIDE_VALUES[value.toLowerCase()] || value;
+    } else if (field === 'plusOnesAllowed') {
+      data.plusOnesAllowed = /^\d+$/.test(value) ? parseInt(value, 10) : value;
+    } else if (field === 'allergies') {
+      data.allergies = value.split(/[,，、;；]/).map((allergy) => allergy.trim()).filter(Boolean);
+    } else {
+      data[field] = value;
+    }
+  });
+
+  return { row, data };
+});
+
+/**
+ * Keeps spreadsheet programs from running text as a formula
+ * Guests and couples type these values freely, so text starting like a
+ * formula is prefixed with an apostrophe.
+ *
+ * @param {string} text - Cell text
+ * @returns {string} Text safe to put in a cell
+ */
+const escapeFormula = (text) => (/^[=+\-@\t\r]/.test(text) ? `'${text}` : text);
+
+/**
+ * Converts an exported value to spreadsheet cell text
+ *
+ * @param {Object} column - Column from EXPORT_COLUMNS
+ * @param {*} value - Value read by the column
+ * @returns {string|number} Cell value
+ */
+const toCell = (column, value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  const labels = EXPORT_LABELS[column.key];
+  const text = Array.isArray(value) ? value.join('、') : String((labels && labels[value]) || value);
+  return escapeFormula(text);
+};
+
+/**
+ * Quotes a CSV field when needed
+ *
+ * @param {string|number} value - Cell value
+ * @returns {string} CSV field
+ */
+const toCsvField = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes guests in an export format
+ *
+ * @param {Array<Object>} guests - Guests with rsvp, companions, household, tags and
+ *                                 mealOption loaded, allergies parsed and tags flattened
+ * @param {string} format - "csv", "xlsx" or "json"
+ * @returns {Promise<Object>} { contentType, body } where body is a Buffer
+ */
+const writeGuestExport = async (guests, format) => {
+  let body;
+
+  if (format === 'json') {
+    const rows = guests.map((guest) => Object.fromEntries(EXPORT_COLUMNS.map((column) => [column.key, column.value(guest)])));
+    body = Buffer.from(JSON.stringify(rows, null, 2));
+  } else if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('賓客名單');
+    worksheet.columns = EXPORT_COLUMNS.map((column) => ({
+      header: column.header,
+      key: column.key,
+      width: column.key === 'invitationContent' ? 60 : 16
+    }));
+    guests.forEach((guest) => {
+      worksheet.addRow(Object.fromEntries(EXPORT_COLUMNS.map((column) => [column.key, toCell(column, column.value(guest))])));
+    });
+    worksheet.getRow(1).font = { bold: true };
+    body = Buffer.from(await workbook.xlsx.writeBuffer());
+  } else {
+    // The BOM makes Excel read the file as UTF-8 instead of the system code page
+    const lines = [
+      EXPORT_COLUMNS.map((column) => toCsvField(column.header)).join(','),
+      ...guests.map((guest) => EXPORT_COLUMNS.map((column) => toCsvField(toCell(column, column.value(guest)))).join(','))
+    ];
+    body = Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`);
+  }
+
+  return { contentType: EXPORT_FORMATS[format], body };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  EXPORT_FORMATS,
+  parseSpreadsheet,
+  suggestMapping,
+  applyMapping,
+  escapeFormula,
+  toCsvField,
+  writeGuestExport
+};
@@ -0,0 +1,181 @@
+/**
+ * Invitation Cache
+ *
+ * Keeps generated invitations by a hash of everything the AI was given for
+ * them: the rendered prompts (which carry the guest, invitee and wedding
+ * details, tone and length), the template versions and the AI models of the
+ * provider chain. Editing a guest's memories or moving the wedding date
+ * changes the key, so the old invitation is simply no longer found.
+ *
+ * Entries are stored in the database (InvitationCache) so they survive
+ * restarts, with a short-lived in-memory copy in front of it. They expire
+ * after INVITATION_CACHE_TTL_HOURS (default 168, one week).
+ */
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const { PrismaClient } = require('@prisma/client');
+const { describeProviders } = require('../config/llm');
+const { renderInvitationPrompts } = require('./invitationPrompts');
+
+const prisma = new PrismaClient();
+
+/**
+ * How long an entry is served, in hours
+ */
+const INVITATION_CACHE_TTL_HOURS = Math.max(1, Number(process.env.INVITATION_CACHE_TTL_HOURS) || 168);
+
+/**
+ * In-memory copy of recently used entries with 1-hour expiration
+ * Saves a database read for invitations requested again shortly
+ */
+const memoryCache = new NodeCache({
+  stdTTL: 3600, // 1 hour
+  checkperiod: 120, // Check for expired keys every 2 minutes
+  useClones: false
+});
+
+// Lookups since the server started, for the cache statistics
+const lookups = { memoryHits: 0, databaseHits: 0, misses: 0 };
+
+/**
+ * Computes the cache key of a guest's invitation
+ *
+ * @param {Object} guest - Guest with tags and, when available, companions and household
+ * @param {Object} coupleInfo - The wedding
+ * @returns {Promise<string>} Hex encoded SHA-256 hash of the prompt inputs
+ */
+const getInvitationCacheKey = async (guest, coupleInfo) => {
+  const { system, user, templates } = await renderInvitationPrompts('invitation', guest, coupleInfo);
+  const models = describeProviders().map(({ name, model }) => `${name}:${model}`);
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ guestId: guest.id, system, user, templates, models }))
+    .digest('hex');
+};
+
+/**
+ * Looks up a cached invitation and counts the hit
+ *
+ * @param {string} key - Key from getInvitationCacheKey
+ * @returns {Promise<Object|null>} { content, source, provider }, or null if missing or expired
+ */
+const getCachedInvitation = async (key) => {
+  let entry = memoryCache.get(key);
+
+  if (entry && entry.expiresAt > new Date()) {
+    lookups.memoryHits += 1;
+  } else {
+    entry = await prisma.invitationCache.findFirst({ where: { key, expiresAt: { gt: new Date() } } });
+    if (!entry) {
+      lookups.misses += 1;
+      return null;
+    }
+    lookups.databaseHits += 1;
+    memoryCache.set(key, entry);
+  }
+
+  // The entry may have been purged meanwhile, so no error if it is gone
+  await prisma.invitationCache.updateMany({
+    where: { key },
+    data: { hits: { increment: 1 }, lastHitAt: new Date() }
+  });
+
+  return { content: entry.content, source: entry.source, provider: entry.provider };
+};
+
+/**
+ * Stores a generated invitation
+ *
+ * @param {string} key - Key from getInvitationCacheKey
+ * @param {string} guestId - ID of the guest the invitation was written for
+ * @param {Object} invitation - { content, source, provider }
+ * @returns {Promise<void>}
+ */
+const cacheInvitation = async (key, guestId, { content, source, provider }) => {
+  const data = {
+    guestId,
+    content,
+    source,
+    provider: source === 'mock' ? null : provider,
+    hits: 0,
+    lastHitAt: null,
+    expiresAt: new Date(Date.now() + INVITATION_CACHE_TTL_HOURS * 3600 * 1000)
+  };
+  const entry = await prisma.invitationCache.upsert({
+    where: { key },
+    create: { key, ...data },
+    update: data
+  });
+  memoryCache.set(key, entry);
+};
+
+/**
+ * Removes the cached invitations of guests, e.g. after their invitation was edited
+ *
+ * @param {string[]} guestIds - IDs of the guests
+ * @returns {Promise<void>}
+ */
+const invalidateCachedInvitations = async (guestIds) => {
+  memoryCache.keys()
+    .filter(key => guestIds.includes(memoryCache.get(key)?.guestId))
+    .forEach(key => memoryCache.del(key));
+  await prisma.invitationCache.deleteMany({ where: { guestId: { in: guestIds } } });
+};
+
+/**
+ * Collects cache statistics
+ *
+ * @returns {Promise<Object>} { ttlHours, entries, expired, storedHits, memory, lookups }
+ */
+const getInvitationCacheStats = async () => {
+  const now = new Date();
+  const [entries, expired, stored] = await Promise.all([
+    prisma.invitationCache.count(),
+    prisma.invitationCache.count({ where: { expiresAt: { lte: now } } }),
+    prisma.invitationCache.aggregate({ _sum: { hits: true } })
+  ]);
+  const hits = lookups.memoryHits + lookups.databaseHits;
+  const total = hits + lookups.misses;
+
+  return {
+    ttlHours: INVITATION_CACHE_TTL_HOURS,
+    entries,
+    expired,
+    storedHits: stored._sum.hits || 0,
+    memory: { entries: memoryCache.keys().length },
+    lookups: { ...lookups, hitRate: total > 0 ? Math.round((hits / total) * 1000) / 1000 : null }
+  };
+};
+
+/**
+ * Deletes cached invitations
+ *
+ * @param {Object} [options] - What to delete (everything by default)
+ * @param {boolean} [options.expiredOnly] - Only delete expired entries
+ * @param {string} [options.coupleInfoId] - Only delete the entries of one wedding's guests
+ * @param {string} [options.source] - Only delete the entries written this way ("ai" or "mock")
+ * @returns {Promise<number>} Number of entries deleted
+ */
+const purgeInvitationCache = async ({ expiredOnly = false, coupleInfoId, source } = {}) => {
+  const where = {
+    ...(expiredOnly ? { expiresAt: { lte: new Date() } } : {}),
+    ...(coupleInfoId ? { guest: { coupleInfoId } } : {}),
+    ...(source ? { source } : {})
+  };
+  const { count } = await prisma.invitationCache.deleteMany({ where });
+
+  // The in-memory copies are only a shortcut, so they are all dropped
+  memoryCache.flushAll();
+
+  return count;
+};
+
+module.exports = {
+  INVITATION_CACHE_TTL_HOURS,
+  getInvitationCacheKey,
+  getCachedInvitation,
+  cacheInvitation,
+  invalidateCachedInvitations,
+  getInvitationCacheStats,
+  purgeInvitationCache
+};
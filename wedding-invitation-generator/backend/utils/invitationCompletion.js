@@ -0,0 +1,106 @@
+/**
+ * Invitation Completion
+ *
+ * Asks the AI providers for an invitation and checks the answer against
+ * the rules of utils/invitationValidators.js. An answer that breaks a rule
+ * is sent back with instructions to correct it, up to
+ * INVITATION_VALIDATION_RETRIES times, and the answer with the fewest
+ * broken rules is kept. A correction that fails does not lose the answers
+ * already written: the best of them is kept.
+ */
+const logger = require('../config/logger');
+const { validateInvitation, correctionPrompt } = require('./invitationValidators');
+const { completeChat, streamChat } = require('./llmClient');
+const { recordAiUsage } = require('./aiUsage');
+
+/**
+ * Number of times a generated invitation that fails validation is sent
+ * back to the AI with instructions to correct it
+ */
+const INVITATION_VALIDATION_RETRIES = Number.isInteger(parseInt(process.env.INVITATION_VALIDATION_RETRIES, 10))
+  ? Math.max(0, parseInt(process.env.INVITATION_VALIDATION_RETRIES, 10))
+  : 2;
+
+/**
+ * Rules a validation failed
+ *
+ * @param {Object} validation - Result of validateInvitation
+ * @returns {Array<Object>} The failed results
+ */
+const failures = (validation) => validation.results.filter(result => !result.passed);
+
+/**
+ * Complete and Validate an Invitation
+ *
+ * Only the first answer of a streamed request is streamed. Every answer,
+ * corrections and streams that ended early included, is recorded as AI usage.
+ *
+ * @param {Array<Object>} messages - Chat messages ({ role, content })
+ * @param {Object} coupleInfo - The wedding the invitation is for
+ * @param {Object} options - { maxTokens, operationId, temperature, stream: { onDelta, signal },
+ *                           usage: { operation, coupleInfoId, guestId, userId } }
+ * @returns {Promise<Object>} { completion, validation: { passed, attempts, results } }
+ * @throws {Error} If every provider failed for the first answer or the request was aborted
+ */
+async function completeValidatedInvitation(messages, coupleInfo, { maxTokens, operationId, temperature, stream, usage }) {
+  const request = { messages, maxTokens, operationId, temperature };
+
+  let completion;
+  try {
+    completion = stream
+      ? await streamChat({ ...request, ...stream })
+      : await completeChat(request);
+  } catch (error) {
+    // A stream the client left, or that failed midway, has still been paid for
+    if (error.completion) {
+      await recordAiUsage(usage, error.completion);
+    }
+    throw error;
+  }
+  await recordAiUsage(usage, completion);
+  let validation = validateInvitation(completion.content, coupleInfo);
+  let best = { completion, validation };
+  let attempts = 1;
+
+  while (!validation.passed && attempts <= INVITATION_VALIDATION_RETRIES) {
+    logger.warn(`Generated invitation failed validation, asking for corrections [${operationId}]`, {
+      operationId,
+      attempt: attempts,
+      failedRules: failures(validation).map(result => result.rule)
+    });
+
+    request.messages = [
+      ...request.messages,
+      { role: 'assistant', content: completion.content },
+      { role: 'user', content: correctionPrompt(validation) }
+    ];
+    try {
+      completion = await completeChat({ ...request, signal: stream?.signal });
+    } catch (error) {
+      // The client has gone, so there is no one to give the best answer to
+      if (stream?.signal?.aborted) {
+        throw error;
+      }
+      logger.warn(`Correcting the generated invitation failed, keeping the best answer [${operationId}]`, {
+        operationId,
+        attempt: attempts,
+        errorMessage: error.message
+      });
+      break;
+    }
+    await recordAiUsage(usage, completion);
+    validation = validateInvitation(completion.content, coupleInfo);
+    attempts += 1;
+
+    if (failures(validation).length < failures(best.validation).length) {
+      best = { completion, validation };
+    }
+  }
+
+  return { completion: best.completion, validation: { ...best.validation, attempts } };
+}
+
+module.exports = {
+  INVITATION_VALIDATION_RETRIES,
+  completeValidatedInvitation
+};
@@ -0,0 +1,103 @@
+/**
+ * Invitation Inputs
+ *
+ * Records the details each invitation was written from, so invitations
+ * whose details changed afterwards (e.g. the wedding moved to another date
+ * or venue, or a guest's name was corrected) can be found and regenerated.
+ *
+ * The details are the facts an invitation states and the guest's personal
+ * details it is written from; style settings such as the tone or target
+ * length are left out, since changing them does not make an invitation
+ * wrong. A snapshot is stored on the guest (invitationInputs) whenever the
+ * guest's invitation is saved. Invitations saved before snapshots were
+ * recorded have none and are never reported as stale.
+ *
+ * A detail the text fills in as a merge field (e.g. {{wedding.date}}, see
+ * utils/invitationMergeFields.js) is always current when the invitation is
+ * shown or sent, so a change to it does not make the invitation stale.
+ */
+const { PrismaClient } = require('@prisma/client');
+const { listMergeFields } = require('./invitationMergeFields');
+
+const prisma = new PrismaClient();
+
+/**
+ * Tracked details, with their labels and how they are read
+ */
+const INVITATION_INPUTS = {
+  'wedding.groomName': { label: '新郎姓名', value: (guest, coupleInfo) => coupleInfo.groomName },
+  'wedding.brideName': { label: '新娘姓名', value: (guest, coupleInfo) => coupleInfo.brideName },
+  'wedding.date': { label: '婚禮日期', value: (guest, coupleInfo) => coupleInfo.weddingDate.toISOString().split('T')[0] },
+  'wedding.time': { label: '婚禮時間', value: (guest, coupleInfo) => coupleInfo.weddingTime },
+  'wedding.location': { label: '婚禮地點', value: (guest, coupleInfo) => coupleInfo.weddingLocation },
+  'guest.name': { label: '賓客姓名', value: (guest) => guest.name },
+  'guest.relationship': { label: '關係', value: (guest) => guest.relationship },
+  'guest.howMet': { label: '相識方式', value: (guest) => guest.howMet },
+  'guest.memories': { label: '共同回憶', value: (guest) => guest.memories },
+  'guest.preferences': { label: '喜好', value: (guest) => guest.preferences },
+  // A household's invitation is addressed to the household
+  'invitees.addressee': {
+    label: '家庭稱謂',
+    value: (guest) => (guest.household ? (guest.household.salutation || guest.household.name) : null)
+  }
+};
+
+/**
+ * Takes a snapshot of the details a guest's invitation is written from
+ *
+ * @param {Object} guest - The guest, with its household when it has one
+ * @param {Object} coupleInfo - The wedding
+ * @returns {Object} Detail name to value (null for empty details)
+ */
+const snapshotInvitationInputs = (guest, coupleInfo) => Object.fromEntries(
+  Object.entries(INVITATION_INPUTS).map(([name, input]) => [name, input.value(guest, coupleInfo) ?? null])
+);
+
+/**
+ * Compares the details an invitation was written from with the current ones
+ *
+ * @param {Object} guest - The guest (invitationInputs, invitationContent), with its household when it has one
+ * @param {Object} coupleInfo - The wedding
+ * @returns {Array<Object>} Changed details { field, label, from, to }, without those the text fills in
+ *                          as merge fields; empty if none changed or the invitation has no snapshot
+ */
+const findChangedInputs = (guest, coupleInfo) => {
+  if (!guest.invitationInputs) {
+    return [];
+  }
+
+  const stored = JSON.parse(guest.invitationInputs);
+  const current = snapshotInvitationInputs(guest, coupleInfo);
+  const mergeFields = listMergeFields(guest.invitationContent);
+
+  return Object.keys(INVITATION_INPUTS)
+    // Details tracked later than the snapshot was taken are not compared
+    .filter(name => name in stored && stored[name] !== current[name] && !mergeFields.includes(name))
+    .map(name => ({ field: name, label: INVITATION_INPUTS[name].label, from: stored[name], to: current[name] }));
+};
+
+/**
+ * Finds a wedding's stale invitations
+ *
+ * @param {Object} coupleInfo - The wedding
+ * @returns {Promise<Array<Object>>} { guest, changes } for every guest whose invitation was written
+ *                                   from details that changed since, in the order guests were added
+ */
+const findStaleInvitations = async (coupleInfo) => {
+  const guests = await prisma.guest.findMany({
+    where: { coupleInfoId: coupleInfo.id, invitationContent: { not: null }, invitationInputs: { not: null } },
+    include: { household: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return guests
+    .map(guest => ({ guest, changes: findChangedInputs(guest, coupleInfo) }))
+    .filter(({ changes }) => changes.length > 0);
+};
+
+module.exports = {
+  INVITATION_INPUTS,
+  snapshotInvitationInputs,
+  findChangedInputs,
+  findStaleInvitations
+};
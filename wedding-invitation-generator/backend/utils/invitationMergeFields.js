@@ -0,0 +1,100 @@
+/**
+ * Invitation Merge Fields
+ *
+ * Placeholders in a saved invitation text that are filled in for each guest
+ * when the text is shown or sent (emails, the RSVP page, previews and
+ * exports), so one text can be applied to many guests, e.g.
+ * "親愛的{{guest.name}}，誠摯邀請您於{{wedding.date}}蒞臨{{wedding.location}}".
+ * The text uses the template language of utils/templateRenderer.js, so
+ * {{#if}} blocks work too.
+ *
+ * Texts are checked when they are saved. A stored text that does not
+ * render, e.g. an AI text that happens to contain braces, is shown as it is.
+ */
+const { renderTemplate, checkTemplate, listVariables } = require('./templateRenderer');
+
+/**
+ * Fields an invitation text may use
+ */
+const MERGE_FIELDS = [
+  'guest.name', 'guest.relationship', 'guest.side',
+  'invitees.addressee',
+  'wedding.groomName', 'wedding.brideName', 'wedding.date', 'wedding.time', 'wedding.location',
+  'wedding.theme'
+];
+
+/**
+ * Builds the merge field values for a guest
+ *
+ * @param {Object} guest - The guest, with its household when it has one
+ * @param {Object} coupleInfo - The wedding
+ * @returns {Object} Template variables
+ */
+const buildMergeVariables = (guest, coupleInfo) => {
+  const sideLabels = { groom: '男方', bride: '女方' };
+
+  return {
+    guest: {
+      name: guest.name,
+      relationship: guest.relationship,
+      side: sideLabels[guest.side] || ''
+    },
+    invitees: {
+      // A household shares one invitation, addressed to the whole household
+      addressee: guest.household ? (guest.household.salutation || guest.household.name) : guest.name
+    },
+    wedding: {
+      groomName: coupleInfo.groomName,
+      brideName: coupleInfo.brideName,
+      date: coupleInfo.weddingDate.toISOString().split('T')[0],
+      time: coupleInfo.weddingTime,
+      location: coupleInfo.weddingLocation,
+      theme: coupleInfo.weddingTheme
+    }
+  };
+};
+
+/**
+ * Checks an invitation text before it is saved
+ *
+ * @param {string} content - Invitation text
+ * @returns {string[]} Problems found (empty if the text is valid)
+ */
+const checkInvitationContent = (content) => checkTemplate(content, MERGE_FIELDS);
+
+/**
+ * Lists the merge fields an invitation text fills in when it is shown or sent
+ *
+ * @param {string|null} content - Stored invitation text
+ * @returns {string[]} Fields used, including those tested by {{#if}}; empty if the
+ *                     text does not render (its placeholders are shown as they are)
+ */
+const listMergeFields = (content) => {
+  if (!content || !content.includes('{{') || checkInvitationContent(content).length > 0) {
+    return [];
+  }
+  return listVariables(content);
+};
+
+/**
+ * Fills in the merge fields of an invitation text for a guest
+ *
+ * @param {string|null} content - Stored invitation text
+ * @param {Object} guest - The guest, with its household when it has one
+ * @param {Object} coupleInfo - The wedding
+ * @returns {string|null} The text as the guest sees it; unchanged if it has no
+ *                        placeholders or does not render
+ */
+const renderInvitationContent = (content, guest, coupleInfo) => {
+  if (!content || !content.includes('{{') || checkInvitationContent(content).length > 0) {
+    return content;
+  }
+  return renderTemplate(content, buildMergeVariables(guest, coupleInfo));
+};
+
+module.exports = {
+  MERGE_FIELDS,
+  checkInvitationContent,
+  listMergeFields,
+  renderInvitationContent
+};
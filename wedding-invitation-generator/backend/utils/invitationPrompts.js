@@ -0,0 +1,311 @@
+/**
+ * Invitation Prompts
+ *
+ * Builds the prompts sent to the AI service from prompt templates.
+ * Each prompt has a built-in template; admins can store new versions of it
+ * (PromptTemplate) and the newest stored version replaces the built-in one.
+ *
+ * Each wedding picks a tone preset, a target length and extra instructions,
+ * which are available to the templates as variables together with the
+ * guest, the invitees and the wedding details.
+ */
+const { PrismaClient } = require('@prisma/client');
+const { renderTemplate } = require('./templateRenderer');
+
+const prisma = new PrismaClient();
+
+/**
+ * Tone presets a wedding can pick, with the style described
+ * in Chinese for the user prompts and in English for the system prompts
+ */
+const TONE_PRESETS = {
+  warm: { label: '溫暖優雅', style: '溫暖、優雅且略帶感性', styleEn: 'warm, elegant' },
+  formal: { label: '正式莊重', style: '正式、莊重且有禮', styleEn: 'formal, dignified' },
+  humorous: { label: '輕鬆幽默', style: '輕鬆、幽默且親切，可以加入適度的玩笑', styleEn: 'light-hearted, humorous' },
+  poetic: { label: '詩意浪漫', style: '富有詩意與浪漫氣息，善用意象與修辭', styleEn: 'poetic, romantic' },
+  traditional: { label: '傳統典雅', style: '傳統典雅，可使用喜帖常見的文雅用語與吉祥話', styleEn: 'traditional, classical' }
+};
+
+const DEFAULT_TONE_PRESET = 'warm';
+const DEFAULT_TARGET_LENGTH = 350;
+
+/**
+ * Variables every prompt template may use
+ */
+const BASE_VARIABLES = [
+  'guest.name', 'guest.relationship', 'guest.howMet', 'guest.memories', 'guest.preferences',
+  'guest.side', 'guest.tags',
+  'invitees.addressee', 'invitees.names', 'invitees.companions', 'invitees.openPlusOnes', 'invitees.isHousehold',
+  'invitees.isParty',
+  'wedding.groomName', 'wedding.brideName', 'wedding.date', 'wedding.time', 'wedding.location',
+  'wedding.theme', 'wedding.backgroundStory',
+  'tone.name', 'tone.label', 'tone.style', 'tone.styleEn',
+  'length.target', 'length.min', 'length.max',
+  'instructions.extra'
+];
+
+/**
+ * Extra variables of the feedback prompts
+ */
+const FEEDBACK_VARIABLES = ['feedback.text', 'feedback.original'];
+
+/**
+ * Guest details shared by the invitation and feedback user prompts
+ */
+const GUEST_GROUP_LINES = `{{#if guest.side}}- 所屬方: {{guest.side}}賓客
+{{/if}}{{#if guest.tags}}- 分組標籤: {{guest.tags}}
+{{/if}}`;
+
+const EXTRA_INSTRUCTIONS = `{{#if instructions.extra}}
+新人的額外要求（請優先遵守）:
+{{instructions.extra}}
+{{/if}}`;
+
+/**
+ * Built-in prompt templates by key, used until an admin stores a version
+ */
+const PROMPT_TEMPLATES = {
+  'invitation.system': {
+    description: '生成邀請函的系統提示',
+    variables: BASE_VARIABLES,
+    body: 'You are a professional writer specializing in personalized wedding invitations. ' +
+      'Create a heartfelt wedding invitation that deeply reflects the unique relationship between the couple and their guest. ' +
+      'The invitation must be highly personalized based on the specific relationship and shared memories provided. ' +
+      'IMPORTANT RULES: ' +
+      '1. Create a substantial invitation between {{length.min}}-{{length.max}} Chinese characters. DO NOT be overly concise. ' +
+      '2. Focus on emotional depth and personal connection rather than brevity. ' +
+      '3. ALWAYS incorporate specific personal details provided about the guest (memories, how they met, preferences). ' +
+      '4. Create a {{tone.styleEn}} tone appropriate for a wedding. ' +
+      '5. Include essential wedding details (date, time, location) in a detailed format. ' +
+      '6. Format with proper paragraph breaks for readability. ' +
+      '7. Sign with the couple\'s names at the end. ' +
+      '8. Do not include the guest\'s email address in the invitation. ' +
+      '9. Do not use markdown format in the invitation.'
+  },
+  'invitation.user': {
+    description: '生成邀請函的使用者提示',
+    variables: BASE_VARIABLES,
+    body: `
+請為以下賓客創作一封個人化的婚禮邀請函:
+
+賓客資料:
+- 姓名: {{guest.name}}
+- 與新人關係: {{guest.relationship}}
+- 相識方式: {{#if guest.howMet}}{{guest.howMet}}{{else}}未提供{{/if}}
+- 共同回憶: {{#if guest.memories}}{{guest.memories}}{{else}}未提供{{/if}}
+- 個人喜好: {{#if guest.preferences}}{{guest.preferences}}{{else}}未提供{{/if}}
+${GUEST_GROUP_LINES}{{#if invitees.isParty}}
+邀請對象:
+- 稱謂: {{invitees.addressee}}
+- 受邀成員: {{invitees.names}}
+- 同行者: {{#if invitees.companions}}{{invitees.companions}}{{else}}無{{/if}}
+- 可另外攜伴人數: {{invitees.openPlusOnes}}
+{{/if}}
+婚禮資訊:
+- 新郎: {{wedding.groomName}}
+- 新娘: {{wedding.brideName}}
+- 婚禮日期: {{wedding.date}}
+- 婚禮時間: {{wedding.time}}
+- 婚禮地點: {{wedding.location}}
+- 婚禮主題: {{wedding.theme}}
+- 背景故事: {{#if wedding.backgroundStory}}{{wedding.backgroundStory}}{{else}}未提供{{/if}}
+
+重要要求:
+1. 必須使用繁體中文
+2. 邀請函需要較充分的篇幅，控制在{{length.min}}-{{length.max}}個中文字符之間，不要過於精簡
+3. 根據賓客資料中的「相識方式」、「共同回憶」和「個人喜好」來個人化邀請函內容
+4. 如果提供了「共同回憶」，一定要巧妙融入邀請函中，並做適當展開
+5. 結尾署名格式為: {{wedding.groomName}} & {{wedding.brideName}} 敬上
+6. 避免過於制式化的內容，確保邀請函具有獨特性和個人化特色，充分表達情感
+7. 不需要使用markdown格式輸出
+8. 不需要在信件提及電子郵件地址
+9. 語調要{{tone.style}}
+{{#if invitees.isParty}}10. 邀請函開頭稱呼「{{invitees.addressee}}」，內容是邀請所有受邀成員{{#if invitees.companions}}及同行者{{/if}}一同出席，而不是只邀請一個人{{#if invitees.openPlusOnes}}，並表示歡迎攜伴{{invitees.openPlusOnes}}位{{/if}}
+{{/if}}${EXTRA_INSTRUCTIONS}`
+  },
+  'feedback.system': {
+    description: '依回饋改寫邀請函的系統提示',
+    variables: [...BASE_VARIABLES, ...FEEDBACK_VARIABLES],
+    body: 'Please create a revised wedding invitation based on user feedback. ' +
+      'Maintain a {{tone.styleEn}} tone, aim for {{length.min}}-{{length.max}} Chinese characters (not less, not significantly more), ' +
+      'and incorporate the user\'s suggestions into the original text. ' +
+      'Focus on emotional depth and personal connection rather than brevity.'
+  },
+  'feedback.user': {
+    description: '依回饋改寫邀請函的使用者提示',
+    variables: [...BASE_VARIABLES, ...FEEDBACK_VARIABLES],
+    body: `
+請幫我根據以下的反饋，重新編寫婚禮邀請函。
+
+原始邀請函:
+{{feedback.original}}
+
+賓客資料:
+- 姓名: {{guest.name}}
+- 與新人關係: {{guest.relationship}}
+${GUEST_GROUP_LINES}{{#if guest.preferences}}- 賓客偏好: {{guest.preferences}}
+{{/if}}{{#if guest.howMet}}- 相識方式: {{guest.howMet}}
+{{/if}}{{#if guest.memories}}- 共同回憶: {{guest.memories}}
+{{/if}}
+用戶反饋:
+{{feedback.text}}
+
+請根據反饋重新製作一封邀請函，著重地融合原邀請函和反饋中提及的內容和要求，而不是附加在末尾。
+語調保持{{tone.style}}。
+重要: 邀請函文字需要較充分的篇幅，控制在{{length.min}}-{{length.max}}個中文字符之間，不要過於精簡。
+在篇幅適中的同時，維持個人化特色，充分表達情感和誠意。
+請直接提供完整邀請函內容，不需要使用markdown格式輸出，不要包含任何其他解釋或前後文，以及電子郵件，以及任何個人機密資訊。
+${EXTRA_INSTRUCTIONS}`
+  }
+};
+
+/**
+ * Length range the AI is asked for
+ * The range is about 15% either side of the target (350 gives 300-400)
+ *
+ * @param {number} [target] - Target length in Chinese characters
+ * @returns {Object} { target, min, max }
+ */
+const lengthRange = (target = DEFAULT_TARGET_LENGTH) => {
+  const tolerance = Math.round(target / 7);
+  return { target, min: target - tolerance, max: target + tolerance };
+};
+
+/**
+ * Describe Invitees
+ *
+ * Works out who an invitation is addressed to. A guest in a household
+ * shares one invitation with the other members, so it is addressed to the
+ * household's salutation (e.g. "王先生與王太太闔家"); otherwise it is
+ * addressed to the guest.
+ *
+ * @param {Object} guest - Guest with companions and household (with members and their companions)
+ * @returns {Object} addressee, names of invited members, named companions,
+ *                   number of unnamed plus-ones and whether it is a household
+ */
+const describeInvitees = (guest) => {
+  const members = guest.household ? guest.household.guests : [guest];
+  const companions = members.flatMap((member) => (member.companions || []).map((companion) => companion.name));
+  const openPlusOnes = members.reduce((total, member) =>
+    total + Math.max(0, (member.plusOnesAllowed || 0) - (member.companions || []).length), 0);
+  const names = members.map((member) => member.name);
+
+  return {
+    addressee: guest.household ? (guest.household.salutation || names.join('、')) : guest.name,
+    names,
+    companions,
+    openPlusOnes,
+    isHousehold: !!guest.household
+  };
+};
+
+/**
+ * Tone preset of a wedding
+ *
+ * @param {Object} coupleInfo - The wedding
+ * @returns {Object} { name, label, style, styleEn }
+ */
+const toneOf = (coupleInfo) => {
+  const name = TONE_PRESETS[coupleInfo.tonePreset] ? coupleInfo.tonePreset : DEFAULT_TONE_PRESET;
+  return { name, ...TONE_PRESETS[name] };
+};
+
+/**
+ * Builds the template variables for a guest's invitation
+ *
+ * @param {Object} guest - Guest with tags and, when available, companions and household
+ * @param {Object} coupleInfo - The wedding
+ * @param {Object} [feedback] - { text, original } for the feedback prompts
+ * @returns {Object} Template variables
+ */
+const buildPromptVariables = (guest, coupleInfo, feedback) => {
+  const sideLabels = { groom: '男方', bride: '女方' };
+  const invitees = describeInvitees(guest);
+
+  return {
+    guest: {
+      name: guest.name,
+      relationship: guest.relationship,
+      howMet: guest.howMet,
+      memories: guest.memories,
+      preferences: guest.preferences,
+      side: sideLabels[guest.side] || '',
+      tags: (guest.tags || []).map((link) => link.tag.name)
+    },
+    invitees: {
+      ...invitees,
+      isParty: invitees.isHousehold || invitees.companions.length > 0 || invitees.openPlusOnes > 0
+    },
+    wedding: {
+      groomName: coupleInfo.groomName,
+      brideName: coupleInfo.brideName,
+      date: coupleInfo.weddingDate.toISOString().split('T')[0],
+      time: coupleInfo.weddingTime,
+      location: coupleInfo.weddingLocation,
+      theme: coupleInfo.weddingTheme,
+      backgroundStory: coupleInfo.backgroundStory
+    },
+    tone: toneOf(coupleInfo),
+    length: lengthRange(coupleInfo.targetLength || DEFAULT_TARGET_LENGTH),
+    instructions: { extra: coupleInfo.extraInstructions },
+    feedback: feedback || {}
+  };
+};
+
+/**
+ * Loads the templates in use
+ * The newest stored version of each key, otherwise the built-in template (version 0)
+ *
+ * @param {string[]} keys - Template keys
+ * @returns {Promise<Object>} Key to { key, version, body }
+ */
+const loadPromptTemplates = async (keys) => {
+  const stored = await prisma.promptTemplate.findMany({
+    where: { key: { in: keys } },
+    orderBy: { version: 'desc' }
+  });
+
+  return Object.fromEntries(keys.map((key) => {
+    const latest = stored.find((template) => template.key === key);
+    return [key, latest
+      ? { key, version: latest.version, body: latest.body }
+      : { key, version: 0, body: PROMPT_TEMPLATES[key].body }];
+  }));
+};
+
+/**
+ * Renders the system and user prompts for a guest's invitation
+ *
+ * @param {string} kind - "invitation" to generate, "feedback" to rewrite from feedback
+ * @param {Object} guest - Guest with tags and, when available, companions and household
+ * @param {Object} coupleInfo - The wedding
+ * @param {Object} [feedback] - { text, original } for "feedback"
+ * @returns {Promise<Object>} { system, user, length, tone, templates: [{ key, version }] }
+ */
+const renderInvitationPrompts = async (kind, guest, coupleInfo, feedback) => {
+  const systemKey = `${kind}.system`;
+  const userKey = `${kind}.user`;
+  const templates = await loadPromptTemplates([systemKey, userKey]);
+  const variables = buildPromptVariables(guest, coupleInfo, feedback);
+
+  return {
+    system: renderTemplate(templates[systemKey].body, variables),
+    user: renderTemplate(templates[userKey].body, variables),
+    length: variables.length,
+    tone: variables.tone,
+    templates: [templates[systemKey], templates[userKey]].map(({ key, version }) => ({ key, version }))
+  };
+};
+
+module.exports = {
+  TONE_PRESETS,
+  DEFAULT_TONE_PRESET,
+  DEFAULT_TARGET_LENGTH,
+  PROMPT_TEMPLATES,
+  BASE_VARIABLES,
+  lengthRange,
+  describeInvitees,
+  buildPromptVariables,
+  loadPromptTemplates,
+  renderInvitationPrompts
+};
@@ -0,0 +1,306 @@
+/**
+ * Invitation Templates
+ *
+ * Writes invitations without AI from a library of templates: when no AI
+ * provider is configured, every provider failed or the AI budget is spent.
+ * The built-in templates are the JSON files of templates/invitations;
+ * couples can write their own (InvitationTemplate).
+ *
+ * A template names the guests it is for in "match". Every criterion given
+ * must hold; omitted criteria hold for every guest:
+ * - relationships: the guest's relationship contains one of these words
+ * - tags: the guest has one of these tags
+ * - themes: the wedding theme contains one of these words
+ * - tones: the wedding's tone preset is one of these
+ * The couple's own templates are preferred over the built-in ones, then
+ * the template with the most criteria. Among equals one is picked per guest.
+ *
+ * A template is a list of paragraphs, each a list of sections. A section
+ * has one or more phrasings ("variants") in the template language of
+ * utils/templateRenderer.js, using the variables of the AI prompts. One
+ * phrasing is picked per guest from a hash of the guest's ID (the
+ * household's for households), so a guest always gets the same text while
+ * guests differ. Sections can depend on the guest's details:
+ * - when: only if these variables have a value, e.g. "guest.memories"
+ * - unless: only if none of these variables has a value
+ * Sections are joined into paragraphs, empty paragraphs are left out and
+ * the couple's signature is added at the end.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { renderTemplate, checkTemplate, hasVariable } = require('./templateRenderer');
+const { TONE_PRESETS, BASE_VARIABLES, buildPromptVariables } = require('./invitationPrompts');
+
+const prisma = new PrismaClient();
+
+/**
+ * Directory of the built-in templates
+ */
+const TEMPLATE_DIRECTORY = path.join(__dirname, '..', 'templates', 'invitations');
+
+/**
+ * Criteria a template can name the guests it is for by
+ */
+const MATCH_CRITERIA = ['relationships', 'tags', 'themes', 'tones'];
+
+/**
+ * Variables the templates may use: those of the AI prompts, without the
+ * length and extra instructions meant for the AI
+ */
+const TEMPLATE_VARIABLES = BASE_VARIABLES.filter(name => !name.startsWith('length.') && name !== 'instructions.extra');
+
+/**
+ * Tests of the match criteria against the template variables
+ */
+const CRITERIA_TESTS = {
+  relationships: (words, variables) => words.some(word => (variables.guest.relationship || '').includes(word)),
+  tags: (names, variables) => names.some(name => variables.guest.tags.includes(name)),
+  themes: (words, variables) => words.some(word => (variables.wedding.theme || '').includes(word)),
+  tones: (names, variables) => names.includes(variables.tone.name)
+};
+
+/**
+ * Turns a when/unless condition into a list of variable names
+ *
+ * @param {string|string[]} [condition] - Variable name or names
+ * @returns {Array} Variable names (empty without a condition)
+ */
+const toList = (condition) => (condition === undefined || condition === null ? [] : [].concat(condition));
+
+/**
+ * Checks a template before it is used or stored
+ *
+ * @param {Object} template - { match, paragraphs }
+ * @returns {string[]} Problems found (empty if the template is valid)
+ */
+const checkInvitationTemplate = ({ match = {}, paragraphs }) => {
+  const problems = [];
+
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    problems.push('適用條件（match）必須是物件');
+  } else {
+    Object.entries(match).forEach(([criterion, values]) => {
+      if (!MATCH_CRITERIA.includes(criterion)) {
+        problems.push(`未知的適用條件: ${criterion}`);
+      } else if (!Array.isArray(values) || !values.every(value => typeof value === 'string' && value.trim())) {
+        problems.push(`適用條件 ${criterion} 必須是文字陣列`);
+      } else if (criterion === 'tones' && values.some(value => !TONE_PRESETS[value])) {
+        problems.push(`未知的語氣: ${values.filter(value => !TONE_PRESETS[value]).join(', ')}`);
+      }
+    });
+  }
+
+  if (!Array.isArray(paragraphs) || paragraphs.length === 0) {
+    problems.push('段落（paragraphs）必須是非空陣列');
+    return problems;
+  }
+
+  paragraphs.forEach((sections, paragraphIndex) => {
+    if (!Array.isArray(sections) || sections.length === 0) {
+      problems.push(`第 ${paragraphIndex + 1} 段必須是非空的區塊陣列`);
+      return;
+    }
+    sections.forEach((section, sectionIndex) => {
+      const where = `第 ${paragraphIndex + 1} 段第 ${sectionIndex + 1} 個區塊`;
+      const variants = section?.variants;
+      if (!Array.isArray(variants) || variants.length === 0 || !variants.every(variant => typeof variant === 'string')) {
+        problems.push(`${where}必須有至少一種寫法（variants）`);
+        return;
+      }
+      const unknown = [...toList(section.when), ...toList(section.unless)]
+        .filter(name => !TEMPLATE_VARIABLES.includes(name));
+      if (unknown.length > 0) {
+        problems.push(`${where}的條件使用了未知的變數: ${unknown.join(', ')}`);
+      }
+      variants.forEach((variant, variantIndex) => {
+        checkTemplate(variant, TEMPLATE_VARIABLES)
+          .forEach(problem => problems.push(`${where}第 ${variantIndex + 1} 種寫法: ${problem}`));
+      });
+    });
+  });
+
+  return problems;
+};
+
+/**
+ * Loads the built-in templates
+ * A file that cannot be read or fails the checks is logged and left out
+ *
+ * @returns {Array<Object>} Templates { id, builtin, name, description, match, paragraphs }, by file name
+ */
+const loadBuiltinTemplates = () => fs.readdirSync(TEMPLATE_DIRECTORY)
+  .filter(file => file.endsWith('.json'))
+  .sort()
+  .flatMap((file) => {
+    try {
+      const template = JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIRECTORY, file), 'utf8'));
+      const problems = checkInvitationTemplate(template);
+      if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+      }
+      return [{
+        id: path.basename(file, '.json'),
+        builtin: true,
+        name: template.name,
+        description: template.description || null,
+        match: template.match || {},
+        paragraphs: template.paragraphs
+      }];
+    } catch (error) {
+      logger.error('Invitation template skipped', { file, error: error.message });
+      return [];
+    }
+  });
+
+const BUILTIN_TEMPLATES = loadBuiltinTemplates();
+
+/**
+ * Converts a stored template into the form of the built-in ones
+ *
+ * @param {Object} stored - InvitationTemplate record
+ * @returns {Object} The record with builtin false and match and paragraphs parsed
+ */
+const parseStoredTemplate = (stored) => ({
+  ...stored,
+  builtin: false,
+  match: JSON.parse(stored.match),
+  paragraphs: JSON.parse(stored.paragraphs)
+});
+
+/**
+ * Loads the templates available to a wedding
+ *
+ * @param {string} coupleInfoId - ID of the wedding
+ * @returns {Promise<Array<Object>>} The couple's templates, oldest first, then the built-in ones
+ */
+const loadInvitationTemplates = async (coupleInfoId) => {
+  const stored = await prisma.invitationTemplate.findMany({
+    where: { coupleInfoId },
+    orderBy: { createdAt: 'asc' }
+  });
+  return [...stored.map(parseStoredTemplate), ...BUILTIN_TEMPLATES];
+};
+
+/**
+ * Picks one of several choices, the same every time for the same seed and key
+ *
+ * @param {string} seed - Guest (or household) ID
+ * @param {string} key - What is picked, e.g. a section
+ * @param {number} count - Number of choices
+ * @returns {number} Index of the choice
+ */
+const pick = (seed, key, count) =>
+  parseInt(crypto.createHash('sha256').update(`${seed}:${key}`).digest('hex').slice(0, 8), 16) % count;
+
+/**
+ * Seed of a guest's picks; household members share one invitation, so the household's
+ *
+ * @param {Object} guest - The guest
+ * @returns {string} Household or guest ID
+ */
+const seedOf = (guest) => guest.householdId || guest.id;
+
+/**
+ * Criteria a template names
+ *
+ * @param {Object} template - The template
+ * @returns {string[]} Criteria with at least one value
+ */
+const criteriaOf = (template) => MATCH_CRITERIA.filter(criterion => (template.match[criterion] || []).length > 0);
+
+/**
+ * Selects the template of a guest
+ *
+ * @param {Array<Object>} templates - Result of loadInvitationTemplates
+ * @param {Object} variables - Template variables of the guest
+ * @param {string} seed - Result of seedOf
+ * @returns {Object|null} The template, or null if none matches
+ */
+const selectTemplate = (templates, variables, seed) => {
+  const ranked = templates
+    .filter(template => criteriaOf(template).every(criterion => CRITERIA_TESTS[criterion](template.match[criterion], variables)))
+    .map(template => ({ template, rank: (template.builtin ? 0 : MATCH_CRITERIA.length + 1) + criteriaOf(template).length }));
+
+  if (ranked.length === 0) {
+    return null;
+  }
+
+  const best = Math.max(...ranked.map(({ rank }) => rank));
+  const candidates = ranked.filter(({ rank }) => rank === best);
+  return candidates[pick(seed, 'template', candidates.length)].template;
+};
+
+/**
+ * Renders a template with the picked phrasings
+ *
+ * @param {Object} template - The template
+ * @param {Object} variables - Template variables of the guest
+ * @param {string} seed - Result of seedOf
+ * @returns {string} Invitation text with the couple's signature
+ */
+const renderWithVariables = (template, variables, seed) => {
+  const paragraphs = template.paragraphs
+    .map((sections, paragraphIndex) => sections
+      .map((section, sectionIndex) => {
+        const included = toList(section.when).every(name => hasVariable(variables, name)) &&
+          !toList(section.unless).some(name => hasVariable(variables, name));
+        if (!included) {
+          return '';
+        }
+        const variant = section.variants[pick(seed, `${template.id}:${paragraphIndex}.${sectionIndex}`, section.variants.length)];
+        return renderTemplate(variant, variables).trim();
+      })
+      .join(''))
+    .filter(Boolean);
+
+  return [...paragraphs, `${variables.wedding.groomName} & ${variables.wedding.brideName} 敬上`].join('\n\n');
+};
+
+/**
+ * Renders a given template for a guest, e.g. to preview it
+ *
+ * @param {Object} template - { id, match, paragraphs }; the template need not match the guest
+ * @param {Object} guest - Guest with tags and, when available, companions and household
+ * @param {Object} coupleInfo - The wedding
+ * @returns {string} Invitation text
+ */
+const renderInvitationTemplate = (template, guest, coupleInfo) =>
+  renderWithVariables(template, buildPromptVariables(guest, coupleInfo), seedOf(guest));
+
+/**
+ * Writes a guest's invitation with the template selected for them
+ *
+ * @param {Object} guest - Guest with tags and, when available, companions and household
+ * @param {Object} coupleInfo - The wedding
+ * @returns {Promise<Object>} { content, template: { id, name, builtin } }
+ * @throws {Error} If no template matches, i.e. the built-in default is missing
+ */
+const writeTemplateInvitation = async (guest, coupleInfo) => {
+  const templates = await loadInvitationTemplates(coupleInfo.id);
+  const variables = buildPromptVariables(guest, coupleInfo);
+  const seed = seedOf(guest);
+  const template = selectTemplate(templates, variables, seed);
+
+  if (!template) {
+    throw new Error('No invitation template matches the guest');
+  }
+
+  return {
+    content: renderWithVariables(template, variables, seed),
+    template: { id: template.id, name: template.name, builtin: template.builtin }
+  };
+};
+
+module.exports = {
+  MATCH_CRITERIA,
+  TEMPLATE_VARIABLES,
+  BUILTIN_TEMPLATES,
+  checkInvitationTemplate,
+  parseStoredTemplate,
+  loadInvitationTemplates,
+  renderInvitationTemplate,
+  writeTemplateInvitation
+};
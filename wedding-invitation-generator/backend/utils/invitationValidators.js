@@ -0,0 +1,119 @@
+/**
+ * Invitation Validators
+ *
+ * Checks a generated invitation against what the prompts ask of the AI:
+ * - length: the number of Chinese characters is within the wedding's range
+ * - markdown: no headings, bold text, lists, code or links
+ * - email, phone, url: no email addresses, phone numbers or links
+ * - signature: it ends with "新郎 & 新娘 敬上"
+ * - date, time, location: the wedding details are mentioned
+ *
+ * Every failed rule comes with an instruction in Chinese, which is sent back
+ * to the AI to correct the text (see correctionPrompt).
+ */
+const { DEFAULT_TARGET_LENGTH, lengthRange } = require('./invitationPrompts');
+
+/**
+ * Chinese characters: CJK ideographs and full-width punctuation
+ */
+const CHINESE_CHARACTER = /[\u3000-\u303f\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/g;
+
+const MARKDOWN = /^\s{0,3}#{1,6}\s|\*\*[^*\n]+\*\*|__[^_\n]+__|^\s*[-*+]\s+\S|^\s*\d+\.\s+\S|```|`[^`\n]+`|\[[^\]\n]+\]\([^)\n]+\)/m;
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+const URL = /https?:\/\/|www\.[\w-]+\.|\b[\w-]+\.(com|net|org|tw|cn|io)(\/|\b)/i;
+// Taiwanese mobile and landline numbers and international numbers; dates like 2026-12-01 do not match
+const PHONE = /(?<!\d)(?:(?:\+886|886)[-\s]?9\d{2}|09\d{2})[-\s]?\d{3}[-\s]?\d{3}(?!\d)|(?<!\d)\(?0\d{1,2}\)?[-\s]?\d{3,4}[-\s]?\d{4}(?!\d)|\+\d{1,3}[-\s]?\d{2,4}[-\s]?\d{3,4}[-\s]?\d{3,4}/;
+
+/**
+ * Escapes text for use in a regular expression
+ *
+ * @param {string} text - Literal text
+ * @returns {string} The escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Counts the Chinese characters of a text
+ *
+ * @param {string} text - Text to count
+ * @returns {number} Number of Chinese characters
+ */
+const countChineseCharacters = (text) => (text.match(CHINESE_CHARACTER) || []).length;
+
+/**
+ * Ways the wedding date may be written, e.g. 2026-12-01, 2026/12/1, 2026年12月1日 or 12月1日
+ *
+ * @param {Date} date - Wedding date
+ * @returns {RegExp} Pattern matching any of them
+ */
+const datePattern = (date) => {
+  const [year, month, day] = date.toISOString().split('T')[0].split('-').map(Number);
+  return new RegExp(`${year}\\s*[-/.年]\\s*0?${month}\\s*[-/.月]\\s*0?${day}(?!\\d)|(?<!\\d)0?${month}\\s*月\\s*0?${day}\\s*[日號号]`);
+};
+
+/**
+ * Ways the wedding time may be written, e.g. 18:30, 18點30分 or 下午6點半
+ * Times that are not written as HH:MM must appear as they are
+ *
+ * @param {string} time - Wedding time
+ * @returns {RegExp} Pattern matching any of them
+ */
+const timePattern = (time) => {
+  const match = time.trim().match(/^(\d{1,2})[:：](\d{2})$/);
+  if (!match) {
+    return new RegExp(escapeRegExp(time.trim()));
+  }
+  const hour = Number(match[1]);
+  const hours = [...new Set([hour, hour > 12 ? hour - 12 : hour])].join('|');
+  return new RegExp(`(?<!\\d)0?${hour}\\s*[:：]\\s*${match[2]}|(?<!\\d)(${hours})\\s*[點点時时]`);
+};
+
+/**
+ * Validates an invitation
+ *
+ * @param {string} content - The invitation text
+ * @param {Object} coupleInfo - The wedding (names, date, time, location, targetLength)
+ * @returns {Object} { passed, results: [{ rule, passed, message }] }; message is set for failed rules
+ */
+const validateInvitation = (content, coupleInfo) => {
+  const length = lengthRange(coupleInfo.targetLength || DEFAULT_TARGET_LENGTH);
+  const characters = countChineseCharacters(content);
+  const signature = `${coupleInfo.groomName} & ${coupleInfo.brideName} 敬上`;
+  const weddingDate = coupleInfo.weddingDate.toISOString().split('T')[0];
+
+  const checks = [
+    ['length', characters >= length.min && characters <= length.max,
+      `目前有 ${characters} 個中文字，請控制在 ${length.min}-${length.max} 個中文字之間`],
+    ['markdown', !MARKDOWN.test(content), '請不要使用 Markdown 格式（標題、粗體、清單、程式碼或連結），只用純文字'],
+    ['email', !EMAIL.test(content), '請刪除電子郵件地址'],
+    ['phone', !PHONE.test(content), '請刪除電話號碼'],
+    ['url', !URL.test(content), '請刪除網址'],
+    ['signature', new RegExp(`${escapeRegExp(coupleInfo.groomName)}\\s*[&＆]\\s*${escapeRegExp(coupleInfo.brideName)}\\s*敬上\\s*$`).test(content),
+      `請以「${signature}」作為結尾署名`],
+    ['date', datePattern(coupleInfo.weddingDate).test(content), `請寫出婚禮日期 ${weddingDate}`],
+    ['time', !coupleInfo.weddingTime || timePattern(coupleInfo.weddingTime).test(content), `請寫出婚禮時間 ${coupleInfo.weddingTime}`],
+    ['location', !coupleInfo.weddingLocation || content.replace(/\s/g, '').includes(coupleInfo.weddingLocation.replace(/\s/g, '')),
+      `請寫出婚禮地點「${coupleInfo.weddingLocation}」`]
+  ];
+
+  const results = checks.map(([rule, passed, message]) => ({ rule, passed, message: passed ? null : message }));
+
+  return { passed: results.every(result => result.passed), results };
+};
+
+/**
+ * Builds the follow-up prompt asking the AI to correct a failed invitation
+ *
+ * @param {Object} validation - Result of validateInvitation
+ * @returns {string} Corrective instructions
+ */
+const correctionPrompt = (validation) => [
+  '這封邀請函有以下問題，請修正後重新提供完整的邀請函內容（只輸出邀請函本身）：',
+  ...validation.results.filter(result => !result.passed).map(result => `- ${result.message}`)
+].join('\n');
+
+module.exports = {
+  countChineseCharacters,
+  validateInvitation,
+  correctionPrompt
+};
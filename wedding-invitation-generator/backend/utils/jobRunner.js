@@ -0,0 +1,309 @@
+/**
+ * Background Job Runner
+ *
+ * Runs stored jobs (see the Job and JobItem models) outside the request
+ * that started them. Each job type registers a handler that processes one
+ * item; the items of a job are processed a few at a time (JOB_CONCURRENCY,
+ * default 3) so the AI providers are not flooded. Every finished item is
+ * stored right away and published to the job's subscribers, e.g. the
+ * progress stream of GET /api/jobs/:id/events.
+ *
+ * Jobs that were queued or running when the server stopped are resumed by
+ * resumeJobs() at startup; items that were in progress are processed again.
+ */
+const { EventEmitter } = require('events');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Number of items of a job processed at the same time
+ */
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 3);
+
+/**
+ * Statuses of jobs that have not finished yet
+ */
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+/**
+ * Event sent to every subscriber when the runner stops
+ */
+const STOP_EVENT = 'runner:stop';
+
+/**
+ * Item fields returned in job details and progress events
+ */
+const jobItemSelect = {
+  id: true,
+  guestId: true,
+  position: true,
+  status: true,
+  attempts: true,
+  result: true,
+  error: true,
+  startedAt: true,
+  finishedAt: true,
+  guest: { select: { id: true, name: true } }
+};
+
+const handlers = new Map();
+const runningJobs = new Set();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+let stopping = false;
+
+/**
+ * Registers the handler that processes the items of a job type
+ *
+ * The handler gets the item ({ id, guestId }), the job and the job's
+ * options, and returns { status, result, error }: status "succeeded"
+ * (the default) or "skipped", result any JSON-serializable details.
+ * A thrown error marks the item as failed; the job carries on.
+ *
+ * @param {string} type - Job type, e.g. "invitation:generate"
+ * @param {Function} handler - Async function (item, job, options) => outcome
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Subscribes to the progress of a job
+ *
+ * The listener receives { type: "item", item, progress } whenever an item
+ * starts or finishes, { type: "job", job, progress } when the job changes
+ * status, and { type: "stop" } when the server shuts down.
+ *
+ * @param {string} jobId - ID of the job
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribes the listener
+ */
+const subscribeToJob = (jobId, listener) => {
+  const onStop = () => listener({ type: 'stop' });
+  events.on(jobId, listener);
+  events.on(STOP_EVENT, onStop);
+  return () => {
+    events.off(jobId, listener);
+    events.off(STOP_EVENT, onStop);
+  };
+};
+
+/**
+ * Converts a stored item for API responses
+ *
+ * @param {Object} item - Item selected with jobItemSelect
+ * @returns {Object} The item with its result parsed
+ */
+const toJobItemResponse = (item) => ({ ...item, result: item.result ? JSON.parse(item.result) : null });
+
+/**
+ * Converts a stored job for API responses
+ *
+ * @param {Object} job - Job record
+ * @returns {Object} The job with its options parsed
+ */
+const toJobResponse = ({ items, ...job }) => ({ ...job, options: job.options ? JSON.parse(job.options) : {} });
+
+/**
+ * Counts the items of a job by status
+ *
+ * @param {Array<Object>} items - Items with their status
+ * @returns {Object} { total, done, pending, running, succeeded, failed, skipped }
+ */
+const summarizeJobItems = (items) => {
+  const progress = { total: items.length, done: 0, pending: 0, running: 0, succeeded: 0, failed: 0, skipped: 0 };
+  items.forEach(({ status }) => {
+    progress[status] += 1;
+  });
+  progress.done = progress.succeeded + progress.failed + progress.skipped;
+  return progress;
+};
+
+/**
+ * Loads the progress of a job
+ *
+ * @param {string} jobId - ID of the job
+ * @returns {Promise<Object>} Progress as returned by summarizeJobItems
+ */
+const getJobProgress = async (jobId) => summarizeJobItems(
+  await prisma.jobItem.findMany({ where: { jobId }, select: { status: true } })
+);
+
+/**
+ * Publishes a change of a job to its subscribers
+ *
+ * @param {string} jobId - ID of the job
+ * @param {Object} event - { type, item } or { type, job }
+ */
+const publish = async (jobId, event) => {
+  if (events.listenerCount(jobId) === 0) {
+    return;
+  }
+  events.emit(jobId, { ...event, progress: await getJobProgress(jobId) });
+};
+
+/**
+ * Processes one item of a job and stores the outcome
+ *
+ * @param {Object} job - The running job
+ * @param {Object} options - The job's options
+ * @param {Function} handler - Handler of the job type
+ * @param {Object} item - { id, guestId }
+ */
+const runItem = async (job, options, handler, item) => {
+  const started = await prisma.jobItem.update({
+    where: { id: item.id },
+    data: { status: 'running', attempts: { increment: 1 }, startedAt: new Date(), finishedAt: null, error: null },
+    select: jobItemSelect
+  });
+  await publish(job.id, { type: 'item', item: toJobItemResponse(started) });
+
+  let outcome;
+  try {
+    const { status = 'succeeded', result, error } = await handler(item, job, options) || {};
+    outcome = { status, result: result ? JSON.stringify(result) : null, error: error || null };
+  } catch (error) {
+    logger.warn('Job item failed', { jobId: job.id, itemId: item.id, guestId: item.guestId, error: error.message });
+    outcome = { status: 'failed', result: null, error: error.message };
+  }
+
+  // The item is gone if its guest was deleted meanwhile
+  const finished = await prisma.jobItem.update({
+    where: { id: item.id },
+    data: { ...outcome, finishedAt: new Date() },
+    select: jobItemSelect
+  }).catch(error => {
+    if (error.code === 'P2025') {
+      return null;
+    }
+    throw error;
+  });
+
+  if (finished) {
+    await publish(job.id, { type: 'item', item: toJobItemResponse(finished) });
+  }
+};
+
+/**
+ * Runs a job until every item has been processed
+ *
+ * Does nothing if the job is already running in this process. The returned
+ * promise never rejects: a job that cannot continue is marked "failed".
+ *
+ * @param {string} jobId - ID of the job
+ * @returns {Promise<void>} Resolves when the job has finished or the runner stopped
+ */
+const runJob = async (jobId) => {
+  if (runningJobs.has(jobId) || stopping) {
+    return;
+  }
+  runningJobs.add(jobId);
+
+  try {
+    const job = await prisma.job.update({
+      where: { id: jobId },
+      data: { status: 'running', startedAt: new Date(), finishedAt: null, error: null }
+    });
+    const handler = handlers.get(job.type);
+
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    // Items left running by an interrupted run are processed again
+    await prisma.jobItem.updateMany({ where: { jobId, status: 'running' }, data: { status: 'pending' } });
+
+    const pending = await prisma.jobItem.findMany({
+      where: { jobId, status: 'pending' },
+      select: { id: true, guestId: true },
+      orderBy: { position: 'asc' }
+    });
+    const options = job.options ? JSON.parse(job.options) : {};
+
+    logger.info('Job started', { jobId, type: job.type, pending: pending.length, concurrency: JOB_CONCURRENCY });
+    await publish(jobId, { type: 'job', job: toJobResponse(job) });
+
+    let next = 0;
+    const worker = async () => {
+      while (!stopping && next < pending.length) {
+        await runItem(job, options, handler, pending[next++]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(JOB_CONCURRENCY, pending.length) }, worker));
+
+    // Left "running" so the job is resumed when the server starts again
+    if (stopping) {
+      logger.info('Job interrupted by shutdown', { jobId });
+      return;
+    }
+
+    const completed = await prisma.job.update({
+      where: { id: jobId },
+      data: { status: 'completed', finishedAt: new Date() }
+    });
+    const progress = await getJobProgress(jobId);
+
+    logger.info('Job completed', { jobId, type: job.type, ...progress });
+    events.emit(jobId, { type: 'job', job: toJobResponse(completed), progress });
+  } catch (error) {
+    logger.error('Job failed', { jobId, error: error.message, stack: error.stack });
+
+    try {
+      const failed = await prisma.job.update({
+        where: { id: jobId },
+        data: { status: 'failed', error: error.message, finishedAt: new Date() }
+      });
+      events.emit(jobId, { type: 'job', job: toJobResponse(failed), progress: await getJobProgress(jobId) });
+    } catch (updateError) {
+      logger.error('Failed to mark job as failed', { jobId, error: updateError.message });
+    }
+  } finally {
+    runningJobs.delete(jobId);
+  }
+};
+
+/**
+ * Resumes the jobs that were queued or running when the server stopped
+ *
+ * @returns {Promise<number>} Number of jobs resumed
+ */
+const resumeJobs = async () => {
+  const jobs = await prisma.job.findMany({
+    where: { status: { in: ACTIVE_JOB_STATUSES } },
+    select: { id: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  if (jobs.length > 0) {
+    logger.info('Resuming unfinished jobs', { count: jobs.length, jobIds: jobs.map(job => job.id) });
+  }
+  jobs.forEach(job => runJob(job.id));
+
+  return jobs.length;
+};
+
+/**
+ * Stops starting new items, e.g. during shutdown
+ *
+ * Items already in progress are not waited for; they are processed again
+ * when the job is resumed. Subscribers get a "stop" event.
+ */
+const stopJobs = () => {
+  stopping = true;
+  events.emit(STOP_EVENT);
+};
+
+module.exports = {
+  ACTIVE_JOB_STATUSES,
+  jobItemSelect,
+  registerJobHandler,
+  subscribeToJob,
+  toJobItemResponse,
+  toJobResponse,
+  summarizeJobItems,
+  runJob,
+  resumeJobs,
+  stopJobs
+};
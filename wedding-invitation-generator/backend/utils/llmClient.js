@@ -0,0 +1,278 @@
+/**
+ * LLM Client
+ *
+ * Sends chat completions through the provider chain configured in
+ * config/llm.js. Each provider is retried with exponential backoff on
+ * transient failures (timeouts, rate limits, server errors); when it keeps
+ * failing, or fails for good (e.g. a rejected API key), the next provider
+ * is tried. Callers fall back to the offline templates when every
+ * provider has failed.
+ *
+ * Answers can also be streamed as they are written (streamChat), e.g. to
+ * show the invitation taking shape while the user waits.
+ */
+const { APIUserAbortError } = require('openai');
+const logger = require('../config/logger');
+const { llmProviders } = require('../config/llm');
+
+/**
+ * Whether any AI provider is configured
+ *
+ * @returns {boolean} True if at least one provider is in the chain
+ */
+const hasAiProvider = () => llmProviders.length > 0;
+
+/**
+ * Whether a failed request may succeed when repeated
+ *
+ * @param {Error} error - Error thrown by the OpenAI client
+ * @returns {boolean} True for timeouts, connection errors, rate limits and server errors;
+ *                    false for requests the caller aborted
+ */
+const isTransientError = (error) => !(error instanceof APIUserAbortError) &&
+  (!error.status || error.status === 408 || error.status === 429 || error.status >= 500);
+
+/**
+ * Estimates the tokens of a text whose usage the provider did not report
+ * About one token per Chinese character and per four other characters
+ *
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated number of tokens
+ */
+const estimateTokens = (text) => {
+  const chinese = (text.match(/[\u3000-\u303f\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/g) || []).length;
+  return chinese + Math.ceil((text.length - chinese) / 4);
+};
+
+/**
+ * Execute with Retry
+ *
+ * Runs an async function, retrying transient failures with exponential
+ * backoff and jitter.
+ *
+ * @param {Function} fn - Async function to execute
+ * @param {number} maxRetries - Maximum number of retries after the first attempt
+ * @param {number} baseDelayMs - Delay before the first retry
+ * @returns {Promise<*>} Result of the function
+ * @throws {Error} The last error, once retries are exhausted or the error is not transient
+ */
+async function executeWithRetry(fn, maxRetries = 3, baseDelayMs = 1000) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      lastError = error;
+
+      // Don't delay if this was the last attempt or repeating cannot help
+      if (attempt === maxRetries || !isTransientError(error)) {
+        break;
+      }
+
+      // Calculate exponential backoff delay with jitter
+      const delay = baseDelayMs * Math.pow(2, attempt) + Math.random() * 1000;
+
+      logger.warn(`Retry attempt ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`, {
+        errorMessage: error.message,
+        errorCode: error.code,
+        statusCode: error.status,
+        attempt: attempt + 1,
+        maxRetries,
+        delayMs: Math.round(delay)
+      });
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Complete Chat
+ *
+ * Sends the messages to the first provider of the chain that answers.
+ *
+ * @param {Object} request - The completion request
+ * @param {Array<Object>} request.messages - Chat messages ({ role, content })
+ * @param {number} request.maxTokens - Maximum tokens of the answer
+ * @param {string} [request.operationId] - Trace ID for the logs
+ * @param {number} [request.temperature] - Sampling temperature instead of the provider's own
+ * @param {AbortSignal} [request.signal] - Aborts the request
+ * @returns {Promise<Object>} { content, provider, model, usage }
+ * @throws {Error} If no provider is configured, every provider failed or the request was aborted;
+ *                 the error lists the failed attempts in `attempts`
+ */
+const completeChat = async ({ messages, maxTokens, operationId, temperature, signal }) => {
+  if (!hasAiProvider()) {
+    throw new Error('AI service not configured');
+  }
+
+  const attempts = [];
+
+  for (const provider of llmProviders) {
+    const startTime = Date.now();
+    try {
+      const response = await executeWithRetry(() => provider.client.chat.completions.create({
+        model: provider.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature: temperature ?? provider.temperature,
+        user: operationId
+      }, { signal }), provider.maxRetries);
+
+      // Validate API response format
+      if (!response || !response.choices || !response.choices[0] || !response.choices[0].message) {
+        throw new Error('API response structure invalid');
+      }
+
+      logger.debug(`AI response received [${operationId}]`, {
+        operationId,
+        provider: provider.name,
+        model: response.model || provider.model,
+        durationMs: Date.now() - startTime,
+        responseId: response.id,
+        tokenUsage: response.usage
+      });
+
+      return {
+        content: (response.choices[0].message.content || '').trim(),
+        provider: provider.name,
+        model: response.model || provider.model,
+        usage: response.usage
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      attempts.push({ provider: provider.name, error: error.message, statusCode: error.status });
+      logger.warn(`AI provider failed, trying the next one [${operationId}]`, {
+        operationId,
+        provider: provider.name,
+        model: provider.model,
+        errorMessage: error.message,
+        statusCode: error.status,
+        durationMs: Date.now() - startTime
+      });
+    }
+  }
+
+  const error = new Error(`All AI providers failed: ${attempts.map(attempt => `${attempt.provider} (${attempt.error})`).join(', ')}`);
+  error.attempts = attempts;
+  throw error;
+};
+
+/**
+ * Stream Chat
+ *
+ * Like completeChat, but passes the answer on piece by piece as the
+ * provider writes it. A provider that fails before writing anything hands
+ * over to the next one; once text has been passed on, a failure ends the
+ * stream, since that text cannot be taken back.
+ *
+ * A stream that ends early (aborted or failed midway) has still been paid
+ * for: its error carries `completion`, the partial answer with its usage.
+ * Providers report usage only at the end of a stream, so the usage of a
+ * partial answer is estimated from the text.
+ *
+ * @param {Object} request - The completion request
+ * @param {Array<Object>} request.messages - Chat messages ({ role, content })
+ * @param {number} request.maxTokens - Maximum tokens of the answer
+ * @param {string} [request.operationId] - Trace ID for the logs
+ * @param {number} [request.temperature] - Sampling temperature instead of the provider's own
+ * @param {Function} request.onDelta - Called with each piece of text
+ * @param {AbortSignal} [request.signal] - Aborts the request, e.g. when the client disconnects
+ * @returns {Promise<Object>} { content, provider, model, usage } once the answer is complete
+ * @throws {Error} If no provider is configured, every provider failed, a
+ *                 provider failed midway or the request was aborted; once the
+ *                 provider has started answering, the error carries `completion`
+ */
+const streamChat = async ({ messages, maxTokens, operationId, temperature, onDelta, signal }) => {
+  if (!hasAiProvider()) {
+    throw new Error('AI service not configured');
+  }
+
+  const attempts = [];
+
+  for (const provider of llmProviders) {
+    const startTime = Date.now();
+    let content = '';
+    let model = provider.model;
+    let usage;
+    let started = false;
+    try {
+      const stream = await executeWithRetry(() => provider.client.chat.completions.create({
+        model: provider.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature: temperature ?? provider.temperature,
+        user: operationId,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal }), provider.maxRetries);
+      started = true;
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        model = chunk.model || model;
+        usage = chunk.usage || usage;
+      }
+
+      // The SDK ends an aborted stream quietly; the partial text must not pass as an answer
+      if (signal?.aborted) {
+        throw new APIUserAbortError();
+      }
+
+      logger.debug(`AI stream completed [${operationId}]`, {
+        operationId,
+        provider: provider.name,
+        model,
+        durationMs: Date.now() - startTime,
+        contentLength: content.length,
+        tokenUsage: usage
+      });
+
+      return { content: content.trim(), provider: provider.name, model, usage };
+    } catch (error) {
+      if (started) {
+        error.completion = {
+          content: content.trim(),
+          provider: provider.name,
+          model,
+          usage: usage || {
+            prompt_tokens: messages.reduce((total, message) => total + estimateTokens(message.content), 0),
+            completion_tokens: estimateTokens(content)
+          }
+        };
+      }
+      if (signal?.aborted || content) {
+        throw error;
+      }
+      attempts.push({ provider: provider.name, error: error.message, statusCode: error.status });
+      logger.warn(`AI provider failed to stream, trying the next one [${operationId}]`, {
+        operationId,
+        provider: provider.name,
+        model: provider.model,
+        errorMessage: error.message,
+        statusCode: error.status,
+        durationMs: Date.now() - startTime
+      });
+    }
+  }
+
+  const error = new Error(`All AI providers failed: ${attempts.map(attempt => `${attempt.provider} (${attempt.error})`).join(', ')}`);
+  error.attempts = attempts;
+  throw error;
+};
+
+module.exports = {
+  hasAiProvider,
+  executeWithRetry,
+  completeChat,
+  streamChat
+};
@@ -0,0 +1,143 @@
+/**
+ * Seating Chart Export
+ *
+ * Writes a wedding's seating chart for printing or for the venue:
+ * - HTML: a printable page with one block per table, followed by an
+ *   alphabetical list of guests and their table for the reception desk
+ * - CSV and XLSX: one row per seated guest, in table order
+ */
+const ExcelJS = require('exceljs');
+const { escapeFormula, toCsvField } = require('./guestSpreadsheet');
+
+/**
+ * Seating chart formats with their content types
+ */
+const SEATING_FORMATS = {
+  html: 'text/html; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Labels of the guest sides
+ */
+const SIDE_LABELS = { groom: '男方', bride: '女方' };
+
+/**
+ * Columns of the CSV and XLSX seating lists
+ */
+const SEATING_COLUMNS = [
+  { key: 'table', header: '桌次', value: (table) => table.label },
+  { key: 'name', header: '姓名', value: (table, guest) => guest.name },
+  { key: 'companions', header: '同行者', value: (table, guest) => guest.companions.map((companion) => companion.name).join('、') },
+  { key: 'seats', header: '人數', value: (table, guest) => guest.seats },
+  { key: 'side', header: '所屬方', value: (table, guest) => SIDE_LABELS[guest.side] || '' },
+  { key: 'meal', header: '餐點', value: (table, guest) => guest.mealOption?.name || '' },
+  { key: 'allergies', header: '過敏', value: (table, guest) => (guest.allergies || []).join('、') }
+];
+
+/**
+ * Escapes text for HTML
+ *
+ * @param {*} value - Text to escape
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Renders the printable HTML seating chart
+ *
+ * @param {Object} couple - The wedding (groomName, brideName, weddingDate)
+ * @param {Array<Object>} tables - Tables with their guests
+ * @returns {string} HTML document
+ */
+const renderSeatingHtml = (couple, tables) => {
+  const tableBlocks = tables.map((table) => `
+  <section class="table">
+    <h2>${escapeHtml(table.label)} <small>${table.seatsTaken} / ${table.capacity} 人</small></h2>
+    <ol>
+${table.guests.map((guest) => `      <li>${escapeHtml(guest.name)}${guest.companions.length > 0
+    ? `（同行：${escapeHtml(guest.companions.map((companion) => companion.name).join('、'))}）`
+    : ''}${guest.seats > 1 + guest.companions.length ? ` <small>共 ${guest.seats} 人</small>` : ''}</li>`).join('\n')}
+    </ol>
+  </section>`).join('\n');
+
+  const index = tables
+    .flatMap((table) => table.guests.map((guest) => ({ name: guest.name, label: table.label })))
+    .sort((a, b) => a.name.localeCompare(b.name, 'zh-Hant'));
+
+  return `<!DOCTYPE html>
+<html lang="zh-Hant">
+<head>
+  <meta charset="utf-8">
+  <title>座位表 - ${escapeHtml(couple.groomName)} &amp; ${escapeHtml(couple.brideName)}</title>
+  <style>
+    body { font-family: 'Noto Sans TC', sans-serif; margin: 2em; color: #333; }
+    h1 { text-align: center; color: #d4a5a5; }
+    .tables { display: flex; flex-wrap: wrap; gap: 1em; }
+    .table { border: 1px solid #ccc; border-radius: 8px; padding: 0.5em 1em; width: 14em; break-inside: avoid; }
+    .table h2 { font-size: 1.1em; margin: 0.3em 0; }
+    small { color: #888; font-weight: normal; }
+    .index { margin-top: 2em; break-before: page; column-count: 3; }
+    .index div { break-inside: avoid; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(couple.groomName)} &amp; ${escapeHtml(couple.brideName)} 婚宴座位表</h1>
+  <p style="text-align: center">${couple.weddingDate.toISOString().split('T')[0]}</p>
+  <div class="tables">
+${tableBlocks}
+  </div>
+  <h1>賓客桌次查詢</h1>
+  <div class="index">
+${index.map((entry) => `    <div>${escapeHtml(entry.name)} …… ${escapeHtml(entry.label)}</div>`).join('\n')}
+  </div>
+</body>
+</html>
+`;
+};
+
+/**
+ * Writes a seating chart in an export format
+ *
+ * @param {Object} couple - The wedding (groomName, brideName, weddingDate)
+ * @param {Array<Object>} tables - Tables in chart order ({ label, capacity, seatsTaken, guests }),
+ *                                 guests with seats, companions, side, mealOption and parsed allergies
+ * @param {string} format - "html", "csv" or "xlsx"
+ * @returns {Promise<Object>} { contentType, body } where body is a Buffer
+ */
+const writeSeatingChart = async (couple, tables, format) => {
+  const rows = tables.flatMap((table) => table.guests.map((guest) =>
+    SEATING_COLUMNS.map((column) => {
+      const value = column.value(table, guest);
+      return typeof value === 'number' ? value : escapeFormula(value);
+    })));
+  let body;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('座位表');
+    worksheet.columns = SEATING_COLUMNS.map((column) => ({ header: column.header, key: column.key, width: 16 }));
+    rows.forEach((row) => worksheet.addRow(row));
+    worksheet.getRow(1).font = { bold: true };
+    body = Buffer.from(await workbook.xlsx.writeBuffer());
+  } else if (format === 'csv') {
+    // The BOM makes Excel read the file as UTF-8 instead of the system code page
+    const lines = [SEATING_COLUMNS.map((column) => column.header), ...rows]
+      .map((row) => row.map(toCsvField).join(','));
+    body = Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`);
+  } else {
+    body = Buffer.from(renderSeatingHtml(couple, tables));
+  }
+
+  return { contentType: SEATING_FORMATS[format], body };
+};
+
+module.exports = {
+  SEATING_FORMATS,
+  writeSeatingChart
+};
@@ -0,0 +1,185 @@
+/**
+ * Seating Planner
+ *
+ * Works out how many seats a guest takes and places guests at tables.
+ * A guest who replied "attending" takes one seat per person in the reported
+ * party; a guest who has not replied (or replied "maybe") keeps a seat for
+ * every plus-one they may bring; a guest who declined takes no seat.
+ *
+ * Automatic seating places whole households at one table and fills tables
+ * group by group, so guests sharing a tag (or, without tags, the same side
+ * and relationship) end up together. Two guests with a keep-apart
+ * constraint are never placed at the same table; guests who cannot be
+ * placed are reported with the reason instead.
+ */
+
+/**
+ * Seats a guest takes at a table
+ *
+ * @param {Object} guest - Guest with rsvp, plusOnesAllowed and companions
+ * @returns {number} Number of seats (0 for guests who declined)
+ */
+const seatsFor = (guest) => {
+  const response = guest.rsvp?.response;
+  if (response === 'declined') {
+    return 0;
+  }
+  if (response === 'attending') {
+    return Math.max(guest.rsvp.partySize, 1);
+  }
+  return 1 + Math.max(guest.plusOnesAllowed || 0, (guest.companions || []).length);
+};
+
+/**
+ * Group a guest is seated with
+ * The first tag applied to the guest, otherwise side and relationship
+ *
+ * @param {Object} guest - Guest with side, relationship and tags ([{ tagId }] or [{ id }])
+ * @returns {string} Group key
+ */
+const seatingGroupOf = (guest) => {
+  const [firstTag] = guest.tags || [];
+  if (firstTag) {
+    return `tag:${firstTag.tagId || firstTag.id}`;
+  }
+  return `relationship:${guest.side || ''}:${guest.relationship}`;
+};
+
+/**
+ * Builds a lookup of the guests each guest must be kept apart from
+ *
+ * @param {Array<Object>} constraints - Keep-apart pairs ({ guestId, otherGuestId })
+ * @returns {Map<string, Set<string>>} Guest ID to IDs of guests to keep apart from
+ */
+const keepApartLookup = (constraints) => {
+  const apart = new Map();
+  const add = (guestId, otherGuestId) => {
+    if (!apart.has(guestId)) {
+      apart.set(guestId, new Set());
+    }
+    apart.get(guestId).add(otherGuestId);
+  };
+  constraints.forEach(({ guestId, otherGuestId }) => {
+    add(guestId, otherGuestId);
+    add(otherGuestId, guestId);
+  });
+  return apart;
+};
+
+/**
+ * Finds guests at a table that a guest must be kept apart from
+ *
+ * @param {string[]} guestIds - Guests to be seated together
+ * @param {Set<string>|string[]} seatedIds - Guests already at the table
+ * @param {Map<string, Set<string>>} apart - Result of keepApartLookup
+ * @returns {Array<Array<string>>} Conflicting [guestId, seatedGuestId] pairs
+ */
+const findKeepApartConflicts = (guestIds, seatedIds, apart) => {
+  const seated = new Set(seatedIds);
+  return guestIds.flatMap((guestId) =>
+    [...(apart.get(guestId) || [])].filter((otherId) => seated.has(otherId)).map((otherId) => [guestId, otherId]));
+};
+
+/**
+ * Places guests at tables
+ *
+ * @param {Object} plan - What to seat
+ * @param {Array<Object>} plan.tables - Tables ({ id, capacity, guests }) in order of preference;
+ *                                      guests already seated stay where they are
+ * @param {Array<Object>} plan.guests - Guests to seat, with seatsFor and seatingGroupOf inputs and householdId
+ * @param {Array<Object>} plan.constraints - Keep-apart pairs ({ guestId, otherGuestId })
+ * @returns {Object} { assignments: [{ guestId, tableId }], unseated: [{ guestId, reason }] }
+ */
+const planSeating = ({ tables, guests, constraints }) => {
+  const apart = keepApartLookup(constraints);
+  const largestTable = Math.max(0, ...tables.map((table) => table.capacity));
+
+  const state = tables.map((table) => {
+    const groups = new Map();
+    table.guests.forEach((guest) => {
+      const group = seatingGroupOf(guest);
+      groups.set(group, (groups.get(group) || 0) + 1);
+    });
+    return {
+      id: table.id,
+      capacity: table.capacity,
+      free: table.capacity - table.guests.reduce((total, guest) => total + seatsFor(guest), 0),
+      guestIds: new Set(table.guests.map((guest) => guest.id)),
+      groups
+    };
+  });
+
+  // Households are seated as one unit in the group of their first member
+  const units = new Map();
+  guests.forEach((guest) => {
+    const key = guest.householdId || guest.id;
+    if (!units.has(key)) {
+      units.set(key, { guests: [], seats: 0, group: seatingGroupOf(guest) });
+    }
+    const unit = units.get(key);
+    unit.guests.push(guest);
+    unit.seats += seatsFor(guest);
+  });
+
+  // Largest groups first, and the largest units of a group first, so big
+  // parties are placed while there are still empty tables
+  const groups = new Map();
+  units.forEach((unit) => {
+    if (!groups.has(unit.group)) {
+      groups.set(unit.group, { seats: 0, units: [] });
+    }
+    const group = groups.get(unit.group);
+    group.seats += unit.seats;
+    group.units.push(unit);
+  });
+  const orderedUnits = [...groups.values()]
+    .sort((a, b) => b.seats - a.seats)
+    .flatMap((group) => group.units.sort((a, b) => b.seats - a.seats));
+
+  const assignments = [];
+  const unseated = [];
+
+  orderedUnits.forEach((unit) => {
+    const guestIds = unit.guests.map((guest) => guest.id);
+    const withRoom = state.filter((table) => table.free >= unit.seats);
+    const candidates = withRoom.filter((table) => findKeepApartConflicts(guestIds, table.guestIds, apart).length === 0);
+
+    if (candidates.length === 0) {
+      let reason = '座位不足';
+      if (unit.seats > largestTable) {
+        reason = unit.guests.length > 1 ? '家庭人數超過單桌座位數' : '同行人數超過單桌座位數';
+      } else if (withRoom.length > 0) {
+        reason = '有空位的桌次都有需要分開安排的賓客';
+      }
+      guestIds.forEach((guestId) => unseated.push({ guestId, reason }));
+      return;
+    }
+
+    // Join the table holding most of the group; otherwise start the group at
+    // an empty table; otherwise share the table with the most free seats
+    const byGroup = candidates
+      .filter((table) => table.groups.has(unit.group))
+      .sort((a, b) => b.groups.get(unit.group) - a.groups.get(unit.group) || a.free - b.free);
+    const empty = candidates
+      .filter((table) => table.guestIds.size === 0)
+      .sort((a, b) => b.free - a.free);
+    const table = byGroup[0] || empty[0] || [...candidates].sort((a, b) => b.free - a.free)[0];
+
+    table.free -= unit.seats;
+    table.groups.set(unit.group, (table.groups.get(unit.group) || 0) + unit.guests.length);
+    guestIds.forEach((guestId) => {
+      table.guestIds.add(guestId);
+      assignments.push({ guestId, tableId: table.id });
+    });
+  });
+
+  return { assignments, unseated };
+};
+
+module.exports = {
+  seatsFor,
+  seatingGroupOf,
+  keepApartLookup,
+  findKeepApartConflicts,
+  planSeating
+};
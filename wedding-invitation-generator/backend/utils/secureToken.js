@@ -0,0 +1,30 @@
+/**
+ * Secure Token Helpers
+ * 
+ * Generates random bearer tokens (refresh tokens, invitation links) and
+ * hashes them for storage. Only the hash is kept in the database, so a
+ * leaked database does not expose usable tokens.
+ */
+const crypto = require('crypto');
+
+/**
+ * Generates a random URL-safe token
+ * 
+ * @param {number} [bytes=48] - Number of random bytes
+ * @returns {string} Base64url encoded token
+ */
+const generateToken = (bytes = 48) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Hashes a token for storage and lookup
+ * Tokens are random, so a fast unsalted hash is sufficient
+ * 
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken
+};
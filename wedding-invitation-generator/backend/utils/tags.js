@@ -0,0 +1,82 @@
+/**
+ * Guest Tag Helpers
+ *
+ * Tags group a wedding's guests beyond their relationship, e.g. "大學同學"
+ * or "公司同事". A tag may belong to the groom's or the bride's side; such a
+ * tag can only be applied to guests of that side, and guests without a side
+ * take the side of the tag they are labeled with.
+ *
+ * Guests are loaded with their GuestTag links; API responses replace the
+ * links with a plain list of tags.
+ */
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Tag fields returned with guests
+ */
+const tagSelect = { id: true, name: true, side: true, color: true };
+
+/**
+ * Include for a guest's tags, in the order they were applied
+ */
+const guestTagsInclude = {
+  include: { tag: { select: tagSelect } },
+  orderBy: { createdAt: 'asc' }
+};
+
+/**
+ * Replaces a guest's GuestTag links with the tags themselves
+ *
+ * @param {Object} guest - Guest record (tags optional)
+ * @returns {Object} Copy of the guest with tags as [{ id, name, side, color }]
+ */
+const withFlatTags = (guest) => (guest.tags
+  ? { ...guest, tags: guest.tags.map((link) => link.tag) }
+  : guest);
+
+/**
+ * Loads tags of a wedding by ID
+ *
+ * @param {string[]} tagIds - Requested tags
+ * @param {string} coupleInfoId - ID of the wedding
+ * @returns {Promise<Array<Object>|null>} The tags, or null if any of them is not a tag of the wedding
+ */
+const findWeddingTags = async (tagIds, coupleInfoId) => {
+  const ids = [...new Set(tagIds)];
+  if (ids.length === 0) {
+    return [];
+  }
+  const tags = await prisma.tag.findMany({
+    where: { id: { in: ids }, coupleInfoId }
+  });
+  return tags.length === ids.length ? tags : null;
+};
+
+/**
+ * Works out a guest's side after applying tags
+ *
+ * @param {string|null} guestSide - Side of the guest
+ * @param {Array<Object>} tags - Tags applied to the guest
+ * @returns {Object} { side, conflict } where side is the guest's resulting side and
+ *                   conflict is true if the tags belong to another (or to both) sides
+ */
+const resolveTaggedSide = (guestSide, tags) => {
+  const tagSides = [...new Set(tags.map((tag) => tag.side).filter(Boolean))];
+  if (tagSides.length === 0) {
+    return { side: guestSide, conflict: false };
+  }
+  if (tagSides.length > 1 || (guestSide && guestSide !== tagSides[0])) {
+    return { side: guestSide, conflict: true };
+  }
+  return { side: tagSides[0], conflict: false };
+};
+
+module.exports = {
+  tagSelect,
+  guestTagsInclude,
+  withFlatTags,
+  findWeddingTags,
+  resolveTaggedSide
+};
@@ -0,0 +1,177 @@
+/**
+ * Template Renderer
+ *
+ * Renders the small template language used by prompt templates and the
+ * offline invitation templates:
+ * - {{guest.name}} inserts a variable (lists are joined with "、")
+ * - {{#if guest.memories}}...{{else}}...{{/if}} keeps the first part when the
+ *   variable has a value and the optional else part otherwise; blocks may be nested
+ *
+ * Empty strings, null, 0, false and empty lists count as having no value.
+ */
+
+const TOKEN_PATTERN = /\{\{\s*(#if\s+[\w.]+|else|\/if|[\w.]+)\s*\}\}/g;
+
+/**
+ * Parses a template into a tree of text, variable and if nodes
+ *
+ * @param {string} template - Template text
+ * @returns {Object} { nodes, errors } where errors lists syntax problems
+ */
+const parseTemplate = (template) => {
+  const nodes = [];
+  // Open {{#if}} blocks, innermost last, with the list new nodes are added to
+  const open = [];
+  const errors = [];
+  let current = nodes;
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+    const token = match[1];
+
+    if (token.startsWith('#if')) {
+      const node = { type: 'if', name: token.slice(3).trim(), then: [], otherwise: [] };
+      current.push(node);
+      open.push({ node, parent: current });
+      current = node.then;
+    } else if (token === 'else') {
+      const block = open[open.length - 1];
+      if (!block || current === block.node.otherwise) {
+        errors.push('{{else}} 必須位於 {{#if}} 區塊內且只能出現一次');
+      } else {
+        current = block.node.otherwise;
+      }
+    } else if (token === '/if') {
+      const block = open.pop();
+      if (!block) {
+        errors.push('多餘的 {{/if}}');
+      } else {
+        current = block.parent;
+      }
+    } else {
+      current.push({ type: 'variable', name: token });
+    }
+  }
+
+  if (lastIndex < template.length) {
+    current.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+  if (open.length > 0) {
+    errors.push(`有 ${open.length} 個 {{#if}} 區塊缺少 {{/if}}`);
+  }
+
+  return { nodes, errors };
+};
+
+/**
+ * Looks up a dotted variable name
+ *
+ * @param {Object} variables - Template variables
+ * @param {string} name - Variable name, e.g. "guest.name"
+ * @returns {*} The value, or undefined if it does not exist
+ */
+const lookup = (variables, name) =>
+  name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+
+/**
+ * Whether a variable counts as having a value
+ *
+ * @param {*} value - Variable value
+ * @returns {boolean} True unless empty
+ */
+const hasValue = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+
+/**
+ * Whether a variable has a value, as {{#if}} tests it
+ *
+ * @param {Object} variables - Template variables
+ * @param {string} name - Variable name, e.g. "guest.memories"
+ * @returns {boolean} True unless the variable is missing or empty
+ */
+const hasVariable = (variables, name) => hasValue(lookup(variables, name));
+
+/**
+ * Renders parsed nodes
+ *
+ * @param {Array<Object>} nodes - Result of parseTemplate
+ * @param {Object} variables - Template variables
+ * @returns {string} Rendered text
+ */
+const renderNodes = (nodes, variables) => nodes.map((node) => {
+  if (node.type === 'text') {
+    return node.value;
+  }
+  if (node.type === 'if') {
+    return renderNodes(hasVariable(variables, node.name) ? node.then : node.otherwise, variables);
+  }
+  const value = lookup(variables, node.name);
+  return Array.isArray(value) ? value.join('、') : String(value ?? '');
+}).join('');
+
+/**
+ * Renders a template
+ *
+ * @param {string} template - Template text
+ * @param {Object} variables - Template variables
+ * @returns {string} Rendered text
+ * @throws {Error} If the template has a syntax error
+ */
+const renderTemplate = (template, variables) => {
+  const { nodes, errors } = parseTemplate(template);
+  if (errors.length > 0) {
+    throw new Error(`Invalid template: ${errors.join('; ')}`);
+  }
+  return renderNodes(nodes, variables);
+};
+
+/**
+ * Lists the variables a template uses
+ *
+ * @param {Array<Object>} nodes - Result of parseTemplate
+ * @returns {string[]} Variable names, including those tested by {{#if}}
+ */
+const collectVariables = (nodes) => nodes.flatMap((node) => {
+  if (node.type === 'variable') {
+    return [node.name];
+  }
+  if (node.type === 'if') {
+    return [node.name, ...collectVariables(node.then), ...collectVariables(node.otherwise)];
+  }
+  return [];
+});
+
+/**
+ * Checks a template before it is stored
+ *
+ * @param {string} template - Template text
+ * @param {string[]} allowedVariables - Variables the template may use
+ * @returns {string[]} Problems found (empty if the template is valid)
+ */
+const checkTemplate = (template, allowedVariables) => {
+  const { nodes, errors } = parseTemplate(template);
+  const allowed = new Set(allowedVariables);
+  const unknown = [...new Set(collectVariables(nodes))].filter((name) => !allowed.has(name));
+  if (unknown.length > 0) {
+    errors.push(`未知的變數: ${unknown.join(', ')}`);
+  }
+  return errors;
+};
+
+/**
+ * Lists the variables of a template text, e.g. the merge fields of an invitation
+ *
+ * @param {string} template - Template text
+ * @returns {string[]} Distinct variable names, including those tested by {{#if}}
+ */
+const listVariables = (template) => [...new Set(collectVariables(parseTemplate(template).nodes))];
+
+module.exports = {
+  renderTemplate,
+  checkTemplate,
+  hasVariable,
+  listVariables
+};
@@ -0,0 +1,89 @@
+/**
+ * Text Diff
+ *
+ * Compares two invitation texts, line by line or character by character
+ * (Chinese sentences have no spaces, so a word diff would not help).
+ * The diff is built from the longest common subsequence of the two texts
+ * and returned as runs of unchanged, removed and added text.
+ */
+
+/**
+ * Units a text can be compared in
+ */
+const DIFF_UNITS = ['line', 'char'];
+
+/**
+ * Splits a text into the units it is compared in
+ * Lines keep their line break so the runs join back into the original text
+ *
+ * @param {string} text - Text to split
+ * @param {string} unit - "line" or "char"
+ * @returns {string[]} Units of the text
+ */
+const splitText = (text, unit) => {
+  if (unit === 'char') {
+    return Array.from(text);
+  }
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+};
+
+/**
+ * Compares two texts
+ *
+ * @param {string} before - Earlier text
+ * @param {string} after - Later text
+ * @param {string} [unit='line'] - "line" or "char"
+ * @returns {Object} { changes: [{ type, value }], added, removed } where type is
+ *                   "equal", "removed" or "added" and added/removed count units
+ */
+const diffText = (before, after, unit = 'line') => {
+  const a = splitText(before, unit);
+  const b = splitText(after, unit);
+
+  // lengths[i][j] is the length of the longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let added = 0;
+  let removed = 0;
+  const push = (type, value) => {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      changes.push({ type, value });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      push('removed', a[i]);
+      removed++;
+      i++;
+    } else {
+      push('added', b[j]);
+      added++;
+      j++;
+    }
+  }
+
+  return { changes, added, removed };
+};
+
+module.exports = {
+  DIFF_UNITS,
+  diffText
+};
@@ -0,0 +1,131 @@
+/**
+ * Wedding Access Helpers
+ *
+ * Builds the Prisma filters that limit couple, guest and invitation queries
+ * to the weddings the authenticated user can access, and resolves what the
+ * user is allowed to do on a given wedding.
+ *
+ * A user can access a wedding they own (CoupleInfo.ownerId) or one they
+ * have accepted a membership invitation for (WeddingMember). Roles:
+ * - owner: everything, including granting the owner role
+ * - planner: everything
+ * - family_helper: read everything, add and edit guests of their own side
+ *   (seating is planned by owners and planners only)
+ * - viewer: read-only
+ *
+ * Controllers merge the filters into their `where` clauses instead of
+ * looking records up by ID alone, so a request for another user's record
+ * behaves exactly like a request for a record that does not exist (404).
+ * A record that can be read but not changed by the user results in 403.
+ */
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Wedding roles
+ */
+const ROLES = {
+  OWNER: 'owner',
+  PLANNER: 'planner',
+  FAMILY_HELPER: 'family_helper',
+  VIEWER: 'viewer'
+};
+
+/**
+ * Sides a guest or family helper can belong to
+ */
+const SIDES = ['groom', 'bride'];
+
+/**
+ * Roles that may perform every action on a wedding
+ */
+const FULL_ACCESS_ROLES = [ROLES.OWNER, ROLES.PLANNER];
+
+/**
+ * Permission rules per action
+ * Each rule receives the caller's access and the side of the guest
+ * the action applies to (if any)
+ */
+const PERMISSIONS = {
+  'wedding:update': (access) => FULL_ACCESS_ROLES.includes(access.role),
+  'members:manage': (access) => FULL_ACCESS_ROLES.includes(access.role),
+  'guest:write': (access, guestSide) => FULL_ACCESS_ROLES.includes(access.role) ||
+    (access.role === ROLES.FAMILY_HELPER && !!access.side && guestSide === access.side),
+  'guest:delete': (access) => FULL_ACCESS_ROLES.includes(access.role),
+  'invitation:write': (access, guestSide) => FULL_ACCESS_ROLES.includes(access.role) ||
+    (access.role === ROLES.FAMILY_HELPER && !!access.side && guestSide === access.side),
+  'email:send': (access) => FULL_ACCESS_ROLES.includes(access.role),
+  'seating:manage': (access) => FULL_ACCESS_ROLES.includes(access.role)
+};
+
+/**
+ * Filter for CoupleInfo records the user can access
+ *
+ * @param {string} userId - ID of the authenticated user (req.user.userId)
+ * @returns {Object} Prisma where fragment for the CoupleInfo model
+ */
+const accessibleCoupleFilter = (userId) => ({
+  OR: [
+    { ownerId: userId },
+    { members: { some: { userId, acceptedAt: { not: null } } } }
+  ]
+});
+
+/**
+ * Filter for Guest records belonging to weddings the user can access
+ *
+ * @param {string} userId - ID of the authenticated user (req.user.userId)
+ * @returns {Object} Prisma where fragment for the Guest model
+ */
+const accessibleGuestFilter = (userId) => ({ coupleInfo: accessibleCoupleFilter(userId) });
+
+/**
+ * Resolves the user's role on a wedding
+ *
+ * @param {string} userId - ID of the authenticated user
+ * @param {string} coupleInfoId - ID of the wedding
+ * @returns {Promise<Object|null>} { couple, role, side }, or null if the user cannot access the wedding
+ */
+const getWeddingAccess = async (userId, coupleInfoId) => {
+  const couple = await prisma.coupleInfo.findFirst({
+    where: { id: coupleInfoId, ...accessibleCoupleFilter(userId) },
+    include: {
+      members: { where: { userId, acceptedAt: { not: null } } }
+    }
+  });
+
+  if (!couple) {
+    return null;
+  }
+
+  const { members, ...coupleInfo } = couple;
+
+  if (coupleInfo.ownerId === userId) {
+    return { couple: coupleInfo, role: ROLES.OWNER, side: null };
+  }
+
+  return { couple: coupleInfo, role: members[0].role, side: members[0].side };
+};
+
+/**
+ * Checks whether an action is allowed for the given access
+ *
+ * @param {Object} access - Result of getWeddingAccess
+ * @param {string} action - Key of PERMISSIONS (e.g. "guest:write")
+ * @param {string|null} [guestSide] - Side of the guest the action applies to
+ * @returns {boolean} True if the action is allowed
+ */
+const can = (access, action, guestSide = null) => {
+  const rule = PERMISSIONS[action];
+  return !!access && !!rule && rule(access, guestSide);
+};
+
+module.exports = {
+  ROLES,
+  SIDES,
+  accessibleCoupleFilter,
+  accessibleGuestFilter,
+  getWeddingAccess,
+  can
+};
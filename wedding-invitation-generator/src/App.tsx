@@ -6,6 +6,7 @@
  * - React Router for navigation
  * - Framer Motion for page transitions
  * - WeddingContext for global state management
+ * - A login page, required before the workflow
  * 
  * The application follows a step-based workflow where users progress through
  * different stages of the invitation creation process.
@@ -23,6 +24,9 @@ import GuestInfoPage from './pages/GuestInfoPage';
 import PreviewPage from './pages/PreviewPage';
 import ConfirmationPage from './pages/ConfirmationPage';
 import CompletePage from './pages/CompletePage';
+import RsvpPage from './pages/RsvpPage';
+import LoginPage from './pages/LoginPage';
+import RequireAuth from './components/RequireAuth';
 
 /**
  * Maps application steps to their corresponding page components
@@ -66,7 +70,11 @@ const App: React.FC = () => {
     <WeddingProvider>
       <div className="app min-h-screen bg-wedding-secondary font-sans">
         <Routes>
-          <Route path="/" element={<StepManager />} />
+          {/* The workflow works on the user's weddings, so it needs an account */}
+          <Route path="/" element={<RequireAuth><StepManager /></RequireAuth>} />
+          <Route path="/login" element={<LoginPage />} />
+          {/* Public RSVP page opened from the invitation email */}
+          <Route path="/rsvp/:token" element={<RsvpPage />} />
         </Routes>
       </div>
     </WeddingProvider>
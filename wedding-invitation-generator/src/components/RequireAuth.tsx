@@ -0,0 +1,35 @@
+/**
+ * Require Auth Component
+ *
+ * Route guard for the pages that need an account. Without a stored token
+ * the user is sent to the login page, and the same happens when a request
+ * finds the session has ended; after logging in the user comes back here.
+ */
+import React, { useEffect } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { authToken } from '../services/api';
+
+/**
+ * RequireAuth Component
+ *
+ * @param {React.ReactElement} children - The protected page
+ * @returns {JSX.Element} The page, or a redirect to the login page
+ */
+const RequireAuth: React.FC<{ children: React.ReactElement }> = ({ children }) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Requests that find the session has ended send the user to log in
+  useEffect(() => {
+    authToken.onExpired(() => navigate('/login', { replace: true, state: { from: location.pathname } }));
+    return () => authToken.onExpired(null);
+  }, [navigate, location.pathname]);
+
+  if (!authToken.get()) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
@@ -75,6 +75,7 @@ const CoupleInfoPage: React.FC = () => {
    * Form submission handler
    * 
    * Saves couple information to both the backend API and global state
+   * A new wedding is created on the first save and updated afterwards
    * Then advances to the next step in the workflow
    * 
    * @param {CoupleInfo} values - Form values from Formik
@@ -89,10 +90,13 @@ const CoupleInfoPage: React.FC = () => {
       dispatch({ type: 'SET_LOADING', payload: true });
       
       // Save couple data to backend
-      await api.couple.save(values);
+      // Update the wedding if it was saved before, otherwise create a new one
+      const response = values.id
+        ? await api.couple.update(values.id, values)
+        : await api.couple.create(values);
       
-      // Update global state with couple information
-      dispatch({ type: 'SET_COUPLE_INFO', payload: values });
+      // Update global state with couple information, keeping the wedding ID
+      dispatch({ type: 'SET_COUPLE_INFO', payload: { ...values, id: response.data.id } });
       
       // Proceed to next step in the workflow
       nextStep();
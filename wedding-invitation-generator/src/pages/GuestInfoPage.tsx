@@ -82,13 +82,16 @@ const GuestInfoPage: React.FC = () => {
         setIsLoading(true);
         setError(null);
         
-        const response = await api.guests.getAll();
-        if (response.data && response.data.length > 0) {
-          // compare the guests in the existing state with the guests in the backend
-          // only add the guests that are not in the frontend state
-          const existingGuestIds = new Set(state.guests.map(guest => guest.id));
+        // compare the guests in the existing state with the guests in the backend
+        // only add the guests that are not in the frontend state
+        const existingGuestIds = new Set(state.guests.map(guest => guest.id));
+        let cursor: string | undefined;
+        
+        // load the guest list page by page
+        do {
+          const response = await api.guests.getAll({ coupleInfoId: state.coupleInfo?.id, limit: 200, cursor });
           
-          response.data.forEach((guest: GuestInfo) => {
+          response.data.guests.forEach((guest: GuestInfo) => {
             // only add the guests that are not in the frontend state
             if (!existingGuestIds.has(guest.id)) {
               dispatch({
@@ -97,7 +100,9 @@ const GuestInfoPage: React.FC = () => {
               });
             }
           });
-        }
+          
+          cursor = response.data.pagination.nextCursor ?? undefined;
+        } while (cursor);
       } catch (err) {
         console.error('Error fetching guest list:', err);
         setError('無法獲取賓客列表，請稍後再試。');
@@ -107,7 +112,7 @@ const GuestInfoPage: React.FC = () => {
     };
     
     fetchGuests();
-  }, [dispatch, state.guests]); // 加入 state.guests 到依賴陣列可能會導致循環更新，但考慮到我們在內部做了檢查，這是安全的
+  }, [dispatch, state.guests, state.coupleInfo?.id]); // 加入 state.guests 到依賴陣列可能會導致循環更新，但考慮到我們在內部做了檢查，這是安全的
   
   /**
    * Initial values for the guest form
@@ -145,10 +150,9 @@ const GuestInfoPage: React.FC = () => {
         return;
       }
       
-      // get coupleInfoId from backend
+      // get coupleInfoId of the wedding saved on the previous step
       try {
-        const coupleResponse = await api.couple.get();
-        const coupleInfoId = coupleResponse.data?.id;
+        const coupleInfoId = state.coupleInfo.id;
         
         if (!coupleInfoId) {
           setError('無法獲取新人資料ID，請確保已保存新人資料');
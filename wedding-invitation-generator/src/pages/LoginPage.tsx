@@ -0,0 +1,180 @@
+/**
+ * Login Page
+ *
+ * Every step of the invitation workflow works on the weddings of an
+ * account, so users log in (or create an account) before they start.
+ * The tokens returned by the server are stored and sent with every request.
+ *
+ * Features:
+ * - Switches between logging in and registering
+ * - Form validation using Formik and Yup
+ * - Returns to the page the user was sent here from
+ */
+import React, { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Formik, Form, Field, ErrorMessage } from 'formik';
+import * as Yup from 'yup';
+import { motion } from 'framer-motion';
+import { AxiosError } from 'axios';
+import api, { authToken } from '../services/api';
+
+type AuthMode = 'login' | 'register';
+
+/**
+ * Form values of the login and register forms
+ */
+interface AuthFormValues {
+  email: string;
+  password: string;
+  name: string;
+}
+
+/**
+ * Validation schema of the form
+ * Registering needs a password of at least 8 characters, as the server requires
+ *
+ * @param {AuthMode} mode - Whether the user logs in or registers
+ */
+const createAuthSchema = (mode: AuthMode) => Yup.object().shape({
+  email: Yup.string().email('電子郵件格式不正確').required('請輸入電子郵件'),
+  password: mode === 'register'
+    ? Yup.string().min(8, '密碼長度至少需要8個字元').required('請輸入密碼')
+    : Yup.string().required('請輸入密碼'),
+  name: Yup.string().max(100, '名稱不可超過100字'),
+});
+
+const initialValues: AuthFormValues = { email: '', password: '', name: '' };
+
+/**
+ * LoginPage Component
+ *
+ * @returns {JSX.Element} The login and register page
+ */
+const LoginPage: React.FC = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [mode, setMode] = useState<AuthMode>('login');
+  const [submitError, setSubmitError] = useState<string | null>(null);
+
+  // Page the user was sent here from by the route guard
+  const from = (location.state as { from?: string } | null)?.from || '/';
+
+  /**
+   * Logs in or registers, stores the tokens and returns to the previous page
+   *
+   * @param {AuthFormValues} values - Form values from Formik
+   * @param {Object} formikHelpers - Formik helper methods
+   */
+  const handleSubmit = async (values: AuthFormValues, { setSubmitting }: { setSubmitting: (isSubmitting: boolean) => void }) => {
+    try {
+      setSubmitError(null);
+
+      const response = mode === 'login'
+        ? await api.auth.login(values.email, values.password)
+        : await api.auth.register(values.email, values.password, values.name || undefined);
+
+      authToken.set(response.data.accessToken, response.data.refreshToken);
+      navigate(from, { replace: true });
+    } catch (error: unknown) {
+      const axiosError = error as AxiosError<{ message?: string }>;
+
+      if (axiosError.code === 'ERR_NETWORK') {
+        setSubmitError('網路連接失敗，無法連接到伺服器。請檢查網路連接或確認伺服器是否運行。');
+      } else {
+        // The server explains wrong credentials (401), a taken email (409) and invalid input (400)
+        setSubmitError(axiosError.response?.data?.message || `${mode === 'login' ? '登入' : '註冊'}失敗，請稍後再試。`);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Switches between logging in and registering
+   */
+  const toggleMode = () => {
+    setMode(mode === 'login' ? 'register' : 'login');
+    setSubmitError(null);
+  };
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  return (
+    <motion.div
+      className="min-h-screen py-12 px-4 max-w-md mx-auto flex flex-col justify-center"
+      variants={containerVariants}
+      initial="hidden"
+      animate="visible"
+    >
+      <h1 className="text-3xl font-serif text-center font-bold mb-8 text-wedding-dark">
+        {mode === 'login' ? '登入' : '建立帳號'}
+      </h1>
+
+      <div className="card bg-white shadow-md rounded-xl p-6 md:p-8">
+        {submitError && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {submitError}
+          </div>
+        )}
+
+        <Formik
+          initialValues={initialValues}
+          validationSchema={createAuthSchema(mode)}
+          onSubmit={handleSubmit}
+        >
+          {({ isSubmitting }) => (
+            <Form className="space-y-6">
+              <div>
+                <label htmlFor="email" className="label">電子郵件</label>
+                <Field name="email" type="email" autoComplete="email" className="input-field" />
+                <ErrorMessage name="email" component="div" className="text-red-500 text-xs mt-1" />
+              </div>
+
+              <div>
+                <label htmlFor="password" className="label">密碼</label>
+                <Field
+                  name="password"
+                  type="password"
+                  autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+                  className="input-field"
+                />
+                <ErrorMessage name="password" component="div" className="text-red-500 text-xs mt-1" />
+              </div>
+
+              {mode === 'register' && (
+                <div>
+                  <label htmlFor="name" className="label">名稱 (選填)</label>
+                  <Field name="name" type="text" autoComplete="name" className="input-field" />
+                  <ErrorMessage name="name" component="div" className="text-red-500 text-xs mt-1" />
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className={`btn-primary w-full ${isSubmitting ? 'opacity-50 cursor-not-allowed' : ''}`}
+              >
+                {isSubmitting ? '處理中...' : mode === 'login' ? '登入' : '註冊'}
+              </button>
+            </Form>
+          )}
+        </Formik>
+
+        <p className="text-sm text-center text-wedding-text mt-6">
+          {mode === 'login' ? '還沒有帳號？' : '已經有帳號？'}
+          <button type="button" className="text-wedding-dark font-medium underline ml-1" onClick={toggleMode}>
+            {mode === 'login' ? '建立帳號' : '登入'}
+          </button>
+        </p>
+      </div>
+    </motion.div>
+  );
+};
+
+export default LoginPage;
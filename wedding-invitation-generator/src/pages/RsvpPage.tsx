@@ -0,0 +1,273 @@
+/**
+ * RSVP Page
+ *
+ * Public page opened from the link in the invitation email.
+ * Guests see the wedding details and their invitation, and reply whether
+ * they will attend. No account is needed; the token in the URL identifies
+ * the guest.
+ *
+ * Features:
+ * - Loads the wedding details and any previous reply
+ * - Form validation using Formik and Yup
+ * - Guests choose their meal and list allergies, also for their companions
+ * - Guests can change their reply at any time
+ */
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { Formik, Form, Field, ErrorMessage } from 'formik';
+import * as Yup from 'yup';
+import { motion } from 'framer-motion';
+import { AxiosError } from 'axios';
+import { RsvpDetails, RsvpReply, RsvpSubmission } from '../types';
+import api from '../services/api';
+
+/**
+ * Validation schema for the reply form
+ * - A response must be chosen
+ * - Party size is required unless the guest declines, and cannot exceed
+ *   the guest plus their allowed plus-ones
+ *
+ * @param {number} maxPartySize - Largest party the guest may reply with
+ */
+const createRsvpSchema = (maxPartySize: number) => Yup.object().shape({
+  response: Yup.string().oneOf(['attending', 'declined', 'maybe']).required('請選擇是否出席'),
+  partySize: Yup.number().when('response', {
+    is: 'declined',
+    then: (schema) => schema.notRequired(),
+    otherwise: (schema) => schema.min(1, '至少1人').max(maxPartySize, `最多${maxPartySize}人`).required('請填寫出席人數'),
+  }),
+  comment: Yup.string().max(500, '留言不可超過500字'),
+});
+
+/**
+ * Form values of the reply form
+ * Allergies are entered as comma-separated text
+ */
+interface RsvpFormValues extends RsvpReply {
+  mealOptionId: string;
+  allergies: string;
+  companions: { mealOptionId: string; allergies: string }[];
+}
+
+/**
+ * Splits comma-separated allergy text into a list
+ *
+ * @param {string} text - Allergies as typed by the guest
+ * @returns {string[]} Allergy list without empty entries
+ */
+const toAllergyList = (text: string): string[] =>
+  text.split(/[,，、]/).map((allergy) => allergy.trim()).filter(Boolean);
+
+// Labels shown for each response option
+const responseOptions: { value: RsvpReply['response']; label: string }[] = [
+  { value: 'attending', label: '會出席' },
+  { value: 'maybe', label: '還不確定' },
+  { value: 'declined', label: '無法出席' },
+];
+
+/**
+ * RsvpPage Component
+ *
+ * @returns {JSX.Element} The public RSVP page
+ */
+const RsvpPage: React.FC = () => {
+  const { token = '' } = useParams<{ token: string }>();
+
+  const [details, setDetails] = useState<RsvpDetails | null>(null);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [submitError, setSubmitError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+
+  /**
+   * Load the wedding details and the guest's current reply
+   */
+  useEffect(() => {
+    api.rsvp.get(token)
+      .then((response) => setDetails(response.data))
+      .catch((error: AxiosError) => {
+        setLoadError(error.response?.status === 404
+          ? '找不到此回覆連結，請確認網址是否正確。'
+          : '無法載入婚禮資訊，請稍後再試。');
+      });
+  }, [token]);
+
+  /**
+   * Form submission handler
+   * Saves the reply and shows a confirmation message
+   *
+   * @param {RsvpFormValues} values - Form values from Formik
+   * @param {Object} formikHelpers - Formik helper methods
+   */
+  const handleSubmit = async (values: RsvpFormValues, { setSubmitting }: { setSubmitting: (isSubmitting: boolean) => void }) => {
+    try {
+      setSubmitError(null);
+      const reply: RsvpSubmission = values.response === 'declined'
+        ? { response: values.response, comment: values.comment }
+        : {
+            response: values.response,
+            partySize: values.partySize,
+            comment: values.comment,
+            mealOptionId: values.mealOptionId || null,
+            allergies: toAllergyList(values.allergies),
+            companions: values.companions.map((companion) => ({
+              mealOptionId: companion.mealOptionId || null,
+              allergies: toAllergyList(companion.allergies),
+            })),
+          };
+      const response = await api.rsvp.submit(token, reply);
+      setDetails((current) => current && { ...current, rsvp: response.data.rsvp });
+      setSaved(true);
+    } catch (error: unknown) {
+      const axiosError = error as AxiosError<{ message?: string }>;
+      setSubmitError(axiosError.response?.data?.message || '回覆失敗，請稍後再試。');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loadError) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <div className="card bg-white shadow-md rounded-xl p-6 text-center text-wedding-dark">{loadError}</div>
+      </div>
+    );
+  }
+
+  if (!details) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-wedding-dark">載入中...</div>
+    );
+  }
+
+  const { wedding } = details;
+  const maxPartySize = details.plusOnesAllowed + 1;
+
+  return (
+    <motion.div
+      className="min-h-screen py-12 px-4 max-w-2xl mx-auto"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1, transition: { duration: 0.5 } }}
+    >
+      <h1 className="text-3xl font-serif text-center font-bold mb-2 text-wedding-dark">
+        {wedding.groomName} & {wedding.brideName}
+      </h1>
+      <p className="text-center text-wedding-dark mb-8">
+        {wedding.weddingDate.split('T')[0]} {wedding.weddingTime} · {wedding.weddingLocation}
+      </p>
+
+      {/* The guest's personal invitation */}
+      {details.invitationContent && (
+        <div className="card bg-white shadow-md rounded-xl p-6 mb-6 whitespace-pre-line">
+          {details.invitationContent}
+        </div>
+      )}
+
+      <div className="card bg-white shadow-md rounded-xl p-6">
+        <p className="text-wedding-dark mb-6">{details.guestName}，您好！請告訴我們您是否能出席。</p>
+
+        {saved && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+            已收到您的回覆，謝謝！如有變動，隨時可以再次修改。
+          </div>
+        )}
+
+        {submitError && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {submitError}
+          </div>
+        )}
+
+        <Formik
+          initialValues={{
+            response: details.rsvp?.response || 'attending',
+            partySize: details.rsvp?.partySize || 1,
+            comment: details.rsvp?.comment || '',
+            mealOptionId: details.mealOptionId || '',
+            allergies: details.allergies.join('、'),
+            companions: details.companions.map((companion) => ({
+              mealOptionId: companion.mealOptionId || '',
+              allergies: companion.allergies.join('、'),
+            })),
+          } as RsvpFormValues}
+          validationSchema={createRsvpSchema(maxPartySize)}
+          onSubmit={handleSubmit}
+        >
+          {({ values, isSubmitting }) => (
+            <Form className="space-y-6">
+              {/* Attendance choice */}
+              <div role="group" className="flex flex-wrap gap-4">
+                {responseOptions.map((option) => (
+                  <label key={option.value} className="flex items-center gap-2">
+                    <Field type="radio" name="response" value={option.value} />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+              <ErrorMessage name="response" component="div" className="text-red-500 text-xs mt-1" />
+
+              {/* Party size, not needed when declining */}
+              {values.response !== 'declined' && (
+                <div>
+                  <label htmlFor="partySize" className="label">出席人數（含本人）</label>
+                  <Field name="partySize" type="number" min={1} max={maxPartySize} className="input-field" />
+                  <ErrorMessage name="partySize" component="div" className="text-red-500 text-xs mt-1" />
+                </div>
+              )}
+
+              {/* Meal choice and allergies of the guest and each companion */}
+              {values.response !== 'declined' && (
+                <div className="space-y-4">
+                  {details.mealOptions.length > 0 && (
+                    <div>
+                      <label htmlFor="mealOptionId" className="label">餐點選擇</label>
+                      <Field name="mealOptionId" as="select" className="input-field">
+                        <option value="">尚未決定</option>
+                        {details.mealOptions.map((option) => (
+                          <option key={option.id} value={option.id}>{option.name}</option>
+                        ))}
+                      </Field>
+                    </div>
+                  )}
+                  <div>
+                    <label htmlFor="allergies" className="label">過敏或飲食限制（以逗號分隔，選填）</label>
+                    <Field name="allergies" className="input-field" placeholder="例如：花生、海鮮" />
+                  </div>
+
+                  {details.companions.map((companion, index) => (
+                    <div key={index} className="border-t pt-4 space-y-2">
+                      <p className="text-wedding-dark">同行者：{companion.name}</p>
+                      {details.mealOptions.length > 0 && (
+                        <Field name={`companions.${index}.mealOptionId`} as="select" className="input-field">
+                          <option value="">尚未決定</option>
+                          {details.mealOptions.map((option) => (
+                            <option key={option.id} value={option.id}>{option.name}</option>
+                          ))}
+                        </Field>
+                      )}
+                      <Field name={`companions.${index}.allergies`} className="input-field" placeholder="過敏或飲食限制（選填）" />
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Optional message to the couple */}
+              <div>
+                <label htmlFor="comment" className="label">想對新人說的話（選填）</label>
+                <Field name="comment" as="textarea" rows={3} className="input-field" />
+                <ErrorMessage name="comment" component="div" className="text-red-500 text-xs mt-1" />
+              </div>
+
+              <div className="flex justify-end">
+                <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                  {isSubmitting ? '送出中...' : details.rsvp ? '更新回覆' : '送出回覆'}
+                </button>
+              </div>
+            </Form>
+          )}
+        </Formik>
+      </div>
+    </motion.div>
+  );
+};
+
+export default RsvpPage;
@@ -10,12 +10,55 @@
  * - Organized endpoint grouping by feature area
  * - TypeScript integration with application types
  */
-import axios, { AxiosResponse, AxiosError } from 'axios';
-import { CoupleInfo, GuestInfo } from '../types';
+import axios, { AxiosResponse, AxiosError, InternalAxiosRequestConfig } from 'axios';
+import { AiBudget, AiBudgetAction, AiUsageSummary, AuthResponse, AutoSeatOptions, CoupleInfo, DuplicateGuestGroup, DuplicatePolicy, GuestImportPreview, GuestImportReport, GuestInfo, GuestListParams, GuestPage, Household, InvitationCacheStats, InvitationDiff, InvitationDraft, InvitationPreview, InvitationStreamEvent, InvitationTemplate, InvitationTemplateMatch, InvitationTemplateSection, InvitationVersion, Job, JobEvent, MealOption, PromptPreview, PromptTemplate, PromptTemplateKey, RsvpSubmission, SeatingTable, Side, StaleInvitation, Tag, WeddingAiUsage, WeddingRole } from '../types';
 
 // Set base URL for all API requests
 const API_URL = 'http://localhost:5000/api';
 
+// localStorage keys under which the tokens are kept
+const ACCESS_TOKEN_KEY = 'accessToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Called when there is no valid session any more, e.g. to show the login page
+let sessionExpiredHandler: (() => void) | null = null;
+
+/**
+ * Token helpers
+ * The tokens issued by login/register/refresh are stored in localStorage;
+ * the access token is attached to every request by the request interceptor below
+ */
+export const authToken = {
+  get: () => localStorage.getItem(ACCESS_TOKEN_KEY),
+  getRefresh: () => localStorage.getItem(REFRESH_TOKEN_KEY),
+  set: (token: string, refreshToken?: string) => {
+    localStorage.setItem(ACCESS_TOKEN_KEY, token);
+    if (refreshToken) {
+      localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    }
+  },
+  clear: () => {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  },
+  // Registers what happens when a request finds the session has ended (null to unregister)
+  onExpired: (handler: (() => void) | null) => {
+    sessionExpiredHandler = handler;
+  },
+};
+
+/**
+ * Ends the local session after the server rejected it
+ * The tokens are removed and the user is sent to log in again
+ */
+const expireSession = () => {
+  authToken.clear();
+  sessionExpiredHandler?.();
+};
+
+// Requests whose 401 means wrong credentials rather than an ended session
+const CREDENTIAL_PATHS = ['/auth/login', '/auth/register', '/auth/refresh'];
+
 /**
  * Create Axios instance with default configuration
  * This allows for consistent headers and base URL across all requests
@@ -27,19 +70,119 @@ const apiClient = axios.create({
   },
 });
 
+/**
+ * Global request interceptor
+ * Attaches the stored access token as a Bearer token
+ */
+apiClient.interceptors.request.use((config) => {
+  const token = authToken.get();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Pending refresh request, shared so that concurrent 401s only refresh once
+// (a refresh token can only be used once)
+let refreshPromise: Promise<string> | null = null;
+
+/**
+ * Exchanges the stored refresh token for a new token pair
+ * Uses plain axios so the request does not pass through the interceptors
+ * 
+ * @returns {Promise<string>} The new access token
+ */
+const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_URL}/auth/refresh`, { refreshToken: authToken.getRefresh() })
+      .then((response) => {
+        authToken.set(response.data.accessToken, response.data.refreshToken);
+        return response.data.accessToken as string;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 /**
  * Global response interceptor
  * Handles successful responses and errors in a centralized way
  * Allows for consistent error logging and formatting
+ * When the access token has expired, refreshes it once and retries the request;
+ * without a valid session the user is sent to log in
  */
 apiClient.interceptors.response.use(
   (response: AxiosResponse) => response,
-  (error: AxiosError) => {
+  async (error: AxiosError) => {
+    const originalRequest = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+    
+    if (error.response?.status === 401 && originalRequest && !CREDENTIAL_PATHS.includes(originalRequest.url ?? '')) {
+      if (!originalRequest._retried && authToken.getRefresh()) {
+        originalRequest._retried = true;
+        try {
+          const accessToken = await refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+          return apiClient(originalRequest);
+        } catch {
+          // Refresh token is no longer valid
+        }
+      }
+      // Never logged in, or the session has ended; the user has to log in again
+      expireSession();
+    }
+    
     console.error('API Request Error:', error);
     return Promise.reject(error);
   }
 );
 
+// File uploads override the client's JSON content type so the browser sets the multipart boundary
+const multipartConfig = { headers: { 'Content-Type': 'multipart/form-data' } };
+
+/**
+ * Reads a server-sent event stream
+ * Used instead of EventSource, which cannot send the Authorization header
+ * Resolves when the server ends the stream
+ */
+const readEventStream = async (path: string, init: RequestInit, onEvent: (event: string, data: unknown) => void) => {
+  const open = (token: string | null) => fetch(`${API_URL}${path}`, {
+    ...init,
+    headers: { ...init.headers, Authorization: `Bearer ${token}` },
+  });
+  let response = await open(authToken.get());
+  // Same as the response interceptor: refresh an expired access token once
+  if (response.status === 401 && authToken.getRefresh()) {
+    response = await refreshAccessToken().then(open, () => response);
+  }
+  if (response.status === 401) {
+    expireSession();
+  }
+  if (!response.ok || !response.body) {
+    throw new Error(`Event stream failed with status ${response.status}`);
+  }
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      return;
+    }
+    buffer += value;
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop() ?? '';
+    blocks.forEach((block) => {
+      const event = block.match(/^event: (.+)$/m)?.[1];
+      const data = block.match(/^data: (.+)$/m)?.[1];
+      if (event && data) {
+        onEvent(event, JSON.parse(data));
+      }
+    });
+  }
+};
+
 /**
  * API Service Object
  * 
@@ -60,15 +203,56 @@ export const api = {
     email: () => apiClient.get('/health/email')
   },
   
+  /**
+   * Authentication Endpoints
+   * Register, log in and fetch the current account
+   */
+  auth: {
+    // Create an account; the response contains an access token and a refresh token
+    register: (email: string, password: string, name?: string) =>
+      apiClient.post<AuthResponse>('/auth/register', { email, password, name }),
+    // Log in; the response contains an access token and a refresh token
+    login: (email: string, password: string) =>
+      apiClient.post<AuthResponse>('/auth/login', { email, password }),
+    // Get the account the current token belongs to
+    me: () => apiClient.get('/auth/me'),
+    // Exchange a refresh token for a new token pair
+    refresh: (refreshToken: string) =>
+      apiClient.post('/auth/refresh', { refreshToken }),
+    // Revoke the current session (or every session of the account)
+    logout: (allSessions = false) =>
+      apiClient.post('/auth/logout', { allSessions }),
+  },
+  
   /**
    * Couple Information Endpoints
    * Manage wedding couple data
    */
   couple: {
-    // Create or update couple information
-    save: (coupleData: CoupleInfo) => apiClient.post('/couple', coupleData),
-    // Retrieve current couple information
-    get: () => apiClient.get('/couple'),
+    // Create a new wedding owned by the current user
+    create: (coupleData: CoupleInfo) => apiClient.post('/couple', coupleData),
+    // Update an existing wedding
+    update: (id: string, coupleData: CoupleInfo) => apiClient.put(`/couple/${id}`, coupleData),
+    // List all weddings the current user owns or collaborates on
+    list: () => apiClient.get('/couple'),
+    // Retrieve a specific wedding
+    get: (id: string) => apiClient.get(`/couple/${id}`),
+  },
+  
+  /**
+   * Wedding Member Endpoints
+   * Invite collaborators and manage their access
+   */
+  members: {
+    // List members and pending invitations of a wedding
+    list: (coupleInfoId: string) => apiClient.get('/members', { params: { coupleInfoId } }),
+    // Invite a collaborator by email
+    invite: (coupleInfoId: string, email: string, role: WeddingRole, side?: Side) =>
+      apiClient.post('/members/invite', { coupleInfoId, email, role, side }),
+    // Accept an invitation with the token from the email link
+    accept: (token: string) => apiClient.post('/members/accept', { token }),
+    // Remove a member or revoke a pending invitation
+    remove: (id: string) => apiClient.delete(`/members/${id}`),
   },
   
   /**
@@ -78,14 +262,148 @@ export const api = {
   guests: {
     // Add a new guest to the system
     add: (guestData: GuestInfo) => apiClient.post('/guests', guestData),
-    // Get all guests, optionally filtered by couple ID
-    getAll: () => apiClient.get('/guests'),
+    // Get one page of guests, optionally filtered, searched and sorted
+    getAll: (params: GuestListParams = {}) => apiClient.get<GuestPage>('/guests', { params }),
     // Get a specific guest by ID
     get: (id: string) => apiClient.get(`/guests/${id}`),
     // Update an existing guest's information
     update: (id: string, guestData: GuestInfo) => apiClient.put(`/guests/${id}`, guestData),
     // Remove a guest from the system
     delete: (id: string) => apiClient.delete(`/guests/${id}`),
+    // Find guests of a wedding that are likely the same person
+    duplicates: (coupleInfoId: string) =>
+      apiClient.get<{ coupleInfoId: string; groups: DuplicateGuestGroup[] }>('/guests/duplicates', { params: { coupleInfoId } }),
+    // Merge another guest into this one (the other guest is deleted)
+    merge: (id: string, sourceGuestId: string) => apiClient.post<GuestInfo>(`/guests/${id}/merge`, { sourceGuestId }),
+    // Download the guest list of a wedding as a file
+    export: (coupleInfoId: string, format: 'csv' | 'xlsx' | 'json' = 'csv') =>
+      apiClient.get<Blob>('/guests/export', { params: { coupleInfoId, format }, responseType: 'blob' }),
+    // Import guests from a JSON array; dryRun only validates them
+    bulkImport: (coupleInfoId: string, guests: Partial<GuestInfo>[], dryRun = false, onDuplicate: DuplicatePolicy = 'error') =>
+      apiClient.post<GuestImportReport>('/guests/bulk', { coupleInfoId, guests, dryRun, onDuplicate }),
+    // Read an uploaded CSV/XLSX file and suggest a column mapping
+    previewImport: (coupleInfoId: string, file: File) => {
+      const form = new FormData();
+      form.append('coupleInfoId', coupleInfoId);
+      form.append('file', file);
+      return apiClient.post<GuestImportPreview>('/guests/import/preview', form, multipartConfig);
+    },
+    // Import guests from a CSV/XLSX file; dryRun only validates the rows
+    import: (coupleInfoId: string, file: File, options: { mapping?: Record<string, string | null>; dryRun?: boolean; onDuplicate?: DuplicatePolicy } = {}) => {
+      const form = new FormData();
+      form.append('coupleInfoId', coupleInfoId);
+      form.append('file', file);
+      if (options.mapping) {
+        form.append('mapping', JSON.stringify(options.mapping));
+      }
+      form.append('dryRun', String(!!options.dryRun));
+      if (options.onDuplicate) {
+        form.append('onDuplicate', options.onDuplicate);
+      }
+      return apiClient.post<GuestImportReport>('/guests/import', form, multipartConfig);
+    },
+  },
+  
+  /**
+   * Household Endpoints
+   * Group guests who share one invitation
+   */
+  households: {
+    // List the households of a wedding with their members
+    list: (coupleInfoId: string) => apiClient.get('/households', { params: { coupleInfoId } }),
+    // Create a household, optionally assigning guests to it
+    create: (household: Pick<Household, 'coupleInfoId' | 'name' | 'contactEmail'> & Partial<Pick<Household, 'salutation' | 'side'>> & { guestIds?: string[] }) =>
+      apiClient.post('/households', household),
+    // Update a household; guestIds replaces the member list
+    update: (id: string, household: Partial<Pick<Household, 'name' | 'salutation' | 'contactEmail' | 'side'>> & { guestIds?: string[] }) =>
+      apiClient.put(`/households/${id}`, household),
+    // Delete a household (its guests are kept)
+    delete: (id: string) => apiClient.delete(`/households/${id}`),
+  },
+  
+  /**
+   * Tag Endpoints
+   * Group guests with tags and count guests per side
+   */
+  tags: {
+    // List the tags of a wedding with their guest counts
+    list: (coupleInfoId: string) => apiClient.get('/tags', { params: { coupleInfoId } }),
+    // Guest and attendance counts per side and per tag
+    getSummary: (coupleInfoId: string) => apiClient.get('/tags/summary', { params: { coupleInfoId } }),
+    // Create a tag; omit side for a tag shared by both sides
+    create: (tag: Pick<Tag, 'coupleInfoId' | 'name'> & Partial<Pick<Tag, 'side' | 'color'>>) => apiClient.post('/tags', tag),
+    // Rename, recolor or change the side of a tag
+    update: (id: string, tag: Partial<Pick<Tag, 'name' | 'side' | 'color'>>) => apiClient.put(`/tags/${id}`, tag),
+    // Delete a tag (its guests are kept)
+    delete: (id: string) => apiClient.delete(`/tags/${id}`),
+    // Apply a tag to several guests
+    addGuests: (id: string, guestIds: string[]) => apiClient.post(`/tags/${id}/guests`, { guestIds }),
+    // Remove a tag from several guests
+    removeGuests: (id: string, guestIds: string[]) => apiClient.delete(`/tags/${id}/guests`, { data: { guestIds } }),
+    // Update every guest with a tag at once
+    updateGuests: (id: string, changes: Partial<Pick<GuestInfo, 'relationship' | 'plusOnesAllowed'>>) =>
+      apiClient.patch(`/tags/${id}/guests`, changes),
+  },
+  
+  /**
+   * Catering Endpoints
+   * Manage the wedding menu and get meal and allergy counts for the caterer
+   */
+  catering: {
+    // List the menu of a wedding
+    listMealOptions: (coupleInfoId: string) => apiClient.get('/catering/meal-options', { params: { coupleInfoId } }),
+    // Add an option to the menu
+    createMealOption: (coupleInfoId: string, option: Omit<MealOption, 'id'>) =>
+      apiClient.post('/catering/meal-options', { coupleInfoId, ...option }),
+    // Update a meal option
+    updateMealOption: (id: string, option: Partial<Omit<MealOption, 'id'>>) => apiClient.put(`/catering/meal-options/${id}`, option),
+    // Remove a meal option from the menu
+    deleteMealOption: (id: string) => apiClient.delete(`/catering/meal-options/${id}`),
+    // Meal and allergy counts of everyone attending
+    getSummary: (coupleInfoId: string) => apiClient.get('/catering/summary', { params: { coupleInfoId } }),
+  },
+  
+  /**
+   * Seating Endpoints
+   * Plan the seating chart: tables, seating guests, keep-apart constraints and auto-seating
+   */
+  seating: {
+    // Tables with their guests, unseated guests and constraints
+    get: (coupleInfoId: string) => apiClient.get('/seating', { params: { coupleInfoId } }),
+    // Add a table
+    createTable: (table: Pick<SeatingTable, 'coupleInfoId' | 'label' | 'capacity'> & Partial<Pick<SeatingTable, 'sortOrder'>>) =>
+      apiClient.post('/seating/tables', table),
+    // Rename a table, change its seats or position
+    updateTable: (id: string, table: Partial<Pick<SeatingTable, 'label' | 'capacity' | 'sortOrder'>>) =>
+      apiClient.put(`/seating/tables/${id}`, table),
+    // Delete a table (its guests become unseated)
+    deleteTable: (id: string) => apiClient.delete(`/seating/tables/${id}`),
+    // Seat guests at a table, moving them from their current table
+    seatGuests: (tableId: string, guestIds: string[]) => apiClient.post(`/seating/tables/${tableId}/guests`, { guestIds }),
+    // Remove guests from a table
+    unseatGuests: (tableId: string, guestIds: string[]) =>
+      apiClient.delete(`/seating/tables/${tableId}/guests`, { data: { guestIds } }),
+    // Keep two guests at different tables
+    keepApart: (coupleInfoId: string, guestId: string, otherGuestId: string, note?: string) =>
+      apiClient.post('/seating/constraints', { coupleInfoId, guestId, otherGuestId, note }),
+    // Remove a keep-apart constraint
+    deleteConstraint: (id: string) => apiClient.delete(`/seating/constraints/${id}`),
+    // Seat guests automatically
+    autoSeat: (coupleInfoId: string, options: AutoSeatOptions = {}) => apiClient.post('/seating/auto', { coupleInfoId, ...options }),
+    // Download the seating chart (HTML for printing, CSV or XLSX)
+    export: (coupleInfoId: string, format: 'html' | 'csv' | 'xlsx' = 'html') =>
+      apiClient.get<Blob>('/seating/export', { params: { coupleInfoId, format }, responseType: 'blob' }),
+  },
+  
+  /**
+   * RSVP Endpoints
+   * Public endpoints used by guests through the link in their invitation email
+   */
+  rsvp: {
+    // Get wedding details and the guest's current reply
+    get: (token: string) => apiClient.get(`/rsvp/${token}`),
+    // Submit or change the guest's reply
+    submit: (token: string, reply: RsvpSubmission) => apiClient.post(`/rsvp/${token}`, reply),
   },
   
   /**
@@ -97,10 +415,123 @@ export const api = {
     // The 'force' parameter can be used to regenerate even if one exists
     generate: (guestId: string, force = false) => 
       apiClient.post('/invitations/generate', { guestId }, { params: { force } }),
+    // Write 1-5 candidate invitations to choose from; the guest's invitation is unchanged
+    generateCandidates: (guestId: string, count: number) =>
+      apiClient.post<{ message: string; drafts: InvitationDraft[]; failed: number }>('/invitations/generate', { guestId }, { params: { candidates: count } }),
+    // List the candidate invitations of a guest, newest first
+    drafts: (guestId: string) =>
+      apiClient.get<{ guestId: string; drafts: InvitationDraft[] }>(`/invitations/${guestId}/drafts`),
+    // Make a candidate the guest's invitation
+    selectDraft: (guestId: string, draftId: string) =>
+      apiClient.post<{ message: string; guest: GuestInfo; version: InvitationVersion; draft: InvitationDraft }>(`/invitations/${guestId}/drafts/${draftId}/select`),
     // Update the content of an existing invitation
     // Optional feedbackText can be provided to guide AI regeneration
     update: (guestId: string, invitationContent: string, feedbackText?: string) => 
       apiClient.put(`/invitations/${guestId}`, { invitationContent, feedbackText }),
+    // Save one text (usually with merge fields such as {{guest.name}}) for several guests
+    apply: (coupleInfoId: string, guestIds: string[], invitationContent: string) =>
+      apiClient.post<{ message: string; updated: number }>('/invitations/apply', { coupleInfoId, guestIds, invitationContent }),
+    // Show a guest's invitation with its merge fields filled in, as it is sent
+    preview: (guestId: string) => apiClient.get<InvitationPreview>(`/invitations/${guestId}/preview`),
+    // List every version of a guest's invitation, newest first
+    versions: (guestId: string) =>
+      apiClient.get<{ guestId: string; currentVersionId: string | null; versions: InvitationVersion[] }>(`/invitations/${guestId}/versions`),
+    // Compare two versions (to defaults to the current version)
+    diff: (guestId: string, from: string, to?: string, unit?: 'line' | 'char') =>
+      apiClient.get<InvitationDiff>(`/invitations/${guestId}/versions/diff`, { params: { from, to, unit } }),
+    // Restore an earlier version as a new version
+    revert: (guestId: string, versionId: string) => apiClient.post(`/invitations/${guestId}/revert/${versionId}`),
+    // Show the fully rendered AI prompts for a guest
+    previewPrompt: (guestId: string, kind: 'invitation' | 'feedback' = 'invitation', feedbackText?: string) =>
+      apiClient.get<PromptPreview>(`/invitations/${guestId}/prompt`, { params: { kind, feedbackText } }),
+    // Generate the invitations of many guests in a background job (follow it with api.jobs)
+    // Without guestIds or filter every guest of the wedding without an invitation is included
+    generateBatch: (coupleInfoId: string, options: { guestIds?: string[]; filter?: Pick<GuestListParams, 'status' | 'relationship' | 'side' | 'tag' | 'rsvp' | 'q'>; force?: boolean } = {}) =>
+      apiClient.post<{ message: string; job: Job }>('/invitations/generate-batch', { coupleInfoId, ...options }),
+    // List invitations written from wedding or guest details that changed since
+    stale: (coupleInfoId: string) =>
+      apiClient.get<{ count: number; invitations: StaleInvitation[] }>('/invitations/stale', { params: { coupleInfoId } }),
+    // Regenerate stale invitations in a background job (all of them without guestIds)
+    regenerateStale: (coupleInfoId: string, guestIds?: string[]) =>
+      apiClient.post<{ message: string; job: Job }>('/invitations/stale/regenerate', { coupleInfoId, guestIds }),
+    // Generate an invitation and receive the text as it is written; resolves when the stream ends
+    // Aborting the signal cancels the generation and nothing is saved
+    generateStream: (guestId: string, onEvent: (event: InvitationStreamEvent) => void, options: { force?: boolean; signal?: AbortSignal } = {}) =>
+      readEventStream(`/invitations/generate/stream${options.force ? '?force=true' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ guestId }),
+        signal: options.signal,
+      }, (event, data) => onEvent({ event, data } as InvitationStreamEvent)),
+    // Cache statistics (admins only)
+    cacheStats: () => apiClient.get<InvitationCacheStats>('/invitations/cache/stats'),
+    // Delete cached invitations (admins only); saved invitations are kept
+    purgeCache: (options: { expiredOnly?: boolean; coupleInfoId?: string } = {}) =>
+      apiClient.delete<{ message: string; deleted: number }>('/invitations/cache', { params: options }),
+  },
+  
+  /**
+   * Background Job Endpoints
+   * Follow batch operations such as batch invitation generation
+   */
+  jobs: {
+    // List the recent jobs of a wedding
+    list: (coupleInfoId: string) => apiClient.get<{ jobs: Job[] }>('/jobs', { params: { coupleInfoId } }),
+    // Get a job with the outcome of every guest
+    get: (id: string) => apiClient.get<Job>(`/jobs/${id}`),
+    // Follow a job's progress; resolves when the stream ends
+    stream: (id: string, onEvent: (event: JobEvent) => void, signal?: AbortSignal) =>
+      readEventStream(`/jobs/${id}/events`, { signal }, (event, data) => onEvent({ event, data } as JobEvent)),
+  },
+  
+  /**
+   * AI Usage Endpoints
+   * Tokens and estimated cost of the AI requests, and the AI budgets of weddings
+   */
+  aiUsage: {
+    // AI usage and budget of a wedding, optionally limited to a period
+    wedding: (coupleInfoId: string, period: { from?: string; to?: string } = {}) =>
+      apiClient.get<WeddingAiUsage>(`/ai-usage/weddings/${coupleInfoId}`, { params: period }),
+    // AI usage of all weddings (admins only)
+    report: (period: { from?: string; to?: string } = {}) =>
+      apiClient.get<{ usage: AiUsageSummary; weddings: (Pick<AiUsageSummary, 'calls' | 'totalTokens' | 'cost'> & { coupleInfoId: string; groomName: string; brideName: string; budget: AiBudget })[] }>('/ai-usage', { params: period }),
+    // Set a wedding's budget (admins only); null returns to the server default
+    setBudget: (coupleInfoId: string, budget: number | null, action: AiBudgetAction | null = null) =>
+      apiClient.put<{ message: string; budget: AiBudget }>(`/ai-usage/weddings/${coupleInfoId}/budget`, { budget, action }),
+  },
+  
+  /**
+   * Prompt Template Endpoints
+   * Versioned templates of the AI prompts (changes are admin-only)
+   */
+  promptTemplates: {
+    // List the templates in use and the tone presets
+    list: () => apiClient.get<{ templates: PromptTemplate[]; tones: { name: string; label: string; style: string }[] }>('/prompt-templates'),
+    // Get the built-in template and every stored version
+    get: (key: PromptTemplateKey) => apiClient.get(`/prompt-templates/${key}`),
+    // Store a new version, used from then on
+    create: (key: PromptTemplateKey, body: string, note?: string) => apiClient.post(`/prompt-templates/${key}`, { body, note }),
+  },
+  
+  /**
+   * Invitation Template Endpoints
+   * Offline templates used when invitations are written without AI
+   */
+  invitationTemplates: {
+    // List the wedding's own templates and the built-in ones
+    list: (coupleInfoId: string) =>
+      apiClient.get<{ templates: InvitationTemplate[]; criteria: string[]; variables: string[] }>('/invitation-templates', { params: { coupleInfoId } }),
+    // Add a template to the wedding (owners and planners)
+    create: (template: { coupleInfoId: string; name: string; description?: string | null; match?: InvitationTemplateMatch; paragraphs: InvitationTemplateSection[][] }) =>
+      apiClient.post<InvitationTemplate>('/invitation-templates', template),
+    // Change a template; fields that are not sent are kept
+    update: (id: string, changes: Partial<Pick<InvitationTemplate, 'name' | 'description' | 'match' | 'paragraphs'>>) =>
+      apiClient.put<InvitationTemplate>(`/invitation-templates/${id}`, changes),
+    delete: (id: string) => apiClient.delete(`/invitation-templates/${id}`),
+    // Write a guest's invitation without saving it: from a given template, an unsaved
+    // one (paragraphs and match) or by default the template selected for the guest
+    preview: (guestId: string, template: { templateId?: string; match?: InvitationTemplateMatch; paragraphs?: InvitationTemplateSection[][] } = {}) =>
+      apiClient.post<{ content: string; template: Pick<InvitationTemplate, 'id' | 'name' | 'builtin'> | null }>('/invitation-templates/preview', { guestId, ...template }),
   },
   
   /**
@@ -109,8 +540,9 @@ export const api = {
    */
   emails: {
     // Send all pending invitations at once
-    // Requires coupleInfoId to identify which couple's guests to send invitations to
-    sendAll: (coupleInfoId: string) => apiClient.post('/emails/send', { coupleInfoId }),
+    // Requires coupleInfoId to identify which couple's guests to send invitations to;
+    // tagId limits sending to the guests with that tag
+    sendAll: (coupleInfoId: string, tagId?: string) => apiClient.post('/emails/send', { coupleInfoId, tagId }),
     // Send invitation to a specific guest
     send: (guestId: string) => apiClient.post(`/emails/send/${guestId}`),
   },
@@ -13,6 +13,8 @@
  * This data forms the foundation for generating personalized invitations.
  */
 export interface CoupleInfo {
+  id?: string;                   // Wedding ID assigned by the backend once saved
+  role?: WeddingRole;            // Current user's role on the wedding (returned by the backend)
   groomName: string;             // Name of the groom
   brideName: string;             // Name of the bride
   weddingDate: Date | null;      // Date of the wedding ceremony
@@ -20,13 +22,28 @@ export interface CoupleInfo {
   weddingLocation: string;       // Location/venue of the wedding
   weddingTheme: string;          // Theme of the wedding (e.g., "Beach", "Garden")
   backgroundStory: string;       // Story of how the couple met (optional)
+  tonePreset?: TonePreset;       // Tone of the AI invitations (default "warm")
+  targetLength?: number;         // Length the AI invitations aim for, in Chinese characters (default 350)
+  extraInstructions?: string | null; // Extra instructions added to every AI prompt
+  aiBudget?: number | null;      // AI spending limit in USD, set by admins (null for the server default)
+  aiBudgetAction?: AiBudgetAction | null; // What happens once the budget is spent (null for the server default)
+  staleInvitations?: number;     // Invitations written from details that changed (returned by updates)
 }
 
+/**
+ * TonePreset Type
+ * 
+ * Tone a wedding's AI invitations are written in
+ */
+export type TonePreset = 'warm' | 'formal' | 'humorous' | 'poetic' | 'traditional';
+
 /**
  * RelationshipType
  * 
  * Defines possible relationships between the couple and their guests.
  * Used for categorizing guests and personalizing their invitations.
+ * The listed values are suggestions; couples may enter their own
+ * (e.g. "表姊"), and finer groups are kept as tags.
  * (All values are in Traditional Chinese)
  */
 export type RelationshipType = 
@@ -35,7 +52,8 @@ export type RelationshipType =
   | '同事'         // Colleague
   | '家人'         // Family member
   | '學校同學'     // School classmate
-  | '其他';        // Other
+  | '其他'         // Other
+  | (string & {}); // Any other relationship entered by the couple
 
 /**
  * GuestInfo Interface
@@ -55,9 +73,757 @@ export interface GuestInfo {
   phone?: string;                // Phone number (optional)
   invitationContent?: string;    // Generated invitation text
   status?: 'pending' | 'generated' | 'edited' | 'sent'; // Current status of invitation
+  side?: Side | null;            // Which side invited the guest (optional)
+  rsvp?: RsvpReply | null;       // The guest's reply (null until they respond)
+  householdId?: string | null;   // Household the guest is invited with (optional)
+  household?: Pick<Household, 'id' | 'name' | 'salutation' | 'contactEmail'> | null; // Household details, as returned by the API
+  plusOnesAllowed?: number;      // Number of extra people the guest may bring
+  companions?: Companion[];      // Named people the guest brings, as returned by the API
+  mealOptionId?: string | null;  // Meal the guest chose from the wedding's menu
+  allergies?: string[];          // Allergies and dietary restrictions
+  tags?: Pick<Tag, 'id' | 'name' | 'side' | 'color'>[]; // Tags of the guest, as returned by the API
+  tagIds?: string[];             // Tags to set when creating or updating (replaces existing tags)
+  tableId?: string | null;       // Table the guest is seated at (null until seated)
   coupleInfoId: string;          // Foreign key reference to the couple
 }
 
+/**
+ * GuestListParams Interface
+ * 
+ * Filters, sorting and paging of the guest list (all optional)
+ */
+export interface GuestListParams {
+  coupleInfoId?: string;
+  status?: string;               // Invitation statuses, comma-separated
+  relationship?: string;         // Relationships, comma-separated
+  side?: Side;
+  tag?: string;                  // Tag IDs, comma-separated (guests with any of them)
+  rsvp?: string;                 // attending, declined, maybe or none, comma-separated
+  q?: string;                    // Text searched in name, email and memories
+  sort?: 'createdAt' | 'name' | 'status' | 'relationship';
+  order?: 'asc' | 'desc';
+  limit?: number;                // Page size (1-200, default 50)
+  cursor?: string;               // nextCursor of the previous page
+}
+
+/**
+ * GuestPage Interface
+ * 
+ * One page of the guest list
+ */
+export interface GuestPage {
+  guests: GuestInfo[];
+  pagination: {
+    total: number;               // Guests matching the filters
+    limit: number;
+    nextCursor: string | null;   // Cursor of the next page
+    hasMore: boolean;
+  };
+}
+
+/**
+ * Companion Interface
+ * 
+ * A named person a guest brings as one of their plus-ones
+ */
+export interface Companion {
+  id: string;                    // Unique identifier for the companion
+  name: string;                  // Name of the companion
+  mealOptionId: string | null;   // Meal the companion chose
+  allergies: string[];           // Allergies and dietary restrictions
+}
+
+/**
+ * MealOption Interface
+ * 
+ * One entry of a wedding's menu, e.g. meat, fish or vegetarian
+ */
+export interface MealOption {
+  id: string;                    // Unique identifier for the meal option
+  name: string;                  // Name shown to guests
+  description: string | null;    // Optional description of the dish
+  sortOrder?: number;            // Position in the menu
+}
+
+/**
+ * AllergyCount Interface
+ * 
+ * Number of attending people with an allergy
+ */
+export interface AllergyCount {
+  allergy: string;
+  count: number;
+}
+
+/**
+ * CateringSummary Interface
+ * 
+ * Meal and allergy counts of everyone attending, for the caterer
+ */
+export interface CateringSummary {
+  coupleInfoId: string;
+  confirmedGuests: number;       // Guests who replied "attending"
+  headcount: number;             // People attending, including companions
+  meals: { mealOptionId: string; name: string; count: number; allergies: AllergyCount[] }[];
+  unspecified: { count: number; allergies: AllergyCount[] }; // People without a meal choice
+  allergies: AllergyCount[];     // Count per allergy across all meals
+}
+
+/**
+ * Household Interface
+ * 
+ * Guests invited together with one invitation (a family or a couple).
+ * The invitation is addressed to the salutation and emailed once
+ * to the contact address.
+ */
+export interface Household {
+  id: string;                    // Unique identifier for the household
+  coupleInfoId: string;          // Wedding the household is invited to
+  name: string;                  // Name used in lists, e.g. "王家"
+  salutation: string | null;     // How the invitation addresses the household
+  contactEmail: string;          // Address the household invitation is sent to
+  side: Side | null;             // Which side invited the household
+  guests: Pick<GuestInfo, 'id' | 'name' | 'email' | 'side' | 'status' | 'plusOnesAllowed'>[]; // Members of the household
+}
+
+/**
+ * Tag Interface
+ * 
+ * A group of guests within a wedding, e.g. "大學同學" or "公司同事".
+ * A tag of one side can only be applied to guests of that side.
+ */
+export interface Tag {
+  id: string;                    // Unique identifier for the tag
+  coupleInfoId: string;          // Wedding the tag belongs to
+  name: string;                  // Name, unique within the wedding
+  side: Side | null;             // Side the tag belongs to; null if shared by both sides
+  color: string | null;          // Display color as #RRGGBB
+  guestCount?: number;           // Guests with the tag, as returned by the API
+}
+
+/**
+ * GuestCounts Interface
+ * 
+ * Invited and attending guests of one side or tag
+ */
+export interface GuestCounts {
+  guests: number;                // Guests invited
+  attending: number;             // Guests who replied "attending"
+  headcount: number;             // People attending including companions
+}
+
+/**
+ * SideSummary Interface
+ * 
+ * Guest counts per side and per tag of a wedding
+ */
+export interface SideSummary {
+  coupleInfoId: string;
+  total: GuestCounts;
+  sides: (GuestCounts & { side: Side | null })[]; // Groom, bride and guests without a side
+  tags: (GuestCounts & Pick<Tag, 'id' | 'name' | 'side' | 'color'>)[];
+}
+
+/**
+ * SeatedGuest Interface
+ * 
+ * A guest as shown on the seating chart
+ */
+export interface SeatedGuest extends Pick<GuestInfo, 'id' | 'name' | 'side' | 'relationship' | 'allergies'> {
+  householdId: string | null;
+  tableId: string | null;
+  rsvp: RsvpReply['response'] | null; // The guest's reply, null until they respond
+  seats: number;                 // Seats taken: party size, or 1 + plus-ones before replying
+  companions: { id: string; name: string }[];
+  mealOption: { name: string } | null;
+}
+
+/**
+ * SeatingTable Interface
+ * 
+ * One table of the seating chart with the guests seated at it
+ */
+export interface SeatingTable {
+  id: string;                    // Unique identifier for the table
+  coupleInfoId: string;          // Wedding the table belongs to
+  label: string;                 // Name shown on the chart, e.g. "主桌"
+  capacity: number;              // Number of seats
+  sortOrder: number;             // Position in the chart (ascending)
+  seatsTaken: number;            // Seats taken by the guests at the table
+  guests: SeatedGuest[];
+}
+
+/**
+ * SeatingConstraint Interface
+ * 
+ * Two guests who must not be seated at the same table
+ */
+export interface SeatingConstraint {
+  id: string;
+  coupleInfoId: string;
+  guestId: string;
+  otherGuestId: string;
+  note: string | null;           // Optional reason
+}
+
+/**
+ * SeatingChart Interface
+ * 
+ * The seating chart of a wedding
+ */
+export interface SeatingChart {
+  coupleInfoId: string;
+  capacity: number;              // Seats at all tables
+  seatsTaken: number;            // Seats taken at all tables
+  tables: SeatingTable[];
+  unseated: SeatedGuest[];       // Guests who have not declined and have no table
+  constraints: SeatingConstraint[];
+}
+
+/**
+ * AutoSeatOptions Interface
+ * 
+ * Options of automatic seating (all optional)
+ */
+export interface AutoSeatOptions {
+  mode?: 'fill' | 'reset';       // Keep current seating (fill) or seat everyone again (reset)
+  includePending?: boolean;      // Also seat guests who have not replied or replied "maybe"
+  dryRun?: boolean;              // Only return the plan
+}
+
+/**
+ * AutoSeatResult Interface
+ * 
+ * Result of automatic seating (or of its dry run)
+ */
+export interface AutoSeatResult {
+  message: string;
+  dryRun: boolean;
+  mode: 'fill' | 'reset';
+  seated: number;                // Guests placed by this run
+  assignments: { guestId: string; name: string; tableId: string; label: string }[];
+  unseated: { guestId: string; name: string; reason: string }[]; // Guests that could not be placed
+}
+
+/**
+ * InvitationVersionSource Type
+ * 
+ * How an invitation version was produced
+ */
+export type InvitationVersionSource = 'ai' | 'mock' | 'manual' | 'feedback' | 'revert';
+
+/**
+ * InvitationValidation Interface
+ * 
+ * How a generated invitation fared against the rules of the prompt
+ */
+export interface InvitationValidation {
+  passed: boolean;
+  attempts: number;              // AI answers written (corrections included); 0 for the built-in template
+  results: {
+    rule: 'length' | 'markdown' | 'email' | 'phone' | 'url' | 'signature' | 'date' | 'time' | 'location';
+    passed: boolean;
+    message: string | null;      // What to correct, for failed rules
+  }[];
+}
+
+/**
+ * InvitationVersion Interface
+ * 
+ * One generated or edited version of a guest's invitation
+ */
+export interface InvitationVersion {
+  id: string;
+  sequence: number;              // Position in the guest's history (1, 2, ...)
+  content: string;
+  source: InvitationVersionSource;
+  feedbackText: string | null;   // Feedback a "feedback" version was rewritten from
+  validation: InvitationValidation | null; // Set for "ai", "mock", "feedback" and "revert" versions
+  revertedFromId: string | null; // Version a "revert" version restored
+  createdAt: string;
+  createdBy: { id: string; name: string | null; email: string } | null;
+}
+
+/**
+ * StaleInvitation Interface
+ * 
+ * An invitation written from wedding or guest details that changed since
+ */
+export interface StaleInvitation {
+  guestId: string;
+  name: string;
+  email: string;
+  side: Side | null;
+  status: 'pending' | 'generated' | 'edited' | 'sent';
+  householdId: string | null;
+  changes: {
+    field: string;               // Detail, e.g. "wedding.date" or "guest.name"
+    label: string;               // Detail as shown to users, e.g. "婚禮日期"
+    from: string | null;         // Value the invitation was written from
+    to: string | null;           // Current value
+  }[];
+}
+
+/**
+ * InvitationPreview Interface
+ * 
+ * A guest's invitation as it is sent, with its merge fields filled in
+ */
+export interface InvitationPreview {
+  content: string | null;   // Stored text, with merge fields such as {{guest.name}}
+  rendered: string | null;  // Text the guest receives
+  fields: string[];         // Merge fields invitation texts may use
+}
+
+/**
+ * InvitationDraft Interface
+ * 
+ * A candidate invitation written for a guest to choose from
+ */
+export interface InvitationDraft {
+  id: string;
+  guestId: string;
+  content: string;
+  provider: string;              // AI provider that wrote it
+  temperature: number;
+  validation: InvitationValidation | null;
+  selectedAt: string | null;     // When it was last selected as the invitation
+  createdAt: string;
+  createdBy: { id: string; name: string | null; email: string } | null;
+}
+
+/**
+ * PromptTemplateKey Type
+ * 
+ * Prompts sent to the AI service
+ */
+export type PromptTemplateKey = 'invitation.system' | 'invitation.user' | 'feedback.system' | 'feedback.user';
+
+/**
+ * PromptTemplate Interface
+ * 
+ * A prompt template in use (version 0 is the built-in template)
+ */
+export interface PromptTemplate {
+  key: PromptTemplateKey;
+  version: number;
+  body: string;
+  description: string;
+  variables: string[];           // Variables the template may use
+  builtin: boolean;
+}
+
+/**
+ * InvitationTemplateSection Interface
+ * 
+ * A section of an offline invitation template: one of its phrasings
+ * is picked per guest
+ */
+export interface InvitationTemplateSection {
+  variants: string[];            // Phrasings with {{variables}} and {{#if}} blocks
+  when?: string | string[];      // Only if these variables have a value
+  unless?: string | string[];    // Only if none of these variables has a value
+}
+
+/**
+ * InvitationTemplateMatch Interface
+ * 
+ * Guests an offline invitation template is for (omitted criteria hold for everyone)
+ */
+export interface InvitationTemplateMatch {
+  relationships?: string[];      // Words the guest's relationship contains
+  tags?: string[];               // Names of the guest's tags
+  themes?: string[];             // Words the wedding theme contains
+  tones?: TonePreset[];
+}
+
+/**
+ * InvitationTemplate Interface
+ * 
+ * An offline template invitations are written from without AI:
+ * built-in, or written by the couple
+ */
+export interface InvitationTemplate {
+  id: string;                    // File name for built-in templates, UUID for the couple's
+  builtin: boolean;
+  name: string;
+  description: string | null;
+  match: InvitationTemplateMatch;
+  paragraphs: InvitationTemplateSection[][];
+  coupleInfoId?: string;
+  createdById?: string | null;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+/**
+ * PromptPreview Interface
+ * 
+ * The fully rendered prompts for a guest
+ */
+export interface PromptPreview {
+  kind: 'invitation' | 'feedback';
+  tone: { name: TonePreset; label: string; style: string; styleEn: string };
+  length: { target: number; min: number; max: number };
+  templates: { key: PromptTemplateKey; version: number }[];
+  messages: { role: 'system' | 'user'; content: string }[];
+}
+
+/**
+ * InvitationDiff Interface
+ * 
+ * Changes between two versions of an invitation
+ */
+export interface InvitationDiff {
+  from: InvitationVersion;
+  to: InvitationVersion;
+  unit: 'line' | 'char';
+  changes: { type: 'equal' | 'removed' | 'added'; value: string }[];
+  added: number;                 // Lines (or characters) added
+  removed: number;               // Lines (or characters) removed
+}
+
+/**
+ * InvitationCacheStats Interface
+ * 
+ * Statistics of the cache of generated invitations (admins only)
+ */
+export interface InvitationCacheStats {
+  ttlHours: number;              // How long an entry is served
+  entries: number;               // Stored entries, including expired ones
+  expired: number;
+  storedHits: number;            // Hits recorded on the stored entries
+  memory: { entries: number };   // Entries held in memory
+  lookups: {                     // Since the server started
+    memoryHits: number;
+    databaseHits: number;
+    misses: number;
+    hitRate: number | null;      // null before the first lookup
+  };
+}
+
+/**
+ * InvitationStreamEvent Type
+ * 
+ * An event of a streamed invitation generation
+ * "done" carries the saved invitation, which may differ from the streamed text
+ * (e.g. trimmed to length, or the built-in template if the AI failed)
+ */
+export type InvitationStreamEvent =
+  | { event: 'start'; data: { guestId: string } }
+  | { event: 'delta'; data: { text: string } }
+  | { event: 'done'; data: { message: string; invitation: string; source: 'cache' | 'database' | 'newly_generated'; provider?: string; validation?: InvitationValidation } }
+  | { event: 'error'; data: { message: string; referenceId: string; errorCode?: 'AI_BUDGET_EXHAUSTED' } };
+
+/**
+ * AiBudgetAction Type
+ * 
+ * What happens once a wedding's AI budget is spent:
+ * "mock" writes invitations with the built-in template, "block" refuses AI generation
+ */
+export type AiBudgetAction = 'mock' | 'block';
+
+/**
+ * AiBudget Interface
+ * 
+ * A wedding's AI budget and spending
+ */
+export interface AiBudget {
+  budget: number | null;         // Limit in USD; null for no limit
+  spent: number;                 // Estimated cost of all AI requests so far
+  remaining: number | null;
+  exhausted: boolean;
+  action: AiBudgetAction;
+  custom: boolean;               // Whether the wedding has its own budget rather than the default
+}
+
+/**
+ * AiUsageTotals Interface
+ * 
+ * Requests, tokens and estimated cost of a group of AI requests
+ */
+export interface AiUsageTotals {
+  calls: number;
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  cost: number;                  // Estimated cost in USD
+}
+
+/**
+ * AiUsageSummary Interface
+ * 
+ * AI usage in total, per operation and per model
+ */
+export interface AiUsageSummary extends AiUsageTotals {
+  byOperation: (AiUsageTotals & { operation: AiUsageOperation })[];
+  byModel: (AiUsageTotals & { provider: string; model: string })[];
+}
+
+/**
+ * AiUsageOperation Type
+ * 
+ * What an AI request was made for
+ */
+export type AiUsageOperation = 'generate' | 'stream' | 'batch' | 'candidate' | 'feedback';
+
+/**
+ * WeddingAiUsage Interface
+ * 
+ * AI usage report of a wedding
+ */
+export interface WeddingAiUsage {
+  coupleInfoId: string;
+  budget: AiBudget;
+  usage: AiUsageSummary;
+  recent: {
+    id: string;
+    operation: AiUsageOperation;
+    provider: string;
+    model: string;
+    promptTokens: number;
+    completionTokens: number;
+    totalTokens: number;
+    cost: number;
+    createdAt: string;
+    guest: { id: string; name: string } | null; // null once the guest was deleted
+  }[];
+}
+
+/**
+ * JobStatus Type
+ * 
+ * Progress of a background job
+ */
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed';
+
+/**
+ * JobProgress Interface
+ * 
+ * Number of items of a job in each status
+ */
+export interface JobProgress {
+  total: number;
+  done: number;                  // succeeded + failed + skipped
+  pending: number;
+  running: number;
+  succeeded: number;
+  failed: number;
+  skipped: number;
+}
+
+/**
+ * JobItem Interface
+ * 
+ * The outcome of one guest of a background job
+ */
+export interface JobItem {
+  id: string;
+  guestId: string;
+  guest: { id: string; name: string };
+  position: number;
+  status: 'pending' | 'running' | 'succeeded' | 'failed' | 'skipped';
+  attempts: number;              // More than 1 if the job was resumed while the item ran
+  result: { source: 'ai' | 'mock'; provider: string; contentLength: number; validationPassed: boolean } | null;
+  error: string | null;
+  startedAt: string | null;
+  finishedAt: string | null;
+}
+
+/**
+ * Job Interface
+ * 
+ * A background job, e.g. batch invitation generation
+ */
+export interface Job {
+  id: string;
+  type: 'invitation:generate';
+  status: JobStatus;
+  options: { force?: boolean };
+  error: string | null;
+  coupleInfoId: string;
+  createdById: string | null;
+  progress: JobProgress;
+  items?: JobItem[];             // Included by the job detail and the stream snapshot
+  startedAt: string | null;
+  finishedAt: string | null;
+  createdAt: string;
+}
+
+/**
+ * JobEvent Type
+ * 
+ * An event of a job's progress stream
+ */
+export type JobEvent =
+  | { event: 'snapshot'; data: Job & { items: JobItem[] } }
+  | { event: 'item'; data: { item: JobItem; progress: JobProgress } }
+  | { event: 'job' | 'done'; data: { job: Job; progress: JobProgress } };
+
+/**
+ * GuestImportError Interface
+ * 
+ * One problem found while importing guests
+ */
+export interface GuestImportError {
+  row: number;                   // Spreadsheet row (header is row 1) or position in the JSON array
+  field: string | null;          // Guest field with the problem, null if the row could not be saved
+  message: string;
+}
+
+/**
+ * GuestImportReport Interface
+ * 
+ * Result of a bulk or spreadsheet guest import (or of its dry run)
+ */
+export interface GuestImportReport {
+  message: string;
+  dryRun: boolean;               // True if nothing was saved
+  onDuplicate: DuplicatePolicy;
+  totalRows: number;
+  totalValid: number;            // Rows without errors
+  totalImported: number;         // Guests created (0 in a dry run)
+  totalUpdated: number;          // Existing guests updated (onDuplicate "update")
+  totalSkipped: number;          // Rows skipped as duplicates (onDuplicate "skip")
+  totalFailed: number;
+  errors: GuestImportError[];
+  mapping?: Record<string, string | null>; // Column mapping used (spreadsheet imports)
+}
+
+/**
+ * DuplicatePolicy Type
+ * 
+ * What an import does with a guest whose email is already on the list
+ */
+export type DuplicatePolicy = 'error' | 'skip' | 'update';
+
+/**
+ * DuplicateGuestGroup Interface
+ * 
+ * Guests that are likely the same person, and what matched
+ */
+export interface DuplicateGuestGroup {
+  reasons: ('email' | 'name' | 'phone')[];
+  guests: GuestInfo[];
+}
+
+/**
+ * GuestImportPreview Interface
+ * 
+ * Headers, suggested column mapping and first rows of an uploaded spreadsheet
+ */
+export interface GuestImportPreview {
+  fileName: string;
+  headers: string[];
+  suggestedMapping: Record<string, string | null>;
+  fields: string[];              // Guest fields a column can be mapped to
+  totalRows: number;
+  sampleRows: { row: number; values: Record<string, string> }[];
+}
+
+/**
+ * RsvpReply Interface
+ * 
+ * A guest's reply submitted through their RSVP link.
+ * Stored separately from the invitation status.
+ */
+export interface RsvpReply {
+  response: 'attending' | 'declined' | 'maybe'; // Whether the guest will attend
+  partySize?: number;            // Number of people attending, including the guest
+  comment?: string | null;       // Optional message to the couple
+}
+
+/**
+ * RsvpSubmission Interface
+ * 
+ * What the RSVP page sends: the reply plus meal choices and allergies
+ * of the guest and of each companion (in the order they are listed)
+ */
+export interface RsvpSubmission extends RsvpReply {
+  mealOptionId?: string | null;
+  allergies?: string[];
+  companions?: { mealOptionId?: string | null; allergies?: string[] }[];
+}
+
+/**
+ * RsvpDetails Interface
+ * 
+ * Data shown on the public RSVP page
+ */
+export interface RsvpDetails {
+  guestName: string;             // Name of the invited guest
+  wedding: {                     // Public wedding details
+    groomName: string;
+    brideName: string;
+    weddingDate: string;
+    weddingTime: string;
+    weddingLocation: string;
+    weddingTheme: string;
+  };
+  invitationContent: string | null; // The guest's invitation text
+  plusOnesAllowed: number;       // Number of extra people the guest may bring
+  mealOptions: MealOption[];     // The wedding's menu
+  mealOptionId: string | null;   // The guest's meal choice
+  allergies: string[];           // The guest's allergies
+  companions: { name: string; mealOptionId: string | null; allergies: string[] }[]; // People the guest brings
+  rsvp: RsvpReply | null;        // Current reply, if any
+}
+
+/**
+ * Side
+ * 
+ * The side of the couple a guest or family helper belongs to
+ */
+export type Side = 'groom' | 'bride';
+
+/**
+ * AuthUser Interface
+ * 
+ * The logged-in account, as returned by register, login and /auth/me
+ */
+export interface AuthUser {
+  id: string;                    // Unique identifier for the account
+  email: string;                 // Login email address
+  name: string | null;           // Optional display name
+  role: 'user' | 'admin';        // Account role
+}
+
+/**
+ * AuthResponse Interface
+ * 
+ * Returned by register and login: the account and a new token pair
+ */
+export interface AuthResponse {
+  user: AuthUser;
+  accessToken: string;           // Short-lived token sent with every request
+  refreshToken: string;          // Single-use token to get a new token pair
+}
+
+/**
+ * WeddingRole
+ * 
+ * Role of an account on a wedding:
+ * owners and planners can do everything, family helpers manage
+ * the guests of their own side, viewers are read-only
+ */
+export type WeddingRole = 'owner' | 'planner' | 'family_helper' | 'viewer';
+
+/**
+ * WeddingMember Interface
+ * 
+ * A collaborator on a wedding, or a pending invitation
+ * (acceptedAt is null until the invitation is accepted)
+ */
+export interface WeddingMember {
+  id: string;                    // Unique identifier for the membership
+  coupleInfoId: string;          // Wedding the member collaborates on
+  userId: string | null;         // Account that accepted the invitation
+  email: string;                 // Invited email address
+  role: WeddingRole;             // Role on the wedding
+  side: Side | null;             // Side of a family helper
+  acceptedAt: string | null;     // When the invitation was accepted
+}
+
 /**
  * Step Enum
  * 